@@ -3,36 +3,791 @@
  * Vanilla JavaScript implementation with modern ES6+ features
  */
 
+/**
+ * Default application configuration. Override any part of it by defining
+ * `window.STOCKSCOPE_CONFIG` before script.js is loaded.
+ */
+const STOCKSCOPE_DEFAULTS = {
+    dataProviders: {
+        // Providers are tried in this order until one succeeds
+        order: ['demo'],
+        // Optional per-capability order, e.g. { fundamentals: ['alphaVantage', 'demo'] }
+        routes: {},
+        demo: {
+            latency: 800
+        },
+        yahoo: {
+            baseUrl: 'https://query1.finance.yahoo.com'
+        },
+        alphaVantage: {
+            baseUrl: 'https://www.alphavantage.co',
+            apiKey: ''
+        }
+    },
+    simulation: {
+        // Seeded mode keeps each symbol's demo data stable for a given date
+        seeded: true,
+        seed: 'stockscope',
+        // Pin the simulated "now" (YYYY-MM-DD or ISO date-time) for reproducible screenshots and tests
+        date: null,
+        // First trading day of the simulated history
+        epoch: '2015-01-02'
+    },
+    alerts: {
+        // How often alerted symbols are re-quoted in the background
+        checkInterval: 60000,
+        // Trigger history entries kept in storage
+        historyLimit: 100
+    },
+    marketIndex: {
+        // Benchmark index used by the market index chart and price chart comparisons
+        symbol: '^GSPC',
+        name: 'S&P 500'
+    },
+    intraday: {
+        // How often the intraday chart reloads its minute bars while the page is visible
+        refreshInterval: 60000,
+        // Include pre-market (4:00-9:30) and after-hours (16:00-20:00) trading
+        extendedHours: true
+    },
+    portfolio: {
+        // How often quotes for held symbols are refreshed
+        refreshInterval: 60000
+    },
+    paperTrading: {
+        // Cash a new or reset paper account starts with
+        startingCash: 100000,
+        // Flat commission charged per filled order
+        commission: 0,
+        // How often open orders are checked against new quotes
+        checkInterval: 15000
+    },
+    backtest: {
+        // Defaults for the backtest form
+        initialCapital: 10000,
+        // Flat commission per fill
+        commission: 1,
+        // Fill price penalty in basis points
+        slippageBps: 5
+    },
+    screener: {
+        // Extra symbols to scan besides the built-in tickers
+        universe: [],
+        // How long a symbol's screener metrics are reused before reloading
+        cacheTtl: 300000
+    },
+    directory: {
+        // Extra searchable symbols: { symbol, name, exchange, type }
+        entries: [],
+        // How many recent searches are remembered
+        recentLimit: 8
+    },
+    marketMovers: {
+        // Symbols ranked for top gainers, losers and most active; empty uses every stock in the symbol directory
+        universe: [],
+        // Cards shown in each market overview carousel
+        count: 5,
+        // How often the universe is re-quoted
+        refreshInterval: 60000
+    },
+    watchlist: {
+        // How often quotes for the active watchlist are refreshed
+        refreshInterval: 15000
+    },
+    allocation: {
+        // Extra or corrected classifications: { SYMBOL: { sector, assetClass, currency } }
+        profiles: {}
+    },
+    risk: {
+        // Annual risk-free rate used by the Sharpe and Sortino ratios
+        riskFreeRate: 0.04,
+        // Value-at-Risk confidence level
+        confidence: 0.95,
+        // Daily history used for a stock's risk metrics
+        lookback: '1y'
+    }
+};
+
 class StockAnalyzer {
     constructor() {
+        this.config = this.loadConfig();
+        this.storageRepairs = [];
+        this.storageSnapshots = {};
+        this.runStorageMigrations();
+        this.simulationCache = new Map();
+        this.marketClockFormat = null;
+        this.dataProviders = this.createDataProviders();
         this.currentStock = null;
         this.watchlist = [];
+        this.watchlists = [];
+        this.activeWatchlistId = null;
+        this.draggedWatchlistSymbol = null;
+        this.watchlistQuotes = new Map();
+        this.watchlistView = this.readStorage('watchlistView');
+        this.watchlistSort = null;
+        this.watchlistAsOf = null;
         this.lastSearchSymbol = '';
-        this.carouselPositions = { bullish: 0, trending: 0, bearish: 0 };
+        this.carouselPositions = { bullish: 0, trending: 0, bearish: 0, portfolio: 0 };
         this.marketData = { bullish: [], trending: [], bearish: [] };
+        this.marketMoversAsOf = null;
+        this.marketMoversRequestId = 0;
         this.chart = null;
+        this.chartStyle = this.readStorage('chartStyle');
+        this.chartPeriod = '1M';
+        this.chartHistoryCache = new Map();
+        this.chartRequestId = 0;
+        this.technicalSettings = this.loadTechnicalSettings();
+        this.technicalBars = null;
+        this.chartReadouts = new WeakMap();
+        this.comparisonSettings = this.loadComparisonSettings();
+        this.chartComparisons = [];
+        this.intradayData = null;
+        this.intradayWindow = '1d';
+        this.intradayRequestId = 0;
         this.loadWatchlistFromStorage();
+        this.portfolioQuotes = new Map();
+        this.portfolioAccount = 'all';
+        this.performancePeriod = '1Y';
+        this.performanceRequestId = 0;
+        this.performanceKey = null;
+        this.portfolioPerformance = null;
+        this.portfolioOverallPerformance = null;
+        this.stockRisk = null;
+        this.stockRiskRequestId = 0;
+        this.allocationDimension = 'symbol';
+        this.allocationView = 'pie';
+        this.allocationTargets = this.loadAllocationTargets();
+        this.paperAccount = this.loadPaperAccount();
+        this.paperQuotes = new Map();
+        this.backtestResult = null;
+        this.backtestRequestId = 0;
+        this.screenerFilters = [];
+        this.screenerResults = null;
+        this.screenerSort = { key: 'marketCap', direction: 'desc' };
+        this.screenerCache = new Map();
+        this.screenerRequestId = 0;
+        this.recentSearches = this.loadRecentSearches();
+        this.symbolSuggestions = [];
+        this.suggestionsAreRecent = false;
+        this.activeSuggestion = -1;
+        this.evaluatingAlerts = new Set();
+        this.loadAlertsFromStorage();
+        this.loadPortfolioFromStorage();
+        this.loadScreenerFromStorage();
+        // Every key has been read once the constructor is done; init() reports what had to be repaired
         this.init();
     }
 
     /**
-     * Load watchlist from localStorage with error handling
+     * Merge user configuration from window.STOCKSCOPE_CONFIG over the defaults
      */
-    loadWatchlistFromStorage() {
+    loadConfig() {
+        const overrides = (typeof window !== 'undefined' && window.STOCKSCOPE_CONFIG) || {};
+        return this.mergeConfig(STOCKSCOPE_DEFAULTS, overrides);
+    }
+
+    /**
+     * Recursively merge plain objects; arrays and primitives are replaced
+     */
+    mergeConfig(base, overrides) {
+        const result = { ...base };
+
+        Object.keys(overrides).forEach(key => {
+            const value = overrides[key];
+            const isPlainObject = value && typeof value === 'object' && !Array.isArray(value);
+
+            if (isPlainObject && base[key] && typeof base[key] === 'object' && !Array.isArray(base[key])) {
+                result[key] = this.mergeConfig(base[key], value);
+            } else {
+                result[key] = value;
+            }
+        });
+
+        return result;
+    }
+
+    /**
+     * Persisted keys: how each is encoded, its default, how to salvage a damaged value and how to shrink it when storage is full
+     *
+     * `recover` returns the usable part of a parsed value, or undefined to fall back to the default.
+     * `apply` loads a value written by another tab into this one; `merge(base, local, remote)` combines
+     * concurrent edits when this tab saves over a value another tab changed since it was last read.
+     */
+    getStorageKeys() {
+        const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+        const text = value => typeof value === 'string' && value.trim() !== '';
+        const oneOf = (...options) => value => options.includes(value) ? value : undefined;
+        const object = value => isObject(value) ? value : undefined;
+        // Keep the entries that still look right and drop the rest
+        const listOf = isValid => value => Array.isArray(value) ? value.filter(isValid) : undefined;
+
+        return {
+            theme: {
+                raw: true,
+                fallback: 'light',
+                recover: oneOf('light', 'dark'),
+                apply: theme => {
+                    this.setTheme(theme);
+                    this.updateThemeIcon(theme);
+                }
+            },
+            chartStyle: {
+                raw: true,
+                fallback: 'area',
+                recover: oneOf('line', 'area', 'candle', 'bar'),
+                apply: style => {
+                    this.chartStyle = style;
+                    document.querySelectorAll('.chart-type-btn[data-style]').forEach(btn => {
+                        btn.classList.toggle('active', btn.getAttribute('data-style') === style);
+                    });
+                    if (this.currentStock) {
+                        this.updateStockChart(this.currentStock);
+                    }
+                }
+            },
+            watchlistView: { raw: true, fallback: 'cards', recover: oneOf('cards', 'table', 'carousel') },
+            watchlists: {
+                fallback: null,
+                recover: value => isObject(value) && Array.isArray(value.lists) ? {
+                    ...value,
+                    lists: value.lists
+                        .filter(list => isObject(list) && text(list.name))
+                        .map(list => ({ ...list, items: listOf(item => isObject(item) && text(item.symbol))(list.items) || [] }))
+                } : undefined,
+                apply: value => {
+                    // Which list is showing stays a per-tab choice
+                    this.setWatchlists(value, this.activeWatchlistId);
+                    this.loadWatchlist();
+                    this.refreshWatchlistButton();
+                },
+                merge: (base, local, remote) => ({
+                    ...local,
+                    lists: this.mergeStorageRecords(base && base.lists, local.lists, remote.lists, list => list.id, (baseList, localList, remoteList) => ({
+                        ...localList,
+                        name: baseList && localList.name === baseList.name ? remoteList.name : localList.name,
+                        items: this.mergeStorageRecords(baseList && baseList.items, localList.items, remoteList.items, item => item.symbol)
+                    }))
+                })
+            },
+            recentSearches: { fallback: [], recover: listOf(text) },
+            priceAlerts: {
+                fallback: [],
+                // Rendering and evaluation look up the type and compare against the value
+                recover: listOf(alert => isObject(alert) && text(alert.id) && text(alert.symbol) && Boolean(this.getAlertTypes()[alert.type])
+                    && Number.isFinite(alert.value) && alert.value > 0),
+                apply: alerts => {
+                    this.alerts = alerts;
+                    this.renderAlerts();
+                },
+                merge: (base, local, remote) => this.mergeStorageRecords(base, local, remote, alert => alert.id)
+            },
+            alertHistory: {
+                fallback: [],
+                recover: listOf(entry => isObject(entry) && text(entry.symbol) && text(entry.message) && text(entry.triggeredAt)),
+                prune: history => history.slice(0, Math.floor(history.length / 2)),
+                apply: history => {
+                    this.alertHistory = history;
+                    this.renderAlerts();
+                },
+                // History is newest first; entries without an id are kept once by trigger time
+                merge: (base, local, remote) => this.mergeStorageRecords(base, local, remote, entry => entry.id || `${entry.symbol}|${entry.triggeredAt}`)
+                    .sort((a, b) => b.triggeredAt.localeCompare(a.triggeredAt))
+                    .slice(0, this.config.alerts.historyLimit)
+            },
+            portfolioAccounts: {
+                fallback: [],
+                recover: listOf(account => isObject(account) && text(account.id) && text(account.name)),
+                apply: accounts => {
+                    if (accounts.length === 0) return;
+                    this.accounts = accounts;
+                    this.renderPortfolio();
+                },
+                merge: (base, local, remote) => this.mergeStorageRecords(base, local, remote, account => account.id)
+            },
+            portfolioTransactions: {
+                fallback: [],
+                // Dropping one entry would change every later sale's lots and cost basis, so the ledger is kept or discarded whole
+                recover: value => Array.isArray(value) && this.isValidLedger(value) ? value : undefined,
+                apply: transactions => {
+                    this.transactions = transactions;
+                    this.renderPortfolio();
+                },
+                merge: (base, local, remote) => this.mergeLedgers(base, local, remote)
+            },
+            allocationTargets: {
+                fallback: {},
+                recover: object,
+                apply: targets => {
+                    this.allocationTargets = targets;
+                    this.renderAllocationTargets();
+                },
+                // Per account, settings and each symbol's weight merge separately
+                merge: (base, local, remote) => this.mergeStorageEntries(base, local, remote, (baseTargets, localTargets, remoteTargets) => ({
+                    ...this.mergeStorageEntries(baseTargets, localTargets, remoteTargets),
+                    weights: this.mergeStorageEntries(baseTargets && baseTargets.weights, localTargets.weights || {}, remoteTargets.weights || {})
+                }))
+            },
+            paperTrading: {
+                fallback: null,
+                recover: value => isObject(value) && Number.isFinite(value.cash) && Array.isArray(value.orders) ? value : undefined,
+                apply: account => {
+                    this.paperAccount = account ? { ...this.createPaperAccount(), ...account } : this.createPaperAccount();
+                    this.renderPaperTrading();
+                },
+                merge: (base, local, remote) => this.mergePaperAccounts(base, local, remote)
+            },
+            savedScreens: { fallback: [], recover: listOf(screen => isObject(screen) && text(screen.id) && text(screen.name) && Array.isArray(screen.filters)) },
+            screenerUniverse: { fallback: [], recover: listOf(text) },
+            technicalSettings: {
+                fallback: {},
+                recover: object,
+                apply: settings => {
+                    this.technicalSettings = this.mergeConfig(this.getDefaultTechnicalSettings(), settings);
+                    this.syncTechnicalControls();
+                    this.renderTechnicalChart();
+                }
+            },
+            comparisonSettings: {
+                fallback: {},
+                // Symbols end up in chart legends and readouts, so anything that is not a ticker is dropped
+                recover: value => isObject(value) ? {
+                    ...value,
+                    symbols: listOf(symbol => typeof symbol === 'string' && /^[A-Z0-9.^-]{1,10}$/.test(symbol))(value.symbols) || [],
+                    hidden: listOf(text)(value.hidden) || [],
+                    showIndex: value.showIndex === true
+                } : undefined,
+                apply: settings => {
+                    this.comparisonSettings = { symbols: [], showIndex: false, hidden: [], ...settings };
+                    const indexBtn = document.getElementById('toggleIndexCompare');
+                    if (indexBtn) {
+                        indexBtn.classList.toggle('active', this.comparisonSettings.showIndex);
+                    }
+                    if (this.currentStock) {
+                        this.updateStockChart(this.currentStock);
+                    }
+                }
+            }
+        };
+    }
+
+    /**
+     * Ordered migrations; each upgrades saved data from the previous version to `version`
+     */
+    getStorageMigrations() {
+        return [
+            {
+                version: 1,
+                description: 'Move the single stockWatchlist array into named watchlists',
+                migrate: () => {
+                    const legacy = localStorage.getItem('stockWatchlist');
+                    if (legacy === null) return;
+
+                    if (localStorage.getItem('watchlists') === null) {
+                        let items = null;
+                        try {
+                            items = JSON.parse(legacy);
+                        } catch (error) {
+                            this.backupStorageValue('stockWatchlist', legacy);
+                        }
+                        localStorage.setItem('watchlists', JSON.stringify({
+                            lists: [{ id: this.generateId('watchlist'), name: 'My Watchlist', items: Array.isArray(items) ? items : [] }]
+                        }));
+                    }
+                    localStorage.removeItem('stockWatchlist');
+                }
+            }
+        ];
+    }
+
+    /**
+     * Bring saved data up to the current schema version, one migration at a time
+     */
+    runStorageMigrations() {
+        const migrations = this.getStorageMigrations();
+        const latest = migrations[migrations.length - 1].version;
+        let version;
+
+        try {
+            version = Number(localStorage.getItem('storageVersion')) || 0;
+        } catch (error) {
+            console.error('Storage is unavailable:', error);
+            return;
+        }
+
+        if (version > latest) {
+            // Written by a newer release; leave it alone rather than guess at a downgrade
+            console.warn(`Saved data is schema v${version}, newer than this page's v${latest}`);
+            return;
+        }
+
+        for (const migration of migrations.filter(entry => entry.version > version)) {
+            try {
+                migration.migrate();
+                localStorage.setItem('storageVersion', String(migration.version));
+            } catch (error) {
+                // Stop so the failed step is retried on the next load instead of being skipped
+                console.error(`Storage migration to v${migration.version} failed (${migration.description}):`, error);
+                return;
+            }
+        }
+    }
+
+    /**
+     * Read a persisted key, repairing damaged values and falling back to the key's default
+     */
+    readStorage(key) {
+        const schema = this.getStorageKeys()[key];
+        let raw;
+
+        try {
+            raw = localStorage.getItem(key);
+        } catch (error) {
+            console.error(`Unable to read ${key}:`, error);
+            return schema.fallback;
+        }
+        // What this tab last saw, so a later save can tell whether another tab wrote in between
+        this.storageSnapshots[key] = raw;
+        if (raw === null) return schema.fallback;
+
+        // Unusable values are backed up and cleared so the default applies from now on
+        const discard = () => {
+            this.backupStorageValue(key, raw);
+            this.storageRepairs.push(key);
+            localStorage.removeItem(key);
+            this.storageSnapshots[key] = null;
+            return schema.fallback;
+        };
+
+        let parsed = raw;
+        if (!schema.raw) {
+            try {
+                parsed = JSON.parse(raw);
+            } catch (error) {
+                console.error(`Saved ${key} is not valid JSON:`, error);
+                return discard();
+            }
+        }
+
+        const recovered = schema.recover(parsed);
+        if (recovered === undefined) {
+            return discard();
+        }
+        if (JSON.stringify(recovered) !== JSON.stringify(parsed)) {
+            // Some entries were dropped; keep the original and save the cleaned copy
+            this.backupStorageValue(key, raw);
+            this.storageRepairs.push(key);
+            this.writeStorage(key, recovered);
+        }
+
+        return recovered;
+    }
+
+    /**
+     * Persist a key, freeing space and retrying once when the quota is exceeded
+     */
+    writeStorage(key, value) {
+        const schema = this.getStorageKeys()[key];
+        const output = this.mergeWithStoredValue(key, schema, value);
+        const serialized = schema && schema.raw ? String(output) : JSON.stringify(output);
+        const saved = this.setStorageItem(key, serialized);
+
+        if (saved) {
+            this.storageSnapshots[key] = serialized;
+        }
+        // The merge picked up another tab's edits that this tab doesn't show yet
+        if (output !== value && schema.apply) {
+            schema.apply(output);
+        }
+
+        return saved;
+    }
+
+    /**
+     * Three-way merge a value being saved with whatever another tab stored since this tab last read it
+     */
+    mergeWithStoredValue(key, schema, value) {
+        if (!schema || !schema.merge || !(key in this.storageSnapshots)) return value;
+
+        let current;
+        try {
+            current = localStorage.getItem(key);
+        } catch (error) {
+            return value;
+        }
+        if (current === null || current === this.storageSnapshots[key]) return value;
+
+        const parse = raw => {
+            try {
+                return raw === null ? null : JSON.parse(raw);
+            } catch (error) {
+                return null;
+            }
+        };
+        const remote = schema.recover(parse(current));
+        if (remote === undefined) return value;
+
+        const base = this.storageSnapshots[key] === null ? null : schema.recover(parse(this.storageSnapshots[key]));
+        return schema.merge(base === undefined ? null : base, value, remote);
+    }
+
+    /**
+     * Write a serialized value, freeing space and retrying once when the quota is exceeded
+     */
+    setStorageItem(key, serialized) {
         try {
-            const stored = localStorage.getItem('stockWatchlist');
-            this.watchlist = stored ? JSON.parse(stored) : [];
-            if (!Array.isArray(this.watchlist)) {
-                this.watchlist = [];
+            localStorage.setItem(key, serialized);
+            return true;
+        } catch (error) {
+            if (!this.isQuotaError(error)) {
+                console.error(`Failed to save ${key}:`, error);
+                this.showNotification('Failed to save your changes', 'error');
+                return false;
             }
+        }
+
+        this.freeStorageSpace();
+        try {
+            localStorage.setItem(key, serialized);
+            return true;
+        } catch (error) {
+            console.error(`Storage is full; ${key} was not saved:`, error);
+            this.showNotification('Browser storage is full. Recent changes will be lost when this tab closes; delete old alerts, screens or watchlists to free space.', 'error');
+            return false;
+        }
+    }
+
+    /**
+     * Whether a storage error means the quota was exceeded (the name differs between browsers)
+     */
+    isQuotaError(error) {
+        return Boolean(error) && (
+            error.name === 'QuotaExceededError' ||
+            error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+            error.code === 22 ||
+            error.code === 1014
+        );
+    }
+
+    /**
+     * Make room by dropping backups of damaged data and shrinking keys that allow it
+     */
+    freeStorageSpace() {
+        try {
+            Object.keys(localStorage)
+                .filter(key => key.endsWith('.backup'))
+                .forEach(key => localStorage.removeItem(key));
+
+            Object.entries(this.getStorageKeys())
+                .filter(([, schema]) => schema.prune)
+                .forEach(([key, schema]) => {
+                    const value = JSON.parse(localStorage.getItem(key) || 'null');
+                    if (Array.isArray(value) && value.length > 0) {
+                        localStorage.setItem(key, JSON.stringify(schema.prune(value)));
+                    }
+                });
+        } catch (error) {
+            console.error('Unable to free storage space:', error);
+        }
+    }
+
+    /**
+     * Keep the original text of a damaged value so nothing is silently lost
+     */
+    backupStorageValue(key, raw) {
+        try {
+            localStorage.setItem(`${key}.backup`, raw);
         } catch (error) {
-            console.error('Error loading watchlist:', error);
-            this.watchlist = [];
+            console.warn(`Unable to back up damaged ${key}:`, error);
+        }
+    }
+
+    /**
+     * Tell the user once if saved data had to be repaired while loading
+     */
+    reportStorageRepairs() {
+        if (this.storageRepairs.length === 0) return;
+
+        const keys = [...new Set(this.storageRepairs)];
+        this.showNotification(`Some saved data was damaged and has been repaired (${keys.join(', ')}). The originals are kept as ${keys.map(key => `${key}.backup`).join(', ')}.`, 'warning');
+        this.storageRepairs = [];
+    }
+
+    /**
+     * Three-way merge of records keyed by `keyOf`
+     *
+     * Additions from either side are kept and a deletion on either side wins. For a record present on both
+     * sides, `mergeBoth` decides; by default the side that changed since `base` is taken, preferring this tab.
+     */
+    mergeStorageRecords(base, local, remote, keyOf, mergeBoth = null) {
+        const index = records => new Map((records || []).map(record => [keyOf(record), record]));
+        const baseRecords = index(base);
+        const localRecords = index(local);
+        const remoteRecords = index(remote);
+        const merged = [];
+
+        local.forEach(record => {
+            const key = keyOf(record);
+            if (!remoteRecords.has(key)) {
+                // Missing remotely: deleted there if it existed before, otherwise added here
+                if (!baseRecords.has(key)) merged.push(record);
+                return;
+            }
+
+            const baseRecord = baseRecords.get(key);
+            const remoteRecord = remoteRecords.get(key);
+            if (mergeBoth) {
+                merged.push(mergeBoth(baseRecord, record, remoteRecord));
+            } else {
+                const unchangedHere = baseRecord && JSON.stringify(record) === JSON.stringify(baseRecord);
+                merged.push(unchangedHere ? remoteRecord : record);
+            }
+        });
+
+        remote.forEach(record => {
+            const key = keyOf(record);
+            if (!localRecords.has(key) && !baseRecords.has(key)) {
+                merged.push(record);
+            }
+        });
+
+        return merged;
+    }
+
+    /**
+     * Three-way merge of an object's keys, with the same rules as mergeStorageRecords
+     */
+    mergeStorageEntries(base, local, remote, mergeBoth = null) {
+        return Object.fromEntries(this.mergeStorageRecords(
+            Object.entries(base || {}),
+            Object.entries(local),
+            Object.entries(remote),
+            ([key]) => key,
+            mergeBoth && ((baseEntry, [key, localValue], [, remoteValue]) => [key, mergeBoth(baseEntry && baseEntry[1], localValue, remoteValue)])
+        ));
+    }
+
+    /**
+     * Merge two tabs' ledgers by transaction id.
+     * When both tabs sold the same shares the combined ledger no longer replays; the other tab's
+     * saved ledger is kept then, plus whichever entries from this tab still fit.
+     */
+    mergeLedgers(base, local, remote) {
+        const merged = this.mergeStorageRecords(base, local, remote, tx => tx.id);
+        if (this.isValidLedger(merged)) return merged;
+
+        const known = new Set([...(base || []), ...remote].map(tx => tx.id));
+        const result = [...remote];
+        let skipped = 0;
+        local.filter(tx => !known.has(tx.id)).forEach(tx => {
+            if (this.isValidLedger([...result, tx])) {
+                result.push(tx);
+            } else {
+                skipped++;
+            }
+        });
+
+        if (skipped > 0) {
+            this.showNotification(`${skipped} transaction${skipped === 1 ? '' : 's'} conflicted with changes from another tab and ${skipped === 1 ? 'was' : 'were'} not saved`, 'warning');
+        }
+        return result;
+    }
+
+    /**
+     * Merge two tabs' paper accounts: orders by id, with cash and positions replayed from the fills.
+     * A reset in either tab wins.
+     */
+    mergePaperAccounts(base, local, remote) {
+        const wasReset = account => base && base.orders.length > 0 && !account.orders.some(order => base.orders.some(item => item.id === order.id));
+        if (wasReset(local)) return local;
+        if (wasReset(remote)) return remote;
+
+        const orders = this.mergeStorageRecords(base && base.orders, local.orders, remote.orders, order => order.id)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+        return this.rebuildPaperAccount({ ...local, orders });
+    }
+
+    /**
+     * Listen for saves made in other tabs of the app
+     */
+    setupCrossTabSync() {
+        window.addEventListener('storage', (e) => {
+            if (e.storageArea !== localStorage) return;
+
+            // A null key means another tab cleared storage, so every synced key is reloaded
+            const schemas = this.getStorageKeys();
+            const keys = e.key === null ? Object.keys(schemas) : [e.key];
+            keys.filter(key => schemas[key] && schemas[key].apply).forEach(key => {
+                schemas[key].apply(this.readStorage(key));
+            });
+            this.reportStorageRepairs();
+        });
+    }
+
+    /**
+     * Load named watchlists from storage
+     */
+    loadWatchlistFromStorage() {
+        const stored = this.readStorage('watchlists');
+
+        // Lists need stable ids before another tab can merge with them
+        if (this.setWatchlists(stored, stored && stored.activeId)) {
+            this.saveWatchlists();
+        }
+    }
+
+    /**
+     * Replace the in-memory watchlists with stored ones; returns true when ids or a default list had to be created
+     */
+    setWatchlists(stored, activeId) {
+        const lists = stored ? stored.lists : [];
+        let created = lists.some(list => !list.id);
+
+        this.watchlists = lists
+            .map(list => {
+                const items = (Array.isArray(list.items) ? list.items : [])
+                    .map(item => this.normalizeWatchlistItem(item))
+                    .filter(Boolean);
+
+                return {
+                    id: list.id || this.generateId('watchlist'),
+                    name: list.name.trim(),
+                    createdAt: list.createdAt || new Date().toISOString(),
+                    items: items.filter((item, index) => items.findIndex(other => other.symbol === item.symbol) === index)
+                };
+            });
+
+        if (this.watchlists.length === 0) {
+            this.watchlists.push({ id: this.generateId('watchlist'), name: 'My Watchlist', createdAt: new Date().toISOString(), items: [] });
+            created = true;
         }
+
+        this.selectWatchlist(activeId);
+        return created;
+    }
+
+    /**
+     * Fill in the note, target and tag fields older entries were saved without
+     */
+    normalizeWatchlistItem(item) {
+        if (!item || typeof item.symbol !== 'string' || !item.symbol.trim()) return null;
+
+        const symbol = item.symbol.trim().toUpperCase();
+        const targetPrice = Number(item.targetPrice);
+
+        return {
+            ...item,
+            symbol,
+            name: item.name || this.getCompanyName(symbol),
+            addedAt: item.addedAt || new Date().toISOString(),
+            note: typeof item.note === 'string' ? item.note : '',
+            targetPrice: item.targetPrice !== null && Number.isFinite(targetPrice) && targetPrice > 0 ? targetPrice : null,
+            tags: Array.isArray(item.tags) ? item.tags.filter(tag => typeof tag === 'string' && tag.trim()) : []
+        };
     }
 
     init() {
         this.setupEventListeners();
+        this.setupCrossTabSync();
         this.setupTheme();
         this.setupNavigation();
         this.setupLoader();
@@ -40,7 +795,14 @@ class StockAnalyzer {
         this.initScrollAnimations();
         this.loadMarketData();
         this.initializeChart();
+        this.startIntradayUpdates();
+        this.startAlertMonitor();
+        this.startPortfolioUpdates();
+        this.startMarketMoversUpdates();
+        this.startWatchlistUpdates();
+        this.startPaperTradingMonitor();
         this.startAutoCarousel();
+        this.reportStorageRepairs();
     }
 
     /**
@@ -88,6 +850,39 @@ class StockAnalyzer {
             });
         });
 
+        // Chart Style Controls
+        document.querySelectorAll('.chart-type-btn[data-style]').forEach(btn => {
+            btn.classList.toggle('active', btn.getAttribute('data-style') === this.chartStyle);
+            btn.addEventListener('click', () => {
+                this.switchChartStyle(btn);
+            });
+        });
+
+        // Technical Indicator Controls
+        this.setupTechnicalControls();
+
+        // Price Chart Zoom Controls
+        this.setupChartZoom();
+
+        // Price Chart Comparison Controls
+        this.setupComparisonControls();
+
+        // Price Alerts
+        this.setupAlerts();
+        this.setupPortfolio();
+        this.setupAllocation();
+        this.setupPaperTrading();
+        this.setupBacktest();
+        this.setupScreener();
+        this.setupWatchlists();
+
+        // Intraday Chart Window Controls
+        document.querySelectorAll('#intradayControls .chart-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.switchIntradayWindow(btn);
+            });
+        });
+
         // Stock Card Click Events
         document.addEventListener('click', (e) => {
             if (e.target.closest('.stock-card')) {
@@ -120,14 +915,11 @@ class StockAnalyzer {
         const searchBtn = document.getElementById('searchBtn');
 
         if (stockInput && searchBtn) {
-            stockInput.addEventListener('keypress', (e) => {
-                if (e.key === 'Enter') {
-                    this.searchStock();
-                }
-            });
+            this.setupSymbolSearch();
 
             searchBtn.addEventListener('click', () => {
-                this.searchStock();
+                this.hideSymbolSuggestions();
+                this.searchStock(this.resolveSearchInput(stockInput.value));
             });
         }
 
@@ -146,7 +938,7 @@ class StockAnalyzer {
 
         if (addToWatchlist) {
             addToWatchlist.addEventListener('click', () => {
-                this.addToWatchlist();
+                this.toggleWatchlist();
             });
         }
 
@@ -177,7 +969,7 @@ class StockAnalyzer {
      * Setup theme functionality
      */
     setupTheme() {
-        const savedTheme = localStorage.getItem('theme') || 'light';
+        const savedTheme = this.readStorage('theme');
         this.setTheme(savedTheme);
         this.updateThemeIcon(savedTheme);
     }
@@ -191,7 +983,7 @@ class StockAnalyzer {
 
         this.setTheme(newTheme);
         this.updateThemeIcon(newTheme);
-        localStorage.setItem('theme', newTheme);
+        this.writeStorage('theme', newTheme);
     }
 
     /**
@@ -357,971 +1149,6122 @@ class StockAnalyzer {
 
         try {
             const stockData = await this.fetchStockData(searchSymbol);
-            this.displayStockData(stockData);
             this.currentStock = stockData;
+            this.displayStockData(stockData);
+            this.addRecentSearch(searchSymbol);
         } catch (error) {
             console.error('Error fetching stock data:', error);
-            this.showErrorState(error.message);
+            this.showErrorState(this.isKnownSymbol(searchSymbol)
+                ? error.message
+                : `"${searchSymbol}" is not a known symbol. Check the ticker or pick a company from the suggestions.`);
         }
     }
 
     /**
-     * Generate stock data with realistic simulation
+     * Fetch quote, history and fundamentals through the configured providers
      */
     async fetchStockData(symbol) {
-        try {
-            // Simulate API delay for realism
-            await new Promise(resolve => setTimeout(resolve, 800));
-
-            // Always return demo data - no real API calls
-            const stockData = this.getDemoStockData(symbol);
-            console.log(`Generated data for ${symbol}:`, stockData);
-            return stockData;
+        const quote = await this.requestMarketData('quote', symbol);
+
+        const [historicalPrices, fundamentals] = await Promise.all([
+            quote.historicalPrices || this.requestMarketData('history', symbol, { range: '1mo', interval: '1d' }),
+            this.requestMarketData('fundamentals', symbol, quote).catch(error => {
+                console.warn(`Fundamentals unavailable for ${symbol}:`, error.message);
+                return {};
+            })
+        ]);
+
+        // Fundamentals only override quote fields they actually provide
+        const knownFundamentals = Object.fromEntries(
+            Object.entries(fundamentals).filter(([, value]) => value !== undefined && value !== 'N/A')
+        );
 
-        } catch (error) {
-            console.error('Error generating stock data:', error);
-            // Fallback to basic demo data
-            return {
-                symbol: symbol,
-                name: `${symbol} Corporation`,
-                price: Math.random() * 200 + 50,
-                change: (Math.random() - 0.5) * 10,
-                changePercent: (Math.random() - 0.5) * 5,
-                open: Math.random() * 200 + 50,
-                high: Math.random() * 200 + 50,
-                low: Math.random() * 200 + 50,
-                previousClose: Math.random() * 200 + 50,
-                volume: Math.floor(Math.random() * 50000000) + 10000000,
-                marketCap: Math.floor(Math.random() * 1000) + 100 + 'B',
-                timestamp: new Date().toISOString()
-            };
-        }
+        const stockData = { ...quote, ...knownFundamentals, historicalPrices };
+        console.log(`Loaded data for ${symbol} from ${quote.provider}:`, stockData);
+        return stockData;
     }
 
     /**
-     * Parse Yahoo Finance API response
+     * Search for symbols through the configured providers
      */
-    parseYahooFinanceData(result, symbol) {
-        const meta = result.meta;
-        const quote = result.indicators.quote[0];
-        const currentPrice = meta.regularMarketPrice || meta.previousClose;
-        const previousClose = meta.previousClose;
-        const change = currentPrice - previousClose;
-        const changePercent = (change / previousClose) * 100;
-
-        return {
-            symbol: symbol,
-            name: this.getCompanyName(symbol),
-            price: currentPrice,
-            change: change,
-            changePercent: changePercent,
-            open: quote.open?.[quote.open.length - 1] || currentPrice,
-            high: quote.high?.[quote.high.length - 1] || currentPrice,
-            low: quote.low?.[quote.low.length - 1] || currentPrice,
-            previousClose: previousClose,
-            volume: quote.volume?.[quote.volume.length - 1] || 0,
-            marketCap: meta.marketCap ? this.formatNumber(meta.marketCap) : 'N/A',
-            timestamp: new Date().toISOString()
-        };
+    async searchSymbols(query) {
+        return this.requestMarketData('search', query);
     }
 
     /**
-     * Parse Alpha Vantage API response
+     * Build the built-in market data providers
+     *
+     * Every provider exposes the same async interface:
+     * quote(symbol), history(symbol, { range, interval }), search(query) and fundamentals(symbol, quote).
+     * Ranges are '1d', '5d', '1mo', '3mo', '6mo', '1y', '2y', '5y' or 'max'; intervals are '5m', '1h', '1d', '1wk' or '1mo'.
      */
-    parseAlphaVantageData(quote, symbol) {
+    createDataProviders() {
         return {
-            symbol: symbol,
-            name: this.getCompanyName(symbol),
-            price: parseFloat(quote['05. price']),
-            change: parseFloat(quote['09. change']),
-            changePercent: parseFloat(quote['10. change percent'].replace('%', '')),
-            open: parseFloat(quote['02. open']),
-            high: parseFloat(quote['03. high']),
-            low: parseFloat(quote['04. low']),
-            previousClose: parseFloat(quote['08. previous close']),
-            volume: parseInt(quote['06. volume']),
-            marketCap: 'N/A',
-            timestamp: new Date().toISOString()
+            demo: this.createDemoProvider(),
+            yahoo: this.createYahooProvider(this.config.dataProviders.yahoo),
+            alphaVantage: this.createAlphaVantageProvider(this.config.dataProviders.alphaVantage)
         };
     }
 
     /**
-     * Generate realistic random stock data
+     * Register a custom provider, e.g. one backed by a local mock server
      */
-    getDemoStockData(symbol) {
-        const companyNames = {
-            'AAPL': 'Apple Inc.',
-            'GOOGL': 'Alphabet Inc.',
-            'MSFT': 'Microsoft Corporation',
-            'TSLA': 'Tesla, Inc.',
-            'AMZN': 'Amazon.com, Inc.',
-            'META': 'Meta Platforms, Inc.',
-            'NVDA': 'NVIDIA Corporation',
-            'NFLX': 'Netflix, Inc.',
-            'AMD': 'Advanced Micro Devices, Inc.',
-            'INTC': 'Intel Corporation',
-            'UBER': 'Uber Technologies, Inc.',
-            'SNAP': 'Snap Inc.',
-            'PYPL': 'PayPal Holdings, Inc.',
-            'SQ': 'Block, Inc.',
-            'ZOOM': 'Zoom Video Communications'
-        };
-
-        // Generate realistic base price based on symbol
-        const basePrices = {
-            'AAPL': 180, 'GOOGL': 140, 'MSFT': 380, 'TSLA': 250, 'AMZN': 160,
-            'META': 300, 'NVDA': 450, 'NFLX': 400, 'AMD': 140, 'INTC': 50,
-            'UBER': 65, 'SNAP': 12, 'PYPL': 60, 'SQ': 80, 'ZOOM': 70
-        };
-
-        const basePrice = basePrices[symbol] || (Math.random() * 150 + 50);
-        const variance = basePrice * 0.1; // 10% variance
-        const currentPrice = basePrice + (Math.random() - 0.5) * variance;
-
-        const change = (Math.random() - 0.5) * (basePrice * 0.08); // Up to 8% daily change
-        const changePercent = (change / (currentPrice - change)) * 100;
-
-        const open = currentPrice + (Math.random() - 0.5) * (basePrice * 0.03);
-        const high = Math.max(currentPrice, open) + Math.random() * (basePrice * 0.02);
-        const low = Math.min(currentPrice, open) - Math.random() * (basePrice * 0.02);
-        const previousClose = currentPrice - change;
+    registerDataProvider(name, provider) {
+        const methods = ['quote', 'history', 'search', 'fundamentals'];
+        const missing = methods.filter(method => typeof provider[method] !== 'function');
 
-        const volume = Math.floor(Math.random() * 80000000) + 5000000;
-
-        // Generate market cap based on price
-        const shares = Math.random() * 8 + 2; // 2-10 billion shares
-        const marketCapValue = (currentPrice * shares);
-        let marketCap;
-        if (marketCapValue >= 1000) {
-            marketCap = (marketCapValue / 1000).toFixed(2) + 'T';
-        } else {
-            marketCap = marketCapValue.toFixed(0) + 'B';
+        if (missing.length > 0) {
+            throw new Error(`Provider "${name}" is missing: ${missing.join(', ')}`);
         }
 
-        return {
-            symbol: symbol,
-            name: companyNames[symbol] || `${symbol} Corporation`,
-            price: Math.round(currentPrice * 100) / 100,
-            change: Math.round(change * 100) / 100,
-            changePercent: Math.round(changePercent * 100) / 100,
-            open: Math.round(open * 100) / 100,
-            high: Math.round(high * 100) / 100,
-            low: Math.round(low * 100) / 100,
-            previousClose: Math.round(previousClose * 100) / 100,
-            volume: volume,
-            marketCap: marketCap,
-            timestamp: new Date().toISOString(),
-            // Additional data for charts
-            revenue: Math.floor(Math.random() * 300 + 50) + 'B',
-            netProfit: Math.floor(Math.random() * 80 + 10) + 'B',
-            profitMargin: (Math.random() * 25 + 5).toFixed(1) + '%',
-            historicalPrices: this.generateHistoricalPrices(currentPrice, 30)
-        };
+        this.dataProviders[name] = { name, ...provider };
     }
 
     /**
-     * Get company name for symbol
+     * Get the provider order for a capability
      */
-    getCompanyName(symbol) {
-        const companies = {
-            'AAPL': 'Apple Inc.',
-            'GOOGL': 'Alphabet Inc.',
-            'MSFT': 'Microsoft Corporation',
-            'TSLA': 'Tesla, Inc.',
-            'AMZN': 'Amazon.com, Inc.',
-            'META': 'Meta Platforms, Inc.',
-            'NVDA': 'NVIDIA Corporation',
-            'NFLX': 'Netflix, Inc.',
-            'AMD': 'Advanced Micro Devices, Inc.',
-            'INTC': 'Intel Corporation'
-        };
-
-        return companies[symbol] || `${symbol} Corporation`;
+    getProviderOrder(capability) {
+        const { order, routes } = this.config.dataProviders;
+        return (routes && routes[capability]) || order;
     }
 
     /**
-     * Display stock results container
+     * Call a capability on each configured provider until one succeeds
      */
-    showStockResults() {
-        const stockResults = document.getElementById('stockResults');
-        const stockSection = document.getElementById('search');
+    async requestMarketData(capability, ...args) {
+        const errors = [];
+
+        for (const name of this.getProviderOrder(capability)) {
+            const provider = this.dataProviders[name];
+            if (!provider) {
+                errors.push(`${name}: unknown provider`);
+                continue;
+            }
 
-        if (stockResults) {
-            stockResults.classList.remove('hidden');
+            try {
+                const result = await provider[capability](...args);
+                if (capability === 'quote') {
+                    result.provider = name;
+                }
+                return result;
+            } catch (error) {
+                console.warn(`Provider ${name} failed for ${capability}:`, error.message);
+                errors.push(`${name}: ${error.message}`);
+            }
         }
 
-        // Scroll to results
-        if (stockSection) {
-            this.smoothScrollTo(stockSection);
-        }
+        throw new Error(`No data provider could load ${capability} (${errors.join('; ')})`);
     }
 
     /**
-     * Show loading state
+     * Fetch JSON and reject on HTTP errors
      */
-    showLoadingState() {
-        const loadingState = document.getElementById('loadingState');
-        const errorState = document.getElementById('errorState');
-        const stockData = document.getElementById('stockData');
-
-        if (loadingState) loadingState.classList.remove('hidden');
-        if (errorState) errorState.classList.add('hidden');
-        if (stockData) stockData.classList.add('hidden');
+    async fetchJson(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status} for ${url}`);
+        }
+        return response.json();
     }
 
     /**
-     * Show error state
+     * Demo provider backed by the built-in simulation
      */
-    showErrorState(message) {
-        const loadingState = document.getElementById('loadingState');
-        const errorState = document.getElementById('errorState');
-        const stockData = document.getElementById('stockData');
-        const errorMessage = document.getElementById('errorMessage');
+    createDemoProvider() {
+        const delay = () => new Promise(resolve => setTimeout(resolve, this.config.dataProviders.demo.latency));
 
-        if (loadingState) loadingState.classList.add('hidden');
-        if (errorState) errorState.classList.remove('hidden');
-        if (stockData) stockData.classList.add('hidden');
-        if (errorMessage) errorMessage.textContent = message;
+        return {
+            name: 'demo',
+            quote: async (symbol) => {
+                // Simulate API delay for realism
+                await delay();
+                if (!this.isKnownSymbol(symbol)) {
+                    throw new Error(`Unknown symbol ${symbol}`);
+                }
+                return this.getDemoStockData(symbol);
+            },
+            history: async (symbol, options = {}) => {
+                if (!this.isKnownSymbol(symbol)) {
+                    throw new Error(`Unknown symbol ${symbol}`);
+                }
+                return this.getSimulatedHistory(symbol, options.range || '1mo', options.interval || '1d', Boolean(options.prePost));
+            },
+            search: async (query) => {
+                return this.searchDirectory(query, 20).map(({ symbol, name, exchange, type }) => ({ symbol, name, exchange, type }));
+            },
+            fundamentals: async (symbol, quote) => {
+                const data = quote || this.getDemoStockData(symbol);
+                return {
+                    marketCap: data.marketCap,
+                    revenue: data.revenue,
+                    netProfit: data.netProfit,
+                    profitMargin: data.profitMargin
+                };
+            }
+        };
     }
 
     /**
-     * Display stock data
+     * Provider for Yahoo Finance shaped endpoints
      */
-    displayStockData(data) {
-        const loadingState = document.getElementById('loadingState');
-        const errorState = document.getElementById('errorState');
-        const stockData = document.getElementById('stockData');
-
-        // Hide loading and error states
-        if (loadingState) loadingState.classList.add('hidden');
-        if (errorState) errorState.classList.add('hidden');
-        if (stockData) stockData.classList.remove('hidden');
+    createYahooProvider(options) {
+        const url = (path) => `${options.baseUrl}${path}`;
+
+        const loadChart = async (symbol, range, interval, prePost = false) => {
+            const json = await this.fetchJson(url(`/v8/finance/chart/${encodeURIComponent(symbol)}?range=${range}&interval=${interval}&includePrePost=${prePost}`));
+            const result = json.chart?.result?.[0];
+            if (!result) {
+                throw new Error(json.chart?.error?.description || `No chart data for ${symbol}`);
+            }
+            return result;
+        };
 
-        // Update stock information
-        this.updateElement('stockName', data.name);
-        this.updateElement('stockSymbol', data.symbol);
-        this.updateElement('currentPrice', this.formatCurrency(data.price));
-        this.updateElement('openPrice', this.formatCurrency(data.open));
-        this.updateElement('highPrice', this.formatCurrency(data.high));
-        this.updateElement('lowPrice', this.formatCurrency(data.low));
-        this.updateElement('previousClose', this.formatCurrency(data.previousClose));
-        this.updateElement('volume', this.formatNumber(data.volume));
-        this.updateElement('marketCap', data.marketCap);
+        return {
+            name: 'yahoo',
+            quote: async (symbol) => {
+                const result = await loadChart(symbol, '1d', '1d');
+                return this.parseYahooFinanceData(result, symbol);
+            },
+            history: async (symbol, historyOptions = {}) => {
+                const result = await loadChart(symbol, historyOptions.range || '1mo', historyOptions.interval || '1d', Boolean(historyOptions.prePost));
+                const quote = result.indicators.quote[0];
+
+                return result.timestamp
+                    .map((timestamp, index) => ({
+                        date: new Date(timestamp * 1000),
+                        open: quote.open[index],
+                        high: quote.high[index],
+                        low: quote.low[index],
+                        close: quote.close[index],
+                        price: quote.close[index],
+                        volume: quote.volume[index] || 0
+                    }))
+                    .filter(point => point.price !== null && point.price !== undefined);
+            },
+            search: async (query) => {
+                const json = await this.fetchJson(url(`/v1/finance/search?q=${encodeURIComponent(query)}`));
+                return (json.quotes || []).map(item => ({
+                    symbol: item.symbol,
+                    name: item.longname || item.shortname || item.symbol,
+                    exchange: item.exchange,
+                    type: item.quoteType
+                }));
+            },
+            fundamentals: async (symbol) => {
+                const modules = 'summaryDetail,financialData,defaultKeyStatistics';
+                const json = await this.fetchJson(url(`/v10/finance/quoteSummary/${encodeURIComponent(symbol)}?modules=${modules}`));
+                const summary = json.quoteSummary?.result?.[0];
+                if (!summary) {
+                    throw new Error(`No fundamentals for ${symbol}`);
+                }
+                return this.parseYahooFundamentals(summary);
+            }
+        };
+    }
 
-        // Update price change
-        const changeAmount = document.getElementById('changeAmount');
-        const changePercent = document.getElementById('changePercent');
-        const priceChange = document.getElementById('priceChange');
+    /**
+     * Provider for Alpha Vantage shaped endpoints
+     */
+    createAlphaVantageProvider(options) {
+        const query = async (params) => {
+            const search = new URLSearchParams({ ...params, apikey: options.apiKey });
+            const json = await this.fetchJson(`${options.baseUrl}/query?${search}`);
+
+            // Alpha Vantage reports errors and rate limits with a 200 status
+            const message = json['Error Message'] || json['Note'] || json['Information'];
+            if (message) {
+                throw new Error(message);
+            }
+            return json;
+        };
 
-        if (changeAmount) {
-            changeAmount.textContent = `${data.change >= 0 ? '+' : ''}${this.formatCurrency(data.change)}`;
-        }
+        return {
+            name: 'alphaVantage',
+            quote: async (symbol) => {
+                const json = await query({ function: 'GLOBAL_QUOTE', symbol });
+                const quote = json['Global Quote'];
+                if (!quote || !quote['05. price']) {
+                    throw new Error(`No quote for ${symbol}`);
+                }
+                return this.parseAlphaVantageData(quote, symbol);
+            },
+            history: async (symbol, historyOptions = {}) => {
+                const range = historyOptions.range || '1mo';
+                const interval = historyOptions.interval || '1d';
+                const endpoints = {
+                    '1m': { function: 'TIME_SERIES_INTRADAY', interval: '1min', key: 'Time Series (1min)' },
+                    '5m': { function: 'TIME_SERIES_INTRADAY', interval: '5min', key: 'Time Series (5min)' },
+                    '1h': { function: 'TIME_SERIES_INTRADAY', interval: '60min', key: 'Time Series (60min)' },
+                    '1d': { function: 'TIME_SERIES_DAILY', key: 'Time Series (Daily)' },
+                    '1wk': { function: 'TIME_SERIES_WEEKLY', key: 'Weekly Time Series' },
+                    '1mo': { function: 'TIME_SERIES_MONTHLY', key: 'Monthly Time Series' }
+                };
+                const endpoint = endpoints[interval];
+                if (!endpoint) {
+                    throw new Error(`Unsupported interval ${interval}`);
+                }
 
-        if (changePercent) {
-            changePercent.textContent = `(${data.changePercent >= 0 ? '+' : ''}${data.changePercent.toFixed(2)}%)`;
-        }
+                const params = { function: endpoint.function, symbol };
+                if (endpoint.interval) {
+                    params.interval = endpoint.interval;
+                    params.extended_hours = historyOptions.prePost ? 'true' : 'false';
+                }
+                // Compact responses hold the latest 100 points, which only covers ranges up to three months
+                if (!['1d', '5d', '1mo', '3mo'].includes(range) || endpoint.interval) params.outputsize = 'full';
+
+                const json = await query(params);
+                const series = json[endpoint.key] || {};
+                // Daily keys are dates, intraday keys are "YYYY-MM-DD HH:MM:SS" in exchange time
+                const parseTimestamp = (key) => key.length === 10 ? this.parseDateKey(key) : new Date(key.replace(' ', 'T'));
+
+                const points = Object.keys(series)
+                    .sort()
+                    .map(key => ({
+                        date: parseTimestamp(key),
+                        open: parseFloat(series[key]['1. open']),
+                        high: parseFloat(series[key]['2. high']),
+                        low: parseFloat(series[key]['3. low']),
+                        close: parseFloat(series[key]['4. close']),
+                        price: parseFloat(series[key]['4. close']),
+                        volume: parseInt(series[key]['5. volume'])
+                    }));
+
+                return this.filterHistoryRange(points, range);
+            },
+            search: async (keywords) => {
+                const json = await query({ function: 'SYMBOL_SEARCH', keywords });
+                return (json.bestMatches || []).map(match => ({
+                    symbol: match['1. symbol'],
+                    name: match['2. name'],
+                    type: match['3. type'],
+                    region: match['4. region']
+                }));
+            },
+            fundamentals: async (symbol) => {
+                const json = await query({ function: 'OVERVIEW', symbol });
+                if (!json.Symbol) {
+                    throw new Error(`No fundamentals for ${symbol}`);
+                }
+                return this.parseAlphaVantageFundamentals(json);
+            }
+        };
+    }
 
-        // Update price change styling
-        if (priceChange) {
-            priceChange.className = `price-change ${data.change >= 0 ? 'positive' : 'negative'}`;
-        }
+    /**
+     * Parse Yahoo Finance API response
+     */
+    parseYahooFinanceData(result, symbol) {
+        const meta = result.meta;
+        const quote = result.indicators.quote[0];
+        const previousClose = meta.previousClose ?? meta.chartPreviousClose;
+        const currentPrice = meta.regularMarketPrice || previousClose;
+        const change = currentPrice - previousClose;
+        const changePercent = (change / previousClose) * 100;
 
-        // Update watchlist button
-        this.updateWatchlistButton(data.symbol);
+        return {
+            symbol: symbol,
+            name: this.getCompanyName(symbol),
+            price: currentPrice,
+            change: change,
+            changePercent: changePercent,
+            open: quote.open?.[quote.open.length - 1] || currentPrice,
+            high: quote.high?.[quote.high.length - 1] || currentPrice,
+            low: quote.low?.[quote.low.length - 1] || currentPrice,
+            previousClose: previousClose,
+            volume: quote.volume?.[quote.volume.length - 1] || 0,
+            marketCap: meta.marketCap ? this.formatNumber(meta.marketCap) : 'N/A',
+            timestamp: new Date().toISOString()
+        };
+    }
 
-        // Add animation
-        if (stockData) {
-            stockData.style.opacity = '0';
-            stockData.style.transform = 'translateY(20px)';
+    /**
+     * Parse Alpha Vantage API response
+     */
+    parseAlphaVantageData(quote, symbol) {
+        return {
+            symbol: symbol,
+            name: this.getCompanyName(symbol),
+            price: parseFloat(quote['05. price']),
+            change: parseFloat(quote['09. change']),
+            changePercent: parseFloat(quote['10. change percent'].replace('%', '')),
+            open: parseFloat(quote['02. open']),
+            high: parseFloat(quote['03. high']),
+            low: parseFloat(quote['04. low']),
+            previousClose: parseFloat(quote['08. previous close']),
+            volume: parseInt(quote['06. volume']),
+            marketCap: 'N/A',
+            timestamp: new Date().toISOString()
+        };
+    }
 
-            setTimeout(() => {
-                stockData.style.transition = 'all 0.6s ease';
-                stockData.style.opacity = '1';
-                stockData.style.transform = 'translateY(0)';
-            }, 100);
-        }
+    /**
+     * Parse Yahoo Finance quoteSummary modules into fundamentals
+     */
+    parseYahooFundamentals(summary) {
+        const detail = summary.summaryDetail || {};
+        const financial = summary.financialData || {};
+        const raw = (field) => field?.raw;
 
-        // Show detailed analysis
-        this.showDetailedAnalysis(data);
-        this.updateStockChart(data);
-        this.updateFinancialCharts(data);
-        this.showNotification(`${data.symbol} data updated successfully`, 'success');
+        return {
+            marketCap: raw(detail.marketCap) ? this.formatMarketCapValue(raw(detail.marketCap)) : 'N/A',
+            peRatio: raw(detail.trailingPE)?.toFixed(2),
+            weekHigh52: raw(detail.fiftyTwoWeekHigh),
+            weekLow52: raw(detail.fiftyTwoWeekLow),
+            dividendYield: raw(detail.dividendYield) !== undefined ? (raw(detail.dividendYield) * 100).toFixed(2) + '%' : undefined,
+            beta: raw(detail.beta)?.toFixed(2),
+            revenue: raw(financial.totalRevenue) ? this.formatBillions(raw(financial.totalRevenue)) : undefined,
+            netProfit: raw(financial.netIncomeToCommon) ? this.formatBillions(raw(financial.netIncomeToCommon)) : undefined,
+            profitMargin: raw(financial.profitMargins) !== undefined ? (raw(financial.profitMargins) * 100).toFixed(1) + '%' : undefined,
+            ebitda: raw(financial.ebitda) ? this.formatBillions(raw(financial.ebitda)) : undefined
+        };
     }
 
     /**
-     * Update element text content
+     * Parse Alpha Vantage company overview into fundamentals
      */
-    updateElement(id, content) {
-        const element = document.getElementById(id);
-        if (element) {
-            element.textContent = content;
-        }
+    parseAlphaVantageFundamentals(overview) {
+        const number = (field) => {
+            const value = parseFloat(overview[field]);
+            return Number.isFinite(value) ? value : undefined;
+        };
+        const revenue = number('RevenueTTM');
+        const profitMargin = number('ProfitMargin');
+
+        return {
+            marketCap: number('MarketCapitalization') ? this.formatMarketCapValue(number('MarketCapitalization')) : 'N/A',
+            peRatio: number('PERatio')?.toFixed(2),
+            weekHigh52: number('52WeekHigh'),
+            weekLow52: number('52WeekLow'),
+            dividendYield: number('DividendYield') !== undefined ? (number('DividendYield') * 100).toFixed(2) + '%' : undefined,
+            beta: number('Beta')?.toFixed(2),
+            revenue: revenue ? this.formatBillions(revenue) : undefined,
+            netProfit: revenue && profitMargin !== undefined ? this.formatBillions(revenue * profitMargin) : undefined,
+            profitMargin: profitMargin !== undefined ? (profitMargin * 100).toFixed(1) + '%' : undefined,
+            ebitda: number('EBITDA') ? this.formatBillions(number('EBITDA')) : undefined
+        };
     }
 
     /**
-     * Format currency values
+     * Format a dollar amount as billions, e.g. 394300000000 -> "394.3B"
      */
-    formatCurrency(value) {
-        return new Intl.NumberFormat('en-US', {
-            style: 'currency',
-            currency: 'USD'
-        }).format(value);
+    formatBillions(value) {
+        return (value / 1000000000).toFixed(1) + 'B';
     }
 
     /**
-     * Format large numbers
+     * Format a dollar market cap as "2.95T" or "870B"
      */
-    formatNumber(value) {
-        if (value >= 1000000000) {
-            return (value / 1000000000).toFixed(1) + 'B';
-        } else if (value >= 1000000) {
-            return (value / 1000000).toFixed(1) + 'M';
-        } else if (value >= 1000) {
-            return (value / 1000).toFixed(1) + 'K';
-        }
-        return value.toString();
+    formatMarketCapValue(value) {
+        const billions = value / 1000000000;
+        return billions >= 1000 ? (billions / 1000).toFixed(2) + 'T' : billions.toFixed(0) + 'B';
     }
 
     /**
-     * Add stock to watchlist
+     * Generate realistic stock data from the symbol's simulated price series
      */
-    addToWatchlist() {
-        if (!this.currentStock) return;
-
-        const symbol = this.currentStock.symbol;
+    getDemoStockData(symbol) {
+        // One series for both the quote and its history; unseeded series differ on every call
+        const series = this.getSimulatedTradedSeries(symbol);
+        const today = series[series.length - 1];
+        const previous = series[series.length - 2];
 
-        if (this.watchlist.find(stock => stock.symbol === symbol)) {
-            this.showNotification(`${symbol} is already in your watchlist`, 'warning');
-            return;
-        }
+        const change = today.close - previous.close;
+        const changePercent = (change / previous.close) * 100;
+        const fundamentals = this.getSimulatedFundamentals(symbol, today.close, series);
 
-        this.watchlist.push({
+        return {
             symbol: symbol,
-            name: this.currentStock.name,
-            addedAt: new Date().toISOString()
-        });
-
-        localStorage.setItem('stockWatchlist', JSON.stringify(this.watchlist));
-        this.updateWatchlistButton(symbol);
-        this.loadWatchlist();
-        this.showNotification(`${symbol} added to watchlist`, 'success');
+            name: this.getCompanyName(symbol),
+            price: today.close,
+            change: Math.round(change * 100) / 100,
+            changePercent: Math.round(changePercent * 100) / 100,
+            open: today.open,
+            high: today.high,
+            low: today.low,
+            previousClose: previous.close,
+            volume: today.volume,
+            timestamp: this.getSimulationNow().toISOString(),
+            // Additional data for charts and analysis
+            ...fundamentals,
+            historicalPrices: this.generateHistoricalPrices(series, 30)
+        };
     }
 
     /**
-     * Remove stock from watchlist
+     * Base price the simulation reverts to for a symbol
      */
-    removeFromWatchlist(symbol) {
-        this.watchlist = this.watchlist.filter(stock => stock.symbol !== symbol);
-        localStorage.setItem('stockWatchlist', JSON.stringify(this.watchlist));
-        this.loadWatchlist();
-        this.updateWatchlistButton(symbol);
-        this.showNotification(`${symbol} removed from watchlist`, 'success');
+    getDemoBasePrice(symbol) {
+        const basePrices = {
+            'AAPL': 180, 'GOOGL': 140, 'MSFT': 380, 'TSLA': 250, 'AMZN': 160,
+            'META': 300, 'NVDA': 450, 'NFLX': 400, 'AMD': 140, 'INTC': 50,
+            'UBER': 65, 'SNAP': 12, 'PYPL': 60, 'SQ': 80, 'ZOOM': 70,
+            '^GSPC': 4500
+        };
+
+        return basePrices[symbol] || (this.getSimulationRandom(symbol, 'base')() * 150 + 50);
     }
 
     /**
-     * Update watchlist button state
+     * Simulated daily OHLCV bars from the simulation epoch up to the simulated date
+     *
+     * Each day's moves are drawn from a generator keyed by symbol and day, so in
+     * seeded mode a symbol's history is identical on every call and only grows
+     * by one bar per trading day.
      */
-    updateWatchlistButton(symbol) {
-        const addToWatchlist = document.getElementById('addToWatchlist');
-        if (!addToWatchlist) return;
+    getSimulatedDailySeries(symbol) {
+        const { seeded, seed, epoch } = this.config.simulation;
+        const endDate = this.getSimulationDate();
+        const cacheKey = `${seed}|${symbol}|${this.formatDateKey(endDate)}`;
 
-        const isInWatchlist = this.watchlist.find(stock => stock.symbol === symbol);
+        if (seeded && this.simulationCache.has(cacheKey)) {
+            return this.simulationCache.get(cacheKey);
+        }
 
-        if (isInWatchlist) {
-            addToWatchlist.innerHTML = '<i class="fas fa-heart"></i> In Watchlist';
-            addToWatchlist.classList.add('in-watchlist');
-            addToWatchlist.onclick = () => this.removeFromWatchlist(symbol);
-        } else {
-            addToWatchlist.innerHTML = '<i class="fas fa-heart"></i> Add to Watchlist';
-            addToWatchlist.classList.remove('in-watchlist');
-            addToWatchlist.onclick = () => this.addToWatchlist();
+        const profile = this.getSimulationRandom(symbol, 'profile');
+        const meanLogPrice = Math.log(this.getDemoBasePrice(symbol));
+        const stockVolatility = 0.012 + profile() * 0.018; // 1.2-3% daily volatility
+        const reversion = 0.02; // Pull back towards the base price
+        const stockVolume = Math.floor(profile() * 75000000) + 5000000;
+
+        // Indices (^SYMBOL) are diversified: calmer moves, market-wide volume
+        const isIndex = symbol.startsWith('^');
+        const volatility = isIndex ? 0.009 : stockVolatility;
+        const baseVolume = isIndex ? stockVolume * 40 : stockVolume;
+
+        const series = [];
+        let logPrice = meanLogPrice;
+        let previousClose = Math.exp(logPrice);
+        const date = this.parseDateKey(epoch);
+
+        while (date <= endDate) {
+            if (date.getDay() !== 0 && date.getDay() !== 6) {
+                const random = this.getSimulationRandom(symbol, this.formatDateKey(date));
+                const shock = this.randomNormal(random);
+
+                logPrice += reversion * (meanLogPrice - logPrice) + volatility * shock;
+
+                const close = Math.exp(logPrice);
+                const open = previousClose * (1 + this.randomNormal(random) * volatility * 0.3);
+                const high = Math.max(open, close) * (1 + Math.abs(this.randomNormal(random)) * volatility * 0.4);
+                const low = Math.min(open, close) * (1 - Math.abs(this.randomNormal(random)) * volatility * 0.4);
+                // Bigger moves trade on heavier volume
+                const volume = Math.floor(baseVolume * (0.6 + random() * 0.8) * (1 + Math.abs(shock) * 0.5));
+
+                series.push({
+                    date: new Date(date),
+                    open: Math.round(open * 100) / 100,
+                    high: Math.round(high * 100) / 100,
+                    low: Math.round(low * 100) / 100,
+                    close: Math.round(close * 100) / 100,
+                    volume: volume
+                });
+
+                previousClose = close;
+            }
+            date.setDate(date.getDate() + 1);
+        }
+
+        if (seeded) {
+            this.simulationCache.set(cacheKey, series);
         }
+
+        return series;
     }
 
     /**
-     * Load and display watchlist with individual carousels
+     * Simulated daily bars as traded up to the current moment
+     *
+     * Sessions that have not opened yet are dropped, and a session in progress
+     * is cut off at the current minute of its intraday path, so quotes and daily
+     * charts never show prices that have not printed.
      */
-    loadWatchlist() {
-        const emptyWatchlist = document.getElementById('emptyWatchlist');
-        const watchlistCarousels = document.getElementById('watchlistCarousels');
+    getSimulatedTradedSeries(symbol) {
+        const series = this.getSimulatedDailySeries(symbol);
+        const now = this.getSimulationNow();
+        const traded = series.filter(bar => this.getTradingDayTime(bar.date, 9 * 60 + 30) <= now);
+        const today = traded[traded.length - 1];
+
+        if (!today || this.getTradingDayTime(today.date, 16 * 60) <= now) {
+            return traded;
+        }
 
-        console.log('Loading watchlist:', this.watchlist);
+        // Same minute bars, and the same cut-off, as the 1-minute intraday history
+        const printed = this.getSimulatedIntradayBars(symbol, today).filter(bar => bar.date <= now);
+        const [partial] = this.aggregateBars(printed, () => today.date);
 
-        if (!Array.isArray(this.watchlist) || this.watchlist.length === 0) {
-            if (emptyWatchlist) emptyWatchlist.classList.remove('hidden');
-            if (watchlistCarousels) watchlistCarousels.classList.add('hidden');
-            return;
-        }
+        return [...traded.slice(0, -1), { ...partial, date: today.date }];
+    }
 
-        if (emptyWatchlist) emptyWatchlist.classList.add('hidden');
-        if (watchlistCarousels) {
-            watchlistCarousels.classList.remove('hidden');
-            watchlistCarousels.innerHTML = '';
+    /**
+     * Simulated fundamentals that stay consistent with the price series
+     */
+    getSimulatedFundamentals(symbol, price, series) {
+        const random = this.getSimulationRandom(symbol, 'fundamentals');
 
-            this.watchlist.forEach((stock, index) => {
-                const stockCarousel = this.createStockCarousel(stock, index);
-                watchlistCarousels.appendChild(stockCarousel);
-            });
-        }
+        const shares = random() * 8 + 2; // 2-10 billion shares
+        const peRatio = random() * 33 + 12;
+        const margin = random() * 0.22 + 0.08;
+        const ebitdaMargin = margin + random() * 0.1 + 0.05;
+        const dividendYield = random() < 0.3 ? 0 : random() * 4;
+
+        const marketCapValue = price * shares; // Billions
+        const netProfit = marketCapValue / peRatio;
+        const revenue = netProfit / margin;
+
+        // 52-week range comes from the same series the charts draw
+        const lastYear = series.slice(-252);
+
+        return {
+            marketCap: this.formatMarketCapValue(marketCapValue * 1000000000),
+            peRatio: peRatio.toFixed(2),
+            weekHigh52: Math.max(...lastYear.map(bar => bar.high)),
+            weekLow52: Math.min(...lastYear.map(bar => bar.low)),
+            dividendYield: dividendYield.toFixed(2) + '%',
+            revenue: Math.round(revenue) + 'B',
+            netProfit: Math.round(netProfit) + 'B',
+            profitMargin: (margin * 100).toFixed(1) + '%',
+            ebitda: Math.round(revenue * ebitdaMargin) + 'B',
+            shares: shares * 1000000000
+        };
     }
 
     /**
-     * Create individual stock carousel for watchlist
+     * Simulated history for a range, aggregated to the requested interval
      */
-    createStockCarousel(stock, index) {
-        const carouselContainer = document.createElement('div');
-        carouselContainer.className = 'stock-carousel-container';
-        carouselContainer.style.animationDelay = `${index * 0.2}s`;
+    getSimulatedHistory(symbol, range, interval, prePost = false) {
+        const series = this.getSimulatedDailySeries(symbol);
+        const toPoint = (bar) => ({ ...bar, price: bar.close });
+
+        if (['1m', '5m', '1h'].includes(interval)) {
+            const bucketMinutes = { '1m': 1, '5m': 5, '1h': 60 }[interval];
+            const now = this.getSimulationNow();
+
+            // Only sessions that have started, and never bars from the future
+            const firstMinute = prePost ? 4 * 60 : 9 * 60 + 30;
+            const started = series.filter(bar => this.getTradingDayTime(bar.date, firstMinute) <= now);
+            const sessions = started.slice(range === '1d' ? -1 : -5);
+
+            // Buckets line up with the 9:30 open
+            const getBucket = (bar) => Math.floor((this.getMarketClock(bar.date).minute - 570) / bucketMinutes);
+
+            return sessions.flatMap(dailyBar => {
+                const index = series.indexOf(dailyBar);
+                const previousClose = index > 0 ? series[index - 1].close : dailyBar.open;
+                const minuteBars = this.getSimulatedIntradayBars(symbol, dailyBar);
+                const sessionBars = prePost
+                    ? [...this.getSimulatedExtendedHoursBars(symbol, dailyBar, previousClose, 'pre'),
+                        ...minuteBars,
+                        ...this.getSimulatedExtendedHoursBars(symbol, dailyBar, previousClose, 'post')]
+                    : minuteBars;
+
+                return this.aggregateBars(sessionBars.filter(bar => bar.date <= now), getBucket);
+            }).map(toPoint);
+        }
 
-        const currentData = this.getRealtimeStockPrice(stock.symbol);
-        const historicalData = this.generateHistoricalPrices(currentData.price, 7);
+        const daily = this.filterHistoryRange(this.getSimulatedTradedSeries(symbol), range);
+        const groupKeys = {
+            '1d': (bar) => this.formatDateKey(bar.date),
+            '1wk': (bar) => this.formatDateKey(this.getWeekStart(bar.date)),
+            '1mo': (bar) => `${bar.date.getFullYear()}-${bar.date.getMonth()}`
+        };
 
-        carouselContainer.innerHTML = `
-            <div class="carousel-header">
-                <h3>
-                    <i class="fas fa-chart-line"></i>
-                    ${stock.symbol} - ${stock.name}
-                </h3>
-                <div class="carousel-controls">
-                    <button class="carousel-btn prev" data-carousel="stock-${stock.symbol}">
-                        <i class="fas fa-chevron-left"></i>
-                    </button>
-                    <button class="carousel-btn next" data-carousel="stock-${stock.symbol}">
-                        <i class="fas fa-chevron-right"></i>
-                    </button>
-                    <button class="remove-btn" data-symbol="${stock.symbol}" title="Remove from watchlist">
-                        <i class="fas fa-times"></i>
-                    </button>
-                </div>
-            </div>
-            <div class="carousel-wrapper">
-                <div class="stock-carousel" id="carousel-${stock.symbol}">
-                    <!-- Price Overview Card -->
-                    <div class="stock-carousel-item">
-                        <div class="stock-card featured-card">
-                            <div class="stock-card-header">
-                                <div class="stock-info">
-                                    <h4>${stock.symbol}</h4>
-                                    <span class="company-name">${stock.name}</span>
-                                </div>
-                                <div class="stock-price">
-                                    <span class="current-price">${this.formatCurrency(currentData.price)}</span>
-                                    <span class="price-change ${currentData.change >= 0 ? 'positive' : 'negative'}">
-                                        <i class="fas fa-arrow-${currentData.change >= 0 ? 'up' : 'down'}"></i>
-                                        ${currentData.change >= 0 ? '+' : ''}${currentData.changePercent.toFixed(2)}%
-                                    </span>
-                                </div>
-                            </div>
-                            <div class="stock-chart-area">
-                                <canvas id="chart-${stock.symbol}" width="250" height="120"></canvas>
-                            </div>
-                            <div class="stock-metrics">
-                                <div class="metric">
-                                    <div class="metric-label">Volume</div>
-                                    <div class="metric-value">${this.formatNumber(currentData.volume || 0)}</div>
-                                </div>
-                                <div class="metric">
-                                    <div class="metric-label">Added</div>
-                                    <div class="metric-value">${new Date(stock.addedAt).toLocaleDateString()}</div>
-                                </div>
-                            </div>
-                            <div class="watchlist-actions">
-                                <button class="quick-view-btn" data-symbol="${stock.symbol}">
-                                    <i class="fas fa-chart-line"></i>
-                                    Analyze Stock
-                                </button>
-                            </div>
-                        </div>
-                    </div>
+        return this.aggregateBars(daily, groupKeys[interval] || groupKeys['1d']).map(toPoint);
+    }
 
-                    <!-- Performance Card -->
-                    <div class="stock-carousel-item">
-                        <div class="stock-card performance-card">
-                            <div class="stock-card-header">
-                                <h4>Performance</h4>
-                            </div>
-                            <div class="performance-metrics">
-                                <div class="performance-item">
-                                    <span class="label">1D Change</span>
-                                    <span class="value ${currentData.change >= 0 ? 'positive' : 'negative'}">
-                                        ${currentData.change >= 0 ? '+' : ''}${currentData.changePercent.toFixed(2)}%
-                                    </span>
-                                </div>
-                                <div class="performance-item">
-                                    <span class="label">1W Change</span>
-                                    <span class="value positive">+${(Math.random() * 10 + 2).toFixed(2)}%</span>
-                                </div>
-                                <div class="performance-item">
-                                    <span class="label">1M Change</span>
-                                    <span class="value ${Math.random() > 0.5 ? 'positive' : 'negative'}">
-                                        ${Math.random() > 0.5 ? '+' : ''}${(Math.random() * 20 - 10).toFixed(2)}%
-                                    </span>
-                                </div>
-                                <div class="performance-item">
-                                    <span class="label">YTD Change</span>
-                                    <span class="value positive">+${(Math.random() * 50 + 10).toFixed(2)}%</span>
-                                </div>
-                            </div>
-                        </div>
-                    </div>
+    /**
+     * Simulated one-minute bars for a regular 9:30-16:00 session
+     *
+     * The path is a Brownian bridge from the day's open to its close, scaled to
+     * stay within the daily high/low, so the minute bars aggregate back to the
+     * daily bar of the same date.
+     */
+    getSimulatedIntradayBars(symbol, dailyBar) {
+        const dateKey = this.formatDateKey(dailyBar.date);
+        const cacheKey = `${this.config.simulation.seed}|${symbol}|intraday|${dateKey}`;
 
-                    <!-- Analytics Card -->
-                    <div class="stock-carousel-item">
-                        <div class="stock-card analytics-card">
-                            <div class="stock-card-header">
-                                <h4>Analytics</h4>
-                            </div>
-                            <div class="analytics-metrics">
-                                <div class="analytics-item">
-                                    <span class="label">Market Cap</span>
-                                    <span class="value">${this.generateMarketCap(currentData.price)}</span>
-                                </div>
-                                <div class="analytics-item">
-                                    <span class="label">P/E Ratio</span>
-                                    <span class="value">${(Math.random() * 30 + 10).toFixed(2)}</span>
-                                </div>
-                                <div class="analytics-item">
-                                    <span class="label">Beta</span>
-                                    <span class="value">${(Math.random() * 2 + 0.5).toFixed(2)}</span>
-                                </div>
-                                <div class="analytics-item">
-                                    <span class="label">Avg Volume</span>
-                                    <span class="value">${this.formatNumber(Math.floor(Math.random() * 50000000) + 10000000)}</span>
-                                </div>
-                            </div>
-                        </div>
-                    </div>
-                </div>
-            </div>
-        `;
+        if (this.config.simulation.seeded && this.simulationCache.has(cacheKey)) {
+            return this.simulationCache.get(cacheKey);
+        }
 
-        // Add event listeners
-        const removeBtn = carouselContainer.querySelector('.remove-btn');
-        const quickViewBtn = carouselContainer.querySelector('.quick-view-btn');
-        const prevBtn = carouselContainer.querySelector('.prev');
-        const nextBtn = carouselContainer.querySelector('.next');
+        const random = this.getSimulationRandom(symbol, 'intraday', dateKey);
+        const { open, high, low, close, volume } = dailyBar;
+        const minutes = 390;
 
-        if (removeBtn) {
-            removeBtn.addEventListener('click', (e) => {
-                e.stopPropagation();
-                if (confirm(`Remove ${stock.symbol} from watchlist?`)) {
-                    this.removeFromWatchlist(stock.symbol);
-                }
-            });
+        // Random walk pinned to zero at both ends
+        const walk = [0];
+        for (let i = 1; i <= minutes; i++) {
+            walk.push(walk[i - 1] + this.randomNormal(random));
         }
+        const bridge = walk.map((value, i) => value - (i / minutes) * walk[minutes]);
+
+        const maxUp = Math.max(...bridge, 1e-9);
+        const maxDown = Math.min(...bridge, -1e-9);
+        const upScale = (high - Math.max(open, close)) / maxUp;
+        const downScale = (Math.min(open, close) - low) / -maxDown;
+        const path = bridge.map((value, i) => {
+            const trend = open + (close - open) * (i / minutes);
+            return trend + (value > 0 ? value * upScale : value * downScale);
+        });
 
-        if (quickViewBtn) {
-            quickViewBtn.addEventListener('click', (e) => {
-                e.stopPropagation();
-                this.searchStock(stock.symbol);
-            });
-        }
+        // Volume follows the usual U shape: busy open and close, quiet midday
+        const weights = path.slice(1).map((_, i) => {
+            const position = (i / (minutes - 1) - 0.5) * 2;
+            return (1 + 1.5 * position * position) * (0.5 + random());
+        });
+        const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+        const wiggle = (high - low) * 0.05;
+        const clamp = (value) => Math.min(high, Math.max(low, value));
 
-        if (prevBtn && nextBtn) {
-            let currentSlide = 0;
-            const totalSlides = 3;
-            const carousel = carouselContainer.querySelector('.stock-carousel');
+        const sessionOpen = this.getTradingDayTime(dailyBar.date, 9 * 60 + 30).getTime();
+        const bars = weights.map((weight, i) => {
+            const barOpen = path[i];
+            const barClose = path[i + 1];
+            const date = new Date(sessionOpen + i * 60 * 1000);
 
-            const updateCarousel = () => {
-                carousel.style.transform = `translateX(-${currentSlide * 100}%)`;
+            return {
+                date: date,
+                open: Math.round(barOpen * 100) / 100,
+                high: Math.round(clamp(Math.max(barOpen, barClose) + Math.abs(this.randomNormal(random)) * wiggle) * 100) / 100,
+                low: Math.round(clamp(Math.min(barOpen, barClose) - Math.abs(this.randomNormal(random)) * wiggle) * 100) / 100,
+                close: Math.round(barClose * 100) / 100,
+                volume: Math.floor(volume * weight / totalWeight)
             };
+        });
 
-            prevBtn.addEventListener('click', () => {
-                currentSlide = (currentSlide - 1 + totalSlides) % totalSlides;
-                updateCarousel();
-            });
+        // Make sure the session actually prints the daily extremes and close
+        const highIndex = path.indexOf(Math.max(...path));
+        const lowIndex = path.indexOf(Math.min(...path));
+        bars[Math.min(highIndex, minutes - 1)].high = high;
+        bars[Math.min(lowIndex, minutes - 1)].low = low;
+        bars[minutes - 1].close = close;
 
-            nextBtn.addEventListener('click', () => {
-                currentSlide = (currentSlide + 1) % totalSlides;
-                updateCarousel();
-            });
+        if (this.config.simulation.seeded) {
+            this.simulationCache.set(cacheKey, bars);
         }
 
-        // Create chart after DOM insertion
-        setTimeout(() => {
-            this.createStockChart(stock.symbol, historicalData);
-        }, 100);
-
-        return carouselContainer;
+        return bars;
     }
 
     /**
-     * Generate market cap for display
+     * Simulated one-minute bars for pre-market (4:00-9:30) or after-hours (16:00-20:00) trading
+     *
+     * Pre-market drifts from the previous close to the day's open; after-hours
+     * wanders from the close. Both trade a small fraction of the day's volume.
      */
-    generateMarketCap(price) {
-        const shares = Math.random() * 8 + 2;
-        const marketCap = price * shares;
+    getSimulatedExtendedHoursBars(symbol, dailyBar, previousClose, session) {
+        const dateKey = this.formatDateKey(dailyBar.date);
+        const cacheKey = `${this.config.simulation.seed}|${symbol}|${session}|${dateKey}`;
 
-        if (marketCap >= 1000) {
-            return (marketCap / 1000).toFixed(2) + 'T';
-        } else {
-            return marketCap.toFixed(0) + 'B';
+        if (this.config.simulation.seeded && this.simulationCache.has(cacheKey)) {
+            return this.simulationCache.get(cacheKey);
+        }
+
+        const random = this.getSimulationRandom(symbol, session, dateKey);
+        const isPre = session === 'pre';
+        const minutes = isPre ? 330 : 240;
+        const startMinute = isPre ? 4 * 60 : 16 * 60;
+        const from = isPre ? previousClose : dailyBar.close;
+        const to = isPre ? dailyBar.open : dailyBar.close;
+        const stepSize = from * 0.0004;
+
+        // Random walk pinned to `from` and `to` at the ends
+        const walk = [0];
+        for (let i = 1; i <= minutes; i++) {
+            walk.push(walk[i - 1] + this.randomNormal(random) * stepSize);
+        }
+        const drift = isPre ? walk[minutes] : 0;
+        const path = walk.map((value, i) => from + (to - from) * (i / minutes) + value - (i / minutes) * drift);
+
+        const sessionVolume = dailyBar.volume * (isPre ? 0.03 : 0.02);
+
+        const sessionStart = this.getTradingDayTime(dailyBar.date, startMinute).getTime();
+        const bars = path.slice(1).map((close, i) => {
+            const open = path[i];
+            const date = new Date(sessionStart + i * 60 * 1000);
+
+            return {
+                date: date,
+                open: Math.round(open * 100) / 100,
+                high: Math.round((Math.max(open, close) + Math.abs(this.randomNormal(random)) * stepSize * 0.5) * 100) / 100,
+                low: Math.round((Math.min(open, close) - Math.abs(this.randomNormal(random)) * stepSize * 0.5) * 100) / 100,
+                close: Math.round(close * 100) / 100,
+                volume: Math.floor(sessionVolume / minutes * (0.2 + random() * 1.6))
+            };
+        });
+
+        if (this.config.simulation.seeded) {
+            this.simulationCache.set(cacheKey, bars);
         }
+
+        return bars;
     }
 
     /**
-     * Create stock chart for individual carousel
+     * Calendar date and minute of the day in New York, where US trading sessions are defined
      */
-    createStockChart(symbol, data) {
-        const canvas = document.getElementById(`chart-${symbol}`);
-        if (!canvas) return;
-
-        const ctx = canvas.getContext('2d');
-        const width = canvas.width;
-        const height = canvas.height;
+    getMarketClock(date) {
+        if (!this.marketClockFormat) {
+            this.marketClockFormat = new Intl.DateTimeFormat('en-US', {
+                timeZone: 'America/New_York',
+                hourCycle: 'h23',
+                year: 'numeric',
+                month: 'numeric',
+                day: 'numeric',
+                hour: 'numeric',
+                minute: 'numeric'
+            });
+        }
 
-        this.drawStockLineChart(ctx, data, width, height);
+        const parts = {};
+        this.marketClockFormat.formatToParts(date).forEach(({ type, value }) => {
+            parts[type] = parseInt(value, 10);
+        });
+        return { year: parts.year, month: parts.month - 1, day: parts.day, minute: (parts.hour % 24) * 60 + parts.minute };
     }
 
     /**
-     * Draw simple line chart for stock carousel
+     * The instant a New York wall-clock time, in minutes after midnight, occurs on a calendar date
      */
-    drawStockLineChart(ctx, data, width, height) {
-        const padding = 20;
-        const chartWidth = width - 2 * padding;
-        const chartHeight = height - 2 * padding;
+    getMarketTime(year, month, day, minuteOfDay) {
+        const wallClock = Date.UTC(year, month, day, 0, minuteOfDay);
+        const offsetAt = (time) => {
+            const clock = this.getMarketClock(new Date(time));
+            return Date.UTC(clock.year, clock.month, clock.day, 0, clock.minute) - Math.floor(time / 60000) * 60000;
+        };
 
-        // Clear canvas
-        ctx.clearRect(0, 0, width, height);
+        // The second pass corrects times on the far side of a daylight saving change
+        return new Date(wallClock - offsetAt(wallClock - offsetAt(wallClock)));
+    }
 
-        if (!data || data.length === 0) return;
+    /**
+     * A New York time on the trading date of an intraday bar, given as minutes after midnight
+     */
+    getSessionTime(date, minuteOfDay) {
+        const { year, month, day } = this.getMarketClock(date);
+        return this.getMarketTime(year, month, day, minuteOfDay);
+    }
 
-        // Find min/max for scaling
-        const prices = data.map(d => d.price);
-        const minPrice = Math.min(...prices);
-        const maxPrice = Math.max(...prices);
-        const priceRange = maxPrice - minPrice || 1;
+    /**
+     * A New York time on the trading date of a daily bar, which is dated by its local calendar day
+     */
+    getTradingDayTime(date, minuteOfDay) {
+        return this.getMarketTime(date.getFullYear(), date.getMonth(), date.getDate(), minuteOfDay);
+    }
 
-        // Gradient background
-        const gradient = ctx.createLinearGradient(0, padding, 0, height - padding);
-        gradient.addColorStop(0, 'rgba(139, 92, 246, 0.3)');
-        gradient.addColorStop(1, 'rgba(139, 92, 246, 0.05)');
+    /**
+     * Combine consecutive OHLCV bars that share a group key
+     */
+    aggregateBars(bars, getKey) {
+        const result = [];
+        let currentKey = null;
 
-        // Draw area fill
-        ctx.fillStyle = gradient;
-        ctx.beginPath();
-        data.forEach((point, index) => {
-            const x = padding + (index / (data.length - 1)) * chartWidth;
-            const y = padding + (1 - (point.price - minPrice) / priceRange) * chartHeight;
+        bars.forEach((bar, index) => {
+            const key = getKey(bar, index);
+            const last = result[result.length - 1];
 
-            if (index === 0) {
-                ctx.moveTo(x, y);
+            if (last && key === currentKey) {
+                last.high = Math.max(last.high, bar.high);
+                last.low = Math.min(last.low, bar.low);
+                last.close = bar.close;
+                last.volume += bar.volume;
             } else {
-                ctx.lineTo(x, y);
+                result.push({
+                    date: bar.date,
+                    open: bar.open,
+                    high: bar.high,
+                    low: bar.low,
+                    close: bar.close,
+                    volume: bar.volume
+                });
+                currentKey = key;
             }
         });
-        ctx.lineTo(padding + chartWidth, height - padding);
-        ctx.lineTo(padding, height - padding);
-        ctx.closePath();
-        ctx.fill();
 
-        // Draw line
-        ctx.strokeStyle = '#8b5cf6';
-        ctx.lineWidth = 2;
-        ctx.beginPath();
+        return result;
+    }
 
-        data.forEach((point, index) => {
-            const x = padding + (index / (data.length - 1)) * chartWidth;
-            const y = padding + (1 - (point.price - minPrice) / priceRange) * chartHeight;
+    /**
+     * Keep the points of a date-sorted history that fall inside a range
+     */
+    filterHistoryRange(points, range) {
+        if (points.length === 0 || range === 'max') return points;
+
+        // Day ranges count trading sessions rather than calendar days
+        if (range === '1d' || range === '5d') {
+            const sessions = [...new Set(points.map(point => this.formatDateKey(point.date)))];
+            const firstSession = sessions[Math.max(sessions.length - parseInt(range), 0)];
+            return points.filter(point => this.formatDateKey(point.date) >= firstSession);
+        }
 
-            if (index === 0) {
-                ctx.moveTo(x, y);
-            } else {
-                ctx.lineTo(x, y);
-            }
-        });
-        ctx.stroke();
+        const months = { '1mo': 1, '3mo': 3, '6mo': 6, '1y': 12, '2y': 24, '5y': 60, '10y': 120 }[range] || 1;
+        const start = new Date(points[points.length - 1].date);
+        start.setMonth(start.getMonth() - months);
 
-        // Draw current price point
-        const lastPoint = data[data.length - 1];
-        const lastX = padding + chartWidth;
-        const lastY = padding + (1 - (lastPoint.price - minPrice) / priceRange) * chartHeight;
+        return points.filter(point => point.date > start);
+    }
 
-        ctx.fillStyle = '#8b5cf6';
-        ctx.beginPath();
-        ctx.arc(lastX, lastY, 4, 0, 2 * Math.PI);
-        ctx.fill();
+    /**
+     * Monday of the week containing a date
+     */
+    getWeekStart(date) {
+        const start = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+        start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+        return start;
     }
 
     /**
-     * Refresh current stock data
+     * Random source for the simulation
+     *
+     * In seeded mode the generator is derived from the configured seed and the
+     * given keys (symbol, date, ...); otherwise Math.random is used.
      */
-    async refreshCurrentStock() {
-        if (!this.currentStock || !this.lastSearchSymbol) {
-            this.showNotification('No stock to refresh', 'warning');
-            return;
-        }
+    getSimulationRandom(...keys) {
+        const { seeded, seed } = this.config.simulation;
+        if (!seeded) return Math.random;
 
-        const refreshBtn = document.getElementById('refreshData');
-        if (refreshBtn) {
-            refreshBtn.innerHTML = '<i class="fas fa-sync fa-spin"></i> Refreshing...';
-            refreshBtn.disabled = true;
-        }
+        return this.createSeededRandom(this.hashString([seed, ...keys].join('|')));
+    }
 
-        try {
-            const stockData = await this.fetchStockData(this.lastSearchSymbol);
-            this.displayStockData(stockData);
-            this.currentStock = stockData;
-        } catch (error) {
-            this.showNotification('Failed to refresh data', 'error');
-        } finally {
-            if (refreshBtn) {
-                refreshBtn.innerHTML = '<i class="fas fa-sync"></i> Refresh';
-                refreshBtn.disabled = false;
-            }
+    /**
+     * Mulberry32 pseudo-random generator returning numbers in [0, 1)
+     */
+    createSeededRandom(seed) {
+        let state = seed >>> 0;
+
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+     * FNV-1a 32-bit string hash
+     */
+    hashString(value) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < value.length; i++) {
+            hash ^= value.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
         }
+        return hash >>> 0;
     }
 
     /**
-     * Handle scroll events
+     * Standard normal sample (Box-Muller) from a uniform generator
      */
-    handleScroll() {
-        const navbar = document.getElementById('navbar');
-        const scrollTop = window.pageYOffset || document.documentElement.scrollTop;
+    randomNormal(random) {
+        const u = 1 - random();
+        const v = random();
+        return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+    }
 
-        if (navbar) {
-            if (scrollTop > 50) {
-                navbar.style.boxShadow = '0 2px 20px rgba(0,0,0,0.1)';
-            } else {
-                navbar.style.boxShadow = 'none';
-            }
-        }
+    /**
+     * Current moment in the simulation, pinned by config.simulation.date when set
+     */
+    getSimulationNow() {
+        const pinned = this.config.simulation.date;
+        return pinned ? new Date(pinned.length === 10 ? `${pinned}T00:00:00` : pinned) : new Date();
     }
 
     /**
-     * Handle window resize
+     * Simulated trading date (local midnight)
      */
-    handleResize() {
-        if (window.innerWidth > 768) {
-            this.closeMobileMenu();
-        }
+    getSimulationDate() {
+        const now = this.getSimulationNow();
+        return new Date(now.getFullYear(), now.getMonth(), now.getDate());
     }
 
     /**
-     * Toggle mobile menu
+     * Format a date as a local YYYY-MM-DD key
      */
-    toggleMobileMenu() {
-        const hamburger = document.getElementById('hamburger');
-        const navMenu = document.getElementById('nav-menu');
+    formatDateKey(date) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
 
-        if (hamburger && navMenu) {
-            hamburger.classList.toggle('active');
-            navMenu.classList.toggle('active');
-        }
+    /**
+     * Parse a YYYY-MM-DD key as a local date
+     */
+    parseDateKey(key) {
+        const [year, month, day] = key.split('-').map(Number);
+        return new Date(year, month - 1, day);
     }
 
     /**
-     * Close mobile menu
+     * Get company name for symbol; unknown symbols keep their ticker rather than an invented name
      */
-    closeMobileMenu() {
-        const hamburger = document.getElementById('hamburger');
-        const navMenu = document.getElementById('nav-menu');
+    getCompanyName(symbol) {
+        return this.getKnownCompanies()[symbol] || symbol;
+    }
 
-        if (hamburger && navMenu) {
-            hamburger.classList.remove('active');
-            navMenu.classList.remove('active');
-        }
+    /**
+     * Companies known to the demo simulation
+     */
+    getKnownCompanies() {
+        return Object.fromEntries(this.getSymbolDirectory().map(entry => [entry.symbol, entry.name]));
     }
 
     /**
-     * Show notification
+     * Searchable symbol directory: ticker, name, exchange, sector and asset type.
+     * Extended with `directory.entries` in the config.
      */
-    showNotification(message, type = 'info') {
-        const container = document.getElementById('notificationContainer');
-        if (!container) return;
+    getSymbolDirectory() {
+        const stock = (symbol, name, exchange) => ({ symbol, name, exchange, type: 'Stock' });
+        const etf = (symbol, name, exchange) => ({ symbol, name, exchange, type: 'ETF' });
+
+        return [
+            stock('AAPL', 'Apple Inc.', 'NASDAQ'),
+            stock('GOOGL', 'Alphabet Inc.', 'NASDAQ'),
+            stock('MSFT', 'Microsoft Corporation', 'NASDAQ'),
+            stock('TSLA', 'Tesla, Inc.', 'NASDAQ'),
+            stock('AMZN', 'Amazon.com, Inc.', 'NASDAQ'),
+            stock('META', 'Meta Platforms, Inc.', 'NASDAQ'),
+            stock('NVDA', 'NVIDIA Corporation', 'NASDAQ'),
+            stock('NFLX', 'Netflix, Inc.', 'NASDAQ'),
+            stock('AMD', 'Advanced Micro Devices, Inc.', 'NASDAQ'),
+            stock('INTC', 'Intel Corporation', 'NASDAQ'),
+            stock('UBER', 'Uber Technologies, Inc.', 'NYSE'),
+            stock('SNAP', 'Snap Inc.', 'NYSE'),
+            stock('PYPL', 'PayPal Holdings, Inc.', 'NASDAQ'),
+            stock('SQ', 'Block, Inc.', 'NYSE'),
+            stock('ZOOM', 'Zoom Video Communications', 'NASDAQ'),
+            stock('PLTR', 'Palantir Technologies Inc.', 'NASDAQ'),
+            stock('COIN', 'Coinbase Global, Inc.', 'NASDAQ'),
+            etf('SPY', 'SPDR S&P 500 ETF Trust', 'NYSE Arca'),
+            etf('QQQ', 'Invesco QQQ Trust', 'NASDAQ'),
+            etf('VTI', 'Vanguard Total Stock Market ETF', 'NYSE Arca'),
+            etf('VXUS', 'Vanguard Total International Stock ETF', 'NASDAQ'),
+            etf('BND', 'Vanguard Total Bond Market ETF', 'NASDAQ'),
+            etf('TLT', 'iShares 20+ Year Treasury Bond ETF', 'NASDAQ'),
+            etf('GLD', 'SPDR Gold Shares', 'NYSE Arca'),
+            { symbol: '^GSPC', name: 'S&P 500', exchange: 'Index', type: 'Index' },
+            ...this.config.directory.entries
+        ].map(entry => ({ sector: this.getSecurityProfile(entry.symbol).sector, ...entry }));
+    }
 
-        const notification = document.createElement('div');
-        notification.className = `notification ${type}`;
+    /**
+     * Whether a symbol is in the directory (or is the configured benchmark index)
+     */
+    isKnownSymbol(symbol) {
+        return symbol === this.config.marketIndex.symbol || this.getSymbolDirectory().some(entry => entry.symbol === symbol);
+    }
 
-        notification.innerHTML = `
-            <div class="notification-content">
-                <span>${message}</span>
-                <button class="notification-close">&times;</button>
-            </div>
-        `;
+    /**
+     * Rank directory entries against a query: exact and prefix ticker matches first,
+     * then company name word prefixes, substrings and finally letters in order
+     */
+    searchDirectory(query, limit = 8) {
+        const term = query.trim().toUpperCase();
+        if (!term) return [];
+
+        // Characters of the term appear in order; tighter matches score higher
+        const subsequenceScore = (text) => {
+            let position = -1;
+            let gaps = 0;
+            for (const char of term) {
+                const next = text.indexOf(char, position + 1);
+                if (next === -1) return 0;
+                gaps += position === -1 ? 0 : next - position - 1;
+                position = next;
+            }
+            return Math.max(20 - gaps, 1);
+        };
 
-        container.appendChild(notification);
+        const termWords = term.split(/\s+/);
 
-        // Show notification
-        setTimeout(() => {
-            notification.style.opacity = '1';
-            notification.style.transform = 'translateX(0)';
-        }, 100);
+        const score = (entry) => {
+            const symbol = entry.symbol.toUpperCase();
+            const name = entry.name.toUpperCase();
+            const nameWords = name.split(/[\s.,&-]+/);
 
-        // Setup close button
-        const closeButton = notification.querySelector('.notification-close');
-        closeButton.addEventListener('click', () => {
-            this.hideNotification(notification);
-        });
+            if (symbol === term) return 100;
+            if (symbol.startsWith(term)) return 80 - (symbol.length - term.length);
+            if (termWords.every(word => nameWords.some(nameWord => nameWord.startsWith(word)))) return 60;
+            if (name.includes(term)) return 40;
+            return Math.max(subsequenceScore(symbol), subsequenceScore(name) / 2);
+        };
 
-        // Auto hide after 5 seconds
-        setTimeout(() => {
-            this.hideNotification(notification);
-        }, 5000);
+        return this.getSymbolDirectory()
+            .map(entry => ({ ...entry, score: score(entry) }))
+            .filter(entry => entry.score > 0)
+            .sort((a, b) => b.score - a.score || a.symbol.localeCompare(b.symbol))
+            .slice(0, limit);
     }
 
     /**
-     * Hide notification
+     * Load recently searched symbols
      */
-    hideNotification(notification) {
-        notification.style.opacity = '0';
-        notification.style.transform = 'translateX(100%)';
+    loadRecentSearches() {
+        return this.readStorage('recentSearches');
+    }
 
-        setTimeout(() => {
-            if (notification.parentNode) {
-                notification.parentNode.removeChild(notification);
-            }
-        }, 300);
+    /**
+     * Move a symbol to the front of the recent searches
+     */
+    addRecentSearch(symbol) {
+        this.recentSearches = [symbol, ...this.recentSearches.filter(item => item !== symbol)]
+            .slice(0, this.config.directory.recentLimit);
+        this.writeStorage('recentSearches', this.recentSearches);
     }
 
     /**
-     * Throttle function to limit function calls
+     * Wire type-ahead suggestions and keyboard navigation for the search input
      */
-    throttle(func, limit) {
-        let inThrottle;
-        return function() {
-            const args = arguments;
-            const context = this;
-            if (!inThrottle) {
-                func.apply(context, args);
-                inThrottle = true;
-                setTimeout(() => inThrottle = false, limit);
+    setupSymbolSearch() {
+        const stockInput = document.getElementById('stockInput');
+        const list = document.getElementById('searchSuggestions');
+        if (!stockInput || !list) return;
+
+        // Providers may know symbols the built-in directory does not
+        const searchProviders = this.debounce(async (query) => {
+            try {
+                const results = await this.searchSymbols(query);
+                if (stockInput.value.trim() !== query) return;
+
+                const known = new Set(this.symbolSuggestions.map(item => item.symbol));
+                const extra = results
+                    .filter(item => item.symbol && !known.has(item.symbol))
+                    .map(item => ({ symbol: item.symbol, name: item.name || item.symbol, exchange: item.exchange || item.region || '', sector: '', type: item.type || '' }));
+                if (extra.length > 0) {
+                    this.showSymbolSuggestions([...this.symbolSuggestions, ...extra].slice(0, 8));
+                }
+            } catch (error) {
+                console.warn('Symbol search failed:', error.message);
             }
-        };
+        }, 300);
+
+        stockInput.addEventListener('input', () => {
+            const query = stockInput.value.trim();
+            if (!query) {
+                this.showRecentSearches();
+                return;
+            }
+
+            this.showSymbolSuggestions(this.searchDirectory(query));
+            searchProviders(query);
+        });
+
+        stockInput.addEventListener('focus', () => {
+            if (!stockInput.value.trim()) {
+                this.showRecentSearches();
+            }
+        });
+
+        stockInput.addEventListener('keydown', (e) => {
+            const isOpen = !list.classList.contains('hidden') && this.symbolSuggestions.length > 0;
+
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                if (!isOpen) return;
+                e.preventDefault();
+                // -1 is the input itself, so arrowing past either end returns to what was typed
+                const step = e.key === 'ArrowDown' ? 1 : -1;
+                const positions = this.symbolSuggestions.length + 1;
+                this.activeSuggestion = (this.activeSuggestion + 1 + step + positions) % positions - 1;
+                this.renderSymbolSuggestions();
+            } else if (e.key === 'Enter') {
+                e.preventDefault();
+                const active = isOpen ? this.symbolSuggestions[this.activeSuggestion] : null;
+                this.hideSymbolSuggestions();
+                this.searchStock(active ? active.symbol : this.resolveSearchInput(stockInput.value));
+            } else if (e.key === 'Escape') {
+                this.hideSymbolSuggestions();
+            }
+        });
+
+        // Blur fires before click, so hide after the click has landed
+        stockInput.addEventListener('blur', () => {
+            setTimeout(() => this.hideSymbolSuggestions(), 150);
+        });
+
+        list.addEventListener('mousedown', (e) => {
+            const clear = e.target.closest('[data-clear-recent]');
+            const item = e.target.closest('[data-symbol]');
+            e.preventDefault();
+
+            if (clear) {
+                this.recentSearches = [];
+                this.writeStorage('recentSearches', this.recentSearches);
+                this.hideSymbolSuggestions();
+            } else if (item) {
+                this.hideSymbolSuggestions();
+                this.searchStock(item.getAttribute('data-symbol'));
+            }
+        });
     }
 
     /**
-     * Debounce function to delay function calls
+     * Turn typed text into a ticker: text matching a company name resolves to that company,
+     * anything else is tried as a ticker as typed
      */
-    debounce(func, wait) {
-        let timeout;
-        return function executedFunction(...args) {
-            const later = () => {
-                clearTimeout(timeout);
-                func(...args);
-            };
-            clearTimeout(timeout);
-            timeout = setTimeout(later, wait);
-        };
+    resolveSearchInput(text) {
+        const term = text.trim().toUpperCase();
+        if (!term || this.isKnownSymbol(term)) return term;
+
+        const [best] = this.searchDirectory(term, 1);
+        const matchesName = best && best.score >= 40 && best.score <= 60;
+        return matchesName ? best.symbol : term;
     }
 
     /**
-     * Switch capability tab
+     * Show the recent searches list
      */
-    switchCapabilityTab(clickedBtn) {
-        // Remove active class from all tabs
-        document.querySelectorAll('.tab-btn').forEach(btn => {
-            btn.classList.remove('active');
-        });
-
-        // Add active class to clicked tab
-        clickedBtn.classList.add('active');
+    showRecentSearches() {
+        const directory = this.getKnownCompanies();
+        this.showSymbolSuggestions(this.recentSearches.map(symbol => {
+            const entry = this.getSymbolDirectory().find(item => item.symbol === symbol);
+            return entry || { symbol, name: directory[symbol] || symbol, exchange: '', sector: '', type: '' };
+        }), true);
+    }
 
-        // Get the tab type
-        const tabType = clickedBtn.getAttribute('data-tab');
+    /**
+     * Show a list of suggestions under the search input
+     */
+    showSymbolSuggestions(suggestions, recent = false) {
+        this.symbolSuggestions = suggestions;
+        this.suggestionsAreRecent = recent;
+        this.activeSuggestion = -1;
+        this.renderSymbolSuggestions();
+    }
 
-        // Update content based on tab
-        this.updateCapabilityContent(tabType);
+    /**
+     * Close the suggestion list
+     */
+    hideSymbolSuggestions() {
+        this.symbolSuggestions = [];
+        this.activeSuggestion = -1;
+        this.renderSymbolSuggestions();
     }
 
     /**
-     * Update capability content based on selected tab
+     * Render suggestions with the keyboard-highlighted entry
      */
-    updateCapabilityContent(tabType) {
-        const contentMap = {
-            analysis: {
-                title: 'Real-Time Stock Analysis',
-                description: 'Advanced technical analysis with real-time market data processing and intelligent stock evaluation.',
-                metrics: [
-                    { icon: 'fas fa-chart-bar', value: '1,247', label: 'Stocks analyzed' },
-                    { icon: 'fas fa-tachometer-alt', value: '2.3 SEC', label: 'Avg analysis time' },
-                    { icon: 'fas fa-trophy', value: '87%', label: 'Prediction accuracy' }
-                ]
-            },
-            portfolio: {
-                title: 'Portfolio Management',
-                description: 'Comprehensive portfolio tracking with risk assessment and performance analytics.',
-                metrics: [
-                    { icon: 'fas fa-briefcase', value: '$2.4M', label: 'Assets under management' },
-                    { icon: 'fas fa-chart-line', value: '12.5%', label: 'Annual return' },
-                    { icon: 'fas fa-balance-scale', value: '0.85', label: 'Risk-adjusted return' }
-                ]
-            },
-            trading: {
-                title: 'Automated Trading',
-                description: 'Smart trading algorithms with real-time execution and risk management.',
-                metrics: [
-                    { icon: 'fas fa-exchange-alt', value: '3,456', label: 'Trades executed' },
-                    { icon: 'fas fa-stopwatch', value: '45ms', label: 'Execution speed' },
-                    { icon: 'fas fa-shield-alt', value: '99.2%', label: 'Success rate' }
-                ]
-            },
-            alerts: {
-                title: 'Smart Alerts System',
-                description: 'Intelligent price alerts and market notifications with customizable triggers.',
-                metrics: [
-                    { icon: 'fas fa-bell', value: '156', label: 'Active alerts' },
-                    { icon: 'fas fa-clock', value: '<1 SEC', label: 'Alert delivery' },
-                    { icon: 'fas fa-bullseye', value: '94%', label: 'Alert accuracy' }
-                ]
-            }
-        };
+    renderSymbolSuggestions() {
+        const list = document.getElementById('searchSuggestions');
+        const stockInput = document.getElementById('stockInput');
+        if (!list) return;
 
-        const content = contentMap[tabType] || contentMap.analysis;
+        const suggestions = this.symbolSuggestions;
+        list.classList.toggle('hidden', suggestions.length === 0);
+        if (stockInput) {
+            stockInput.setAttribute('aria-expanded', String(suggestions.length > 0));
+            stockInput.setAttribute('aria-activedescendant', this.activeSuggestion >= 0 ? `suggestion-${this.activeSuggestion}` : '');
+        }
 
-        // Update the content
-        const titleElement = document.querySelector('.capability-info h3');
-        const descriptionElement = document.querySelector('.capability-info p');
-        const metricsContainer = document.querySelector('.metrics-grid');
+        list.innerHTML = (this.suggestionsAreRecent && suggestions.length > 0
+            ? '<div class="search-suggestions-header"><span>Recent searches</span><button type="button" data-clear-recent>Clear</button></div>'
+            : '') + suggestions.map((entry, index) => `
+                <div class="search-suggestion ${index === this.activeSuggestion ? 'active' : ''}" id="suggestion-${index}" role="option" aria-selected="${index === this.activeSuggestion}" data-symbol="${this.escapeHtml(entry.symbol)}">
+                    <strong>${this.escapeHtml(entry.symbol)}</strong>
+                    <span class="search-suggestion-name">${this.escapeHtml(entry.name)}</span>
+                    <small>${[entry.exchange, entry.sector, entry.type].filter(Boolean).map(value => this.escapeHtml(value)).join(' · ')}</small>
+                </div>
+            `).join('');
+    }
 
-        if (titleElement) titleElement.textContent = content.title;
-        if (descriptionElement) descriptionElement.textContent = content.description;
+    /**
+     * Display stock results container
+     */
+    showStockResults() {
+        const stockResults = document.getElementById('stockResults');
+        const stockSection = document.getElementById('search');
 
-        if (metricsContainer) {
-            metricsContainer.innerHTML = '';
-            content.metrics.forEach(metric => {
-                const metricCard = document.createElement('div');
-                metricCard.className = 'metric-card';
-                metricCard.innerHTML = `
-                    <div class="metric-icon">
-                        <i class="${metric.icon}"></i>
-                    </div>
-                    <div class="metric-value">${metric.value}</div>
-                    <div class="metric-label">${metric.label}</div>
-                `;
-                metricsContainer.appendChild(metricCard);
-            });
+        if (stockResults) {
+            stockResults.classList.remove('hidden');
+        }
+
+        // Scroll to results
+        if (stockSection) {
+            this.smoothScrollTo(stockSection);
         }
     }
 
     /**
-     * Load market data for carousels
+     * Show loading state
      */
-    async loadMarketData() {
-        // Generate realistic market data for demo
-        this.marketData = {
-            bullish: [
-                { symbol: 'NVDA', name: 'NVIDIA Corporation', price: 875.28, change: 8.45, changePercent: 0.97, volume: 45000000 },
-                { symbol: 'TSLA', name: 'Tesla, Inc.', price: 248.50, change: 15.75, changePercent: 6.77, volume: 85000000 },
-                { symbol: 'AMD', name: 'Advanced Micro Devices', price: 138.92, change: 7.23, changePercent: 5.49, volume: 55000000 },
-                { symbol: 'PLTR', name: 'Palantir Technologies', price: 24.67, change: 1.45, changePercent: 6.25, volume: 78000000 },
-                { symbol: 'COIN', name: 'Coinbase Global', price: 165.43, change: 8.92, changePercent: 5.70, volume: 23000000 }
-            ],
-            trending: [
-                { symbol: 'AAPL', name: 'Apple Inc.', price: 175.84, change: 2.45, changePercent: 1.41, volume: 125000000 },
-                { symbol: 'MSFT', name: 'Microsoft Corporation', price: 378.85, change: 4.67, changePercent: 1.25, volume: 98000000 },
-                { symbol: 'GOOGL', name: 'Alphabet Inc.', price: 142.56, change: -1.23, changePercent: -0.85, volume: 87000000 },
-                { symbol: 'AMZN', name: 'Amazon.com, Inc.', price: 155.89, change: 1.89, changePercent: 1.23, volume: 76000000 },
-                { symbol: 'META', name: 'Meta Platforms, Inc.', price: 298.45, change: 3.21, changePercent: 1.09, volume: 69000000 }
-            ],
-            bearish: [
-                { symbol: 'NFLX', name: 'Netflix, Inc.', price: 412.34, change: -18.45, changePercent: -4.28, volume: 35000000 },
-                { symbol: 'PYPL', name: 'PayPal Holdings', price: 58.92, change: -3.67, changePercent: -5.87, volume: 28000000 },
-                { symbol: 'SNAP', name: 'Snap Inc.', price: 11.23, change: -0.87, changePercent: -7.19, volume: 67000000 },
-                { symbol: 'UBER', name: 'Uber Technologies', price: 62.45, change: -2.34, changePercent: -3.61, volume: 41000000 },
-                { symbol: 'TWTR', name: 'Twitter Inc.', price: 34.56, change: -1.89, changePercent: -5.18, volume: 52000000 }
-            ],
-            profitloss: [
+    showLoadingState() {
+        const loadingState = document.getElementById('loadingState');
+        const errorState = document.getElementById('errorState');
+        const stockData = document.getElementById('stockData');
+
+        if (loadingState) loadingState.classList.remove('hidden');
+        if (errorState) errorState.classList.add('hidden');
+        if (stockData) stockData.classList.add('hidden');
+    }
+
+    /**
+     * Show error state
+     */
+    showErrorState(message) {
+        const loadingState = document.getElementById('loadingState');
+        const errorState = document.getElementById('errorState');
+        const stockData = document.getElementById('stockData');
+        const errorMessage = document.getElementById('errorMessage');
+
+        if (loadingState) loadingState.classList.add('hidden');
+        if (errorState) errorState.classList.remove('hidden');
+        if (stockData) stockData.classList.add('hidden');
+        if (errorMessage) errorMessage.textContent = message;
+    }
+
+    /**
+     * Display stock data
+     */
+    displayStockData(data) {
+        const loadingState = document.getElementById('loadingState');
+        const errorState = document.getElementById('errorState');
+        const stockData = document.getElementById('stockData');
+
+        // Hide loading and error states
+        if (loadingState) loadingState.classList.add('hidden');
+        if (errorState) errorState.classList.add('hidden');
+        if (stockData) stockData.classList.remove('hidden');
+
+        // Update stock information
+        this.updateElement('stockName', data.name);
+        this.updateElement('stockSymbol', data.symbol);
+        this.updateElement('currentPrice', this.formatCurrency(data.price));
+        this.updateElement('openPrice', this.formatCurrency(data.open));
+        this.updateElement('highPrice', this.formatCurrency(data.high));
+        this.updateElement('lowPrice', this.formatCurrency(data.low));
+        this.updateElement('previousClose', this.formatCurrency(data.previousClose));
+        this.updateElement('volume', this.formatNumber(data.volume));
+        this.updateElement('marketCap', data.marketCap);
+
+        // Update price change
+        const changeAmount = document.getElementById('changeAmount');
+        const changePercent = document.getElementById('changePercent');
+        const priceChange = document.getElementById('priceChange');
+
+        if (changeAmount) {
+            changeAmount.textContent = `${data.change >= 0 ? '+' : ''}${this.formatCurrency(data.change)}`;
+        }
+
+        if (changePercent) {
+            changePercent.textContent = `(${data.changePercent >= 0 ? '+' : ''}${data.changePercent.toFixed(2)}%)`;
+        }
+
+        // Update price change styling
+        if (priceChange) {
+            priceChange.className = `price-change ${data.change >= 0 ? 'positive' : 'negative'}`;
+        }
+
+        // Update watchlist button
+        this.updateWatchlistButton(data.symbol);
+
+        // Add animation
+        if (stockData) {
+            stockData.style.opacity = '0';
+            stockData.style.transform = 'translateY(20px)';
+
+            setTimeout(() => {
+                stockData.style.transition = 'all 0.6s ease';
+                stockData.style.opacity = '1';
+                stockData.style.transform = 'translateY(0)';
+            }, 100);
+        }
+
+        // Show detailed analysis; fresh data invalidates the history previously loaded for this symbol
+        [...this.chartHistoryCache.keys()]
+            .filter(key => key.startsWith(`${data.symbol}|`))
+            .forEach(key => this.chartHistoryCache.delete(key));
+        this.showDetailedAnalysis(data);
+        this.updateStockChart(data);
+        this.updateIntradayChart(data.symbol);
+        this.updateFinancialCharts(data);
+        this.updateStockRisk(data);
+        this.evaluateAlerts(data);
+        this.updatePortfolioQuote(data);
+        this.updateWatchlistQuote(data);
+        this.evaluatePaperOrders(data);
+        this.showNotification(`${data.symbol} data updated successfully`, 'success');
+    }
+
+    /**
+     * Update element text content
+     */
+    updateElement(id, content) {
+        const element = document.getElementById(id);
+        if (element) {
+            element.textContent = content;
+        }
+    }
+
+    /**
+     * Format currency values
+     */
+    formatCurrency(value) {
+        return new Intl.NumberFormat('en-US', {
+            style: 'currency',
+            currency: 'USD'
+        }).format(value);
+    }
+
+    /**
+     * Format large numbers
+     */
+    formatNumber(value) {
+        if (value >= 1000000000) {
+            return (value / 1000000000).toFixed(1) + 'B';
+        } else if (value >= 1000000) {
+            return (value / 1000000).toFixed(1) + 'M';
+        } else if (value >= 1000) {
+            return (value / 1000).toFixed(1) + 'K';
+        }
+        return value.toString();
+    }
+
+    /**
+     * Add the current stock to the active watchlist, or remove it if it is already there
+     */
+    toggleWatchlist() {
+        if (!this.currentStock) return;
+
+        const symbol = this.currentStock.symbol;
+        if (this.watchlist.some(stock => stock.symbol === symbol)) {
+            this.removeFromWatchlist(symbol);
+        } else {
+            this.addToWatchlist();
+        }
+    }
+
+    /**
+     * Update watchlist button state
+     */
+    updateWatchlistButton(symbol) {
+        const addToWatchlist = document.getElementById('addToWatchlist');
+        if (!addToWatchlist) return;
+
+        const isInWatchlist = this.watchlist.find(stock => stock.symbol === symbol);
+
+        if (isInWatchlist) {
+            addToWatchlist.innerHTML = '<i class="fas fa-heart"></i> In Watchlist';
+            addToWatchlist.classList.add('in-watchlist');
+        } else {
+            addToWatchlist.innerHTML = '<i class="fas fa-heart"></i> Add to Watchlist';
+            addToWatchlist.classList.remove('in-watchlist');
+        }
+    }
+
+    /**
+     * Create the per-stock carousel view of a watchlist entry: overview with 7-day chart, performance and analytics
+     */
+    createStockCarousel(stock, index) {
+        const carouselContainer = document.createElement('div');
+        carouselContainer.className = 'stock-carousel-container';
+        carouselContainer.dataset.symbol = stock.symbol;
+        carouselContainer.style.animationDelay = `${index * 0.2}s`;
+
+        const row = this.getWatchlistRow(stock);
+        const cell = field => this.formatWatchlistCell(field, row);
+        const quote = this.getWatchlistQuote(stock) || {};
+        const display = value => value === null || value === undefined || value === '' ? '—' : this.escapeHtml(value);
+
+        carouselContainer.innerHTML = `
+            <div class="carousel-header">
+                <h3>
+                    <i class="fas fa-chart-line"></i>
+                    ${stock.symbol} - ${this.escapeHtml(stock.name)}
+                </h3>
+                <div class="carousel-controls">
+                    <button class="carousel-btn prev" data-carousel="stock-${stock.symbol}">
+                        <i class="fas fa-chevron-left"></i>
+                    </button>
+                    <button class="carousel-btn next" data-carousel="stock-${stock.symbol}">
+                        <i class="fas fa-chevron-right"></i>
+                    </button>
+                    <button class="remove-btn" data-symbol="${stock.symbol}" title="Remove from watchlist">
+                        <i class="fas fa-times"></i>
+                    </button>
+                </div>
+            </div>
+            <div class="carousel-wrapper">
+                <div class="stock-carousel" id="carousel-${stock.symbol}">
+                    <!-- Price Overview Card -->
+                    <div class="stock-carousel-item">
+                        <div class="stock-card featured-card">
+                            <div class="stock-card-header">
+                                <div class="stock-info">
+                                    <h4>${stock.symbol}</h4>
+                                    <span class="company-name">${this.escapeHtml(stock.name)}</span>
+                                </div>
+                                <div class="stock-price">
+                                    <span class="current-price" data-field="price">${cell('price').html}</span>
+                                    <span class="price-change ${cell('changePercent').className}" data-field="changePercent">${cell('changePercent').html}</span>
+                                </div>
+                            </div>
+                            <div class="stock-chart-area">
+                                <canvas id="chart-${stock.symbol}" width="250" height="120"></canvas>
+                            </div>
+                            <div class="stock-metrics">
+                                <div class="metric">
+                                    <div class="metric-label">Volume</div>
+                                    <div class="metric-value" data-field="volume">${cell('volume').html}</div>
+                                </div>
+                                <div class="metric">
+                                    <div class="metric-label">Added</div>
+                                    <div class="metric-value">${new Date(stock.addedAt).toLocaleDateString()}</div>
+                                </div>
+                            </div>
+                            <div class="watchlist-actions">
+                                <button class="quick-view-btn" data-symbol="${stock.symbol}">
+                                    <i class="fas fa-chart-line"></i>
+                                    Analyze Stock
+                                </button>
+                            </div>
+                        </div>
+                    </div>
+
+                    <!-- Performance Card -->
+                    <div class="stock-carousel-item">
+                        <div class="stock-card performance-card">
+                            <div class="stock-card-header">
+                                <h4>Performance</h4>
+                            </div>
+                            <div class="performance-metrics">
+                                <div class="performance-item">
+                                    <span class="label">1D Change</span>
+                                    <span class="value ${cell('changePercent').className}" data-field="changePercent">${cell('changePercent').html}</span>
+                                </div>
+                                <div class="performance-item">
+                                    <span class="label">1W Change</span>
+                                    <span class="value" data-performance="week">—</span>
+                                </div>
+                                <div class="performance-item">
+                                    <span class="label">1M Change</span>
+                                    <span class="value" data-performance="month">—</span>
+                                </div>
+                                <div class="performance-item">
+                                    <span class="label">YTD Change</span>
+                                    <span class="value" data-performance="ytd">—</span>
+                                </div>
+                            </div>
+                        </div>
+                    </div>
+
+                    <!-- Analytics Card -->
+                    <div class="stock-carousel-item">
+                        <div class="stock-card analytics-card">
+                            <div class="stock-card-header">
+                                <h4>Analytics</h4>
+                            </div>
+                            <div class="analytics-metrics">
+                                <div class="analytics-item">
+                                    <span class="label">Market Cap</span>
+                                    <span class="value">${display(quote.marketCap)}</span>
+                                </div>
+                                <div class="analytics-item">
+                                    <span class="label">P/E Ratio</span>
+                                    <span class="value">${display(quote.peRatio)}</span>
+                                </div>
+                                <div class="analytics-item">
+                                    <span class="label">Beta</span>
+                                    <span class="value">${display(quote.beta)}</span>
+                                </div>
+                                <div class="analytics-item">
+                                    <span class="label">Avg Volume</span>
+                                    <span class="value" data-performance="averageVolume">—</span>
+                                </div>
+                            </div>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        // Add event listeners
+        const removeBtn = carouselContainer.querySelector('.remove-btn');
+        const quickViewBtn = carouselContainer.querySelector('.quick-view-btn');
+        const prevBtn = carouselContainer.querySelector('.prev');
+        const nextBtn = carouselContainer.querySelector('.next');
+
+        if (removeBtn) {
+            removeBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.confirmRemoveFromWatchlist(stock.symbol);
+            });
+        }
+
+        if (quickViewBtn) {
+            quickViewBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.searchStock(stock.symbol);
+            });
+        }
+
+        if (prevBtn && nextBtn) {
+            let currentSlide = 0;
+            const totalSlides = 3;
+            const carousel = carouselContainer.querySelector('.stock-carousel');
+
+            const updateCarousel = () => {
+                carousel.style.transform = `translateX(-${currentSlide * 100}%)`;
+            };
+
+            prevBtn.addEventListener('click', () => {
+                currentSlide = (currentSlide - 1 + totalSlides) % totalSlides;
+                updateCarousel();
+            });
+
+            nextBtn.addEventListener('click', () => {
+                currentSlide = (currentSlide + 1) % totalSlides;
+                updateCarousel();
+            });
+        }
+
+        this.fillStockCarousel(carouselContainer, stock);
+
+        return carouselContainer;
+    }
+
+    /**
+     * Load daily history for a stock carousel and fill its 7-day chart and performance figures
+     */
+    async fillStockCarousel(carouselContainer, stock) {
+        let bars;
+        try {
+            bars = await this.loadHistory(stock.symbol, { range: '1y', interval: '1d' });
+        } catch (error) {
+            console.error(`Error loading watchlist history for ${stock.symbol}:`, error);
+            return;
+        }
+        if (!bars || bars.length < 2 || !carouselContainer.isConnected) return;
+
+        const performance = this.calculateSeriesPerformance(bars);
+        const formatChange = (value) => `${value >= 0 ? '+' : ''}${value.toFixed(2)}%`;
+
+        carouselContainer.querySelectorAll('[data-performance]').forEach(element => {
+            const key = element.getAttribute('data-performance');
+            if (key === 'averageVolume') {
+                element.textContent = this.formatNumber(performance.averageVolume);
+                return;
+            }
+            element.textContent = formatChange(performance[key]);
+            element.classList.add(performance[key] >= 0 ? 'positive' : 'negative');
+        });
+
+        this.createStockChart(stock.symbol, bars.slice(-7).map(bar => ({ ...bar, price: bar.close })));
+    }
+
+    /**
+     * Calculate 1W, 1M and YTD percent changes and 30-day average volume from daily bars
+     */
+    calculateSeriesPerformance(series) {
+        const last = series[series.length - 1];
+        const changeSince = (bar) => bar ? ((last.close - bar.close) / bar.close) * 100 : 0;
+        // YTD is measured from the previous year's final close
+        const yearStartIndex = series.findIndex(bar => bar.date.getFullYear() === last.date.getFullYear());
+        const recent = series.slice(-30);
+
+        return {
+            week: changeSince(series[series.length - 6]),
+            month: changeSince(series[series.length - 22]),
+            ytd: changeSince(series[Math.max(yearStartIndex - 1, 0)]),
+            averageVolume: Math.floor(recent.reduce((sum, bar) => sum + bar.volume, 0) / recent.length)
+        };
+    }
+
+    /**
+     * Create stock chart for individual carousel
+     */
+    createStockChart(symbol, data) {
+        const canvas = document.getElementById(`chart-${symbol}`);
+        if (!canvas) return;
+
+        const ctx = canvas.getContext('2d');
+        const width = canvas.width;
+        const height = canvas.height;
+
+        this.drawStockLineChart(ctx, data, width, height);
+    }
+
+    /**
+     * Draw simple line chart for stock carousel
+     */
+    drawStockLineChart(ctx, data, width, height) {
+        const padding = 20;
+        const chartWidth = width - 2 * padding;
+        const chartHeight = height - 2 * padding;
+
+        // Clear canvas
+        ctx.clearRect(0, 0, width, height);
+
+        if (!data || data.length === 0) return;
+
+        // Find min/max for scaling
+        const prices = data.map(d => d.price);
+        const minPrice = Math.min(...prices);
+        const maxPrice = Math.max(...prices);
+        const priceRange = maxPrice - minPrice || 1;
+
+        // Gradient background
+        const gradient = ctx.createLinearGradient(0, padding, 0, height - padding);
+        gradient.addColorStop(0, 'rgba(139, 92, 246, 0.3)');
+        gradient.addColorStop(1, 'rgba(139, 92, 246, 0.05)');
+
+        // Draw area fill
+        ctx.fillStyle = gradient;
+        ctx.beginPath();
+        data.forEach((point, index) => {
+            const x = padding + (index / (data.length - 1)) * chartWidth;
+            const y = padding + (1 - (point.price - minPrice) / priceRange) * chartHeight;
+
+            if (index === 0) {
+                ctx.moveTo(x, y);
+            } else {
+                ctx.lineTo(x, y);
+            }
+        });
+        ctx.lineTo(padding + chartWidth, height - padding);
+        ctx.lineTo(padding, height - padding);
+        ctx.closePath();
+        ctx.fill();
+
+        // Draw line
+        ctx.strokeStyle = '#8b5cf6';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+
+        data.forEach((point, index) => {
+            const x = padding + (index / (data.length - 1)) * chartWidth;
+            const y = padding + (1 - (point.price - minPrice) / priceRange) * chartHeight;
+
+            if (index === 0) {
+                ctx.moveTo(x, y);
+            } else {
+                ctx.lineTo(x, y);
+            }
+        });
+        ctx.stroke();
+
+        // Draw current price point
+        const lastPoint = data[data.length - 1];
+        const lastX = padding + chartWidth;
+        const lastY = padding + (1 - (lastPoint.price - minPrice) / priceRange) * chartHeight;
+
+        ctx.fillStyle = '#8b5cf6';
+        ctx.beginPath();
+        ctx.arc(lastX, lastY, 4, 0, 2 * Math.PI);
+        ctx.fill();
+
+        const area = { left: padding, top: padding, width: chartWidth, height: chartHeight };
+        this.setChartReadout(ctx.canvas, this.getSeriesReadoutPoints(data, d => d.price, area, minPrice, priceRange),
+            { left: 0, right: width, top: 0, bottom: height });
+    }
+
+    /**
+     * Refresh current stock data
+     */
+    async refreshCurrentStock() {
+        if (!this.currentStock || !this.lastSearchSymbol) {
+            this.showNotification('No stock to refresh', 'warning');
+            return;
+        }
+
+        const refreshBtn = document.getElementById('refreshData');
+        if (refreshBtn) {
+            refreshBtn.innerHTML = '<i class="fas fa-sync fa-spin"></i> Refreshing...';
+            refreshBtn.disabled = true;
+        }
+
+        try {
+            const stockData = await this.fetchStockData(this.lastSearchSymbol);
+            this.currentStock = stockData;
+            this.displayStockData(stockData);
+        } catch (error) {
+            this.showNotification('Failed to refresh data', 'error');
+        } finally {
+            if (refreshBtn) {
+                refreshBtn.innerHTML = '<i class="fas fa-sync"></i> Refresh';
+                refreshBtn.disabled = false;
+            }
+        }
+    }
+
+    /**
+     * Handle scroll events
+     */
+    handleScroll() {
+        const navbar = document.getElementById('navbar');
+        const scrollTop = window.pageYOffset || document.documentElement.scrollTop;
+
+        if (navbar) {
+            if (scrollTop > 50) {
+                navbar.style.boxShadow = '0 2px 20px rgba(0,0,0,0.1)';
+            } else {
+                navbar.style.boxShadow = 'none';
+            }
+        }
+    }
+
+    /**
+     * Handle window resize
+     */
+    handleResize() {
+        if (window.innerWidth > 768) {
+            this.closeMobileMenu();
+        }
+    }
+
+    /**
+     * Toggle mobile menu
+     */
+    toggleMobileMenu() {
+        const hamburger = document.getElementById('hamburger');
+        const navMenu = document.getElementById('nav-menu');
+
+        if (hamburger && navMenu) {
+            hamburger.classList.toggle('active');
+            navMenu.classList.toggle('active');
+        }
+    }
+
+    /**
+     * Close mobile menu
+     */
+    closeMobileMenu() {
+        const hamburger = document.getElementById('hamburger');
+        const navMenu = document.getElementById('nav-menu');
+
+        if (hamburger && navMenu) {
+            hamburger.classList.remove('active');
+            navMenu.classList.remove('active');
+        }
+    }
+
+    /**
+     * Show notification
+     */
+    showNotification(message, type = 'info') {
+        const container = document.getElementById('notificationContainer');
+        if (!container) return;
+
+        const notification = document.createElement('div');
+        notification.className = `notification ${type}`;
+
+        notification.innerHTML = `
+            <div class="notification-content">
+                <span>${message}</span>
+                <button class="notification-close">&times;</button>
+            </div>
+        `;
+
+        container.appendChild(notification);
+
+        // Show notification
+        setTimeout(() => {
+            notification.style.opacity = '1';
+            notification.style.transform = 'translateX(0)';
+        }, 100);
+
+        // Setup close button
+        const closeButton = notification.querySelector('.notification-close');
+        closeButton.addEventListener('click', () => {
+            this.hideNotification(notification);
+        });
+
+        // Auto hide after 5 seconds
+        setTimeout(() => {
+            this.hideNotification(notification);
+        }, 5000);
+    }
+
+    /**
+     * Hide notification
+     */
+    hideNotification(notification) {
+        notification.style.opacity = '0';
+        notification.style.transform = 'translateX(100%)';
+
+        setTimeout(() => {
+            if (notification.parentNode) {
+                notification.parentNode.removeChild(notification);
+            }
+        }, 300);
+    }
+
+    /**
+     * Throttle function to limit function calls
+     */
+    throttle(func, limit) {
+        let inThrottle;
+        return function() {
+            const args = arguments;
+            const context = this;
+            if (!inThrottle) {
+                func.apply(context, args);
+                inThrottle = true;
+                setTimeout(() => inThrottle = false, limit);
+            }
+        };
+    }
+
+    /**
+     * Debounce function to delay function calls
+     */
+    debounce(func, wait) {
+        let timeout;
+        return function executedFunction(...args) {
+            const later = () => {
+                clearTimeout(timeout);
+                func(...args);
+            };
+            clearTimeout(timeout);
+            timeout = setTimeout(later, wait);
+        };
+    }
+
+    /**
+     * Switch capability tab
+     */
+    switchCapabilityTab(clickedBtn) {
+        // Remove active class from all tabs
+        document.querySelectorAll('.tab-btn').forEach(btn => {
+            btn.classList.remove('active');
+        });
+
+        // Add active class to clicked tab
+        clickedBtn.classList.add('active');
+
+        // Get the tab type
+        const tabType = clickedBtn.getAttribute('data-tab');
+
+        // Update content based on tab
+        this.updateCapabilityContent(tabType);
+    }
+
+    /**
+     * Update capability content based on selected tab
+     */
+    updateCapabilityContent(tabType) {
+        const portfolio = this.getPortfolioHoldings('all');
+        const overall = this.portfolioOverallPerformance;
+        const paper = this.getPaperAccountSummary();
+        const contentMap = {
+            analysis: {
+                title: 'Real-Time Stock Analysis',
+                description: 'Advanced technical analysis with real-time market data processing and intelligent stock evaluation.',
+                metrics: [
+                    { icon: 'fas fa-chart-bar', value: '1,247', label: 'Stocks analyzed' },
+                    { icon: 'fas fa-tachometer-alt', value: '2.3 SEC', label: 'Avg analysis time' },
+                    { icon: 'fas fa-trophy', value: '87%', label: 'Prediction accuracy' }
+                ]
+            },
+            portfolio: {
+                title: 'Portfolio Management',
+                description: 'Transaction ledger across accounts with live holdings, tax lots, time-weighted returns and benchmark comparison.',
+                metrics: [
+                    { icon: 'fas fa-briefcase', value: this.formatCurrency(portfolio.totalValue), label: 'Portfolio value' },
+                    {
+                        icon: 'fas fa-chart-line',
+                        value: overall ? this.formatReturn(overall.annualizedTwr ?? overall.twr) : '—',
+                        label: overall && overall.annualizedTwr === null ? 'Return since inception' : 'Annual return'
+                    },
+                    { icon: 'fas fa-balance-scale', value: overall && overall.sharpe !== null ? overall.sharpe.toFixed(2) : '—', label: 'Risk-adjusted return (Sharpe)' }
+                ]
+            },
+            trading: {
+                title: 'Paper Trading',
+                description: 'Practice with a simulated brokerage: market, limit, stop and stop-limit orders filled against live quotes.',
+                metrics: [
+                    { icon: 'fas fa-exchange-alt', value: paper.filledCount, label: 'Trades executed' },
+                    { icon: 'fas fa-hourglass-half', value: paper.openCount, label: 'Open orders' },
+                    { icon: 'fas fa-wallet', value: this.formatSignedCurrency(paper.totalPnL), label: 'Paper P&L' }
+                ]
+            },
+            alerts: {
+                title: 'Smart Alerts System',
+                description: 'Price, percent-move, volume and moving-average alerts delivered in the page and as browser notifications.',
+                metrics: [
+                    { icon: 'fas fa-bell', value: this.alerts.filter(alert => alert.active).length, label: 'Active alerts' },
+                    { icon: 'fas fa-clock', value: this.alertHistory.filter(entry => this.formatDateKey(new Date(entry.triggeredAt)) === this.formatDateKey(new Date())).length, label: 'Triggered today' },
+                    { icon: 'fas fa-bullseye', value: new Set(this.alerts.filter(alert => alert.active).map(alert => alert.symbol)).size, label: 'Symbols monitored' }
+                ]
+            }
+        };
+
+        const content = contentMap[tabType] || contentMap.analysis;
+
+        // Update the content
+        const titleElement = document.querySelector('.capability-info h3');
+        const descriptionElement = document.querySelector('.capability-info p');
+        const metricsContainer = document.querySelector('.metrics-grid');
+
+        if (titleElement) titleElement.textContent = content.title;
+        if (descriptionElement) descriptionElement.textContent = content.description;
+
+        if (metricsContainer) {
+            metricsContainer.innerHTML = '';
+            content.metrics.forEach(metric => {
+                const metricCard = document.createElement('div');
+                metricCard.className = 'metric-card';
+                metricCard.innerHTML = `
+                    <div class="metric-icon">
+                        <i class="${metric.icon}"></i>
+                    </div>
+                    <div class="metric-value">${metric.value}</div>
+                    <div class="metric-label">${metric.label}</div>
+                `;
+                metricsContainer.appendChild(metricCard);
+            });
+        }
+    }
+
+    /**
+     * Alert conditions with the meaning of their value
+     */
+    getAlertTypes() {
+        return {
+            above: { label: 'Price crosses above', hint: 'Target price in dollars' },
+            below: { label: 'Price crosses below', hint: 'Target price in dollars' },
+            percentMove: { label: 'Daily move of at least', hint: 'Percent change from the previous close, up or down' },
+            volumeSpike: { label: 'Volume spike of at least', hint: 'Multiple of the average daily volume over the last month' },
+            maCross: { label: 'Price crosses moving average', hint: 'Moving average period in trading days' }
+        };
+    }
+
+    /**
+     * Unique id for stored records
+     */
+    generateId(prefix) {
+        return `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    }
+
+    /**
+     * Load alerts and their trigger history from localStorage
+     */
+    loadAlertsFromStorage() {
+        this.alerts = this.readStorage('priceAlerts');
+        this.alertHistory = this.readStorage('alertHistory');
+    }
+
+    /**
+     * Persist alerts and trigger history
+     */
+    saveAlerts() {
+        this.writeStorage('priceAlerts', this.alerts);
+        this.writeStorage('alertHistory', this.alertHistory);
+    }
+
+    /**
+     * Wire the alert form, list and history controls
+     */
+    setupAlerts() {
+        const form = document.getElementById('alertForm');
+        const typeSelect = document.getElementById('alertType');
+        const hint = document.getElementById('alertValueHint');
+        const list = document.getElementById('alertsList');
+        const clearHistoryBtn = document.getElementById('clearAlertHistory');
+        const stockAlertBtn = document.getElementById('createAlertForStock');
+
+        if (typeSelect && hint) {
+            const updateHint = () => {
+                hint.textContent = this.getAlertTypes()[typeSelect.value].hint;
+            };
+            typeSelect.addEventListener('change', updateHint);
+            updateHint();
+        }
+
+        if (form) {
+            form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.createAlert({
+                    symbol: document.getElementById('alertSymbol').value,
+                    type: typeSelect.value,
+                    value: document.getElementById('alertValue').value,
+                    frequency: document.getElementById('alertFrequency').value
+                });
+            });
+        }
+
+        if (list) {
+            list.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-alert-action]');
+                if (!button) return;
+
+                const id = button.closest('[data-alert-id]').getAttribute('data-alert-id');
+                if (button.getAttribute('data-alert-action') === 'delete') {
+                    this.deleteAlert(id);
+                } else {
+                    this.toggleAlert(id);
+                }
+            });
+        }
+
+        if (clearHistoryBtn) {
+            clearHistoryBtn.addEventListener('click', () => {
+                this.alertHistory = [];
+                this.saveAlerts();
+                this.renderAlerts();
+            });
+        }
+
+        // Prefill the form from the stock being viewed
+        if (stockAlertBtn) {
+            stockAlertBtn.addEventListener('click', () => {
+                if (!this.currentStock) return;
+
+                document.getElementById('alertSymbol').value = this.currentStock.symbol;
+                document.getElementById('alertValue').value = this.currentStock.price.toFixed(2);
+                const alertsSection = document.getElementById('alerts');
+                if (alertsSection) {
+                    this.smoothScrollTo(alertsSection);
+                }
+            });
+        }
+
+        this.renderAlerts();
+    }
+
+    /**
+     * Validate and store a new alert
+     */
+    createAlert({ symbol, type, value, frequency }) {
+        const cleanSymbol = symbol.trim().toUpperCase();
+        const threshold = parseFloat(value);
+
+        if (!/^[A-Z0-9.^-]{1,10}$/.test(cleanSymbol)) {
+            this.showNotification('Please enter a valid stock symbol', 'warning');
+            return null;
+        }
+        if (!this.getAlertTypes()[type]) {
+            this.showNotification('Please choose an alert condition', 'warning');
+            return null;
+        }
+        if (!Number.isFinite(threshold) || threshold <= 0) {
+            this.showNotification('Alert value must be a positive number', 'warning');
+            return null;
+        }
+        if (type === 'maCross' && (!Number.isInteger(threshold) || threshold < 2 || threshold > 200)) {
+            this.showNotification('Moving average period must be a whole number between 2 and 200', 'warning');
+            return null;
+        }
+
+        // Crossing alerts need a starting side; use the price on screen when we have it
+        const knownPrice = this.currentStock && this.currentStock.symbol === cleanSymbol ? this.currentStock.price : null;
+
+        const alert = {
+            id: this.generateId('alert'),
+            symbol: cleanSymbol,
+            type,
+            value: threshold,
+            frequency: frequency === 'daily' ? 'daily' : 'once',
+            active: true,
+            createdAt: new Date().toISOString(),
+            lastTriggeredAt: null,
+            lastPrice: knownPrice,
+            lastSide: null
+        };
+
+        this.alerts.push(alert);
+        this.saveAlerts();
+        this.renderAlerts();
+        this.requestNotificationPermission();
+        this.showNotification(`Alert created: ${cleanSymbol} ${this.describeAlert(alert)}`, 'success');
+
+        const valueInput = document.getElementById('alertValue');
+        if (valueInput) {
+            valueInput.value = '';
+        }
+
+        return alert;
+    }
+
+    /**
+     * Delete an alert
+     */
+    deleteAlert(id) {
+        this.alerts = this.alerts.filter(alert => alert.id !== id);
+        this.saveAlerts();
+        this.renderAlerts();
+    }
+
+    /**
+     * Pause an active alert, or re-arm a paused/triggered one
+     */
+    toggleAlert(id) {
+        const alert = this.alerts.find(item => item.id === id);
+        if (!alert) return;
+
+        alert.active = !alert.active;
+        if (alert.active) {
+            // Re-armed crossing alerts start from the next observed price
+            alert.lastPrice = null;
+            alert.lastSide = null;
+        }
+        this.saveAlerts();
+        this.renderAlerts();
+    }
+
+    /**
+     * Human readable alert condition
+     */
+    describeAlert(alert) {
+        const label = this.getAlertTypes()[alert.type].label.toLowerCase();
+        const values = {
+            above: this.formatCurrency(alert.value),
+            below: this.formatCurrency(alert.value),
+            percentMove: `${alert.value}%`,
+            volumeSpike: `${alert.value}× average`,
+            maCross: `(${alert.value}-day)`
+        };
+        return `${label} ${values[alert.type]}`;
+    }
+
+    /**
+     * Ask for browser notification permission once, after a user action
+     */
+    requestNotificationPermission() {
+        if ('Notification' in window && Notification.permission === 'default') {
+            Notification.requestPermission().catch(error => {
+                console.warn('Notification permission request failed:', error);
+            });
+        }
+    }
+
+    /**
+     * Evaluate every active alert for a symbol against a fresh quote
+     */
+    async evaluateAlerts(quote) {
+        const alerts = this.alerts.filter(alert => alert.active && alert.symbol === quote.symbol);
+        if (alerts.length === 0) return;
+
+        const today = this.formatDateKey(new Date());
+
+        for (const alert of alerts) {
+            // Searches, the watchlist and the monitor all evaluate quotes; an alert is only checked by one at a time
+            if (this.evaluatingAlerts.has(alert.id)) continue;
+
+            let result;
+            this.evaluatingAlerts.add(alert.id);
+            try {
+                result = await this.checkAlertCondition(alert, quote);
+            } catch (error) {
+                console.error(`Error evaluating alert for ${alert.symbol}:`, error);
+                continue;
+            } finally {
+                this.evaluatingAlerts.delete(alert.id);
+            }
+
+            // It may have been paused, deleted or reloaded from another tab while its history loaded
+            if (!alert.active || !this.alerts.includes(alert)) continue;
+
+            // Crossing state always advances, even while a daily alert is cooling down
+            Object.assign(alert, result.state);
+
+            const firedToday = alert.lastTriggeredAt && this.formatDateKey(new Date(alert.lastTriggeredAt)) === today;
+            if (result.triggered && !(alert.frequency === 'daily' && firedToday)) {
+                this.fireAlert(alert, result.message, quote);
+            }
+        }
+
+        this.saveAlerts();
+        this.renderAlerts();
+    }
+
+    /**
+     * Check one alert: returns whether it fired, the message and updated crossing state
+     */
+    async checkAlertCondition(alert, quote) {
+        const { symbol, price } = quote;
+
+        if (alert.type === 'above' || alert.type === 'below') {
+            const previous = alert.lastPrice;
+            const crossed = previous !== null && previous !== undefined && (alert.type === 'above'
+                ? previous < alert.value && price >= alert.value
+                : previous > alert.value && price <= alert.value);
+
+            return {
+                triggered: crossed,
+                message: `${symbol} crossed ${alert.type} ${this.formatCurrency(alert.value)} (now ${this.formatCurrency(price)})`,
+                state: { lastPrice: price }
+            };
+        }
+
+        if (alert.type === 'percentMove') {
+            return {
+                triggered: Math.abs(quote.changePercent) >= alert.value,
+                message: `${symbol} moved ${quote.changePercent >= 0 ? '+' : ''}${quote.changePercent.toFixed(2)}% today (now ${this.formatCurrency(price)})`,
+                state: {}
+            };
+        }
+
+        if (alert.type === 'volumeSpike') {
+            const history = await this.loadHistory(symbol, { range: '1mo', interval: '1d' });
+            const previousDays = history.slice(0, -1);
+            const averageVolume = previousDays.reduce((sum, bar) => sum + bar.volume, 0) / (previousDays.length || 1);
+            const ratio = averageVolume > 0 ? quote.volume / averageVolume : 0;
+
+            return {
+                triggered: ratio >= alert.value,
+                message: `${symbol} volume is ${ratio.toFixed(1)}× its average (${this.formatNumber(quote.volume)})`,
+                state: {}
+            };
+        }
+
+        // Moving-average cross: today's bar is replaced by the live price
+        const history = await this.loadHistory(symbol, { range: '2y', interval: '1d' });
+        const closes = history.map(bar => this.getOhlc(bar).close);
+        closes[closes.length - 1] = price;
+        const average = this.calculateSMA(closes, alert.value).pop();
+        if (average === null || average === undefined) {
+            return { triggered: false, message: '', state: {} };
+        }
+
+        const side = price >= average ? 'above' : 'below';
+        return {
+            triggered: Boolean(alert.lastSide) && alert.lastSide !== side,
+            message: `${symbol} crossed ${side} its ${alert.value}-day average of ${this.formatCurrency(average)} (now ${this.formatCurrency(price)})`,
+            state: { lastSide: side }
+        };
+    }
+
+    /**
+     * Record a triggered alert and deliver it in-page and as a browser notification
+     */
+    fireAlert(alert, message, quote) {
+        const triggeredAt = new Date().toISOString();
+
+        alert.lastTriggeredAt = triggeredAt;
+        if (alert.frequency === 'once') {
+            alert.active = false;
+        }
+
+        this.alertHistory.unshift({
+            id: this.generateId('trigger'),
+            alertId: alert.id,
+            symbol: alert.symbol,
+            message,
+            price: quote.price,
+            triggeredAt
+        });
+        this.alertHistory = this.alertHistory.slice(0, this.config.alerts.historyLimit);
+
+        this.showNotification(this.escapeHtml(message), 'warning');
+
+        if ('Notification' in window && Notification.permission === 'granted') {
+            try {
+                new Notification(`StockScope alert: ${alert.symbol}`, { body: message, tag: alert.id });
+            } catch (error) {
+                console.warn('Browser notification failed:', error);
+            }
+        }
+    }
+
+    /**
+     * Periodically fetch quotes for every symbol with an active alert
+     */
+    startAlertMonitor() {
+        clearInterval(this.alertTimer);
+        this.alertTimer = setInterval(() => {
+            this.checkAlerts();
+        }, this.config.alerts.checkInterval);
+    }
+
+    /**
+     * Fetch a quote for each alerted symbol and evaluate its alerts
+     */
+    async checkAlerts() {
+        const symbols = [...new Set(this.alerts.filter(alert => alert.active).map(alert => alert.symbol))];
+
+        for (const symbol of symbols) {
+            try {
+                const quote = await this.requestMarketData('quote', symbol);
+                await this.evaluateAlerts(quote);
+            } catch (error) {
+                console.error(`Error checking alerts for ${symbol}:`, error);
+            }
+        }
+    }
+
+    /**
+     * Render the alert management list and trigger history
+     */
+    renderAlerts() {
+        const list = document.getElementById('alertsList');
+        const historyList = document.getElementById('alertHistoryList');
+        const count = document.getElementById('alertsCount');
+
+        if (count) {
+            count.textContent = this.alerts.filter(alert => alert.active).length;
+        }
+
+        if (list) {
+            list.innerHTML = this.alerts.length === 0
+                ? '<p class="alerts-empty">No alerts yet. Create one above.</p>'
+                : this.alerts.map(alert => {
+                    const status = alert.active ? 'active' : (alert.lastTriggeredAt ? 'triggered' : 'paused');
+                    const statusLabels = { active: 'Active', triggered: 'Triggered', paused: 'Paused' };
+
+                    return `
+                        <div class="alert-item" data-alert-id="${this.escapeHtml(alert.id)}">
+                            <div class="alert-details">
+                                <strong>${this.escapeHtml(alert.symbol)}</strong>
+                                <span>${this.escapeHtml(this.describeAlert(alert))}</span>
+                                <small>${alert.frequency === 'daily' ? 'Once per day' : 'Once'}${alert.lastTriggeredAt ? ` · last triggered ${new Date(alert.lastTriggeredAt).toLocaleString()}` : ''}</small>
+                            </div>
+                            <span class="alert-status ${status}">${statusLabels[status]}</span>
+                            <div class="alert-actions">
+                                <button class="alert-action-btn" data-alert-action="toggle" title="${alert.active ? 'Pause' : 'Re-arm'}">
+                                    <i class="fas ${alert.active ? 'fa-pause' : 'fa-play'}"></i>
+                                </button>
+                                <button class="alert-action-btn" data-alert-action="delete" title="Delete">
+                                    <i class="fas fa-trash"></i>
+                                </button>
+                            </div>
+                        </div>
+                    `;
+                }).join('');
+        }
+
+        if (historyList) {
+            historyList.innerHTML = this.alertHistory.length === 0
+                ? '<p class="alerts-empty">No alerts have triggered yet.</p>'
+                : this.alertHistory.map(entry => `
+                    <div class="alert-item history">
+                        <div class="alert-details">
+                            <strong>${this.escapeHtml(entry.symbol)}</strong>
+                            <span>${this.escapeHtml(entry.message)}</span>
+                            <small>${new Date(entry.triggeredAt).toLocaleString()}</small>
+                        </div>
+                    </div>
+                `).join('');
+        }
+    }
+
+    /**
+     * Ledger transaction types and the fields each one records
+     */
+    getTransactionTypes() {
+        return {
+            buy: { label: 'Buy', fields: ['symbol', 'quantity', 'price', 'fees'] },
+            sell: { label: 'Sell', fields: ['symbol', 'quantity', 'price', 'fees', 'lotMethod', 'lots'] },
+            dividend: { label: 'Dividend', fields: ['symbol', 'amount'] },
+            split: { label: 'Split', fields: ['symbol', 'ratio'] },
+            deposit: { label: 'Deposit', fields: ['amount'] },
+            withdrawal: { label: 'Withdrawal', fields: ['amount'] }
+        };
+    }
+
+    /**
+     * Whether stored transactions have the fields their types need and every account's ledger replays
+     */
+    isValidLedger(transactions) {
+        const types = this.getTransactionTypes();
+        const positive = value => Number.isFinite(value) && value > 0;
+        const text = value => typeof value === 'string' && value.trim() !== '';
+
+        const wellFormed = transactions.every(tx => {
+            if (tx === null || typeof tx !== 'object' || !types[tx.type]) return false;
+            if (![tx.id, tx.accountId, tx.date, tx.createdAt].every(text)) return false;
+
+            const fields = types[tx.type].fields;
+            return ['quantity', 'price', 'amount', 'ratio'].every(field => !fields.includes(field) || positive(tx[field]))
+                && (!fields.includes('symbol') || text(tx.symbol))
+                && (!fields.includes('fees') || (Number.isFinite(tx.fees) && tx.fees >= 0));
+        });
+        if (!wellFormed) return false;
+
+        const accountIds = [...new Set(transactions.map(tx => tx.accountId))];
+        try {
+            accountIds.forEach(id => this.replayTransactions(transactions.filter(tx => tx.accountId === id)));
+            return true;
+        } catch (error) {
+            console.error('Saved ledger does not replay:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Load accounts and the transaction ledger from localStorage
+     */
+    loadPortfolioFromStorage() {
+        this.accounts = this.readStorage('portfolioAccounts');
+        this.transactions = this.readStorage('portfolioTransactions');
+
+        // Transactions always belong to an account, so start with a default one
+        if (this.accounts.length === 0) {
+            this.accounts.push({ id: this.generateId('account'), name: 'Main', createdAt: new Date().toISOString() });
+        }
+    }
+
+    /**
+     * Persist accounts and the transaction ledger
+     */
+    savePortfolio() {
+        this.writeStorage('portfolioAccounts', this.accounts);
+        this.writeStorage('portfolioTransactions', this.transactions);
+    }
+
+    /**
+     * Wire the account picker, transaction form, ledger and holdings cards
+     */
+    setupPortfolio() {
+        const accountSelect = document.getElementById('portfolioAccount');
+        const accountForm = document.getElementById('accountForm');
+        const refreshBtn = document.getElementById('refreshPortfolio');
+        const form = document.getElementById('transactionForm');
+        const typeSelect = document.getElementById('txType');
+        const dateInput = document.getElementById('txDate');
+        const list = document.getElementById('transactionList');
+        const carousel = document.getElementById('portfolioCarousel');
+        const taxYearSelect = document.getElementById('taxYear');
+        const exportBtn = document.getElementById('exportGains');
+
+        if (accountSelect) {
+            accountSelect.addEventListener('change', () => {
+                this.portfolioAccount = accountSelect.value;
+                this.renderPortfolio();
+            });
+        }
+
+        if (accountForm) {
+            accountForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.addAccount(document.getElementById('newAccountName').value);
+            });
+        }
+
+        if (refreshBtn) {
+            refreshBtn.addEventListener('click', () => {
+                this.refreshPortfolioQuotes();
+            });
+        }
+
+        if (dateInput) {
+            dateInput.value = this.formatDateKey(new Date());
+        }
+
+        // The specific-lot picker depends on the account, symbol and date being entered
+        ['txType', 'txLotMethod', 'txAccount', 'txSymbol', 'txDate'].forEach(id => {
+            const input = document.getElementById(id);
+            if (input) {
+                input.addEventListener('change', () => {
+                    this.updateTransactionFields();
+                });
+            }
+        });
+        if (typeSelect) {
+            this.updateTransactionFields();
+        }
+
+        document.querySelectorAll('#performanceControls .chart-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.switchPerformancePeriod(btn);
+            });
+        });
+
+        if (taxYearSelect) {
+            taxYearSelect.addEventListener('change', () => {
+                this.renderTaxReport();
+            });
+        }
+
+        if (exportBtn) {
+            exportBtn.addEventListener('click', () => {
+                this.exportTaxReport(taxYearSelect.value);
+            });
+        }
+
+        if (form) {
+            form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.addTransaction({
+                    accountId: document.getElementById('txAccount').value,
+                    type: typeSelect.value,
+                    date: dateInput.value,
+                    symbol: document.getElementById('txSymbol').value,
+                    quantity: document.getElementById('txQuantity').value,
+                    price: document.getElementById('txPrice').value,
+                    fees: document.getElementById('txFees').value,
+                    amount: document.getElementById('txAmount').value,
+                    ratio: document.getElementById('txRatio').value,
+                    lotMethod: document.getElementById('txLotMethod').value,
+                    lotSelections: [...document.querySelectorAll('#txLotPicker [data-lot-id]')].map(input => ({
+                        lotId: input.getAttribute('data-lot-id'),
+                        quantity: parseFloat(input.value) || 0
+                    }))
+                });
+            });
+        }
+
+        if (list) {
+            list.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-transaction-action="delete"]');
+                if (button) {
+                    this.deleteTransaction(button.closest('[data-transaction-id]').getAttribute('data-transaction-id'));
+                }
+            });
+        }
+
+        if (carousel) {
+            carousel.addEventListener('click', (e) => {
+                const card = e.target.closest('.portfolio-item[data-symbol]');
+                if (card) {
+                    this.searchStock(card.getAttribute('data-symbol'));
+                }
+            });
+        }
+
+        this.renderPortfolio();
+    }
+
+    /**
+     * Show only the form fields the selected transaction type uses
+     */
+    updateTransactionFields() {
+        const type = document.getElementById('txType').value;
+        const fields = this.getTransactionTypes()[type].fields;
+        const lotMethod = document.getElementById('txLotMethod');
+        const specific = lotMethod && lotMethod.value === 'specific';
+
+        document.querySelectorAll('#transactionForm [data-tx-field]').forEach(label => {
+            const field = label.getAttribute('data-tx-field');
+            label.style.display = fields.includes(field) && (field !== 'lots' || specific) ? '' : 'none';
+        });
+
+        if (fields.includes('lots') && specific) {
+            this.renderLotPicker();
+        }
+    }
+
+    /**
+     * List the open lots a sale can draw from, as of the entered trade date
+     */
+    renderLotPicker() {
+        const picker = document.getElementById('txLotPicker');
+        if (!picker) return;
+
+        const accountId = document.getElementById('txAccount').value;
+        const symbol = document.getElementById('txSymbol').value.trim().toUpperCase();
+        const date = document.getElementById('txDate').value;
+
+        if (!symbol || !date) {
+            picker.innerHTML = '<p class="alert-hint">Enter a symbol and date to choose lots.</p>';
+            return;
+        }
+
+        let lots = [];
+        try {
+            const result = this.replayTransactions(this.transactions.filter(tx => tx.accountId === accountId && tx.date <= date));
+            const position = result.positions.find(item => item.symbol === symbol);
+            lots = position ? position.lots : [];
+        } catch (error) {
+            console.error('Error loading open lots:', error);
+        }
+
+        picker.innerHTML = lots.length === 0
+            ? `<p class="alert-hint">No open ${this.escapeHtml(symbol)} lots in this account on ${date}.</p>`
+            : '<p class="alert-hint">Shares to sell from each lot</p>' + lots.map(lot => `
+                <label class="portfolio-lot-option">
+                    <span>${lot.date} · ${this.formatQuantity(lot.quantity)} @ ${this.formatCurrency(lot.costBasis / lot.quantity)} · ${this.getHoldingTerm(lot.date, date) === 'long' ? 'long-term' : 'short-term'}</span>
+                    <input type="number" step="any" min="0" max="${lot.quantity}" placeholder="0" data-lot-id="${lot.id}">
+                </label>
+            `).join('');
+    }
+
+    /**
+     * Create a named account
+     */
+    addAccount(name) {
+        const cleanName = name.trim();
+
+        if (!cleanName) {
+            this.showNotification('Please enter an account name', 'warning');
+            return null;
+        }
+        if (this.accounts.some(account => account.name.toLowerCase() === cleanName.toLowerCase())) {
+            this.showNotification(`An account named "${cleanName}" already exists`, 'warning');
+            return null;
+        }
+
+        const account = { id: this.generateId('account'), name: cleanName, createdAt: new Date().toISOString() };
+        this.accounts.push(account);
+        this.savePortfolio();
+        this.renderPortfolio();
+
+        const txAccount = document.getElementById('txAccount');
+        if (txAccount) {
+            txAccount.value = account.id;
+        }
+        const nameInput = document.getElementById('newAccountName');
+        if (nameInput) {
+            nameInput.value = '';
+        }
+
+        this.showNotification(`Account "${cleanName}" created`, 'success');
+        return account;
+    }
+
+    /**
+     * Validate and record a ledger transaction
+     */
+    addTransaction({ accountId, type, date, symbol, quantity, price, fees, amount, ratio, lotMethod, lotSelections }) {
+        const types = this.getTransactionTypes();
+
+        if (!types[type]) {
+            this.showNotification('Please choose a transaction type', 'warning');
+            return null;
+        }
+        if (!this.accounts.some(account => account.id === accountId)) {
+            this.showNotification('Please choose an account', 'warning');
+            return null;
+        }
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '') || date > this.formatDateKey(new Date())) {
+            this.showNotification('Please enter a transaction date that is not in the future', 'warning');
+            return null;
+        }
+
+        const fields = types[type].fields;
+        const transaction = { id: this.generateId('tx'), accountId, type, date };
+
+        if (fields.includes('symbol')) {
+            const cleanSymbol = (symbol || '').trim().toUpperCase();
+            if (!/^[A-Z0-9.^-]{1,10}$/.test(cleanSymbol)) {
+                this.showNotification('Please enter a valid stock symbol', 'warning');
+                return null;
+            }
+            transaction.symbol = cleanSymbol;
+        }
+
+        const values = { quantity, price, amount, ratio };
+        const labels = { quantity: 'Quantity', price: 'Price', amount: 'Amount', ratio: 'Split ratio' };
+        for (const field of Object.keys(values)) {
+            if (!fields.includes(field)) continue;
+
+            const number = parseFloat(values[field]);
+            if (!Number.isFinite(number) || number <= 0) {
+                this.showNotification(`${labels[field]} must be a positive number`, 'warning');
+                return null;
+            }
+            transaction[field] = number;
+        }
+
+        if (fields.includes('fees')) {
+            const feeAmount = fees === '' || fees === undefined ? 0 : parseFloat(fees);
+            if (!Number.isFinite(feeAmount) || feeAmount < 0) {
+                this.showNotification('Fees cannot be negative', 'warning');
+                return null;
+            }
+            transaction.fees = feeAmount;
+        }
+
+        if (type === 'sell') {
+            transaction.lotMethod = this.getLotMethods()[lotMethod] ? lotMethod : 'fifo';
+
+            if (transaction.lotMethod === 'specific') {
+                transaction.lotSelections = (lotSelections || []).filter(selection => selection.quantity > 0);
+                if (transaction.lotSelections.length === 0) {
+                    this.showNotification('Please enter how many shares to sell from each lot', 'warning');
+                    return null;
+                }
+            }
+        }
+
+        if (type === 'split' && transaction.ratio === 1) {
+            this.showNotification('A split ratio of 1 does not change the position', 'warning');
+            return null;
+        }
+
+        transaction.createdAt = new Date().toISOString();
+
+        // Reject entries that would sell shares or lots the account does not hold
+        try {
+            this.replayTransactions(this.transactions.filter(tx => tx.accountId === accountId).concat(transaction));
+        } catch (error) {
+            this.showNotification(error.message, 'warning');
+            return null;
+        }
+
+        this.transactions.push(transaction);
+        this.savePortfolio();
+        this.renderPortfolio();
+        this.showNotification(`Recorded: ${this.describeTransaction(transaction)}`, 'success');
+
+        ['txQuantity', 'txPrice', 'txFees', 'txAmount', 'txRatio'].forEach(id => {
+            const input = document.getElementById(id);
+            if (input) input.value = '';
+        });
+        if (transaction.lotMethod === 'specific') {
+            this.renderLotPicker();
+        }
+
+        if (transaction.symbol && !this.portfolioQuotes.has(transaction.symbol)) {
+            this.refreshPortfolioQuotes();
+        }
+
+        return transaction;
+    }
+
+    /**
+     * Remove a transaction unless later entries depend on it
+     */
+    deleteTransaction(id) {
+        const transaction = this.transactions.find(tx => tx.id === id);
+        if (!transaction) return false;
+
+        const remaining = this.transactions.filter(tx => tx.id !== id);
+        // Deleting is also how an inconsistent ledger gets repaired, so only protect one that replays cleanly
+        if (!this.getLedgerError(transaction.accountId)) {
+            try {
+                this.replayTransactions(remaining.filter(tx => tx.accountId === transaction.accountId));
+            } catch (error) {
+                this.showNotification(`Cannot delete this transaction: ${error.message}`, 'warning');
+                return false;
+            }
+        }
+
+        this.transactions = remaining;
+        this.savePortfolio();
+        this.renderPortfolio();
+        return true;
+    }
+
+    /**
+     * Ledger order: by trade date, then by the order entries were recorded
+     */
+    sortTransactions(transactions) {
+        return [...transactions].sort((a, b) => a.date.localeCompare(b.date) || a.createdAt.localeCompare(b.createdAt));
+    }
+
+    /**
+     * Cash moved into (+) or out of (-) the account by a transaction
+     */
+    getTransactionCashFlow(transaction) {
+        switch (transaction.type) {
+            case 'buy':
+                return -(transaction.quantity * transaction.price + transaction.fees);
+            case 'sell':
+                return transaction.quantity * transaction.price - transaction.fees;
+            case 'dividend':
+            case 'deposit':
+                return transaction.amount;
+            case 'withdrawal':
+                return -transaction.amount;
+            default:
+                return 0;
+        }
+    }
+
+    /**
+     * Lot relief methods available when selling
+     */
+    getLotMethods() {
+        return {
+            fifo: 'First in, first out',
+            lifo: 'Last in, first out',
+            hifo: 'Highest cost first',
+            specific: 'Specific lots'
+        };
+    }
+
+    /**
+     * Replay one account's transactions into tax lots, positions and cash.
+     * Throws when a sell exceeds the shares held or names a lot that is not open.
+     */
+    replayTransactions(transactions) {
+        const positions = new Map();
+        const realizations = [];
+        const totals = { cash: 0, netDeposits: 0, realizedPnL: 0, dividends: 0, fees: 0 };
+
+        this.sortTransactions(transactions).forEach(tx => {
+            totals.cash += this.getTransactionCashFlow(tx);
+
+            if (tx.type === 'deposit' || tx.type === 'withdrawal') {
+                totals.netDeposits += tx.type === 'deposit' ? tx.amount : -tx.amount;
+                return;
+            }
+
+            if (!positions.has(tx.symbol)) {
+                positions.set(tx.symbol, { symbol: tx.symbol, lots: [], realizedPnL: 0, dividends: 0 });
+            }
+            const position = positions.get(tx.symbol);
+
+            if (tx.type === 'buy') {
+                // Each purchase is its own lot; fees are part of its cost basis
+                position.lots.push({
+                    id: tx.id,
+                    accountId: tx.accountId,
+                    symbol: tx.symbol,
+                    date: tx.date,
+                    quantity: tx.quantity,
+                    costBasis: tx.quantity * tx.price + tx.fees
+                });
+                totals.fees += tx.fees;
+            } else if (tx.type === 'sell') {
+                const proceeds = tx.quantity * tx.price - tx.fees;
+
+                this.selectLots(position.lots, tx).forEach(({ lot, quantity }) => {
+                    const share = quantity / lot.quantity;
+                    const costBasis = lot.costBasis * share;
+                    const lotProceeds = proceeds * (quantity / tx.quantity);
+
+                    lot.quantity -= quantity;
+                    lot.costBasis -= costBasis;
+                    realizations.push({
+                        transactionId: tx.id,
+                        lotId: lot.id,
+                        accountId: tx.accountId,
+                        symbol: tx.symbol,
+                        quantity,
+                        acquired: lot.date,
+                        sold: tx.date,
+                        proceeds: lotProceeds,
+                        costBasis,
+                        gain: lotProceeds - costBasis,
+                        term: this.getHoldingTerm(lot.date, tx.date)
+                    });
+                    position.realizedPnL += lotProceeds - costBasis;
+                    totals.realizedPnL += lotProceeds - costBasis;
+                });
+
+                // Small tolerance for fractional shares after splits
+                position.lots = position.lots.filter(lot => lot.quantity > 1e-9);
+                totals.fees += tx.fees;
+            } else if (tx.type === 'dividend') {
+                position.dividends += tx.amount;
+                totals.dividends += tx.amount;
+            } else if (tx.type === 'split') {
+                // Lot cost is unchanged, so the per-share cost falls by the same ratio
+                position.lots.forEach(lot => {
+                    lot.quantity *= tx.ratio;
+                });
+            }
+        });
+
+        return {
+            positions: [...positions.values()].map(position => ({
+                ...position,
+                quantity: position.lots.reduce((sum, lot) => sum + lot.quantity, 0),
+                costBasis: position.lots.reduce((sum, lot) => sum + lot.costBasis, 0)
+            })),
+            realizations,
+            ...totals
+        };
+    }
+
+    /**
+     * Pick the lots a sale relieves, using the sale's lot method
+     */
+    selectLots(lots, tx) {
+        const held = lots.reduce((sum, lot) => sum + lot.quantity, 0);
+        if (tx.quantity > held + 1e-9) {
+            throw new Error(`Cannot sell ${this.formatQuantity(tx.quantity)} ${tx.symbol} on ${tx.date}: only ${this.formatQuantity(held)} held`);
+        }
+
+        if (tx.lotMethod === 'specific') {
+            const selections = (tx.lotSelections || []).map(selection => {
+                const lot = lots.find(item => item.id === selection.lotId);
+                if (!lot) {
+                    throw new Error(`A selected ${tx.symbol} lot is no longer open on ${tx.date}`);
+                }
+                if (selection.quantity > lot.quantity + 1e-9) {
+                    throw new Error(`Only ${this.formatQuantity(lot.quantity)} shares remain in the ${tx.symbol} lot from ${lot.date}`);
+                }
+                return { lot, quantity: Math.min(selection.quantity, lot.quantity) };
+            });
+
+            const selected = selections.reduce((sum, selection) => sum + selection.quantity, 0);
+            if (Math.abs(selected - tx.quantity) > 1e-9) {
+                throw new Error(`Selected lots add up to ${this.formatQuantity(selected)} shares, not the ${this.formatQuantity(tx.quantity)} being sold`);
+            }
+            return selections;
+        }
+
+        // Lots are kept in acquisition order, which is FIFO order
+        const ordered = [...lots];
+        if (tx.lotMethod === 'lifo') {
+            ordered.reverse();
+        } else if (tx.lotMethod === 'hifo') {
+            ordered.sort((a, b) => b.costBasis / b.quantity - a.costBasis / a.quantity);
+        }
+
+        const selections = [];
+        let remaining = tx.quantity;
+        for (const lot of ordered) {
+            if (remaining <= 1e-9) break;
+
+            const quantity = Math.min(lot.quantity, remaining);
+            selections.push({ lot, quantity });
+            remaining -= quantity;
+        }
+        return selections;
+    }
+
+    /**
+     * Long-term once held for more than one year
+     */
+    getHoldingTerm(acquired, sold) {
+        const anniversary = `${parseInt(acquired.slice(0, 4), 10) + 1}${acquired.slice(4)}`;
+        return sold > anniversary ? 'long' : 'short';
+    }
+
+    /**
+     * Realized gains per sold lot across all accounts, with wash sales flagged
+     */
+    getRealizedGains() {
+        const realizations = this.accounts.flatMap(account => {
+            try {
+                return this.replayTransactions(this.transactions.filter(tx => tx.accountId === account.id)).realizations;
+            } catch (error) {
+                // Reported by the portfolio's ledger error state
+                return [];
+            }
+        });
+        const buys = this.transactions.filter(tx => tx.type === 'buy');
+        const sales = new Map();
+
+        realizations.forEach(realization => {
+            realization.washSale = false;
+            realization.disallowedLoss = 0;
+            if (!sales.has(realization.transactionId)) {
+                sales.set(realization.transactionId, []);
+            }
+            sales.get(realization.transactionId).push(realization);
+        });
+
+        // A loss is a wash sale when the same symbol is bought in any account within
+        // 30 days of the sale; each sale is matched independently against those purchases
+        sales.forEach(group => {
+            const { symbol, sold } = group[0];
+            const soldLots = new Set(group.map(realization => realization.lotId));
+            let replacementShares = buys
+                .filter(tx => tx.symbol === symbol && !soldLots.has(tx.id) &&
+                    Math.abs(Date.parse(tx.date) - Date.parse(sold)) <= 30 * 24 * 60 * 60 * 1000)
+                .reduce((sum, tx) => sum + tx.quantity, 0);
+
+            group.filter(realization => realization.gain < 0).forEach(realization => {
+                const matched = Math.min(replacementShares, realization.quantity);
+                if (matched <= 0) return;
+
+                replacementShares -= matched;
+                realization.washSale = true;
+                realization.disallowedLoss = -realization.gain * (matched / realization.quantity);
+            });
+        });
+
+        return realizations.sort((a, b) => a.sold.localeCompare(b.sold));
+    }
+
+    /**
+     * Realized gains for one tax year, with short- and long-term totals after wash-sale adjustments
+     */
+    getTaxReport(year) {
+        const rows = this.getRealizedGains().filter(realization => realization.sold.startsWith(`${year}-`));
+        const totals = { proceeds: 0, costBasis: 0, disallowedLoss: 0, shortTerm: 0, longTerm: 0 };
+
+        rows.forEach(row => {
+            totals.proceeds += row.proceeds;
+            totals.costBasis += row.costBasis;
+            totals.disallowedLoss += row.disallowedLoss;
+            totals[row.term === 'long' ? 'longTerm' : 'shortTerm'] += row.gain + row.disallowedLoss;
+        });
+
+        return { year, rows, totals: { ...totals, total: totals.shortTerm + totals.longTerm } };
+    }
+
+    /**
+     * Download a tax year's realized gains as CSV
+     */
+    exportTaxReport(year) {
+        const report = this.getTaxReport(year);
+        if (report.rows.length === 0) {
+            this.showNotification(`No realized gains to export for ${year}`, 'warning');
+            return;
+        }
+
+        const accountNames = new Map(this.accounts.map(account => [account.id, account.name]));
+        const csvCell = value => /[",\n]/.test(String(value)) ? `"${String(value).replace(/"/g, '""')}"` : String(value);
+        const lines = [
+            ['Account', 'Symbol', 'Quantity', 'Date Acquired', 'Date Sold', 'Proceeds', 'Cost Basis', 'Gain/Loss', 'Term', 'Wash Sale', 'Disallowed Loss', 'Adjusted Gain/Loss'],
+            ...report.rows.map(row => [
+                accountNames.get(row.accountId) || '',
+                row.symbol,
+                row.quantity,
+                row.acquired,
+                row.sold,
+                row.proceeds.toFixed(2),
+                row.costBasis.toFixed(2),
+                row.gain.toFixed(2),
+                row.term === 'long' ? 'Long-term' : 'Short-term',
+                row.washSale ? 'Yes' : 'No',
+                row.disallowedLoss.toFixed(2),
+                (row.gain + row.disallowedLoss).toFixed(2)
+            ])
+        ];
+
+        this.downloadFile(`realized-gains-${year}.csv`, lines.map(cells => cells.map(csvCell).join(',')).join('\n'), 'text/csv');
+        this.showNotification(`Exported ${report.rows.length} realized lots for ${year}`, 'success');
+    }
+
+    /**
+     * Save generated text as a file in the browser
+     */
+    downloadFile(filename, content, type) {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Render the tax-year picker, totals and realized lots table
+     */
+    renderTaxReport() {
+        const yearSelect = document.getElementById('taxYear');
+        if (!yearSelect) return;
+
+        const currentYear = String(new Date().getFullYear());
+        const years = [...new Set([currentYear, ...this.getRealizedGains().map(realization => realization.sold.slice(0, 4))])]
+            .sort()
+            .reverse();
+        const selected = years.includes(yearSelect.value) ? yearSelect.value : years[0];
+
+        yearSelect.innerHTML = '';
+        years.forEach(year => yearSelect.appendChild(new Option(year, year)));
+        yearSelect.value = selected;
+
+        const report = this.getTaxReport(selected);
+        const pnlClass = value => value > 0 ? 'positive' : value < 0 ? 'negative' : 'neutral';
+
+        const summary = document.getElementById('taxSummary');
+        if (summary) {
+            const stats = [
+                { label: 'Proceeds', value: this.formatCurrency(report.totals.proceeds) },
+                { label: 'Cost basis', value: this.formatCurrency(report.totals.costBasis) },
+                { label: 'Short-term', value: this.formatSignedCurrency(report.totals.shortTerm), className: pnlClass(report.totals.shortTerm) },
+                { label: 'Long-term', value: this.formatSignedCurrency(report.totals.longTerm), className: pnlClass(report.totals.longTerm) },
+                { label: 'Wash-sale disallowed', value: this.formatCurrency(report.totals.disallowedLoss) },
+                { label: 'Net realized', value: this.formatSignedCurrency(report.totals.total), className: pnlClass(report.totals.total) }
+            ];
+
+            summary.innerHTML = stats.map(stat => `
+                <div class="portfolio-stat">
+                    <span class="portfolio-stat-label">${stat.label}</span>
+                    <strong class="portfolio-stat-value ${stat.className || ''}">${stat.value}</strong>
+                </div>
+            `).join('');
+        }
+
+        const tableBody = document.querySelector('#realizedGainsTable tbody');
+        if (tableBody) {
+            tableBody.innerHTML = report.rows.length === 0
+                ? `<tr><td colspan="8" class="alerts-empty">No sales in ${selected}</td></tr>`
+                : report.rows.map(row => `
+                    <tr>
+                        <td><strong>${row.symbol}</strong></td>
+                        <td>${this.formatQuantity(row.quantity)}</td>
+                        <td>${row.acquired}</td>
+                        <td>${row.sold}</td>
+                        <td>${this.formatCurrency(row.proceeds)}</td>
+                        <td>${this.formatCurrency(row.costBasis)}</td>
+                        <td class="${pnlClass(row.gain)}">${this.formatSignedCurrency(row.gain)}${row.washSale ? ` <span class="wash-sale-badge" title="${this.formatCurrency(row.disallowedLoss)} of this loss is disallowed">Wash sale</span>` : ''}</td>
+                        <td>${row.term === 'long' ? 'Long' : 'Short'}</td>
+                    </tr>
+                `).join('');
+        }
+    }
+
+    /**
+     * Why an account's stored ledger cannot be replayed, or null when it is consistent
+     */
+    getLedgerError(accountId) {
+        try {
+            this.replayTransactions(this.transactions.filter(tx => tx.accountId === accountId));
+            return null;
+        } catch (error) {
+            return error.message;
+        }
+    }
+
+    /**
+     * Holdings, cash and P&L for one account or all accounts, valued at the latest quotes.
+     * Accounts whose ledger cannot be replayed are left out and listed in `errors`.
+     */
+    getPortfolioHoldings(accountId = this.portfolioAccount) {
+        const accountIds = accountId === 'all' ? this.accounts.map(account => account.id) : [accountId];
+        const merged = new Map();
+        const summary = { cash: 0, netDeposits: 0, realizedPnL: 0, dividends: 0, fees: 0 };
+        const errors = [];
+
+        // Lots stay with their account; positions are combined across accounts
+        accountIds.forEach(id => {
+            let result;
+            try {
+                result = this.replayTransactions(this.transactions.filter(tx => tx.accountId === id));
+            } catch (error) {
+                // A ledger edited by hand or in another tab can sell shares it no longer holds
+                const account = this.accounts.find(item => item.id === id);
+                errors.push({ accountId: id, accountName: account ? account.name : 'Unknown account', message: error.message });
+                return;
+            }
+
+            Object.keys(summary).forEach(key => {
+                summary[key] += result[key];
+            });
+
+            result.positions.forEach(position => {
+                const combined = merged.get(position.symbol) || { symbol: position.symbol, quantity: 0, costBasis: 0, realizedPnL: 0, dividends: 0, lots: [] };
+                combined.quantity += position.quantity;
+                combined.costBasis += position.costBasis;
+                combined.realizedPnL += position.realizedPnL;
+                combined.dividends += position.dividends;
+                combined.lots = combined.lots.concat(position.lots);
+                merged.set(position.symbol, combined);
+            });
+        });
+
+        const holdings = [...merged.values()]
+            .filter(position => position.quantity > 0)
+            .map(position => {
+                const quote = this.portfolioQuotes.get(position.symbol);
+                const price = quote ? quote.price : null;
+                // Until a quote arrives the position is carried at cost
+                const marketValue = price !== null ? position.quantity * price : position.costBasis;
+                const unrealizedPnL = marketValue - position.costBasis;
+
+                return {
+                    ...position,
+                    name: (quote && quote.name) || this.getCompanyName(position.symbol),
+                    averageCost: position.costBasis / position.quantity,
+                    price,
+                    marketValue,
+                    unrealizedPnL,
+                    unrealizedPercent: position.costBasis > 0 ? (unrealizedPnL / position.costBasis) * 100 : 0,
+                    dayChange: quote ? quote.change * position.quantity : 0
+                };
+            })
+            .sort((a, b) => b.marketValue - a.marketValue);
+
+        const marketValue = holdings.reduce((sum, holding) => sum + holding.marketValue, 0);
+        const costBasis = holdings.reduce((sum, holding) => sum + holding.costBasis, 0);
+        holdings.forEach(holding => {
+            holding.weight = marketValue > 0 ? (holding.marketValue / marketValue) * 100 : 0;
+        });
+
+        return {
+            ...summary,
+            errors,
+            holdings,
+            marketValue,
+            costBasis,
+            totalValue: marketValue + summary.cash,
+            unrealizedPnL: marketValue - costBasis,
+            unrealizedPercent: costBasis > 0 ? ((marketValue - costBasis) / costBasis) * 100 : 0,
+            dayChange: holdings.reduce((sum, holding) => sum + holding.dayChange, 0)
+        };
+    }
+
+    /**
+     * Periodically refresh quotes for held symbols
+     */
+    startPortfolioUpdates() {
+        this.refreshPortfolioQuotes();
+
+        clearInterval(this.portfolioTimer);
+        this.portfolioTimer = setInterval(() => {
+            if (!document.hidden) {
+                this.refreshPortfolioQuotes();
+            }
+        }, this.config.portfolio.refreshInterval);
+    }
+
+    /**
+     * Fetch a quote for every symbol held in any account
+     */
+    async refreshPortfolioQuotes() {
+        const symbols = this.getPortfolioHoldings('all').holdings.map(holding => holding.symbol);
+
+        for (const symbol of symbols) {
+            try {
+                this.portfolioQuotes.set(symbol, await this.requestMarketData('quote', symbol));
+            } catch (error) {
+                console.error(`Error loading portfolio quote for ${symbol}:`, error);
+            }
+        }
+
+        this.renderPortfolio();
+    }
+
+    /**
+     * Reuse a freshly loaded quote when the symbol is in the ledger
+     */
+    updatePortfolioQuote(quote) {
+        if (!this.transactions.some(tx => tx.symbol === quote.symbol)) return;
+
+        this.portfolioQuotes.set(quote.symbol, quote);
+        this.renderPortfolio();
+    }
+
+    /**
+     * Human readable ledger entry
+     */
+    describeTransaction(tx) {
+        const label = this.getTransactionTypes()[tx.type].label;
+
+        if (tx.type === 'buy' || tx.type === 'sell') {
+            const fees = tx.fees > 0 ? ` + ${this.formatCurrency(tx.fees)} fees` : '';
+            const method = tx.lotMethod && tx.lotMethod !== 'fifo'
+                ? ` (${tx.lotMethod === 'specific' ? 'specific lots' : tx.lotMethod.toUpperCase()})`
+                : '';
+            return `${label} ${this.formatQuantity(tx.quantity)} ${tx.symbol} @ ${this.formatCurrency(tx.price)}${fees}${method}`;
+        }
+        if (tx.type === 'dividend') {
+            return `${label} ${tx.symbol} ${this.formatCurrency(tx.amount)}`;
+        }
+        if (tx.type === 'split') {
+            return `${label} ${tx.symbol} ${this.formatQuantity(tx.ratio)}-for-1`;
+        }
+        return `${label} ${this.formatCurrency(tx.amount)}`;
+    }
+
+    /**
+     * Format share quantities, keeping fractional shares
+     */
+    formatQuantity(value) {
+        return value.toLocaleString('en-US', { maximumFractionDigits: 6 });
+    }
+
+    /**
+     * Escape user-entered text before inserting it into markup
+     */
+    escapeHtml(value) {
+        return String(value).replace(/[&<>"']/g, char => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        })[char]);
+    }
+
+    /**
+     * Currency with an explicit +/- sign
+     */
+    formatSignedCurrency(value) {
+        return `${value >= 0 ? '+' : '-'}${this.formatCurrency(Math.abs(value))}`;
+    }
+
+    /**
+     * Render account pickers, totals, holdings, open lots, the ledger and the tax report
+     */
+    renderPortfolio() {
+        const accountSelect = document.getElementById('portfolioAccount');
+        const txAccount = document.getElementById('txAccount');
+
+        if (!this.accounts.some(account => account.id === this.portfolioAccount)) {
+            this.portfolioAccount = 'all';
+        }
+
+        if (accountSelect) {
+            accountSelect.innerHTML = '';
+            accountSelect.appendChild(new Option('All accounts', 'all'));
+            this.accounts.forEach(account => accountSelect.appendChild(new Option(account.name, account.id)));
+            accountSelect.value = this.portfolioAccount;
+        }
+
+        if (txAccount) {
+            const selected = txAccount.value;
+            txAccount.innerHTML = '';
+            this.accounts.forEach(account => txAccount.appendChild(new Option(account.name, account.id)));
+            // Default new entries to the account being viewed
+            txAccount.value = this.portfolioAccount !== 'all' ? this.portfolioAccount
+                : (this.accounts.some(account => account.id === selected) ? selected : this.accounts[0].id);
+        }
+
+        const portfolio = this.getPortfolioHoldings();
+        const pnlClass = value => value > 0 ? 'positive' : value < 0 ? 'negative' : 'neutral';
+
+        const ledgerError = document.getElementById('portfolioLedgerError');
+        if (ledgerError) {
+            ledgerError.classList.toggle('hidden', portfolio.errors.length === 0);
+            ledgerError.innerHTML = portfolio.errors.map(error => `
+                <p>
+                    <i class="fas fa-exclamation-triangle"></i>
+                    <strong>${this.escapeHtml(error.accountName)}</strong> is left out of the totals because its ledger is inconsistent:
+                    ${this.escapeHtml(error.message)}. Delete or re-enter the transaction that no longer fits.
+                </p>
+            `).join('');
+        }
+
+        const summary = document.getElementById('portfolioSummary');
+        if (summary) {
+            const stats = [
+                { label: 'Total value', value: this.formatCurrency(portfolio.totalValue) },
+                { label: 'Market value', value: this.formatCurrency(portfolio.marketValue) },
+                { label: 'Cash', value: this.formatCurrency(portfolio.cash) },
+                { label: 'Cost basis', value: this.formatCurrency(portfolio.costBasis) },
+                {
+                    label: 'Unrealized P&L',
+                    value: `${this.formatSignedCurrency(portfolio.unrealizedPnL)} (${portfolio.unrealizedPercent >= 0 ? '+' : ''}${portfolio.unrealizedPercent.toFixed(2)}%)`,
+                    className: pnlClass(portfolio.unrealizedPnL)
+                },
+                { label: 'Day change', value: this.formatSignedCurrency(portfolio.dayChange), className: pnlClass(portfolio.dayChange) },
+                { label: 'Realized P&L', value: this.formatSignedCurrency(portfolio.realizedPnL), className: pnlClass(portfolio.realizedPnL) },
+                { label: 'Dividends', value: this.formatCurrency(portfolio.dividends) }
+            ];
+
+            summary.innerHTML = stats.map(stat => `
+                <div class="portfolio-stat">
+                    <span class="portfolio-stat-label">${stat.label}</span>
+                    <strong class="portfolio-stat-value ${stat.className || ''}">${stat.value}</strong>
+                </div>
+            `).join('');
+        }
+
+        const carousel = document.getElementById('portfolioCarousel');
+        if (carousel) {
+            carousel.innerHTML = portfolio.holdings.length === 0
+                ? '<p class="alerts-empty">No open positions. Record a buy below to start tracking holdings.</p>'
+                : portfolio.holdings.map(holding => `
+                    <div class="portfolio-item" data-symbol="${holding.symbol}">
+                        <div class="portfolio-header">
+                            <div class="portfolio-icon"><i class="fas fa-chart-pie"></i></div>
+                            <div>
+                                <h4>${holding.symbol}</h4>
+                                <span class="company-name">${holding.name}</span>
+                            </div>
+                        </div>
+                        <div class="portfolio-value neutral">${this.formatCurrency(holding.marketValue)}</div>
+                        <div class="portfolio-change ${pnlClass(holding.unrealizedPnL)}">
+                            ${this.formatSignedCurrency(holding.unrealizedPnL)} (${holding.unrealizedPercent >= 0 ? '+' : ''}${holding.unrealizedPercent.toFixed(2)}%)
+                        </div>
+                        <div class="portfolio-description">
+                            ${this.formatQuantity(holding.quantity)} shares @ ${this.formatCurrency(holding.averageCost)} avg
+                            · ${holding.price !== null ? `last ${this.formatCurrency(holding.price)}` : 'awaiting quote'}
+                        </div>
+                    </div>
+                `).join('');
+        }
+
+        const tableBody = document.querySelector('#holdingsTable tbody');
+        if (tableBody) {
+            tableBody.innerHTML = portfolio.holdings.length === 0
+                ? '<tr><td colspan="7" class="alerts-empty">No open positions</td></tr>'
+                : portfolio.holdings.map(holding => `
+                    <tr>
+                        <td><strong>${holding.symbol}</strong></td>
+                        <td>${this.formatQuantity(holding.quantity)}</td>
+                        <td>${this.formatCurrency(holding.averageCost)}</td>
+                        <td>${holding.price !== null ? this.formatCurrency(holding.price) : '—'}</td>
+                        <td>${this.formatCurrency(holding.marketValue)}</td>
+                        <td class="${pnlClass(holding.unrealizedPnL)}">${this.formatSignedCurrency(holding.unrealizedPnL)} (${holding.unrealizedPercent.toFixed(2)}%)</td>
+                        <td>${holding.weight.toFixed(1)}%</td>
+                    </tr>
+                `).join('');
+        }
+
+        const holdingsCount = document.getElementById('holdingsCount');
+        if (holdingsCount) {
+            holdingsCount.textContent = portfolio.holdings.length;
+        }
+
+        const lots = portfolio.holdings.flatMap(holding => holding.lots.map(lot => ({ ...lot, price: holding.price })));
+        const accountNames = new Map(this.accounts.map(account => [account.id, account.name]));
+        const today = this.formatDateKey(new Date());
+
+        const lotsCount = document.getElementById('lotsCount');
+        if (lotsCount) {
+            lotsCount.textContent = lots.length;
+        }
+
+        const lotsBody = document.querySelector('#lotsTable tbody');
+        if (lotsBody) {
+            lotsBody.innerHTML = lots.length === 0
+                ? '<tr><td colspan="8" class="alerts-empty">No open lots</td></tr>'
+                : lots.map(lot => {
+                    const unrealizedPnL = lot.price !== null ? lot.quantity * lot.price - lot.costBasis : 0;
+
+                    return `
+                        <tr>
+                            <td><strong>${lot.symbol}</strong></td>
+                            <td>${this.escapeHtml(accountNames.get(lot.accountId) || '')}</td>
+                            <td>${lot.date}</td>
+                            <td>${this.formatQuantity(lot.quantity)}</td>
+                            <td>${this.formatCurrency(lot.costBasis / lot.quantity)}</td>
+                            <td>${this.formatCurrency(lot.costBasis)}</td>
+                            <td class="${pnlClass(unrealizedPnL)}">${lot.price !== null ? this.formatSignedCurrency(unrealizedPnL) : '—'}</td>
+                            <td>${this.getHoldingTerm(lot.date, today) === 'long' ? 'Long' : 'Short'}</td>
+                        </tr>
+                    `;
+                }).join('');
+        }
+
+        const ledger = this.sortTransactions(this.transactions
+            .filter(tx => this.portfolioAccount === 'all' || tx.accountId === this.portfolioAccount))
+            .reverse();
+
+        const transactionsCount = document.getElementById('transactionsCount');
+        if (transactionsCount) {
+            transactionsCount.textContent = ledger.length;
+        }
+
+        const list = document.getElementById('transactionList');
+        if (list) {
+            list.innerHTML = ledger.length === 0
+                ? '<p class="alerts-empty">No transactions recorded yet.</p>'
+                : ledger.map(tx => {
+                    const cashFlow = this.getTransactionCashFlow(tx);
+
+                    return `
+                        <div class="alert-item" data-transaction-id="${tx.id}">
+                            <div class="alert-details">
+                                <strong>${this.describeTransaction(tx)}</strong>
+                                <small>${tx.date} · ${this.escapeHtml(accountNames.get(tx.accountId) || 'Unknown account')}</small>
+                            </div>
+                            <span class="transaction-cash ${pnlClass(cashFlow)}">${cashFlow === 0 ? '—' : this.formatSignedCurrency(cashFlow)}</span>
+                            <div class="alert-actions">
+                                <button class="alert-action-btn" data-transaction-action="delete" title="Delete">
+                                    <i class="fas fa-trash"></i>
+                                </button>
+                            </div>
+                        </div>
+                    `;
+                }).join('');
+        }
+
+        this.renderTaxReport();
+        this.renderAllocationChart();
+        this.renderAllocationTargets();
+        this.updatePortfolioPerformance();
+    }
+
+    /**
+     * Periods offered by the portfolio performance chart
+     */
+    getPerformancePeriods() {
+        return {
+            '1M': { range: '1mo' },
+            '3M': { range: '3mo' },
+            '6M': { range: '6mo' },
+            'YTD': { range: '1y', yearToDate: true },
+            '1Y': { range: '1y' },
+            'ALL': { range: 'max' }
+        };
+    }
+
+    /**
+     * Daily portfolio value, external cash flows and benchmark closes for a period.
+     * Cash that goes negative at the end of a day (purchases without a recorded
+     * deposit) is treated as new money contributed that day.
+     */
+    async buildPortfolioHistory(accountId, period) {
+        const { range, yearToDate } = this.getPerformancePeriods()[period];
+        const accountIds = accountId === 'all' ? this.accounts.map(account => account.id) : [accountId];
+        const transactions = this.sortTransactions(this.transactions.filter(tx => accountIds.includes(tx.accountId)));
+        if (transactions.length === 0) return [];
+
+        let days = await this.loadHistory(this.config.marketIndex.symbol, { range, interval: '1d' });
+        if (yearToDate && days.length > 0) {
+            const yearStart = `${days[days.length - 1].date.getFullYear()}-01-01`;
+            days = days.filter(bar => this.formatDateKey(bar.date) >= yearStart);
+        }
+
+        const symbols = [...new Set(transactions.filter(tx => tx.symbol).map(tx => tx.symbol))];
+        const closes = new Map();
+        await Promise.all(symbols.map(async symbol => {
+            try {
+                const bars = await this.loadHistory(symbol, { range, interval: '1d' });
+                closes.set(symbol, new Map(bars.map(bar => [this.formatDateKey(bar.date), this.getOhlc(bar).close])));
+            } catch (error) {
+                console.error(`Error loading ${symbol} history for performance:`, error);
+                closes.set(symbol, new Map());
+            }
+        }));
+
+        const quantities = new Map();
+        // Trade prices value a position until its first close is available
+        const lastPrices = new Map();
+        const cash = new Map(accountIds.map(id => [id, 0]));
+        const points = [];
+        let next = 0;
+
+        days.forEach(bar => {
+            const dayKey = this.formatDateKey(bar.date);
+            let flow = 0;
+
+            while (next < transactions.length && transactions[next].date <= dayKey) {
+                const tx = transactions[next++];
+                cash.set(tx.accountId, cash.get(tx.accountId) + this.getTransactionCashFlow(tx));
+
+                if (tx.type === 'deposit') {
+                    flow += tx.amount;
+                } else if (tx.type === 'withdrawal') {
+                    flow -= tx.amount;
+                } else if (tx.type === 'buy' || tx.type === 'sell') {
+                    quantities.set(tx.symbol, (quantities.get(tx.symbol) || 0) + (tx.type === 'buy' ? tx.quantity : -tx.quantity));
+                    lastPrices.set(tx.symbol, tx.price);
+                } else if (tx.type === 'split') {
+                    quantities.set(tx.symbol, (quantities.get(tx.symbol) || 0) * tx.ratio);
+                    if (lastPrices.has(tx.symbol)) {
+                        lastPrices.set(tx.symbol, lastPrices.get(tx.symbol) / tx.ratio);
+                    }
+                }
+            }
+
+            cash.forEach((balance, id) => {
+                if (balance < 0) {
+                    flow -= balance;
+                    cash.set(id, 0);
+                }
+            });
+
+            symbols.forEach(symbol => {
+                const close = closes.get(symbol).get(dayKey);
+                if (close !== undefined) {
+                    lastPrices.set(symbol, close);
+                }
+            });
+
+            let value = [...cash.values()].reduce((sum, balance) => sum + balance, 0);
+            quantities.forEach((quantity, symbol) => {
+                value += quantity * (lastPrices.get(symbol) || 0);
+            });
+
+            points.push({ date: bar.date, value, flow, benchmark: this.getOhlc(bar).close });
+        });
+
+        // Start the series the day before money first arrives so that day's return counts
+        const firstActive = points.findIndex(point => point.value !== 0 || point.flow !== 0);
+        return firstActive === -1 ? [] : points.slice(Math.max(firstActive - 1, 0));
+    }
+
+    /**
+     * Time- and money-weighted returns, benchmark return and risk metrics for a value series
+     */
+    calculatePerformanceStats(points) {
+        const first = points[0];
+        const last = points[points.length - 1];
+        const dailyReturns = [];
+        const benchmarkReturns = [];
+        const returnDates = [];
+        let growth = 1;
+
+        // Time-weighted: chain daily returns with each day's flow added to the opening value
+        const twrSeries = points.map((point, index) => {
+            if (index > 0) {
+                const base = points[index - 1].value + point.flow;
+                if (base > 0) {
+                    const dailyReturn = point.value / base - 1;
+                    if (returnDates.length === 0) {
+                        returnDates.push(points[index - 1].date);
+                    }
+                    dailyReturns.push(dailyReturn);
+                    benchmarkReturns.push(point.benchmark / points[index - 1].benchmark - 1);
+                    returnDates.push(point.date);
+                    growth *= 1 + dailyReturn;
+                }
+            }
+            return (growth - 1) * 100;
+        });
+        const benchmarkSeries = points.map(point => (point.benchmark / first.benchmark - 1) * 100);
+
+        const years = (last.date - first.date) / (365.25 * 24 * 60 * 60 * 1000);
+        // Only periods of a year or more are annualized
+        const annualize = value => value === null || years < 1 ? null : Math.pow(1 + value, 1 / years) - 1;
+
+        // Money-weighted: the opening value and every flow are invested, the closing value is received
+        const irr = this.calculateIRR([
+            { date: first.date, amount: -first.value },
+            ...points.slice(1).filter(point => point.flow !== 0).map(point => ({ date: point.date, amount: -point.flow })),
+            { date: last.date, amount: last.value }
+        ]);
+
+        const twr = growth - 1;
+        const benchmarkReturn = last.benchmark / first.benchmark - 1;
+
+        return {
+            twrSeries,
+            benchmarkSeries,
+            startValue: first.value,
+            endValue: last.value,
+            netFlows: points.slice(1).reduce((sum, point) => sum + point.flow, 0),
+            twr,
+            annualizedTwr: annualize(twr),
+            mwr: irr === null ? null : Math.pow(1 + irr, years) - 1,
+            irr: years >= 1 ? irr : null,
+            benchmarkReturn,
+            annualizedBenchmark: annualize(benchmarkReturn),
+            excessReturn: twr - benchmarkReturn,
+            sharpe: this.calculateSharpeRatio(dailyReturns),
+            risk: this.calculateRiskMetrics(dailyReturns, benchmarkReturns),
+            riskDates: returnDates
+        };
+    }
+
+    /**
+     * Annual internal rate of return for dated cash flows (XIRR); null when there is no solution
+     */
+    calculateIRR(cashFlows) {
+        const start = cashFlows[0].date;
+        const flows = cashFlows.map(flow => ({
+            amount: flow.amount,
+            years: (flow.date - start) / (365.25 * 24 * 60 * 60 * 1000)
+        }));
+        if (!flows.some(flow => flow.amount > 0) || !flows.some(flow => flow.amount < 0)) return null;
+
+        const npv = rate => flows.reduce((sum, flow) => sum + flow.amount / Math.pow(1 + rate, flow.years), 0);
+
+        // Bisection converges more slowly than Newton's method but cannot diverge
+        let low = -0.9999;
+        let high = 10;
+        if (npv(low) * npv(high) > 0) return null;
+
+        for (let i = 0; i < 200; i++) {
+            const mid = (low + high) / 2;
+            if (npv(low) * npv(mid) <= 0) {
+                high = mid;
+            } else {
+                low = mid;
+            }
+        }
+        return (low + high) / 2;
+    }
+
+    /**
+     * Annualized Sharpe ratio of daily returns over the configured risk-free rate
+     */
+    calculateSharpeRatio(dailyReturns) {
+        if (dailyReturns.length < 2) return null;
+
+        const dailyRiskFree = this.config.risk.riskFreeRate / 252;
+        const mean = dailyReturns.reduce((sum, value) => sum + value, 0) / dailyReturns.length;
+        const variance = dailyReturns.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (dailyReturns.length - 1);
+        const deviation = Math.sqrt(variance);
+
+        return deviation > 0 ? ((mean - dailyRiskFree) / deviation) * Math.sqrt(252) : null;
+    }
+
+    /**
+     * Annualized Sortino ratio: excess return over downside deviation only
+     */
+    calculateSortinoRatio(dailyReturns) {
+        if (dailyReturns.length < 2) return null;
+
+        const dailyRiskFree = this.config.risk.riskFreeRate / 252;
+        const mean = dailyReturns.reduce((sum, value) => sum + value, 0) / dailyReturns.length;
+        const downside = Math.sqrt(dailyReturns.reduce((sum, value) => sum + Math.min(value - dailyRiskFree, 0) ** 2, 0) / dailyReturns.length);
+
+        return downside > 0 ? ((mean - dailyRiskFree) / downside) * Math.sqrt(252) : null;
+    }
+
+    /**
+     * Simple daily returns from a close series
+     */
+    calculateReturns(closes) {
+        return closes.slice(1).map((close, index) => close / closes[index] - 1);
+    }
+
+    /**
+     * Drawdown from the running peak of a growth series, as fractions (0 at a new high)
+     */
+    calculateDrawdowns(values) {
+        let peak = -Infinity;
+        return values.map(value => {
+            peak = Math.max(peak, value);
+            return peak > 0 ? value / peak - 1 : 0;
+        });
+    }
+
+    /**
+     * Inverse standard normal CDF (Acklam's rational approximation)
+     */
+    normalQuantile(p) {
+        const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.3577518672690, -30.66479806614716, 2.506628277459239];
+        const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+        const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+        const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+        const low = 0.02425;
+
+        if (p < low) {
+            const q = Math.sqrt(-2 * Math.log(p));
+            return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) / ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+        }
+        if (p > 1 - low) {
+            return -this.normalQuantile(1 - p);
+        }
+
+        const q = p - 0.5;
+        const r = q * q;
+        return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q / (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+    }
+
+    /**
+     * Risk metrics for aligned daily returns of an asset and the benchmark.
+     * VaR figures are one-day losses at the configured confidence, as positive fractions.
+     */
+    calculateRiskMetrics(returns, benchmarkReturns) {
+        const count = returns.length;
+        if (count < 2) return null;
+
+        const mean = returns.reduce((sum, value) => sum + value, 0) / count;
+        const deviation = Math.sqrt(returns.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (count - 1));
+
+        const benchmarkMean = benchmarkReturns.reduce((sum, value) => sum + value, 0) / count;
+        let covariance = 0;
+        let benchmarkVariance = 0;
+        returns.forEach((value, index) => {
+            covariance += (value - mean) * (benchmarkReturns[index] - benchmarkMean);
+            benchmarkVariance += (benchmarkReturns[index] - benchmarkMean) ** 2;
+        });
+
+        let growth = 1;
+        const drawdowns = this.calculateDrawdowns([1, ...returns.map(value => (growth *= 1 + value))]);
+        const maxDrawdown = Math.min(...drawdowns);
+
+        const { confidence } = this.config.risk;
+        const sorted = [...returns].sort((a, b) => a - b);
+        const tailIndex = Math.min(Math.floor((1 - confidence) * count), count - 1);
+
+        return {
+            volatility: deviation * Math.sqrt(252),
+            benchmarkVolatility: Math.sqrt(benchmarkVariance / (count - 1)) * Math.sqrt(252),
+            beta: benchmarkVariance > 0 ? covariance / benchmarkVariance : null,
+            sharpe: this.calculateSharpeRatio(returns),
+            sortino: this.calculateSortinoRatio(returns),
+            drawdowns,
+            maxDrawdown,
+            maxDrawdownIndex: drawdowns.indexOf(maxDrawdown),
+            historicalVaR: Math.max(-sorted[tailIndex], 0),
+            parametricVaR: Math.max(-(mean + this.normalQuantile(1 - confidence) * deviation), 0)
+        };
+    }
+
+    /**
+     * Load the stock and index history and render the stock's risk card
+     */
+    async updateStockRisk(stockData) {
+        const requestId = ++this.stockRiskRequestId;
+        const range = this.config.risk.lookback;
+
+        try {
+            const [bars, indexBars] = await Promise.all([
+                this.loadHistory(stockData.symbol, { range, interval: '1d' }),
+                this.loadHistory(this.config.marketIndex.symbol, { range, interval: '1d' })
+            ]);
+            if (requestId !== this.stockRiskRequestId) return;
+
+            const pairs = this.getBenchmarkPairs(bars, indexBars);
+            const risk = this.calculateRiskMetrics(pairs.map(pair => pair.value), pairs.map(pair => pair.benchmark));
+            this.stockRisk = risk ? { ...risk, symbol: stockData.symbol, dates: bars.slice(bars.length - risk.drawdowns.length).map(bar => bar.date) } : null;
+        } catch (error) {
+            console.error(`Error calculating risk for ${stockData.symbol}:`, error);
+            this.stockRisk = null;
+        }
+
+        this.renderStockRisk(stockData);
+    }
+
+    /**
+     * Fill the risk card and the beta field of the detailed analysis
+     */
+    renderStockRisk(stockData) {
+        const risk = this.stockRisk;
+        const formatPercent = value => value === null ? '—' : `${(value * 100).toFixed(2)}%`;
+        const formatRatio = value => value === null ? '—' : value.toFixed(2);
+        const confidence = `${Math.round(this.config.risk.confidence * 100)}%`;
+
+        this.updateElement('analysisBeta', risk && risk.beta !== null ? risk.beta.toFixed(2) : (stockData.beta ?? '-'));
+        this.updateElement('stockRiskBeta', risk ? formatRatio(risk.beta) : '—');
+        this.updateElement('stockRiskLookback', `Beta (${this.config.risk.lookback})`);
+
+        const relative = document.getElementById('stockRiskRelative');
+        if (relative) {
+            const ratio = risk && risk.benchmarkVolatility > 0 ? risk.volatility / risk.benchmarkVolatility - 1 : null;
+            relative.textContent = ratio === null ? '—' : `${ratio >= 0 ? '↑' : '↓'} ${Math.abs(ratio * 100).toFixed(0)}% volatility`;
+            relative.parentElement.className = `portfolio-change ${ratio > 0 ? 'negative' : 'positive'}`;
+        }
+
+        const metrics = document.getElementById('stockRiskMetrics');
+        if (metrics) {
+            const rows = risk ? [
+                ['Volatility (annual)', formatPercent(risk.volatility)],
+                ['Sharpe ratio', formatRatio(risk.sharpe)],
+                ['Sortino ratio', formatRatio(risk.sortino)],
+                ['Max drawdown', formatPercent(risk.maxDrawdown)],
+                [`1-day VaR ${confidence} (historical)`, formatPercent(risk.historicalVaR)],
+                [`1-day VaR ${confidence} (parametric)`, formatPercent(risk.parametricVaR)]
+            ] : [['Risk metrics', 'Not enough history']];
+
+            metrics.innerHTML = rows.map(([label, value]) => `
+                <div class="analytics-item">
+                    <span class="label">${label}</span>
+                    <span class="value">${value}</span>
+                </div>
+            `).join('');
+        }
+
+        const canvas = document.getElementById('stockDrawdownChart');
+        if (canvas && risk) {
+            const ctx = canvas.getContext('2d');
+            const width = canvas.width = canvas.offsetWidth || 300;
+            const height = canvas.height = 100;
+            this.drawDrawdownChart(ctx, risk.dates, risk.drawdowns, width, height);
+        }
+    }
+
+    /**
+     * Draw an underwater (drawdown) chart with a readout per bar
+     */
+    drawDrawdownChart(ctx, dates, drawdowns, width, height) {
+        const padding = { left: 50, right: 10, top: 10, bottom: 20 };
+        const chartWidth = width - padding.left - padding.right;
+        const chartHeight = height - padding.top - padding.bottom;
+        const minValue = Math.min(...drawdowns, -0.01);
+        const getX = (index) => padding.left + (index / (drawdowns.length - 1 || 1)) * chartWidth;
+        const getY = (value) => padding.top + (value / minValue) * chartHeight;
+
+        ctx.clearRect(0, 0, width, height);
+        ctx.fillStyle = getComputedStyle(document.documentElement).getPropertyValue('--bg-tertiary');
+        ctx.fillRect(0, 0, width, height);
+
+        ctx.beginPath();
+        ctx.moveTo(getX(0), getY(0));
+        drawdowns.forEach((value, index) => ctx.lineTo(getX(index), getY(value)));
+        ctx.lineTo(getX(drawdowns.length - 1), getY(0));
+        ctx.closePath();
+        ctx.fillStyle = 'rgba(239, 68, 68, 0.2)';
+        ctx.fill();
+
+        ctx.strokeStyle = '#ef4444';
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        drawdowns.forEach((value, index) => {
+            if (index === 0) {
+                ctx.moveTo(getX(index), getY(value));
+            } else {
+                ctx.lineTo(getX(index), getY(value));
+            }
+        });
+        ctx.stroke();
+
+        ctx.fillStyle = getComputedStyle(document.documentElement).getPropertyValue('--text-secondary');
+        ctx.font = '10px Inter, sans-serif';
+        ctx.textAlign = 'right';
+        ctx.fillText('0%', padding.left - 6, padding.top + 4);
+        ctx.fillText(`${(minValue * 100).toFixed(1)}%`, padding.left - 6, padding.top + chartHeight + 4);
+
+        ctx.textAlign = 'center';
+        [0, drawdowns.length - 1].forEach(index => {
+            ctx.fillText(dates[index].toLocaleDateString('en-US', { month: 'short', year: '2-digit' }), getX(index) + (index === 0 ? 15 : -15), height - 5);
+        });
+
+        const points = drawdowns.map((value, index) => ({
+            x: getX(index),
+            y: getY(value),
+            title: this.formatReadoutDate(dates[index], false),
+            rows: [['Drawdown', `${(value * 100).toFixed(2)}%`]]
+        }));
+        this.setChartReadout(ctx.canvas, points, { left: padding.left, right: padding.left + chartWidth, top: 0, bottom: height });
+    }
+
+    /**
+     * Switch the performance chart period
+     */
+    switchPerformancePeriod(clickedBtn) {
+        document.querySelectorAll('#performanceControls .chart-btn').forEach(btn => {
+            btn.classList.remove('active');
+        });
+        clickedBtn.classList.add('active');
+
+        this.performancePeriod = clickedBtn.getAttribute('data-period');
+        this.updatePortfolioPerformance();
+    }
+
+    /**
+     * Rebuild performance for the selected account and period, plus the all-time figures shown in the capabilities section,
+     * when the ledger, accounts or selection changed since the last build
+     */
+    async updatePortfolioPerformance() {
+        // Quote refreshes re-render the portfolio every minute; daily history does not depend on them
+        const key = JSON.stringify([this.portfolioAccount, this.performancePeriod, this.accounts.map(account => account.id), this.transactions]);
+        if (key === this.performanceKey) return;
+        this.performanceKey = key;
+
+        const requestId = ++this.performanceRequestId;
+
+        try {
+            const [points, overallPoints] = await Promise.all([
+                this.buildPortfolioHistory(this.portfolioAccount, this.performancePeriod),
+                this.buildPortfolioHistory('all', 'ALL')
+            ]);
+            if (requestId !== this.performanceRequestId) return;
+
+            this.portfolioPerformance = points.length > 1 ? { points, ...this.calculatePerformanceStats(points) } : null;
+            this.portfolioOverallPerformance = overallPoints.length > 1 ? this.calculatePerformanceStats(overallPoints) : null;
+        } catch (error) {
+            console.error('Error building portfolio performance:', error);
+            // Try again on the next render
+            this.performanceKey = null;
+            return;
+        }
+
+        this.renderPerformanceChart();
+        this.renderPortfolioRisk();
+
+        const activeTab = document.querySelector('.tab-btn.active');
+        if (activeTab && activeTab.getAttribute('data-tab') === 'portfolio') {
+            this.updateCapabilityContent('portfolio');
+        }
+    }
+
+    /**
+     * Format a fractional return as a signed percentage
+     */
+    formatReturn(value) {
+        return value === null || value === undefined ? '—' : `${value >= 0 ? '+' : ''}${(value * 100).toFixed(2)}%`;
+    }
+
+    /**
+     * Render the performance stats and the portfolio vs benchmark chart
+     */
+    renderPerformanceChart() {
+        const canvas = document.getElementById('performanceChart');
+        const stats = document.getElementById('performanceStats');
+        const performance = this.portfolioPerformance;
+        const pnlClass = value => value > 0 ? 'positive' : value < 0 ? 'negative' : 'neutral';
+
+        if (stats) {
+            const { name } = this.config.marketIndex;
+            const items = performance ? [
+                { label: 'Time-weighted return', value: this.formatReturn(performance.twr), className: pnlClass(performance.twr) },
+                { label: 'Annualized TWR', value: this.formatReturn(performance.annualizedTwr) },
+                { label: 'Money-weighted return', value: this.formatReturn(performance.mwr), className: pnlClass(performance.mwr) },
+                { label: 'IRR (annual)', value: this.formatReturn(performance.irr) },
+                { label: name, value: this.formatReturn(performance.benchmarkReturn), className: pnlClass(performance.benchmarkReturn) },
+                { label: `vs ${name}`, value: this.formatReturn(performance.excessReturn), className: pnlClass(performance.excessReturn) },
+                { label: 'Net contributions', value: this.formatCurrency(performance.netFlows) }
+            ] : [];
+
+            stats.innerHTML = items.map(item => `
+                <div class="portfolio-stat">
+                    <span class="portfolio-stat-label">${item.label}</span>
+                    <strong class="portfolio-stat-value ${item.className || ''}">${item.value}</strong>
+                </div>
+            `).join('');
+        }
+
+        if (!canvas) return;
+
+        const ctx = canvas.getContext('2d');
+        const width = canvas.width = canvas.offsetWidth || 800;
+        const height = canvas.height = 300;
+
+        ctx.clearRect(0, 0, width, height);
+        ctx.fillStyle = getComputedStyle(document.documentElement).getPropertyValue('--bg-tertiary');
+        ctx.fillRect(0, 0, width, height);
+
+        if (!performance) {
+            ctx.fillStyle = getComputedStyle(document.documentElement).getPropertyValue('--text-secondary');
+            ctx.font = '14px Inter, sans-serif';
+            ctx.textAlign = 'center';
+            ctx.fillText('Record transactions to see portfolio performance', width / 2, height / 2);
+            return;
+        }
+
+        this.drawPerformanceChart(ctx, performance, width, height);
+    }
+
+    /**
+     * Render portfolio risk metrics and drawdown chart for the performance period
+     */
+    renderPortfolioRisk() {
+        const stats = document.getElementById('portfolioRiskStats');
+        const canvas = document.getElementById('portfolioDrawdownChart');
+        const performance = this.portfolioPerformance;
+        const risk = performance && performance.risk;
+        const formatPercent = value => value === null ? '—' : `${(value * 100).toFixed(2)}%`;
+        const formatRatio = value => value === null ? '—' : value.toFixed(2);
+        const confidence = `${Math.round(this.config.risk.confidence * 100)}%`;
+
+        if (stats) {
+            const items = risk ? [
+                { label: 'Volatility (annual)', value: formatPercent(risk.volatility) },
+                { label: `Beta vs ${this.config.marketIndex.name}`, value: formatRatio(risk.beta) },
+                { label: 'Sharpe ratio', value: formatRatio(risk.sharpe) },
+                { label: 'Sortino ratio', value: formatRatio(risk.sortino) },
+                {
+                    label: 'Max drawdown',
+                    value: `${formatPercent(risk.maxDrawdown)} (${performance.riskDates[risk.maxDrawdownIndex].toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })})`,
+                    className: risk.maxDrawdown < 0 ? 'negative' : ''
+                },
+                { label: `1-day VaR ${confidence} (historical)`, value: `${formatPercent(risk.historicalVaR)} · ${this.formatCurrency(risk.historicalVaR * performance.endValue)}` },
+                { label: `1-day VaR ${confidence} (parametric)`, value: `${formatPercent(risk.parametricVaR)} · ${this.formatCurrency(risk.parametricVaR * performance.endValue)}` }
+            ] : [];
+
+            stats.innerHTML = items.map(item => `
+                <div class="portfolio-stat">
+                    <span class="portfolio-stat-label">${item.label}</span>
+                    <strong class="portfolio-stat-value ${item.className || ''}">${item.value}</strong>
+                </div>
+            `).join('');
+        }
+
+        if (canvas) {
+            canvas.classList.toggle('hidden', !risk);
+            if (risk) {
+                const ctx = canvas.getContext('2d');
+                const width = canvas.width = canvas.offsetWidth || 800;
+                const height = canvas.height = 140;
+                this.drawDrawdownChart(ctx, performance.riskDates, risk.drawdowns, width, height);
+            }
+        }
+    }
+
+    /**
+     * Draw cumulative time-weighted return against the benchmark index
+     */
+    drawPerformanceChart(ctx, performance, width, height) {
+        const padding = 60;
+        const chartWidth = width - 2 * padding;
+        const chartHeight = height - 2 * padding;
+        const { points, twrSeries, benchmarkSeries } = performance;
+        const series = [
+            { label: 'Portfolio', color: '#3b82f6', values: twrSeries, lineWidth: 2.5 },
+            { label: this.config.marketIndex.name, color: '#6b7280', values: benchmarkSeries, lineWidth: 1.5 }
+        ];
+
+        const values = [0, ...twrSeries, ...benchmarkSeries];
+        const minValue = Math.min(...values);
+        const maxValue = Math.max(...values);
+        const range = maxValue - minValue || 1;
+        const getX = (index) => padding + (index / (points.length - 1)) * chartWidth;
+        const getY = (value) => padding + (1 - (value - minValue) / range) * chartHeight;
+
+        this.drawGrid(ctx, padding, chartWidth, chartHeight, minValue, maxValue, range);
+
+        ctx.strokeStyle = '#9ca3af';
+        ctx.lineWidth = 1;
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        ctx.moveTo(padding, getY(0));
+        ctx.lineTo(padding + chartWidth, getY(0));
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        series.forEach(item => {
+            ctx.strokeStyle = item.color;
+            ctx.lineWidth = item.lineWidth;
+            ctx.beginPath();
+            item.values.forEach((value, index) => {
+                if (index === 0) {
+                    ctx.moveTo(getX(index), getY(value));
+                } else {
+                    ctx.lineTo(getX(index), getY(value));
+                }
+            });
+            ctx.stroke();
+        });
+
+        this.drawPaneLegend(ctx, { left: padding, top: padding - 10 }, series.map(item => ({
+            label: `${item.label} ${item.values[item.values.length - 1] >= 0 ? '+' : ''}${item.values[item.values.length - 1].toFixed(2)}%`,
+            color: item.color
+        })));
+
+        ctx.fillStyle = getComputedStyle(document.documentElement).getPropertyValue('--text-secondary');
+        ctx.font = '12px Inter, sans-serif';
+        ctx.textAlign = 'right';
+        for (let i = 0; i <= 5; i++) {
+            const value = maxValue - (range / 5) * i;
+            ctx.fillText(`${value >= 0 ? '+' : ''}${value.toFixed(1)}%`, padding - 10, padding + (chartHeight / 5) * i + 4);
+        }
+
+        this.drawDateLabels(ctx, points, padding, chartWidth, height, { month: 'short', day: 'numeric', year: '2-digit' });
+
+        const readoutPoints = points.map((point, index) => ({
+            x: getX(index),
+            y: getY(twrSeries[index]),
+            title: this.formatReadoutDate(point.date, false),
+            rows: [
+                ['Value', this.formatCurrency(point.value)],
+                ['Portfolio', `${twrSeries[index] >= 0 ? '+' : ''}${twrSeries[index].toFixed(2)}%`],
+                [this.config.marketIndex.name, `${benchmarkSeries[index] >= 0 ? '+' : ''}${benchmarkSeries[index].toFixed(2)}%`],
+                ...(point.flow !== 0 && index > 0 ? [['Cash flow', this.formatSignedCurrency(point.flow)]] : [])
+            ]
+        }));
+        this.setChartReadout(ctx.canvas, readoutPoints, { left: padding, right: padding + chartWidth, top: padding, bottom: height - 10 });
+    }
+
+    /**
+     * Sector, asset class and currency for known securities, extended by `allocation.profiles`
+     */
+    getSecurityProfiles() {
+        const equity = sector => ({ sector, assetClass: 'Equity', currency: 'USD' });
+
+        return {
+            'AAPL': equity('Technology'),
+            'MSFT': equity('Technology'),
+            'NVDA': equity('Technology'),
+            'AMD': equity('Technology'),
+            'INTC': equity('Technology'),
+            'PLTR': equity('Technology'),
+            'ZOOM': equity('Technology'),
+            'GOOGL': equity('Communication Services'),
+            'META': equity('Communication Services'),
+            'NFLX': equity('Communication Services'),
+            'SNAP': equity('Communication Services'),
+            'AMZN': equity('Consumer Discretionary'),
+            'TSLA': equity('Consumer Discretionary'),
+            'UBER': equity('Industrials'),
+            'PYPL': equity('Financials'),
+            'SQ': equity('Financials'),
+            'COIN': equity('Financials'),
+            'SPY': { sector: 'Diversified', assetClass: 'ETF', currency: 'USD' },
+            'VTI': { sector: 'Diversified', assetClass: 'ETF', currency: 'USD' },
+            'QQQ': { sector: 'Technology', assetClass: 'ETF', currency: 'USD' },
+            'VXUS': { sector: 'Diversified', assetClass: 'ETF', currency: 'USD' },
+            'BND': { sector: 'Fixed Income', assetClass: 'Bond', currency: 'USD' },
+            'TLT': { sector: 'Fixed Income', assetClass: 'Bond', currency: 'USD' },
+            'GLD': { sector: 'Commodities', assetClass: 'Commodity', currency: 'USD' },
+            ...this.config.allocation.profiles
+        };
+    }
+
+    /**
+     * Classification for one symbol, with defaults for unknown securities
+     */
+    getSecurityProfile(symbol) {
+        return {
+            sector: 'Other',
+            assetClass: symbol.startsWith('^') ? 'Index' : 'Equity',
+            currency: 'USD',
+            ...this.getSecurityProfiles()[symbol]
+        };
+    }
+
+    /**
+     * Palette for allocation slices
+     */
+    getAllocationColors() {
+        return ['#3b82f6', '#10b981', '#f59e0b', '#8b5cf6', '#ef4444', '#06b6d4', '#ec4899', '#84cc16', '#6b7280'];
+    }
+
+    /**
+     * Portfolio value grouped by symbol, sector, asset class or currency; cash is its own slice
+     */
+    getAllocation(dimension) {
+        const portfolio = this.getPortfolioHoldings();
+        const groups = new Map();
+        const addValue = (key, value) => groups.set(key, (groups.get(key) || 0) + value);
+
+        portfolio.holdings.forEach(holding => {
+            addValue(dimension === 'symbol' ? holding.symbol : this.getSecurityProfile(holding.symbol)[dimension], holding.marketValue);
+        });
+        if (portfolio.cash > 0) {
+            addValue(dimension === 'currency' ? 'USD' : 'Cash', portfolio.cash);
+        }
+
+        const total = [...groups.values()].reduce((sum, value) => sum + value, 0);
+        return [...groups.entries()]
+            .map(([key, value]) => ({ key, value, weight: total > 0 ? value / total : 0 }))
+            .sort((a, b) => b.value - a.value);
+    }
+
+    /**
+     * Switch the allocation chart grouping or view
+     */
+    switchAllocationView(clickedBtn) {
+        const group = clickedBtn.closest('.chart-controls');
+        group.querySelectorAll('.chart-btn').forEach(btn => {
+            btn.classList.remove('active');
+        });
+        clickedBtn.classList.add('active');
+
+        if (clickedBtn.hasAttribute('data-dimension')) {
+            this.allocationDimension = clickedBtn.getAttribute('data-dimension');
+        } else {
+            this.allocationView = clickedBtn.getAttribute('data-allocation-view');
+        }
+        this.renderAllocationChart();
+    }
+
+    /**
+     * Render the allocation pie or treemap
+     */
+    renderAllocationChart() {
+        const canvas = document.getElementById('allocationChart');
+        if (!canvas) return;
+
+        const ctx = canvas.getContext('2d');
+        const width = canvas.width = canvas.offsetWidth || 800;
+        const height = canvas.height = 320;
+        const colors = this.getAllocationColors();
+        const slices = this.getAllocation(this.allocationDimension).map((slice, index) => ({
+            ...slice,
+            color: colors[index % colors.length]
+        }));
+
+        ctx.clearRect(0, 0, width, height);
+        ctx.fillStyle = getComputedStyle(document.documentElement).getPropertyValue('--bg-tertiary');
+        ctx.fillRect(0, 0, width, height);
+
+        if (slices.length === 0) {
+            ctx.fillStyle = getComputedStyle(document.documentElement).getPropertyValue('--text-secondary');
+            ctx.font = '14px Inter, sans-serif';
+            ctx.textAlign = 'center';
+            ctx.fillText('Record transactions to see your allocation', width / 2, height / 2);
+            return;
+        }
+
+        if (this.allocationView === 'treemap') {
+            this.drawAllocationTreemap(ctx, slices, width, height);
+        } else {
+            this.drawAllocationPie(ctx, slices, width, height);
+        }
+    }
+
+    /**
+     * Donut chart with a legend of value and weight per slice
+     */
+    drawAllocationPie(ctx, slices, width, height) {
+        const radius = Math.min(height / 2 - 20, width / 4);
+        const centerX = 20 + radius;
+        const centerY = height / 2;
+        let angle = -Math.PI / 2;
+
+        slices.forEach(slice => {
+            const sweep = slice.weight * Math.PI * 2;
+            ctx.beginPath();
+            ctx.moveTo(centerX, centerY);
+            ctx.arc(centerX, centerY, radius, angle, angle + sweep);
+            ctx.closePath();
+            ctx.fillStyle = slice.color;
+            ctx.fill();
+            angle += sweep;
+        });
+
+        // Donut hole
+        ctx.beginPath();
+        ctx.arc(centerX, centerY, radius * 0.55, 0, Math.PI * 2);
+        ctx.fillStyle = getComputedStyle(document.documentElement).getPropertyValue('--bg-tertiary');
+        ctx.fill();
+
+        const total = slices.reduce((sum, slice) => sum + slice.value, 0);
+        ctx.fillStyle = getComputedStyle(document.documentElement).getPropertyValue('--text-primary');
+        ctx.font = 'bold 14px Inter, sans-serif';
+        ctx.textAlign = 'center';
+        ctx.fillText(this.formatCurrency(total), centerX, centerY + 5);
+
+        const legendX = centerX + radius + 40;
+        const rowHeight = Math.min(28, (height - 20) / slices.length);
+        slices.forEach((slice, index) => {
+            const y = 10 + rowHeight * index + rowHeight / 2;
+            ctx.fillStyle = slice.color;
+            ctx.fillRect(legendX, y - 6, 12, 12);
+
+            ctx.fillStyle = getComputedStyle(document.documentElement).getPropertyValue('--text-primary');
+            ctx.font = '12px Inter, sans-serif';
+            ctx.textAlign = 'left';
+            ctx.fillText(slice.key, legendX + 20, y + 4);
+
+            ctx.textAlign = 'right';
+            ctx.fillText(`${(slice.weight * 100).toFixed(1)}%  ${this.formatCurrency(slice.value)}`, width - 20, y + 4);
+        });
+
+        const points = slices.map((slice, index) => ({
+            x: legendX,
+            y: 10 + rowHeight * index + rowHeight / 2,
+            title: slice.key,
+            rows: [['Value', this.formatCurrency(slice.value)], ['Weight', `${(slice.weight * 100).toFixed(2)}%`]]
+        }));
+        this.setChartReadout(ctx.canvas, points, { left: legendX - 10, right: width, top: 0, bottom: height }, 'y');
+    }
+
+    /**
+     * Treemap: split the slices into two groups of similar value along the longer side, recursively
+     */
+    layoutTreemap(slices, x, y, width, height) {
+        if (slices.length === 1) {
+            return [{ ...slices[0], x, y, width, height }];
+        }
+
+        const total = slices.reduce((sum, slice) => sum + slice.value, 0);
+        let splitIndex = 1;
+        let running = slices[0].value;
+        while (splitIndex < slices.length - 1 && running + slices[splitIndex].value <= total / 2) {
+            running += slices[splitIndex].value;
+            splitIndex++;
+        }
+
+        const share = total > 0 ? running / total : 0.5;
+        const first = slices.slice(0, splitIndex);
+        const second = slices.slice(splitIndex);
+
+        if (width >= height) {
+            const splitWidth = width * share;
+            return [
+                ...this.layoutTreemap(first, x, y, splitWidth, height),
+                ...this.layoutTreemap(second, x + splitWidth, y, width - splitWidth, height)
+            ];
+        }
+
+        const splitHeight = height * share;
+        return [
+            ...this.layoutTreemap(first, x, y, width, splitHeight),
+            ...this.layoutTreemap(second, x, y + splitHeight, width, height - splitHeight)
+        ];
+    }
+
+    /**
+     * Draw the allocation treemap with labels in tiles large enough to hold them
+     */
+    drawAllocationTreemap(ctx, slices, width, height) {
+        const tiles = this.layoutTreemap(slices, 10, 10, width - 20, height - 20);
+
+        tiles.forEach(tile => {
+            ctx.fillStyle = tile.color;
+            ctx.fillRect(tile.x, tile.y, tile.width, tile.height);
+            ctx.strokeStyle = getComputedStyle(document.documentElement).getPropertyValue('--bg-tertiary');
+            ctx.lineWidth = 2;
+            ctx.strokeRect(tile.x, tile.y, tile.width, tile.height);
+
+            if (tile.width > 60 && tile.height > 36) {
+                ctx.fillStyle = 'white';
+                ctx.textAlign = 'left';
+                ctx.font = 'bold 12px Inter, sans-serif';
+                ctx.fillText(tile.key, tile.x + 8, tile.y + 18);
+                ctx.font = '11px Inter, sans-serif';
+                ctx.fillText(`${(tile.weight * 100).toFixed(1)}%`, tile.x + 8, tile.y + 32);
+            }
+        });
+
+        const points = tiles.map(tile => ({
+            x: tile.x + tile.width / 2,
+            y: tile.y + tile.height / 2,
+            title: tile.key,
+            rows: [['Value', this.formatCurrency(tile.value)], ['Weight', `${(tile.weight * 100).toFixed(2)}%`]]
+        }));
+        this.setChartReadout(ctx.canvas, points, { left: 0, right: width, top: 0, bottom: height }, 'xy');
+    }
+
+    /**
+     * Load saved target weights, keyed by account ('all' for the combined view)
+     */
+    loadAllocationTargets() {
+        return this.readStorage('allocationTargets');
+    }
+
+    /**
+     * Persist target weights
+     */
+    saveAllocationTargets() {
+        this.writeStorage('allocationTargets', this.allocationTargets);
+    }
+
+    /**
+     * Target settings for the account being viewed
+     */
+    getAllocationTargets() {
+        return {
+            weights: {},
+            minTrade: 100,
+            wholeShares: true,
+            ...this.allocationTargets[this.portfolioAccount]
+        };
+    }
+
+    /**
+     * Update target settings for the account being viewed
+     */
+    setAllocationTargets(changes) {
+        this.allocationTargets[this.portfolioAccount] = { ...this.getAllocationTargets(), ...changes };
+        this.saveAllocationTargets();
+    }
+
+    /**
+     * Wire the allocation view buttons and the rebalancing form
+     */
+    setupAllocation() {
+        document.querySelectorAll('#allocationDimensions .chart-btn, #allocationViews .chart-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.switchAllocationView(btn);
+            });
+        });
+
+        const targetsTable = document.getElementById('targetsTable');
+        const addTargetForm = document.getElementById('addTargetForm');
+        const rebalanceForm = document.getElementById('rebalanceForm');
+
+        if (targetsTable) {
+            targetsTable.addEventListener('change', (e) => {
+                const input = e.target.closest('[data-target-symbol]');
+                if (input) {
+                    this.setTargetWeight(input.getAttribute('data-target-symbol'), input.value);
+                }
+            });
+            targetsTable.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-remove-target]');
+                if (button) {
+                    const weights = { ...this.getAllocationTargets().weights };
+                    delete weights[button.getAttribute('data-remove-target')];
+                    this.setAllocationTargets({ weights });
+                    this.renderAllocationTargets();
+                }
+            });
+        }
+
+        if (addTargetForm) {
+            addTargetForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                const input = document.getElementById('targetSymbol');
+                const symbol = input.value.trim().toUpperCase();
+                if (!/^[A-Z0-9.^-]{1,10}$/.test(symbol)) {
+                    this.showNotification('Please enter a valid stock symbol', 'warning');
+                    return;
+                }
+                this.setTargetWeight(symbol, this.getAllocationTargets().weights[symbol] ?? 0);
+                input.value = '';
+            });
+        }
+
+        if (rebalanceForm) {
+            rebalanceForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.setAllocationTargets({
+                    minTrade: Math.max(parseFloat(document.getElementById('rebalanceMinTrade').value) || 0, 0),
+                    wholeShares: document.getElementById('rebalanceWholeShares').checked
+                });
+                this.runRebalance(parseFloat(document.getElementById('rebalanceCash').value) || 0);
+            });
+        }
+    }
+
+    /**
+     * Set one symbol's target weight in percent (CASH for the cash target); an empty value clears it
+     */
+    setTargetWeight(symbol, value) {
+        if (String(value).trim() === '') {
+            const { [symbol]: cleared, ...weights } = this.getAllocationTargets().weights;
+            this.setAllocationTargets({ weights });
+            this.renderAllocationTargets();
+            return;
+        }
+
+        const weight = parseFloat(value);
+        if (!Number.isFinite(weight) || weight < 0 || weight > 100) {
+            this.showNotification('Target weights must be between 0 and 100%', 'warning');
+            this.renderAllocationTargets();
+            return;
+        }
+
+        this.setAllocationTargets({ weights: { ...this.getAllocationTargets().weights, [symbol]: weight } });
+        this.renderAllocationTargets();
+    }
+
+    /**
+     * Render the target weights table next to current weights
+     */
+    renderAllocationTargets() {
+        const tableBody = document.querySelector('#targetsTable tbody');
+        const settings = this.getAllocationTargets();
+        const current = new Map(this.getAllocation('symbol').map(slice => [slice.key, slice.weight]));
+        const symbols = [...new Set([...current.keys(), ...Object.keys(settings.weights)].filter(key => key !== 'Cash' && key !== 'CASH'))];
+        const totalTarget = Object.values(settings.weights).reduce((sum, weight) => sum + weight, 0);
+
+        if (tableBody) {
+            const rows = [...symbols, 'CASH'].map(symbol => {
+                const currentWeight = current.get(symbol === 'CASH' ? 'Cash' : symbol) || 0;
+                const target = settings.weights[symbol];
+
+                return `
+                    <tr>
+                        <td><strong>${symbol === 'CASH' ? 'Cash' : symbol}</strong></td>
+                        <td>${(currentWeight * 100).toFixed(1)}%</td>
+                        <td><input type="number" class="target-input" min="0" max="100" step="0.1" value="${target ?? ''}" placeholder="—" title="Leave empty to keep this holding as it is" data-target-symbol="${symbol}"></td>
+                        <td>${target !== undefined ? `${(currentWeight * 100 - target >= 0 ? '+' : '')}${(currentWeight * 100 - target).toFixed(1)}%` : '—'}</td>
+                        <td>${symbol !== 'CASH' && target !== undefined && !current.has(symbol)
+                            ? `<button class="alert-action-btn" data-remove-target="${symbol}" title="Remove target"><i class="fas fa-times"></i></button>`
+                            : ''}</td>
+                    </tr>
+                `;
+            });
+            tableBody.innerHTML = rows.join('');
+        }
+
+        const total = document.getElementById('targetsTotal');
+        if (total) {
+            total.textContent = `${totalTarget.toFixed(1)}%`;
+            total.classList.toggle('over-target', totalTarget > 100.0001);
+        }
+
+        const minTrade = document.getElementById('rebalanceMinTrade');
+        if (minTrade) {
+            minTrade.value = settings.minTrade;
+        }
+        const wholeShares = document.getElementById('rebalanceWholeShares');
+        if (wholeShares) {
+            wholeShares.checked = settings.wholeShares;
+        }
+    }
+
+    /**
+     * Propose trades that move holdings toward target weights.
+     * Holdings without a target are left as they are, weight left unassigned stays in cash, trades
+     * under the minimum size are skipped and buys are scaled down to the cash available.
+     */
+    calculateRebalance({ positions, cash, weights, minTrade, wholeShares }) {
+        const total = cash + positions.reduce((sum, position) => sum + position.quantity * position.price, 0);
+        const round = quantity => wholeShares ? Math.trunc(quantity) : Math.trunc(quantity * 10000) / 10000;
+        const isTargeted = position => weights[position.symbol] !== undefined;
+
+        let trades = positions.filter(isTargeted).map(position => {
+            const currentValue = position.quantity * position.price;
+            const targetValue = total * weights[position.symbol] / 100;
+            let quantity = round((targetValue - currentValue) / position.price);
+            // Never sell more than is held
+            quantity = Math.max(quantity, -position.quantity);
+            return { ...position, currentValue, targetValue, quantity };
+        }).filter(trade => trade.quantity !== 0 && Math.abs(trade.quantity * trade.price) >= minTrade);
+
+        const sellProceeds = trades.filter(trade => trade.quantity < 0).reduce((sum, trade) => sum - trade.quantity * trade.price, 0);
+        const cashTarget = total * (weights.CASH || 0) / 100;
+        const buyBudget = Math.max(cash + sellProceeds - cashTarget, 0);
+        const buyCost = trades.filter(trade => trade.quantity > 0).reduce((sum, trade) => sum + trade.quantity * trade.price, 0);
+
+        if (buyCost > buyBudget) {
+            const scale = buyBudget / buyCost;
+            trades = trades.map(trade => trade.quantity > 0 ? { ...trade, quantity: round(trade.quantity * scale) } : trade)
+                .filter(trade => trade.quantity !== 0 && Math.abs(trade.quantity * trade.price) >= minTrade);
+        }
+
+        const cashAfter = cash - trades.reduce((sum, trade) => sum + trade.quantity * trade.price, 0);
+
+        return {
+            total,
+            cashAfter,
+            untargeted: positions.filter(position => position.quantity > 0 && !isTargeted(position)).map(position => position.symbol),
+            trades: trades.map(trade => ({
+                symbol: trade.symbol,
+                action: trade.quantity > 0 ? 'buy' : 'sell',
+                quantity: Math.abs(trade.quantity),
+                price: trade.price,
+                value: Math.abs(trade.quantity * trade.price),
+                currentWeight: total > 0 ? trade.currentValue / total : 0,
+                targetWeight: weights[trade.symbol] / 100,
+                resultingWeight: total > 0 ? (trade.currentValue + trade.quantity * trade.price) / total : 0
+            }))
+        };
+    }
+
+    /**
+     * Quote any targeted symbols not yet held, then render the proposed trades
+     */
+    async runRebalance(additionalCash = 0) {
+        const settings = this.getAllocationTargets();
+        const totalTarget = Object.values(settings.weights).reduce((sum, weight) => sum + weight, 0);
+        if (totalTarget > 100.0001) {
+            this.showNotification(`Target weights add up to ${totalTarget.toFixed(1)}%; they must not exceed 100%`, 'warning');
+            return null;
+        }
+
+        if (Object.keys(settings.weights).filter(symbol => symbol !== 'CASH').length === 0) {
+            const summary = document.getElementById('rebalanceSummary');
+            const tableBody = document.querySelector('#rebalanceTable tbody');
+            if (summary) {
+                summary.textContent = 'Set a target weight for at least one symbol; holdings without a target are never traded.';
+            }
+            if (tableBody) {
+                tableBody.innerHTML = '';
+            }
+            this.showNotification('Set target weights before calculating trades', 'warning');
+            return null;
+        }
+
+        const portfolio = this.getPortfolioHoldings();
+        if (portfolio.errors.length > 0) {
+            this.showNotification('Fix the inconsistent ledger before rebalancing', 'warning');
+            return null;
+        }
+        const symbols = [...new Set([
+            ...portfolio.holdings.map(holding => holding.symbol),
+            ...Object.keys(settings.weights).filter(symbol => symbol !== 'CASH')
+        ])];
+
+        for (const symbol of symbols) {
+            if (this.portfolioQuotes.has(symbol)) continue;
+            try {
+                this.portfolioQuotes.set(symbol, await this.requestMarketData('quote', symbol));
+            } catch (error) {
+                console.error(`Error loading quote for ${symbol}:`, error);
+                this.showNotification(`Unable to price ${symbol} for rebalancing`, 'error');
+                return null;
+            }
+        }
+
+        const result = this.calculateRebalance({
+            positions: symbols.map(symbol => ({
+                symbol,
+                quantity: (portfolio.holdings.find(holding => holding.symbol === symbol) || { quantity: 0 }).quantity,
+                price: this.portfolioQuotes.get(symbol).price
+            })),
+            cash: Math.max(portfolio.cash, 0) + additionalCash,
+            weights: settings.weights,
+            minTrade: settings.minTrade,
+            wholeShares: settings.wholeShares
+        });
+
+        this.renderRebalance(result);
+        return result;
+    }
+
+    /**
+     * Render proposed rebalancing trades
+     */
+    renderRebalance(result) {
+        const tableBody = document.querySelector('#rebalanceTable tbody');
+        const summary = document.getElementById('rebalanceSummary');
+
+        if (summary) {
+            const buys = result.trades.filter(trade => trade.action === 'buy').reduce((sum, trade) => sum + trade.value, 0);
+            const sells = result.trades.filter(trade => trade.action === 'sell').reduce((sum, trade) => sum + trade.value, 0);
+            const untargeted = result.untargeted.length > 0
+                ? ` · no target, left as is: ${result.untargeted.join(', ')}`
+                : '';
+            summary.textContent = (result.trades.length === 0
+                ? 'Holdings are within your targets and minimum trade size.'
+                : `${result.trades.length} trades · buy ${this.formatCurrency(buys)} · sell ${this.formatCurrency(sells)} · cash afterwards ${this.formatCurrency(result.cashAfter)}`) + untargeted;
+        }
+
+        if (tableBody) {
+            tableBody.innerHTML = result.trades.map(trade => `
+                <tr>
+                    <td><strong>${trade.symbol}</strong></td>
+                    <td class="${trade.action === 'buy' ? 'positive' : 'negative'}">${trade.action === 'buy' ? 'Buy' : 'Sell'}</td>
+                    <td>${this.formatQuantity(trade.quantity)}</td>
+                    <td>${this.formatCurrency(trade.price)}</td>
+                    <td>${this.formatCurrency(trade.value)}</td>
+                    <td>${(trade.currentWeight * 100).toFixed(1)}% → ${(trade.resultingWeight * 100).toFixed(1)}%</td>
+                    <td>${(trade.targetWeight * 100).toFixed(1)}%</td>
+                </tr>
+            `).join('');
+        }
+    }
+
+    /**
+     * Paper order types and the prices each one needs
+     */
+    getOrderTypes() {
+        return {
+            market: { label: 'Market', fields: [] },
+            limit: { label: 'Limit', fields: ['limitPrice'] },
+            stop: { label: 'Stop', fields: ['stopPrice'] },
+            stopLimit: { label: 'Stop limit', fields: ['stopPrice', 'limitPrice'] }
+        };
+    }
+
+    /**
+     * Time-in-force options for paper orders
+     */
+    getTimeInForceOptions() {
+        return {
+            day: 'Day',
+            gtc: 'Good till cancelled',
+            ioc: 'Immediate or cancel'
+        };
+    }
+
+    /**
+     * A fresh paper account funded with the configured starting cash
+     */
+    createPaperAccount() {
+        return {
+            startingCash: this.config.paperTrading.startingCash,
+            cash: this.config.paperTrading.startingCash,
+            positions: {},
+            orders: []
+        };
+    }
+
+    /**
+     * Load the paper account from localStorage
+     */
+    loadPaperAccount() {
+        const account = this.readStorage('paperTrading');
+        return account ? { ...this.createPaperAccount(), ...account } : this.createPaperAccount();
+    }
+
+    /**
+     * Persist the paper account
+     */
+    savePaperAccount() {
+        this.writeStorage('paperTrading', this.paperAccount);
+    }
+
+    /**
+     * Wire the order ticket on the stock view and the blotter controls
+     */
+    setupPaperTrading() {
+        const form = document.getElementById('orderForm');
+        const typeSelect = document.getElementById('orderType');
+        const blotter = document.getElementById('orderBlotter');
+        const resetBtn = document.getElementById('resetPaperAccount');
+
+        if (typeSelect) {
+            typeSelect.addEventListener('change', () => this.updateOrderFields());
+            this.updateOrderFields();
+        }
+
+        if (form) {
+            form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                if (!this.currentStock) {
+                    this.showNotification('Search for a stock before placing an order', 'warning');
+                    return;
+                }
+
+                this.placeOrder({
+                    symbol: this.currentStock.symbol,
+                    side: document.getElementById('orderSide').value,
+                    type: typeSelect.value,
+                    quantity: document.getElementById('orderQuantity').value,
+                    limitPrice: document.getElementById('orderLimitPrice').value,
+                    stopPrice: document.getElementById('orderStopPrice').value,
+                    timeInForce: document.getElementById('orderTimeInForce').value
+                });
+            });
+        }
+
+        if (blotter) {
+            blotter.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-cancel-order]');
+                if (button) {
+                    this.cancelOrder(button.getAttribute('data-cancel-order'));
+                }
+            });
+        }
+
+        if (resetBtn) {
+            resetBtn.addEventListener('click', () => {
+                if (!confirm('Reset the paper account? Positions and order history will be cleared.')) return;
+
+                this.paperAccount = this.createPaperAccount();
+                this.savePaperAccount();
+                this.renderPaperTrading();
+            });
+        }
+
+        this.renderPaperTrading();
+    }
+
+    /**
+     * Show only the price inputs the selected order type uses
+     */
+    updateOrderFields() {
+        const typeSelect = document.getElementById('orderType');
+        if (!typeSelect) return;
+
+        const fields = this.getOrderTypes()[typeSelect.value].fields;
+        document.querySelectorAll('[data-order-field]').forEach(field => {
+            field.classList.toggle('hidden', !fields.includes(field.getAttribute('data-order-field')));
+        });
+    }
+
+    /**
+     * Validate and queue a paper order, then try to fill it against a fresh quote
+     */
+    async placeOrder({ symbol, side, type, quantity, limitPrice, stopPrice, timeInForce }) {
+        const orderType = this.getOrderTypes()[type];
+        const shares = parseFloat(quantity);
+        const prices = { limitPrice: parseFloat(limitPrice), stopPrice: parseFloat(stopPrice) };
+
+        if (side !== 'buy' && side !== 'sell') {
+            this.showNotification('Please choose buy or sell', 'warning');
+            return null;
+        }
+        if (!orderType) {
+            this.showNotification('Please choose an order type', 'warning');
+            return null;
+        }
+        if (!this.getTimeInForceOptions()[timeInForce]) {
+            this.showNotification('Please choose a time in force', 'warning');
+            return null;
+        }
+        if (!Number.isFinite(shares) || shares <= 0) {
+            this.showNotification('Quantity must be a positive number', 'warning');
+            return null;
+        }
+        for (const field of orderType.fields) {
+            if (!Number.isFinite(prices[field]) || prices[field] <= 0) {
+                this.showNotification(`${field === 'limitPrice' ? 'Limit' : 'Stop'} price must be a positive number`, 'warning');
+                return null;
+            }
+        }
+
+        // Paper trading is long-only: open sell orders cannot exceed the shares held
+        if (side === 'sell') {
+            const held = (this.paperAccount.positions[symbol] || { quantity: 0 }).quantity;
+            const pending = this.paperAccount.orders
+                .filter(order => order.status === 'open' && order.side === 'sell' && order.symbol === symbol)
+                .reduce((sum, order) => sum + order.quantity, 0);
+            if (shares > held - pending + 1e-9) {
+                this.showNotification(`Cannot sell ${this.formatQuantity(shares)} ${symbol}: ${this.formatQuantity(Math.max(held - pending, 0))} available`, 'warning');
+                return null;
+            }
+        }
+
+        const order = {
+            id: this.generateId('order'),
+            symbol,
+            side,
+            type,
+            quantity: shares,
+            limitPrice: orderType.fields.includes('limitPrice') ? prices.limitPrice : null,
+            stopPrice: orderType.fields.includes('stopPrice') ? prices.stopPrice : null,
+            timeInForce,
+            status: 'open',
+            triggered: false,
+            createdAt: new Date().toISOString(),
+            closedAt: null,
+            fillPrice: null,
+            commission: 0,
+            realizedPnL: null,
+            reason: ''
+        };
+
+        this.paperAccount.orders.unshift(order);
+        this.savePaperAccount();
+        this.renderPaperTrading();
+        this.showNotification(`Order placed: ${this.describeOrder(order)}`, 'success');
+
+        try {
+            // Never the quote loaded with the stock being viewed, which may be hours old
+            this.evaluatePaperOrders(await this.requestMarketData('quote', symbol));
+        } catch (error) {
+            console.error(`Error loading quote for ${symbol}:`, error);
+        }
+
+        // Immediate-or-cancel orders never rest on the book
+        if (order.status === 'open' && order.timeInForce === 'ioc') {
+            this.closeOrder(order, 'cancelled', 'Not marketable on placement');
+            this.savePaperAccount();
+            this.renderPaperTrading();
+        }
+
+        return order;
+    }
+
+    /**
+     * Cancel an open order
+     */
+    cancelOrder(id) {
+        const order = this.paperAccount.orders.find(item => item.id === id);
+        if (!order || order.status !== 'open') return;
+
+        this.closeOrder(order, 'cancelled', 'Cancelled by user');
+        this.savePaperAccount();
+        this.renderPaperTrading();
+    }
+
+    /**
+     * Move an order to a final state
+     */
+    closeOrder(order, status, reason = '') {
+        order.status = status;
+        order.reason = reason;
+        order.closedAt = new Date().toISOString();
+    }
+
+    /**
+     * Price an order would fill at for a quote, or null when it is not marketable.
+     * Stops turn into market (or limit) orders once the price touches the stop.
+     */
+    checkOrderFill(order, price) {
+        const isBuy = order.side === 'buy';
+        let triggered = order.triggered;
+
+        if ((order.type === 'stop' || order.type === 'stopLimit') && !triggered) {
+            triggered = isBuy ? price >= order.stopPrice : price <= order.stopPrice;
+        }
+
+        const stopPending = (order.type === 'stop' || order.type === 'stopLimit') && !triggered;
+        const limitOk = order.limitPrice === null || (isBuy ? price <= order.limitPrice : price >= order.limitPrice);
+
+        return {
+            fillPrice: !stopPending && limitOk ? price : null,
+            triggered
+        };
+    }
+
+    /**
+     * Apply a fill to cash and positions; rejects fills the account cannot cover
+     */
+    fillOrder(order, price) {
+        const { commission } = this.config.paperTrading;
+        const value = order.quantity * price;
+        const position = this.paperAccount.positions[order.symbol] || { quantity: 0, costBasis: 0 };
+
+        if (order.side === 'buy') {
+            if (value + commission > this.paperAccount.cash + 1e-9) {
+                this.closeOrder(order, 'rejected', `Insufficient cash: needs ${this.formatCurrency(value + commission)}`);
+                return false;
+            }
+
+            this.paperAccount.cash -= value + commission;
+            position.quantity += order.quantity;
+            position.costBasis += value + commission;
+        } else {
+            if (order.quantity > position.quantity + 1e-9) {
+                this.closeOrder(order, 'rejected', `Only ${this.formatQuantity(position.quantity)} shares held`);
+                return false;
+            }
+
+            const relievedCost = position.costBasis * (order.quantity / position.quantity);
+            this.paperAccount.cash += value - commission;
+            position.quantity -= order.quantity;
+            position.costBasis -= relievedCost;
+            order.realizedPnL = value - commission - relievedCost;
+        }
+
+        if (position.quantity > 1e-9) {
+            this.paperAccount.positions[order.symbol] = position;
+        } else {
+            delete this.paperAccount.positions[order.symbol];
+        }
+
+        order.fillPrice = price;
+        order.commission = commission;
+        this.closeOrder(order, 'filled');
+        return true;
+    }
+
+    /**
+     * Recompute cash and positions by replaying filled orders from the starting cash
+     */
+    rebuildPaperAccount(account) {
+        const rebuilt = { ...account, cash: account.startingCash, positions: {} };
+
+        account.orders
+            .filter(order => order.status === 'filled')
+            .sort((a, b) => a.closedAt.localeCompare(b.closedAt))
+            .forEach(order => {
+                const value = order.quantity * order.fillPrice;
+                const position = rebuilt.positions[order.symbol] || { quantity: 0, costBasis: 0 };
+
+                if (order.side === 'buy') {
+                    rebuilt.cash -= value + order.commission;
+                    position.quantity += order.quantity;
+                    position.costBasis += value + order.commission;
+                } else {
+                    rebuilt.cash += value - order.commission;
+                    position.costBasis -= position.quantity > 0 ? position.costBasis * Math.min(order.quantity / position.quantity, 1) : 0;
+                    position.quantity -= order.quantity;
+                }
+
+                if (position.quantity > 1e-9) {
+                    rebuilt.positions[order.symbol] = position;
+                } else {
+                    delete rebuilt.positions[order.symbol];
+                }
+            });
+
+        return rebuilt;
+    }
+
+    /**
+     * Expire day orders from earlier sessions
+     */
+    expireDayOrders() {
+        const today = this.formatDateKey(new Date());
+        let expired = false;
+
+        this.paperAccount.orders.forEach(order => {
+            if (order.status === 'open' && order.timeInForce === 'day' && this.formatDateKey(new Date(order.createdAt)) !== today) {
+                this.closeOrder(order, 'expired', 'Day order expired');
+                expired = true;
+            }
+        });
+
+        return expired;
+    }
+
+    /**
+     * Try to fill every open order for a symbol against a fresh quote
+     */
+    evaluatePaperOrders(quote) {
+        this.paperQuotes.set(quote.symbol, quote);
+
+        const expired = this.expireDayOrders();
+        const orders = this.paperAccount.orders
+            .filter(order => order.status === 'open' && order.symbol === quote.symbol)
+            .reverse();
+
+        if (!expired && orders.length === 0) {
+            // Nothing to fill, but the quote still revalues positions and the ticket
+            this.renderPaperTrading();
+            return;
+        }
+
+        // Oldest orders fill first
+        orders.forEach(order => {
+            const result = this.checkOrderFill(order, quote.price);
+            order.triggered = result.triggered;
+            if (result.fillPrice === null) return;
+
+            if (this.fillOrder(order, result.fillPrice)) {
+                this.showNotification(`Filled: ${order.side === 'buy' ? 'Bought' : 'Sold'} ${this.formatQuantity(order.quantity)} ${order.symbol} @ ${this.formatCurrency(order.fillPrice)}`, 'success');
+            } else {
+                this.showNotification(`Order rejected: ${order.reason}`, 'error');
+            }
+        });
+
+        this.savePaperAccount();
+        this.renderPaperTrading();
+    }
+
+    /**
+     * Periodically check open orders against new quotes
+     */
+    startPaperTradingMonitor() {
+        clearInterval(this.paperTradingTimer);
+        this.paperTradingTimer = setInterval(() => {
+            if (!document.hidden) {
+                this.checkPaperOrders();
+            }
+        }, this.config.paperTrading.checkInterval);
+    }
+
+    /**
+     * Fetch a quote for every symbol with an open order or a position
+     */
+    async checkPaperOrders() {
+        const symbols = [...new Set([
+            ...this.paperAccount.orders.filter(order => order.status === 'open').map(order => order.symbol),
+            ...Object.keys(this.paperAccount.positions)
+        ])];
+
+        for (const symbol of symbols) {
+            try {
+                this.evaluatePaperOrders(await this.requestMarketData('quote', symbol));
+            } catch (error) {
+                console.error(`Error checking paper orders for ${symbol}:`, error);
+            }
+        }
+
+        if (this.expireDayOrders()) {
+            this.savePaperAccount();
+            this.renderPaperTrading();
+        }
+    }
+
+    /**
+     * Human readable order
+     */
+    describeOrder(order) {
+        const prices = [
+            order.stopPrice !== null ? `stop ${this.formatCurrency(order.stopPrice)}` : '',
+            order.limitPrice !== null ? `limit ${this.formatCurrency(order.limitPrice)}` : ''
+        ].filter(Boolean).join(', ');
+
+        return `${order.side === 'buy' ? 'Buy' : 'Sell'} ${this.formatQuantity(order.quantity)} ${order.symbol} ${this.getOrderTypes()[order.type].label.toLowerCase()}${prices ? ` (${prices})` : ''} · ${this.getTimeInForceOptions()[order.timeInForce]}`;
+    }
+
+    /**
+     * Cash, positions and equity of the paper account at the latest quotes
+     */
+    getPaperAccountSummary() {
+        const positions = Object.entries(this.paperAccount.positions).map(([symbol, position]) => {
+            const quote = this.paperQuotes.get(symbol);
+            const price = quote ? quote.price : position.costBasis / position.quantity;
+            const marketValue = position.quantity * price;
+
+            return {
+                symbol,
+                quantity: position.quantity,
+                averageCost: position.costBasis / position.quantity,
+                price,
+                marketValue,
+                unrealizedPnL: marketValue - position.costBasis
+            };
+        }).sort((a, b) => b.marketValue - a.marketValue);
+
+        const positionsValue = positions.reduce((sum, position) => sum + position.marketValue, 0);
+        const equity = this.paperAccount.cash + positionsValue;
+
+        return {
+            cash: this.paperAccount.cash,
+            positions,
+            positionsValue,
+            equity,
+            totalPnL: equity - this.paperAccount.startingCash,
+            filledCount: this.paperAccount.orders.filter(order => order.status === 'filled').length,
+            openCount: this.paperAccount.orders.filter(order => order.status === 'open').length
+        };
+    }
+
+    /**
+     * Render the paper account summary, positions, blotter and the order ticket status
+     */
+    renderPaperTrading() {
+        const summary = this.getPaperAccountSummary();
+        const pnlClass = value => value > 0 ? 'positive' : value < 0 ? 'negative' : 'neutral';
+
+        const summaryElement = document.getElementById('paperSummary');
+        if (summaryElement) {
+            const stats = [
+                { label: 'Equity', value: this.formatCurrency(summary.equity) },
+                { label: 'Cash', value: this.formatCurrency(summary.cash) },
+                { label: 'Positions', value: this.formatCurrency(summary.positionsValue) },
+                { label: 'Total P&L', value: this.formatSignedCurrency(summary.totalPnL), className: pnlClass(summary.totalPnL) },
+                { label: 'Orders filled', value: summary.filledCount }
+            ];
+
+            summaryElement.innerHTML = stats.map(stat => `
+                <div class="portfolio-stat">
+                    <span class="portfolio-stat-label">${stat.label}</span>
+                    <strong class="portfolio-stat-value ${stat.className || ''}">${stat.value}</strong>
+                </div>
+            `).join('');
+        }
+
+        const positionsBody = document.querySelector('#paperPositionsTable tbody');
+        if (positionsBody) {
+            positionsBody.innerHTML = summary.positions.length === 0
+                ? '<tr><td colspan="6" class="alerts-empty">No paper positions yet</td></tr>'
+                : summary.positions.map(position => `
+                    <tr>
+                        <td><strong>${position.symbol}</strong></td>
+                        <td>${this.formatQuantity(position.quantity)}</td>
+                        <td>${this.formatCurrency(position.averageCost)}</td>
+                        <td>${this.formatCurrency(position.price)}</td>
+                        <td>${this.formatCurrency(position.marketValue)}</td>
+                        <td class="${pnlClass(position.unrealizedPnL)}">${this.formatSignedCurrency(position.unrealizedPnL)}</td>
+                    </tr>
+                `).join('');
+        }
+
+        const openCount = document.getElementById('openOrdersCount');
+        if (openCount) {
+            openCount.textContent = summary.openCount;
+        }
+
+        const blotter = document.getElementById('orderBlotter');
+        if (blotter) {
+            const statusLabels = { open: 'Open', filled: 'Filled', cancelled: 'Cancelled', expired: 'Expired', rejected: 'Rejected' };
+
+            blotter.innerHTML = this.paperAccount.orders.length === 0
+                ? '<p class="alerts-empty">No orders yet. Use the order ticket on a stock to place one.</p>'
+                : this.paperAccount.orders.map(order => {
+                    const detail = order.status === 'filled'
+                        ? `Filled @ ${this.formatCurrency(order.fillPrice)}${order.realizedPnL !== null ? ` · realized ${this.formatSignedCurrency(order.realizedPnL)}` : ''}`
+                        : order.reason || (order.triggered ? 'Stop triggered, working as limit' : 'Working');
+
+                    return `
+                        <div class="alert-item">
+                            <div class="alert-details">
+                                <strong>${order.symbol}</strong>
+                                <span>${this.describeOrder(order)}</span>
+                                <small>${detail} · ${new Date(order.closedAt || order.createdAt).toLocaleString()}</small>
+                            </div>
+                            <span class="alert-status order-${order.status}">${statusLabels[order.status]}</span>
+                            ${order.status === 'open' ? `
+                                <div class="alert-actions">
+                                    <button class="alert-action-btn" data-cancel-order="${order.id}" title="Cancel order">
+                                        <i class="fas fa-times"></i>
+                                    </button>
+                                </div>
+                            ` : ''}
+                        </div>
+                    `;
+                }).join('');
+        }
+
+        const ticketInfo = document.getElementById('orderTicketInfo');
+        if (ticketInfo) {
+            const symbol = this.currentStock ? this.currentStock.symbol : null;
+            const held = symbol && this.paperAccount.positions[symbol] ? this.paperAccount.positions[symbol].quantity : 0;
+            ticketInfo.textContent = `Paper cash ${this.formatCurrency(summary.cash)}${symbol ? ` · ${this.formatQuantity(held)} ${symbol} held` : ''}`;
+        }
+
+        if (document.querySelector('.tab-btn.active[data-tab="trading"]')) {
+            this.updateCapabilityContent('trading');
+        }
+    }
+
+    /**
+     * Backtest strategies and their parameters
+     */
+    getBacktestStrategies() {
+        return {
+            buyHold: { label: 'Buy and hold', params: [] },
+            smaCross: {
+                label: 'SMA crossover',
+                params: [
+                    { key: 'fast', label: 'Fast SMA (days)', value: 50, bars: true },
+                    { key: 'slow', label: 'Slow SMA (days)', value: 200, bars: true }
+                ]
+            },
+            rsi: {
+                label: 'RSI thresholds',
+                params: [
+                    { key: 'period', label: 'RSI period', value: 14, bars: true },
+                    { key: 'lower', label: 'Buy below', value: 30 },
+                    { key: 'upper', label: 'Sell above', value: 70 }
+                ]
+            }
+        };
+    }
+
+    /**
+     * Wire the backtest form
+     */
+    setupBacktest() {
+        const form = document.getElementById('backtestForm');
+        const strategySelect = document.getElementById('backtestStrategy');
+        if (!form || !strategySelect) return;
+
+        const { initialCapital, commission, slippageBps } = this.config.backtest;
+        document.getElementById('backtestCapital').value = initialCapital;
+        document.getElementById('backtestCommission').value = commission;
+        document.getElementById('backtestSlippage').value = slippageBps;
+
+        strategySelect.addEventListener('change', () => this.renderBacktestParams());
+        this.renderBacktestParams();
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+
+            const params = {};
+            document.querySelectorAll('#backtestParams [data-param]').forEach(input => {
+                params[input.getAttribute('data-param')] = parseFloat(input.value);
+            });
+
+            this.runBacktest({
+                symbol: document.getElementById('backtestSymbol').value || (this.currentStock ? this.currentStock.symbol : ''),
+                strategy: strategySelect.value,
+                params,
+                range: document.getElementById('backtestRange').value,
+                initialCapital: parseFloat(document.getElementById('backtestCapital').value),
+                commission: parseFloat(document.getElementById('backtestCommission').value) || 0,
+                slippageBps: parseFloat(document.getElementById('backtestSlippage').value) || 0
+            });
+        });
+
+        this.renderBacktest();
+    }
+
+    /**
+     * Render parameter inputs for the selected strategy
+     */
+    renderBacktestParams() {
+        const container = document.getElementById('backtestParams');
+        const strategy = this.getBacktestStrategies()[document.getElementById('backtestStrategy').value];
+        if (!container || !strategy) return;
+
+        container.innerHTML = strategy.params.map(param => `
+            <label class="alert-field">
+                <span>${param.label}</span>
+                <input type="number" step="${param.bars ? 1 : 'any'}" min="0" value="${param.value}" data-param="${param.key}">
+            </label>
+        `).join('');
+    }
+
+    /**
+     * Desired exposure per bar from the strategy's indicators: 1 long, 0 flat, null to keep the current position
+     */
+    getBacktestSignals(strategy, closes, params) {
+        if (strategy === 'smaCross') {
+            const fast = this.calculateSMA(closes, params.fast);
+            const slow = this.calculateSMA(closes, params.slow);
+            return closes.map((close, i) => fast[i] === null || slow[i] === null ? 0 : (fast[i] > slow[i] ? 1 : 0));
+        }
+
+        if (strategy === 'rsi') {
+            const rsi = this.calculateRSI(closes, params.period);
+            return rsi.map(value => {
+                if (value === null) return null;
+                if (value < params.lower) return 1;
+                if (value > params.upper) return 0;
+                return null;
+            });
+        }
+
+        return closes.map(() => 1);
+    }
+
+    /**
+     * Simulate a long-only strategy over daily bars.
+     * Signals are taken on a bar's close and filled at the next bar's open, adjusted for
+     * slippage, with whole shares and a flat commission per fill.
+     */
+    backtestStrategy(bars, { strategy, params, initialCapital, commission, slippageBps }) {
+        const prices = bars.map(bar => this.getOhlc(bar));
+        const closes = prices.map(price => price.close);
+        const signals = this.getBacktestSignals(strategy, closes, params);
+        const slippage = slippageBps / 10000;
+
+        let cash = initialCapital;
+        let shares = 0;
+        let entry = null;
+        let barsInMarket = 0;
+        const trades = [];
+        const equity = [];
+
+        bars.forEach((bar, i) => {
+            const signal = i > 0 ? signals[i - 1] : null;
+
+            if (signal === 1 && shares === 0) {
+                const price = prices[i].open * (1 + slippage);
+                const quantity = Math.floor((cash - commission) / price);
+                if (quantity > 0) {
+                    cash -= quantity * price + commission;
+                    shares = quantity;
+                    entry = { date: bar.date, price, quantity, cost: quantity * price + commission };
+                }
+            } else if (signal === 0 && shares > 0) {
+                const price = prices[i].open * (1 - slippage);
+                const proceeds = shares * price - commission;
+                cash += proceeds;
+                trades.push({
+                    entryDate: entry.date,
+                    entryPrice: entry.price,
+                    exitDate: bar.date,
+                    exitPrice: price,
+                    quantity: shares,
+                    pnl: proceeds - entry.cost,
+                    returnPct: proceeds / entry.cost - 1,
+                    open: false
+                });
+                shares = 0;
+                entry = null;
+            }
+
+            if (shares > 0) barsInMarket++;
+            equity.push(cash + shares * closes[i]);
+        });
+
+        // A position still held at the end is marked to the last close
+        if (entry) {
+            const last = bars.length - 1;
+            const value = shares * closes[last];
+            trades.push({
+                entryDate: entry.date,
+                entryPrice: entry.price,
+                exitDate: bars[last].date,
+                exitPrice: closes[last],
+                quantity: shares,
+                pnl: value - entry.cost,
+                returnPct: value / entry.cost - 1,
+                open: true
+            });
+        }
+
+        const closedTrades = trades.filter(trade => !trade.open);
+        const years = (new Date(bars[bars.length - 1].date) - new Date(bars[0].date)) / (365.25 * 86400000);
+        const endValue = equity[equity.length - 1];
+        const drawdowns = this.calculateDrawdowns(equity);
+
+        return {
+            dates: bars.map(bar => bar.date),
+            equity,
+            benchmark: closes.map(close => initialCapital * close / closes[0]),
+            drawdowns,
+            trades,
+            totalReturn: endValue / initialCapital - 1,
+            cagr: years > 0 && endValue > 0 ? Math.pow(endValue / initialCapital, 1 / years) - 1 : null,
+            benchmarkReturn: closes[closes.length - 1] / closes[0] - 1,
+            maxDrawdown: Math.min(...drawdowns),
+            sharpe: this.calculateSharpeRatio(this.calculateReturns(equity)),
+            winRate: closedTrades.length > 0 ? closedTrades.filter(trade => trade.pnl > 0).length / closedTrades.length : null,
+            exposure: barsInMarket / bars.length,
+            endValue
+        };
+    }
+
+    /**
+     * Load daily history for a symbol and run a strategy over it
+     */
+    async runBacktest({ symbol, strategy, params, range, initialCapital, commission, slippageBps }) {
+        const cleanSymbol = symbol.trim().toUpperCase();
+        const definition = this.getBacktestStrategies()[strategy];
+
+        if (!/^[A-Z0-9.^-]{1,10}$/.test(cleanSymbol)) {
+            this.showNotification('Please enter a valid stock symbol', 'warning');
+            return null;
+        }
+        if (!definition) {
+            this.showNotification('Please choose a strategy', 'warning');
+            return null;
+        }
+        if (definition.params.some(param => !Number.isFinite(params[param.key]) || params[param.key] <= 0)) {
+            this.showNotification('Strategy parameters must be positive numbers', 'warning');
+            return null;
+        }
+        // Indicator windows only produce values for whole numbers of bars
+        if (definition.params.some(param => param.bars && !Number.isInteger(params[param.key]))) {
+            this.showNotification('Indicator periods must be whole numbers of days', 'warning');
+            return null;
+        }
+        if (strategy === 'smaCross' && params.fast >= params.slow) {
+            this.showNotification('The fast SMA must be shorter than the slow SMA', 'warning');
+            return null;
+        }
+        if (strategy === 'rsi' && params.lower >= params.upper) {
+            this.showNotification('The RSI buy level must be below the sell level', 'warning');
+            return null;
+        }
+        // RSI stays strictly between 0 and 100, so levels outside that range never trigger
+        if (strategy === 'rsi' && params.upper >= 100) {
+            this.showNotification('RSI levels must be between 0 and 100', 'warning');
+            return null;
+        }
+        if (!Number.isFinite(initialCapital) || initialCapital <= 0) {
+            this.showNotification('Starting capital must be a positive number', 'warning');
+            return null;
+        }
+
+        const requestId = ++this.backtestRequestId;
+        let bars;
+        try {
+            bars = await this.loadHistory(cleanSymbol, { range, interval: '1d' });
+        } catch (error) {
+            console.error(`Error loading history for ${cleanSymbol}:`, error);
+            this.showNotification(`Unable to load history for ${cleanSymbol}`, 'error');
+            return null;
+        }
+        if (requestId !== this.backtestRequestId) return null;
+
+        if (bars.length < 2) {
+            this.showNotification(`Not enough history to backtest ${cleanSymbol}`, 'warning');
+            return null;
+        }
+
+        const settings = { strategy, params, initialCapital, commission, slippageBps };
+        this.backtestResult = {
+            ...this.backtestStrategy(bars, settings),
+            ...settings,
+            symbol: cleanSymbol,
+            label: definition.label
+        };
+        this.renderBacktest();
+        return this.backtestResult;
+    }
+
+    /**
+     * Render backtest statistics, equity curve and trade list
+     */
+    renderBacktest() {
+        const result = this.backtestResult;
+        const stats = document.getElementById('backtestStats');
+        const tableBody = document.querySelector('#backtestTrades tbody');
+        const canvas = document.getElementById('backtestChart');
+        const pnlClass = value => value > 0 ? 'positive' : value < 0 ? 'negative' : 'neutral';
+        const formatDay = date => this.formatDateKey(new Date(date));
+
+        if (stats) {
+            const items = result ? [
+                { label: 'Ending value', value: this.formatCurrency(result.endValue) },
+                { label: 'Total return', value: this.formatReturn(result.totalReturn), className: pnlClass(result.totalReturn) },
+                { label: 'CAGR', value: this.formatReturn(result.cagr) },
+                { label: 'Buy and hold', value: this.formatReturn(result.benchmarkReturn), className: pnlClass(result.benchmarkReturn) },
+                { label: 'Max drawdown', value: this.formatReturn(result.maxDrawdown), className: pnlClass(result.maxDrawdown) },
+                { label: 'Sharpe ratio', value: result.sharpe !== null ? result.sharpe.toFixed(2) : '—' },
+                { label: 'Win rate', value: result.winRate !== null ? `${(result.winRate * 100).toFixed(0)}%` : '—' },
+                { label: 'Trades', value: result.trades.length },
+                { label: 'Time in market', value: `${(result.exposure * 100).toFixed(0)}%` }
+            ] : [];
+
+            stats.innerHTML = items.map(item => `
+                <div class="portfolio-stat">
+                    <span class="portfolio-stat-label">${item.label}</span>
+                    <strong class="portfolio-stat-value ${item.className || ''}">${item.value}</strong>
+                </div>
+            `).join('');
+        }
+
+        if (tableBody) {
+            tableBody.innerHTML = !result || result.trades.length === 0
+                ? `<tr><td colspan="7" class="alerts-empty">${result ? 'The strategy did not trade in this period' : 'Run a backtest to see its trades'}</td></tr>`
+                : result.trades.map(trade => `
+                    <tr>
+                        <td>${formatDay(trade.entryDate)}</td>
+                        <td>${this.formatCurrency(trade.entryPrice)}</td>
+                        <td>${trade.open ? 'Open' : formatDay(trade.exitDate)}</td>
+                        <td>${this.formatCurrency(trade.exitPrice)}</td>
+                        <td>${this.formatQuantity(trade.quantity)}</td>
+                        <td class="${pnlClass(trade.pnl)}">${this.formatSignedCurrency(trade.pnl)}</td>
+                        <td class="${pnlClass(trade.returnPct)}">${this.formatReturn(trade.returnPct)}</td>
+                    </tr>
+                `).join('');
+        }
+
+        if (!canvas) return;
+
+        const ctx = canvas.getContext('2d');
+        const width = canvas.width = canvas.offsetWidth || 800;
+        const height = canvas.height = 320;
+
+        ctx.clearRect(0, 0, width, height);
+        ctx.fillStyle = getComputedStyle(document.documentElement).getPropertyValue('--bg-tertiary');
+        ctx.fillRect(0, 0, width, height);
+
+        if (!result) {
+            ctx.fillStyle = getComputedStyle(document.documentElement).getPropertyValue('--text-secondary');
+            ctx.font = '14px Inter, sans-serif';
+            ctx.textAlign = 'center';
+            ctx.fillText('Choose a strategy and run a backtest', width / 2, height / 2);
+            return;
+        }
+
+        this.drawBacktestChart(ctx, result, width, height);
+    }
+
+    /**
+     * Equity curve against buy and hold, with entry and exit markers
+     */
+    drawBacktestChart(ctx, result, width, height) {
+        const padding = 60;
+        const chartWidth = width - 2 * padding;
+        const chartHeight = height - 2 * padding;
+        const { dates, equity, benchmark } = result;
+        const series = [
+            { label: result.label, color: '#3b82f6', values: equity, lineWidth: 2.5 },
+            { label: `${result.symbol} buy and hold`, color: '#6b7280', values: benchmark, lineWidth: 1.5 }
+        ];
+
+        const values = [...equity, ...benchmark];
+        const minValue = Math.min(...values);
+        const maxValue = Math.max(...values);
+        const range = maxValue - minValue || 1;
+        const getX = (index) => padding + (index / (dates.length - 1)) * chartWidth;
+        const getY = (value) => padding + (1 - (value - minValue) / range) * chartHeight;
+
+        this.drawGrid(ctx, padding, chartWidth, chartHeight, minValue, maxValue, range);
+
+        series.forEach(item => {
+            ctx.strokeStyle = item.color;
+            ctx.lineWidth = item.lineWidth;
+            ctx.beginPath();
+            item.values.forEach((value, index) => {
+                if (index === 0) {
+                    ctx.moveTo(getX(index), getY(value));
+                } else {
+                    ctx.lineTo(getX(index), getY(value));
+                }
+            });
+            ctx.stroke();
+        });
+
+        // Entry (up) and exit (down) markers on the equity curve
+        const indexOfDate = date => dates.indexOf(date);
+        result.trades.forEach(trade => {
+            const markers = [{ index: indexOfDate(trade.entryDate), color: '#10b981', direction: -1 }];
+            if (!trade.open) {
+                markers.push({ index: indexOfDate(trade.exitDate), color: '#ef4444', direction: 1 });
+            }
+
+            markers.filter(marker => marker.index >= 0).forEach(marker => {
+                const x = getX(marker.index);
+                const y = getY(equity[marker.index]) - marker.direction * 10;
+                ctx.fillStyle = marker.color;
+                ctx.beginPath();
+                ctx.moveTo(x, y + marker.direction * 6);
+                ctx.lineTo(x - 5, y - marker.direction * 3);
+                ctx.lineTo(x + 5, y - marker.direction * 3);
+                ctx.closePath();
+                ctx.fill();
+            });
+        });
+
+        this.drawPaneLegend(ctx, { left: padding, top: padding - 10 }, series.map(item => ({
+            label: `${item.label} ${this.formatCurrency(item.values[item.values.length - 1])}`,
+            color: item.color
+        })));
+
+        ctx.fillStyle = getComputedStyle(document.documentElement).getPropertyValue('--text-secondary');
+        ctx.font = '12px Inter, sans-serif';
+        ctx.textAlign = 'right';
+        for (let i = 0; i <= 5; i++) {
+            const value = maxValue - (range / 5) * i;
+            ctx.fillText(this.formatCurrency(value), padding - 10, padding + (chartHeight / 5) * i + 4);
+        }
+
+        this.drawDateLabels(ctx, dates.map(date => ({ date })), padding, chartWidth, height, { month: 'short', year: '2-digit' });
+
+        const readoutPoints = dates.map((date, index) => ({
+            x: getX(index),
+            y: getY(equity[index]),
+            title: this.formatReadoutDate(date, false),
+            rows: [
+                ['Strategy', this.formatCurrency(equity[index])],
+                ['Buy and hold', this.formatCurrency(benchmark[index])],
+                ['Drawdown', this.formatReturn(result.drawdowns[index])]
+            ]
+        }));
+        this.setChartReadout(ctx.canvas, readoutPoints, { left: padding, right: padding + chartWidth, top: padding, bottom: height - 10 });
+    }
+
+    /**
+     * Screener fields: filterable metrics and how results display them
+     */
+    getScreenerFields() {
+        const fixed = digits => value => value.toFixed(digits);
+        const percent = value => `${value >= 0 ? '+' : ''}${value.toFixed(2)}%`;
+
+        return {
+            price: { label: 'Price', format: value => this.formatCurrency(value) },
+            changePercent: { label: 'Change %', format: percent },
+            volume: { label: 'Volume', format: value => this.formatNumber(value) },
+            marketCap: { label: 'Market cap ($B)', format: value => this.formatMarketCapValue(value * 1000000000) },
+            peRatio: { label: 'P/E', format: fixed(2) },
+            dividendYield: { label: 'Dividend yield %', format: value => `${value.toFixed(2)}%` },
+            beta: { label: 'Beta', format: fixed(2) },
+            rsi: { label: 'RSI (14)', format: fixed(1) },
+            sma50Distance: { label: '% from 50-day SMA', format: percent },
+            sma200Distance: { label: '% from 200-day SMA', format: percent },
+            macdHistogram: { label: 'MACD histogram', format: fixed(2) }
+        };
+    }
+
+    /**
+     * Symbols the screener scans: known companies, the market movers universe, configured and imported symbols
+     */
+    getScreenerUniverse() {
+        return [...new Set([
+            ...Object.keys(this.getKnownCompanies()).filter(symbol => !symbol.startsWith('^')),
+            ...this.getMarketMoversUniverse(),
+            ...this.config.screener.universe,
+            ...this.screenerImports
+        ])].sort();
+    }
+
+    /**
+     * Parse a formatted market cap such as "2.95T" or "870B" into dollars
+     */
+    parseMarketCap(value) {
+        const match = String(value ?? '').replace(/[$,\s]/g, '').match(/^([\d.]+)([TBMK]?)$/i);
+        if (!match) return null;
+
+        const multipliers = { T: 1e12, B: 1e9, M: 1e6, K: 1e3, '': 1 };
+        return parseFloat(match[1]) * multipliers[match[2].toUpperCase()];
+    }
+
+    /**
+     * Daily stock and benchmark return pairs on the stock's sessions, carrying the index close forward
+     */
+    getBenchmarkPairs(bars, indexBars) {
+        const closes = bars.map(bar => this.getOhlc(bar).close);
+        const indexCloses = this.alignCloses(bars, indexBars);
+
+        return closes.slice(1)
+            .map((close, index) => ({
+                value: close / closes[index] - 1,
+                benchmark: indexCloses[index + 1] !== null && indexCloses[index] !== null ? indexCloses[index + 1] / indexCloses[index] - 1 : null
+            }))
+            .filter(pair => pair.benchmark !== null);
+    }
+
+    /**
+     * Quote, fundamentals and indicator values for one symbol, cached for `screener.cacheTtl`
+     */
+    async getScreenerMetrics(symbol) {
+        const cached = this.screenerCache.get(symbol);
+        if (cached && Date.now() - cached.loadedAt < this.config.screener.cacheTtl) {
+            return cached;
+        }
+
+        const range = this.config.risk.lookback;
+        const [stock, bars, indexBars] = await Promise.all([
+            this.fetchStockData(symbol),
+            this.loadHistory(symbol, { range, interval: '1d' }),
+            this.loadHistory(this.config.marketIndex.symbol, { range, interval: '1d' })
+        ]);
+
+        const closes = bars.map(bar => this.getOhlc(bar).close);
+        const last = values => values.length > 0 ? values[values.length - 1] : null;
+        const distance = average => average === null || !average ? null : (stock.price / average - 1) * 100;
+        const pairs = this.getBenchmarkPairs(bars, indexBars);
+        const risk = this.calculateRiskMetrics(pairs.map(pair => pair.value), pairs.map(pair => pair.benchmark));
+        const numeric = value => {
+            const number = parseFloat(value);
+            return Number.isFinite(number) ? number : null;
+        };
+        const marketCap = this.parseMarketCap(stock.marketCap);
+
+        const metrics = {
+            symbol,
+            name: stock.name || this.getCompanyName(symbol),
+            price: stock.price,
+            changePercent: stock.changePercent,
+            volume: stock.volume,
+            marketCap: marketCap === null ? null : marketCap / 1000000000,
+            peRatio: numeric(stock.peRatio),
+            dividendYield: numeric(stock.dividendYield),
+            beta: risk ? risk.beta : null,
+            rsi: last(this.calculateRSI(closes, 14)),
+            sma50Distance: distance(last(this.calculateSMA(closes, 50))),
+            sma200Distance: distance(last(this.calculateSMA(closes, 200))),
+            macdHistogram: last(this.calculateMACD(closes).histogram),
+            loadedAt: Date.now()
+        };
+
+        this.screenerCache.set(symbol, metrics);
+        return metrics;
+    }
+
+    /**
+     * Whether a stock passes every filter; a missing metric fails its filter
+     */
+    matchesScreen(metrics, filters) {
+        return filters.every(filter => {
+            const value = metrics[filter.field];
+            if (value === null || value === undefined) return false;
+            return filter.operator === 'lte' ? value <= filter.value : value >= filter.value;
+        });
+    }
+
+    /**
+     * Load saved screens and imported universe symbols from localStorage
+     */
+    loadScreenerFromStorage() {
+        this.savedScreens = this.readStorage('savedScreens');
+        this.screenerImports = this.readStorage('screenerUniverse');
+    }
+
+    /**
+     * Persist saved screens and imported symbols
+     */
+    saveScreener() {
+        this.writeStorage('savedScreens', this.savedScreens);
+        this.writeStorage('screenerUniverse', this.screenerImports);
+    }
+
+    /**
+     * Wire the filter builder, saved screens, universe import and results table
+     */
+    setupScreener() {
+        const filterList = document.getElementById('screenerFilters');
+        const addFilterBtn = document.getElementById('addScreenerFilter');
+        const runBtn = document.getElementById('runScreener');
+        const saveForm = document.getElementById('saveScreenForm');
+        const savedSelect = document.getElementById('savedScreens');
+        const deleteBtn = document.getElementById('deleteScreen');
+        const importForm = document.getElementById('screenerImportForm');
+        const importFile = document.getElementById('screenerImportFile');
+        const results = document.getElementById('screenerResults');
+
+        if (filterList) {
+            filterList.addEventListener('change', (e) => {
+                const row = e.target.closest('[data-filter-index]');
+                if (!row) return;
+
+                const filter = this.screenerFilters[Number(row.getAttribute('data-filter-index'))];
+                filter.field = row.querySelector('[data-filter="field"]').value;
+                filter.operator = row.querySelector('[data-filter="operator"]').value;
+                filter.value = parseFloat(row.querySelector('[data-filter="value"]').value);
+            });
+            filterList.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-remove-filter]');
+                if (!button) return;
+
+                this.screenerFilters.splice(Number(button.getAttribute('data-remove-filter')), 1);
+                this.renderScreenerFilters();
+            });
+        }
+
+        if (addFilterBtn) {
+            addFilterBtn.addEventListener('click', () => {
+                this.screenerFilters.push({ field: 'price', operator: 'gte', value: NaN });
+                this.renderScreenerFilters();
+            });
+        }
+
+        if (runBtn) {
+            runBtn.addEventListener('click', () => this.runScreener());
+        }
+
+        if (saveForm) {
+            saveForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                const input = document.getElementById('screenName');
+                if (this.saveScreen(input.value)) {
+                    input.value = '';
+                }
+            });
+        }
+
+        if (savedSelect) {
+            savedSelect.addEventListener('change', () => {
+                const screen = this.savedScreens.find(item => item.id === savedSelect.value);
+                if (!screen) return;
+
+                this.screenerFilters = screen.filters.map(filter => ({ ...filter }));
+                this.renderScreenerFilters();
+                this.runScreener();
+            });
+        }
+
+        if (deleteBtn) {
+            deleteBtn.addEventListener('click', () => {
+                if (!savedSelect || !savedSelect.value) return;
+
+                this.savedScreens = this.savedScreens.filter(screen => screen.id !== savedSelect.value);
+                this.saveScreener();
+                this.renderSavedScreens();
+            });
+        }
+
+        if (importForm) {
+            importForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                const input = document.getElementById('screenerImportSymbols');
+                this.importScreenerSymbols(input.value);
+                input.value = '';
+            });
+        }
+
+        if (importFile) {
+            importFile.addEventListener('change', async () => {
+                const file = importFile.files[0];
+                if (!file) return;
+
+                try {
+                    this.importScreenerSymbols(await file.text());
+                } catch (error) {
+                    console.error('Error reading symbol file:', error);
+                    this.showNotification('Unable to read that file', 'error');
+                }
+                importFile.value = '';
+            });
+        }
+
+        if (results) {
+            results.addEventListener('click', (e) => {
+                const header = e.target.closest('[data-sort]');
+                if (header) {
+                    const key = header.getAttribute('data-sort');
+                    this.screenerSort = {
+                        key,
+                        direction: this.screenerSort.key === key && this.screenerSort.direction === 'desc' ? 'asc' : 'desc'
+                    };
+                    this.renderScreenerResults();
+                    return;
+                }
+
+                const row = e.target.closest('[data-symbol]');
+                if (row) {
+                    this.searchStock(row.getAttribute('data-symbol'));
+                }
+            });
+        }
+
+        this.renderScreenerFilters();
+        this.renderSavedScreens();
+        this.renderScreenerResults();
+    }
+
+    /**
+     * Add symbols to the screener universe from comma, space or line separated text (e.g. a CSV column)
+     */
+    importScreenerSymbols(text) {
+        const symbols = String(text)
+            .split(/[\s,;]+/)
+            .map(symbol => symbol.replace(/["']/g, '').trim().toUpperCase())
+            .filter(symbol => /^[A-Z0-9.-]{1,10}$/.test(symbol) && symbol !== 'SYMBOL');
+
+        const universe = new Set(this.getScreenerUniverse());
+        const candidates = [...new Set(symbols)].filter(symbol => !universe.has(symbol));
+
+        // The simulation only quotes directory symbols, so others could never be screened
+        const demoOnly = this.getProviderOrder('quote').every(name => name === 'demo');
+        const unknown = demoOnly ? candidates.filter(symbol => !this.isKnownSymbol(symbol)) : [];
+        const added = candidates.filter(symbol => !unknown.includes(symbol));
+        const skipped = unknown.length > 0 ? `skipped unknown ${unknown.join(', ')}` : '';
+
+        if (added.length === 0) {
+            this.showNotification(skipped ? `No symbols imported: ${skipped}` : 'No new symbols to import', 'warning');
+            return [];
+        }
+
+        this.screenerImports.push(...added);
+        this.saveScreener();
+        this.renderScreenerResults();
+        this.showNotification(
+            `Added ${added.length} symbol${added.length === 1 ? '' : 's'} to the screener${skipped ? ` · ${skipped}` : ''}`,
+            skipped ? 'warning' : 'success'
+        );
+        return added;
+    }
+
+    /**
+     * Render the filter builder rows
+     */
+    renderScreenerFilters() {
+        const container = document.getElementById('screenerFilters');
+        if (!container) return;
+
+        const fields = this.getScreenerFields();
+        container.innerHTML = this.screenerFilters.length === 0
+            ? '<p class="alerts-empty">No filters: every symbol in the universe matches.</p>'
+            : this.screenerFilters.map((filter, index) => `
+                <div class="screener-filter" data-filter-index="${index}">
+                    <select data-filter="field">
+                        ${Object.entries(fields).map(([key, field]) => `<option value="${key}" ${key === filter.field ? 'selected' : ''}>${field.label}</option>`).join('')}
+                    </select>
+                    <select data-filter="operator">
+                        <option value="gte" ${filter.operator === 'gte' ? 'selected' : ''}>at least</option>
+                        <option value="lte" ${filter.operator === 'lte' ? 'selected' : ''}>at most</option>
+                    </select>
+                    <input type="number" step="any" data-filter="value" value="${Number.isFinite(filter.value) ? filter.value : ''}">
+                    <button class="alert-action-btn" data-remove-filter="${index}" title="Remove filter">
+                        <i class="fas fa-times"></i>
+                    </button>
+                </div>
+            `).join('');
+    }
+
+    /**
+     * Fill the saved screens dropdown
+     */
+    renderSavedScreens() {
+        const select = document.getElementById('savedScreens');
+        if (!select) return;
+
+        select.innerHTML = `<option value="">Saved screens (${this.savedScreens.length})</option>` +
+            this.savedScreens.map(screen => `<option value="${screen.id}">${this.escapeHtml(screen.name)}</option>`).join('');
+    }
+
+    /**
+     * Save the current filters under a name, replacing a screen with the same name
+     */
+    saveScreen(name) {
+        const cleanName = name.trim();
+        if (!cleanName) {
+            this.showNotification('Please name the screen', 'warning');
+            return null;
+        }
+        if (!this.validateScreenerFilters()) return null;
+
+        const existing = this.savedScreens.find(screen => screen.name.toLowerCase() === cleanName.toLowerCase());
+        const screen = {
+            id: existing ? existing.id : this.generateId('screen'),
+            name: cleanName,
+            filters: this.screenerFilters.map(filter => ({ ...filter }))
+        };
+
+        this.savedScreens = existing
+            ? this.savedScreens.map(item => item.id === existing.id ? screen : item)
+            : [...this.savedScreens, screen];
+        this.saveScreener();
+        this.renderSavedScreens();
+        this.showNotification(`Saved screen "${cleanName}"`, 'success');
+        return screen;
+    }
+
+    /**
+     * Every filter needs a known field and a numeric value
+     */
+    validateScreenerFilters() {
+        const fields = this.getScreenerFields();
+        const invalid = this.screenerFilters.find(filter => !fields[filter.field] || !Number.isFinite(filter.value));
+        if (invalid) {
+            this.showNotification('Every filter needs a number to compare against', 'warning');
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Load metrics for the universe and keep the symbols that pass every filter
+     */
+    async runScreener() {
+        if (!this.validateScreenerFilters()) return null;
+
+        const requestId = ++this.screenerRequestId;
+        const universe = this.getScreenerUniverse();
+        const status = document.getElementById('screenerStatus');
+        const rows = [];
+        const failed = [];
+
+        // A few symbols at a time keeps providers responsive without waiting on each quote in turn
+        for (let start = 0; start < universe.length; start += 4) {
+            const batch = universe.slice(start, start + 4);
+            if (status) {
+                status.textContent = `Scanning ${start + batch.length} of ${universe.length} symbols...`;
+            }
+
+            const metrics = await Promise.all(batch.map(symbol => this.getScreenerMetrics(symbol).catch(error => {
+                console.error(`Error screening ${symbol}:`, error);
+                failed.push(symbol);
+                return null;
+            })));
+            if (requestId !== this.screenerRequestId) return null;
+
+            rows.push(...metrics.filter(Boolean));
+        }
+
+        const filters = this.screenerFilters.map(filter => ({ ...filter }));
+        this.screenerResults = rows.filter(row => this.matchesScreen(row, filters));
+        if (status) {
+            // Symbols without data are neither matches nor misses, so they are listed instead of counted
+            const unavailable = failed.length > 0 ? ` · could not load ${failed.join(', ')}` : '';
+            status.textContent = `${this.screenerResults.length} of ${rows.length} symbols match${unavailable} · scanned ${new Date().toLocaleTimeString()}`;
+        }
+        this.renderScreenerResults();
+        return this.screenerResults;
+    }
+
+    /**
+     * Render the sorted results table
+     */
+    renderScreenerResults() {
+        const table = document.getElementById('screenerResults');
+        if (!table) return;
+
+        const fields = this.getScreenerFields();
+        const columns = ['price', 'changePercent', 'volume', 'marketCap', 'peRatio', 'dividendYield', 'beta', 'rsi', 'sma200Distance'];
+        const { key, direction } = this.screenerSort;
+        const arrow = column => column === key ? ` <i class="fas fa-sort-${direction === 'asc' ? 'up' : 'down'}"></i>` : '';
+        const pnlClass = value => value > 0 ? 'positive' : value < 0 ? 'negative' : 'neutral';
+
+        // Missing values sort last in either direction
+        const rows = [...(this.screenerResults || [])].sort((a, b) => {
+            if (key === 'symbol') {
+                return direction === 'asc' ? a.symbol.localeCompare(b.symbol) : b.symbol.localeCompare(a.symbol);
+            }
+            if (a[key] === null) return 1;
+            if (b[key] === null) return -1;
+            return direction === 'asc' ? a[key] - b[key] : b[key] - a[key];
+        });
+
+        table.querySelector('thead').innerHTML = `
+            <tr>
+                <th data-sort="symbol">Symbol${arrow('symbol')}</th>
+                ${columns.map(column => `<th data-sort="${column}">${fields[column].label}${arrow(column)}</th>`).join('')}
+            </tr>
+        `;
+
+        const count = document.getElementById('screenerCount');
+        if (count) {
+            count.textContent = `${rows.length} / ${this.getScreenerUniverse().length}`;
+        }
+
+        table.querySelector('tbody').innerHTML = this.screenerResults === null
+            ? `<tr><td colspan="${columns.length + 1}" class="alerts-empty">Run the screen to scan ${this.getScreenerUniverse().length} symbols</td></tr>`
+            : rows.length === 0
+                ? `<tr><td colspan="${columns.length + 1}" class="alerts-empty">No symbols match these filters</td></tr>`
+                : rows.map(row => `
+                    <tr class="screener-row" data-symbol="${row.symbol}">
+                        <td><strong>${row.symbol}</strong> <small>${this.escapeHtml(row.name)}</small></td>
+                        ${columns.map(column => `
+                            <td class="${column === 'changePercent' ? pnlClass(row[column]) : ''}">${row[column] === null ? '—' : fields[column].format(row[column])}</td>
+                        `).join('')}
+                    </tr>
+                `).join('');
+    }
+
+    /**
+     * Load market data for carousels
+     */
+    async loadMarketData() {
+        // Gainers, losers and most active are ranked from live quotes; earnings stay illustrative
+        this.marketData = {
+            bullish: [],
+            trending: [],
+            bearish: [],
+            profitloss: [
                 { 
                     symbol: 'AAPL', 
                     name: 'Apple Inc.', 
@@ -1364,219 +7307,1056 @@ class StockAnalyzer {
             ]
         };
 
-        this.populateCarousels();
-        this.createPriceCharts();
+        this.populateCarousels();
+        this.createPriceCharts();
+        await this.refreshMarketMovers();
+    }
+
+    /**
+     * Symbols ranked by the market overview carousels
+     */
+    getMarketMoversUniverse() {
+        const { universe } = this.config.marketMovers;
+        if (universe.length > 0) {
+            return [...new Set(universe.map(symbol => symbol.toUpperCase()))];
+        }
+
+        return this.getSymbolDirectory().filter(entry => entry.type === 'Stock').map(entry => entry.symbol);
+    }
+
+    /**
+     * Re-quote the universe and rank it by percent change and by volume
+     */
+    async refreshMarketMovers() {
+        const requestId = ++this.marketMoversRequestId;
+        const results = await Promise.all(this.getMarketMoversUniverse().map(symbol =>
+            this.requestMarketData('quote', symbol).catch(error => {
+                console.error(`Error loading market movers quote for ${symbol}:`, error);
+                return null;
+            })
+        ));
+        if (requestId !== this.marketMoversRequestId) return;
+
+        const quotes = results
+            .filter(quote => quote && Number.isFinite(quote.price) && Number.isFinite(quote.changePercent))
+            .map(quote => ({ ...quote, name: quote.name || this.getCompanyName(quote.symbol) }));
+        if (quotes.length === 0) {
+            this.renderMarketMoversAsOf(true);
+            return;
+        }
+
+        const { count } = this.config.marketMovers;
+        const byChange = [...quotes].sort((a, b) => b.changePercent - a.changePercent);
+        const movers = {
+            bullish: byChange.filter(quote => quote.changePercent > 0).slice(0, count),
+            bearish: byChange.filter(quote => quote.changePercent < 0).reverse().slice(0, count),
+            trending: [...quotes].sort((a, b) => (b.volume || 0) - (a.volume || 0)).slice(0, count)
+        };
+
+        // Sparklines use the last month of daily closes for the symbols on screen
+        const shown = [...new Set(Object.values(movers).flat())];
+        await Promise.all(shown.map(async stock => {
+            try {
+                stock.history = await this.loadHistory(stock.symbol, { range: '1mo', interval: '1d' });
+            } catch (error) {
+                stock.history = [];
+            }
+        }));
+        if (requestId !== this.marketMoversRequestId) return;
+
+        Object.assign(this.marketData, movers);
+        this.marketMoversAsOf = new Date();
+        this.populateMoverCarousels();
+        this.renderMarketMoversAsOf();
+    }
+
+    /**
+     * Show when the movers were last ranked, or that the latest refresh failed
+     */
+    renderMarketMoversAsOf(failed = false) {
+        const element = document.getElementById('marketMoversAsOf');
+        if (!element) return;
+
+        const asOf = this.marketMoversAsOf
+            ? this.marketMoversAsOf.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', second: '2-digit' })
+            : null;
+
+        if (failed) {
+            element.textContent = asOf ? `Refresh failed · showing quotes as of ${asOf}` : 'Market data unavailable';
+        } else {
+            element.textContent = `As of ${asOf} · ${this.getMarketMoversUniverse().length} symbols ranked`;
+        }
+        element.classList.toggle('stale', failed);
+    }
+
+    /**
+     * Re-rank the movers on an interval while the page is visible
+     */
+    startMarketMoversUpdates() {
+        clearInterval(this.marketMoversTimer);
+        this.marketMoversTimer = setInterval(() => {
+            if (!document.hidden) {
+                this.refreshMarketMovers();
+            }
+        }, this.config.marketMovers.refreshInterval);
+    }
+
+    /**
+     * Populate market carousels with stock data
+     */
+    populateCarousels() {
+        this.populateMoverCarousels();
+        this.populateProfitLossCarousel();
+    }
+
+    /**
+     * Populate the gainers, losers and most active carousels
+     */
+    populateMoverCarousels() {
+        ['bullish', 'bearish'].forEach(type => {
+            const carousel = document.getElementById(`${type}Carousel`);
+            if (!carousel) return;
+
+            carousel.innerHTML = '';
+            if (this.marketData[type].length === 0) {
+                carousel.innerHTML = this.getMoverPlaceholder(type === 'bullish' ? 'No symbols are up right now' : 'No symbols are down right now');
+            }
+            this.marketData[type].forEach((stock, index) => {
+                const stockCard = this.createStockCard(stock, index);
+                carousel.appendChild(stockCard);
+            });
+            this.moveCarousel(type, 0);
+        });
+
+        this.populateActiveStocksCarousel();
+    }
+
+    /**
+     * Empty-carousel message, or a loading note before the first ranking
+     */
+    getMoverPlaceholder(message) {
+        return `<p class="alerts-empty">${this.marketMoversAsOf ? message : 'Loading quotes...'}</p>`;
+    }
+
+    /**
+     * Populate most active stocks carousel with enhanced charts
+     */
+    populateActiveStocksCarousel() {
+        const carousel = document.getElementById('trendingCarousel');
+        if (!carousel) return;
+
+        carousel.innerHTML = '';
+        if (this.marketData.trending.length === 0) {
+            carousel.innerHTML = this.getMoverPlaceholder('No volume reported yet');
+        }
+        this.marketData.trending.forEach((stock, index) => {
+            const activeCard = this.createActiveStockCard(stock, index);
+            carousel.appendChild(activeCard);
+        });
+        this.moveCarousel('trending', 0);
+    }
+
+    /**
+     * Create enhanced active stock card with better charts
+     */
+    createActiveStockCard(stock, index) {
+        const card = document.createElement('div');
+        card.className = 'active-stock-card';
+        card.setAttribute('data-symbol', stock.symbol);
+        card.style.animationDelay = `${index * 0.1}s`;
+
+        const changeClass = stock.change >= 0 ? 'positive' : 'negative';
+        const changeIcon = stock.change >= 0 ? 'fa-arrow-up' : 'fa-arrow-down';
+        const history = stock.history || [];
+        const volumes = history.map(bar => bar.volume).filter(Number.isFinite);
+        const averageVolume = volumes.length ? volumes.reduce((sum, volume) => sum + volume, 0) / volumes.length : null;
+
+        card.innerHTML = `
+            <div class="active-stock-header">
+                <div class="stock-info">
+                    <h4>${stock.symbol}</h4>
+                    <span class="company-name">${stock.name}</span>
+                </div>
+                <div class="volume-indicator">
+                    ${this.formatNumber(stock.volume)} vol
+                </div>
+            </div>
+            <div class="stock-price">
+                <span class="current-price">${this.formatCurrency(stock.price)}</span>
+                <span class="price-change ${changeClass}">
+                    <i class="fas ${changeIcon}"></i>
+                    ${stock.changePercent >= 0 ? '+' : ''}${stock.changePercent.toFixed(2)}%
+                </span>
+            </div>
+            <div class="stock-mini-chart-enhanced" id="enhanced-chart-${stock.symbol}">
+                <!-- Enhanced chart will be rendered here -->
+            </div>
+            <div class="stock-metrics">
+                <div class="metric">
+                    <div class="metric-label">Daily Range</div>
+                    <div class="metric-value">${Number.isFinite(stock.low) && Number.isFinite(stock.high) ? `${this.formatCurrency(stock.low)} - ${this.formatCurrency(stock.high)}` : '—'}</div>
+                </div>
+                <div class="metric">
+                    <div class="metric-label">Avg Volume</div>
+                    <div class="metric-value">${averageVolume ? this.formatNumber(averageVolume) : '—'}</div>
+                </div>
+            </div>
+        `;
+
+        // Create enhanced chart after card is added to DOM
+        if (history.length > 1) {
+            setTimeout(() => {
+                this.createEnhancedMiniChart(`enhanced-chart-${stock.symbol}`, history.map(bar => ({ value: bar.close, volume: bar.volume })));
+            }, 100);
+        }
+
+        return card;
+    }
+
+    /**
+     * Populate profit & loss carousel
+     */
+    populateProfitLossCarousel() {
+        const carousel = document.getElementById('profitLossCarousel');
+        if (!carousel) return;
+
+        carousel.innerHTML = '';
+        this.marketData.profitloss.forEach((data, index) => {
+            const profitLossCard = this.createProfitLossCard(data, index);
+            carousel.appendChild(profitLossCard);
+        });
+    }
+
+    /**
+     * Create profit & loss analysis card
+     */
+    createProfitLossCard(data, index) {
+        const card = document.createElement('div');
+        card.className = 'profit-loss-card';
+        card.style.animationDelay = `${index * 0.1}s`;
+
+        const profitMarginClass = data.profitMargin > 25 ? 'profit' : 'loss';
+        const profitIcon = data.profitMargin > 25 ? 'fa-chart-line' : 'fa-chart-line-down';
+
+        card.innerHTML = `
+            <div class="profit-loss-header">
+                <div class="profit-loss-icon ${profitMarginClass}">
+                    <i class="fas ${profitIcon}"></i>
+                </div>
+                <div class="profit-loss-info">
+                    <h4>${data.symbol}</h4>
+                    <span>${data.name}</span>
+                </div>
+            </div>
+            <div class="profit-loss-metrics">
+                <div class="profit-loss-metric">
+                    <div class="metric-label">Revenue</div>
+                    <div class="metric-value">$${data.revenue}B</div>
+                </div>
+                <div class="profit-loss-metric">
+                    <div class="metric-label">Net Profit</div>
+                    <div class="metric-value">$${data.netProfit}B</div>
+                </div>
+                <div class="profit-loss-metric">
+                    <div class="metric-label">Profit Margin</div>
+                    <div class="metric-value">${data.profitMargin}%</div>
+                </div>
+                <div class="profit-loss-metric">
+                    <div class="metric-label">Growth Rate</div>
+                    <div class="metric-value">+${(Math.random() * 15 + 5).toFixed(1)}%</div>
+                </div>
+            </div>
+            <div class="profit-loss-chart" id="pl-chart-${data.symbol}">
+                <!-- Profit/Loss chart will be rendered here -->
+            </div>
+        `;
+
+        // Create profit/loss chart after card is added to DOM
+        setTimeout(() => {
+            this.createProfitLossChart(`pl-chart-${data.symbol}`, data.quarterlyData);
+        }, 100);
+
+        return card;
+    }
+
+    /**
+     * Create enhanced mini chart for active stocks
+     */
+    createEnhancedMiniChart(containerId, data) {
+        const container = document.getElementById(containerId);
+        if (!container) return;
+
+        const canvas = document.createElement('canvas');
+        canvas.width = container.offsetWidth || 280;
+        canvas.height = container.offsetHeight || 80;
+        container.appendChild(canvas);
+
+        const ctx = canvas.getContext('2d');
+        this.drawEnhancedMiniChart(ctx, data, canvas.width, canvas.height);
+    }
+
+    /**
+     * Draw enhanced mini chart with volume bars
+     */
+    drawEnhancedMiniChart(ctx, data, width, height) {
+        const padding = 10;
+        const chartWidth = width - 2 * padding;
+        const chartHeight = height - 2 * padding - 20; // Leave space for volume
+
+        // Clear canvas
+        ctx.clearRect(0, 0, width, height);
+
+        // Find min/max for scaling
+        const values = data.map(d => d.value);
+        const volumes = data.map(d => d.volume || Math.random() * 100);
+        const minValue = Math.min(...values);
+        const maxValue = Math.max(...values);
+        const range = maxValue - minValue || 1;
+        const maxVolume = Math.max(...volumes);
+
+        // Determine trend color
+        const isPositive = values[values.length - 1] >= values[0];
+        const lineColor = isPositive ? '#10b981' : '#ef4444';
+        const fillColor = isPositive ? 'rgba(16, 185, 129, 0.2)' : 'rgba(239, 68, 68, 0.2)';
+
+        // Draw volume bars at bottom
+        const volumeHeight = 15;
+        const volumeY = height - volumeHeight - 5;
+        ctx.fillStyle = 'rgba(156, 163, 175, 0.5)';
+
+        data.forEach((point, index) => {
+            const x = padding + (index / (data.length - 1)) * chartWidth;
+            const barHeight = ((point.volume || Math.random() * 100) / maxVolume) * volumeHeight;
+            const barWidth = chartWidth / data.length * 0.8;
+
+            ctx.fillRect(x - barWidth / 2, volumeY + volumeHeight - barHeight, barWidth, barHeight);
+        });
+
+        // Create gradient fill for price area
+        const gradient = ctx.createLinearGradient(0, padding, 0, padding + chartHeight);
+        gradient.addColorStop(0, fillColor);
+        gradient.addColorStop(1, 'transparent');
+
+        // Draw area fill
+        ctx.fillStyle = gradient;
+        ctx.beginPath();
+        data.forEach((point, index) => {
+            const x = padding + (index / (data.length - 1)) * chartWidth;
+            const y = padding + (1 - (point.value - minValue) / range) * chartHeight;
+
+            if (index === 0) {
+                ctx.moveTo(x, y);
+            } else {
+                ctx.lineTo(x, y);
+            }
+        });
+        ctx.lineTo(padding + chartWidth, padding + chartHeight);
+        ctx.lineTo(padding, padding + chartHeight);
+        ctx.closePath();
+        ctx.fill();
+
+        // Draw price line
+        ctx.strokeStyle = lineColor;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        data.forEach((point, index) => {
+            const x = padding + (index / (data.length - 1)) * chartWidth;
+            const y = padding + (1 - (point.value - minValue) / range) * chartHeight;
+
+            if (index === 0) {
+                ctx.moveTo(x, y);
+            } else {
+                ctx.lineTo(x, y);
+            }
+        });
+        ctx.stroke();
+
+        // Draw current price point
+        const lastPoint = data[data.length - 1];
+        const lastX = padding + chartWidth;
+        const lastY = padding + (1 - (lastPoint.value - minValue) / range) * chartHeight;
+
+        ctx.fillStyle = lineColor;
+        ctx.beginPath();
+        ctx.arc(lastX, lastY, 3, 0, 2 * Math.PI);
+        ctx.fill();
+
+        const area = { left: padding, top: padding, width: chartWidth, height: chartHeight };
+        this.setChartReadout(ctx.canvas, this.getSeriesReadoutPoints(data, d => d.value, area, minValue, range),
+            { left: 0, right: width, top: 0, bottom: height });
+    }
+
+    /**
+     * Create profit/loss chart
+     */
+    createProfitLossChart(containerId, quarterlyData) {
+        const container = document.getElementById(containerId);
+        if (!container) return;
+
+        const canvas = document.createElement('canvas');
+        canvas.width = container.offsetWidth || 300;
+        canvas.height = container.offsetHeight || 120;
+        container.appendChild(canvas);
+
+        const ctx = canvas.getContext('2d');
+        this.drawProfitLossChart(ctx, quarterlyData, canvas.width, canvas.height);
+    }
+
+    /**
+     * Draw profit/loss bar chart
+     */
+    drawProfitLossChart(ctx, data, width, height) {
+        const padding = 20;
+        const chartWidth = width - 2 * padding;
+        const chartHeight = height - 2 * padding;
+
+        // Clear canvas
+        ctx.clearRect(0, 0, width, height);
+
+        // Find max value for scaling
+        const maxProfit = Math.max(...data.map(d => d.profit));
+        const maxLoss = Math.max(...data.map(d => d.loss));
+        const maxValue = Math.max(maxProfit, maxLoss);
+
+        // Draw bars
+        const barWidth = chartWidth / data.length * 0.6;
+        const barSpacing = chartWidth / data.length;
+
+        data.forEach((item, index) => {
+            const x = padding + index * barSpacing + (barSpacing - barWidth) / 2;
+
+            // Profit bar (green)
+            const profitHeight = (item.profit / maxValue) * chartHeight * 0.7;
+            ctx.fillStyle = '#10b981';
+            ctx.fillRect(x, padding + chartHeight - profitHeight, barWidth * 0.45, profitHeight);
+
+            // Loss bar (red)
+            const lossHeight = (item.loss / maxValue) * chartHeight * 0.7;
+            ctx.fillStyle = '#ef4444';
+            ctx.fillRect(x + barWidth * 0.55, padding + chartHeight - lossHeight, barWidth * 0.45, lossHeight);
+
+            // Quarter label
+            ctx.fillStyle = getComputedStyle(document.documentElement).getPropertyValue('--text-secondary');
+            ctx.font = '10px Inter, sans-serif';
+            ctx.textAlign = 'center';
+            ctx.fillText(item.quarter, x + barWidth / 2, height - 5);
+        });
+
+        const points = data.map((item, index) => ({
+            x: padding + index * barSpacing + barSpacing / 2,
+            y: padding + chartHeight - (Math.max(item.profit, item.loss) / maxValue) * chartHeight * 0.7,
+            title: item.quarter,
+            rows: [['Profit', `$${item.profit.toFixed(1)}B`], ['Loss', `$${item.loss.toFixed(1)}B`]]
+        }));
+        this.setChartReadout(ctx.canvas, points, { left: 0, right: width, top: 0, bottom: height });
+    }
+
+    /**
+     * Create price chart analysis section
+     */
+    createPriceCharts() {
+        setTimeout(() => {
+            this.createMarketIndexChart();
+            this.createSectorChart();
+        }, 200);
+    }
+
+    /**
+     * Create market index chart
+     */
+    createMarketIndexChart() {
+        const canvas = document.getElementById('marketIndexChart');
+        if (!canvas) return;
+
+        const ctx = canvas.getContext('2d');
+        const width = canvas.width = canvas.offsetWidth;
+        const height = canvas.height = 300;
+
+        // Generate market index data
+        const indexData = this.generateMarketIndexData();
+        this.drawMarketIndexChart(ctx, indexData, width, height);
+    }
+
+    /**
+     * Generate market index data
+     */
+    generateMarketIndexData(range = '3mo', interval = '1d') {
+        // Same simulated series the demo provider serves for the index symbol
+        return this.getSimulatedHistory(this.config.marketIndex.symbol, range, interval).map(bar => ({
+            time: bar.date,
+            value: bar.close,
+            volume: bar.volume
+        }));
+    }
+
+    /**
+     * Draw market index chart
+     */
+    drawMarketIndexChart(ctx, data, width, height) {
+        const padding = 40;
+        const chartWidth = width - 2 * padding;
+        const chartHeight = height - 2 * padding;
+
+        // Clear canvas
+        ctx.clearRect(0, 0, width, height);
+
+        // Background
+        ctx.fillStyle = getComputedStyle(document.documentElement).getPropertyValue('--bg-tertiary');
+        ctx.fillRect(0, 0, width, height);
+
+        // Find min/max for scaling
+        const values = data.map(d => d.value);
+        const minValue = Math.min(...values);
+        const maxValue = Math.max(...values);
+        const range = maxValue - minValue;
+
+        // Draw grid
+        ctx.strokeStyle = getComputedStyle(document.documentElement).getPropertyValue('--border-light');
+        ctx.lineWidth = 0.5;
+
+        for (let i = 0; i <= 5; i++) {
+            const y = padding + (chartHeight / 5) * i;
+            ctx.beginPath();
+            ctx.moveTo(padding, y);
+            ctx.lineTo(padding + chartWidth, y);
+            ctx.stroke();
+        }
+
+        // Draw area fill
+        const gradient = ctx.createLinearGradient(0, padding, 0, padding + chartHeight);
+        gradient.addColorStop(0, 'rgba(59, 130, 246, 0.3)');
+        gradient.addColorStop(1, 'rgba(59, 130, 246, 0.05)');
+
+        ctx.fillStyle = gradient;
+        ctx.beginPath();
+        data.forEach((point, index) => {
+            const x = padding + (index / (data.length - 1)) * chartWidth;
+            const y = padding + (1 - (point.value - minValue) / range) * chartHeight;
+
+            if (index === 0) {
+                ctx.moveTo(x, y);
+            } else {
+                ctx.lineTo(x, y);
+            }
+        });
+        ctx.lineTo(padding + chartWidth, padding + chartHeight);
+        ctx.lineTo(padding, padding + chartHeight);
+        ctx.closePath();
+        ctx.fill();
+
+        // Draw line
+        ctx.strokeStyle = '#3b82f6';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        data.forEach((point, index) => {
+            const x = padding + (index / (data.length - 1)) * chartWidth;
+            const y = padding + (1 - (point.value - minValue) / range) * chartHeight;
+
+            if (index === 0) {
+                ctx.moveTo(x, y);
+            } else {
+                ctx.lineTo(x, y);
+            }
+        });
+        ctx.stroke();
+
+        // Draw labels
+        ctx.fillStyle = getComputedStyle(document.documentElement).getPropertyValue('--text-secondary');
+        ctx.font = '12px Inter, sans-serif';
+        ctx.textAlign = 'right';
+
+        for (let i = 0; i <= 5; i++) {
+            const value = maxValue - (range / 5) * i;
+            const y = padding + (chartHeight / 5) * i + 4;
+            ctx.fillText(value.toFixed(0), padding - 10, y);
+        }
+
+        const area = { left: padding, top: padding, width: chartWidth, height: chartHeight };
+        this.setChartReadout(ctx.canvas, this.getSeriesReadoutPoints(data, d => d.value, area, minValue, range || 1, (value) => value.toFixed(2)),
+            { left: padding, right: padding + chartWidth, top: padding, bottom: padding + chartHeight });
+    }
+
+    /**
+     * Create sector performance chart
+     */
+    createSectorChart() {
+        const canvas = document.getElementById('sectorChart');
+        if (!canvas) return;
+
+        const ctx = canvas.getContext('2d');
+        const width = canvas.width = canvas.offsetWidth;
+        const height = canvas.height = 300;
+
+        // Generate sector data
+        const sectors = [
+            { name: 'Technology', performance: 12.5, color: '#3b82f6' },
+            { name: 'Healthcare', performance: 8.2, color: '#10b981' },
+            { name: 'Finance', performance: -2.1, color: '#ef4444' },
+            { name: 'Energy', performance: 15.8, color: '#f59e0b' },
+            { name: 'Consumer', performance: 5.4, color: '#8b5cf6' },
+            { name: 'Industrial', performance: 3.7, color: '#06b6d4' }
+        ];
+
+        this.drawSectorChart(ctx, sectors, width, height);
+    }
+
+    /**
+     * Draw sector performance chart
+     */
+    drawSectorChart(ctx, sectors, width, height) {
+        const padding = 40;
+        const chartWidth = width - 2 * padding;
+        const chartHeight = height - 2 * padding;
+
+        // Clear canvas
+        ctx.clearRect(0, 0, width, height);
+
+        // Background
+        ctx.fillStyle = getComputedStyle(document.documentElement).getPropertyValue('--bg-tertiary');
+        ctx.fillRect(0, 0, width, height);
+
+        // Find max absolute value for scaling
+        const maxAbsValue = Math.max(...sectors.map(s => Math.abs(s.performance)));
+
+        // Draw bars
+        const barHeight = chartHeight / sectors.length * 0.8;
+        const barSpacing = chartHeight / sectors.length;
+
+        sectors.forEach((sector, index) => {
+            const y = padding + index * barSpacing + (barSpacing - barHeight) / 2;
+            const barWidth = Math.abs(sector.performance / maxAbsValue) * chartWidth * 0.8;
+            const x = sector.performance >= 0 ? padding + chartWidth / 2 : padding + chartWidth / 2 - barWidth;
+
+            // Draw bar
+            ctx.fillStyle = sector.color;
+            ctx.fillRect(x, y, barWidth, barHeight);
+
+            // Draw sector name
+            ctx.fillStyle = getComputedStyle(document.documentElement).getPropertyValue('--text-primary');
+            ctx.font = '12px Inter, sans-serif';
+            ctx.textAlign = 'left';
+            ctx.fillText(sector.name, padding - 35, y + barHeight / 2 + 4);
+
+            // Draw performance value
+            ctx.textAlign = 'right';
+            ctx.fillText(`${sector.performance >= 0 ? '+' : ''}${sector.performance.toFixed(1)}%`, width - padding + 30, y + barHeight / 2 + 4);
+        });
+
+        // Draw center line
+        ctx.strokeStyle = getComputedStyle(document.documentElement).getPropertyValue('--border-color');
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(padding + chartWidth / 2, padding);
+        ctx.lineTo(padding + chartWidth / 2, padding + chartHeight);
+        ctx.stroke();
+
+        const points = sectors.map((sector, index) => ({
+            x: padding + chartWidth / 2 + (sector.performance / maxAbsValue) * chartWidth * 0.4,
+            y: padding + index * barSpacing + barSpacing / 2,
+            title: sector.name,
+            rows: [['Performance', `${sector.performance >= 0 ? '+' : ''}${sector.performance.toFixed(2)}%`]]
+        }));
+        this.setChartReadout(ctx.canvas, points, { left: 0, right: width, top: padding, bottom: padding + chartHeight }, 'y');
+    }
+
+    /**
+     * Load the intraday chart now and keep reloading it while the page is open
+     */
+    startIntradayUpdates() {
+        this.updateIntradayChart();
+
+        clearInterval(this.intradayTimer);
+        this.intradayTimer = setInterval(() => {
+            // Skip refreshes while the tab is in the background
+            if (!document.hidden) {
+                this.updateIntradayChart();
+            }
+        }, this.config.intraday.refreshInterval);
     }
 
     /**
-     * Populate market carousels with stock data
+     * Switch the intraday chart window (last hour, last four hours or whole day)
      */
-    populateCarousels() {
-        Object.keys(this.marketData).forEach(type => {
-            if (type === 'trending') {
-                this.populateActiveStocksCarousel();
-            } else if (type === 'profitloss') {
-                this.populateProfitLossCarousel();
-            } else {
-                const carousel = document.getElementById(`${type}Carousel`);
-                if (carousel) {
-                    carousel.innerHTML = '';
-                    this.marketData[type].forEach((stock, index) => {
-                        const stockCard = this.createStockCard(stock, index);
-                        carousel.appendChild(stockCard);
-                    });
-                }
-            }
+    switchIntradayWindow(clickedBtn) {
+        document.querySelectorAll('#intradayControls .chart-btn').forEach(btn => {
+            btn.classList.remove('active');
         });
+        clickedBtn.classList.add('active');
+
+        this.intradayWindow = clickedBtn.getAttribute('data-chart');
+        this.renderIntradayChart();
     }
 
     /**
-     * Populate most active stocks carousel with enhanced charts
+     * Reload minute bars for the selected stock and redraw the intraday chart
      */
-    populateActiveStocksCarousel() {
-        const carousel = document.getElementById('trendingCarousel');
-        if (!carousel) return;
+    async updateIntradayChart(symbol = this.currentStock ? this.currentStock.symbol : null) {
+        if (!symbol) {
+            this.renderIntradayChart();
+            return;
+        }
 
-        carousel.innerHTML = '';
-        this.marketData.trending.forEach((stock, index) => {
-            const activeCard = this.createActiveStockCard(stock, index);
-            carousel.appendChild(activeCard);
-        });
+        const requestId = ++this.intradayRequestId;
+        try {
+            // Minute bars always come fresh; daily bars (for the previous close) can be cached
+            const [bars, daily] = await Promise.all([
+                this.requestMarketData('history', symbol, { range: '1d', interval: '1m', prePost: this.config.intraday.extendedHours }),
+                this.loadHistory(symbol, { range: '5d', interval: '1d' })
+            ]);
+
+            if (requestId !== this.intradayRequestId) return;
+            if (bars.length === 0) {
+                throw new Error(`No intraday bars for ${symbol}`);
+            }
+
+            // Daily bars are compared by trading date; their timestamps vary by provider
+            const { year, month, day } = this.getMarketClock(bars[bars.length - 1].date);
+            const sessionKey = this.formatDateKey(new Date(year, month, day));
+            const previousDay = daily.filter(bar => this.formatDateKey(bar.date) < sessionKey).pop();
+
+            this.intradayData = {
+                symbol,
+                bars,
+                previousClose: previousDay ? previousDay.close : bars[0].open
+            };
+            this.renderIntradayChart();
+        } catch (error) {
+            console.error(`Error loading intraday data for ${symbol}:`, error);
+
+            // Only surface the first failure for a symbol, not every background refresh
+            if (!this.intradayData || this.intradayData.symbol !== symbol) {
+                this.intradayData = null;
+                this.renderIntradayChart();
+                this.showNotification(`Unable to load intraday data for ${symbol}`, 'error');
+            }
+        }
     }
 
     /**
-     * Create enhanced active stock card with better charts
+     * Redraw the intraday chart from the last loaded bars
      */
-    createActiveStockCard(stock, index) {
-        const card = document.createElement('div');
-        card.className = 'active-stock-card';
-        card.setAttribute('data-symbol', stock.symbol);
-        card.style.animationDelay = `${index * 0.1}s`;
+    renderIntradayChart() {
+        const canvas = document.getElementById('intradayChart');
+        if (!canvas) return;
 
-        const changeClass = stock.change >= 0 ? 'positive' : 'negative';
-        const changeIcon = stock.change >= 0 ? 'fa-arrow-up' : 'fa-arrow-down';
+        const ctx = canvas.getContext('2d');
+        const width = canvas.width = canvas.offsetWidth || 800;
+        const height = canvas.height = 300;
 
-        card.innerHTML = `
-            <div class="active-stock-header">
-                <div class="stock-info">
-                    <h4>${stock.symbol}</h4>
-                    <span class="company-name">${stock.name}</span>
-                </div>
-                <div class="volume-indicator">
-                    ${this.formatNumber(stock.volume)} vol
-                </div>
-            </div>
-            <div class="stock-price">
-                <span class="current-price">${this.formatCurrency(stock.price)}</span>
-                <span class="price-change ${changeClass}">
-                    <i class="fas ${changeIcon}"></i>
-                    ${stock.changePercent >= 0 ? '+' : ''}${stock.changePercent.toFixed(2)}%
-                </span>
-            </div>
-            <div class="stock-mini-chart-enhanced" id="enhanced-chart-${stock.symbol}">
-                <!-- Enhanced chart will be rendered here -->
-            </div>
-            <div class="stock-metrics">
-                <div class="metric">
-                    <div class="metric-label">Daily Range</div>
-                    <div class="metric-value">$${(stock.price * 0.98).toFixed(2)} - $${(stock.price * 1.02).toFixed(2)}</div>
-                </div>
-                <div class="metric">
-                    <div class="metric-label">Avg Volume</div>
-                    <div class="metric-value">${this.formatNumber(stock.volume * 0.85)}</div>
-                </div>
-            </div>
-        `;
+        ctx.clearRect(0, 0, width, height);
+        ctx.fillStyle = getComputedStyle(document.documentElement).getPropertyValue('--bg-tertiary');
+        ctx.fillRect(0, 0, width, height);
 
-        // Create enhanced chart after card is added to DOM
-        setTimeout(() => {
-            this.createEnhancedMiniChart(`enhanced-chart-${stock.symbol}`, this.generateEnhancedChartData(stock.price, stock.change >= 0));
-        }, 100);
+        if (!this.intradayData) {
+            ctx.fillStyle = getComputedStyle(document.documentElement).getPropertyValue('--text-secondary');
+            ctx.font = '14px Inter, sans-serif';
+            ctx.textAlign = 'center';
+            ctx.fillText('Search for a stock to follow its intraday movement', width / 2, height / 2);
+            return;
+        }
 
-        return card;
+        this.drawIntradayChart(ctx, this.intradayData, width, height, this.intradayWindow);
     }
 
     /**
-     * Populate profit & loss carousel
+     * Trading session a bar belongs to: 'pre', 'regular' or 'post'
      */
-    populateProfitLossCarousel() {
-        const carousel = document.getElementById('profitLossCarousel');
-        if (!carousel) return;
+    getIntradaySession(date) {
+        const { minute } = this.getMarketClock(date);
+        if (minute < 9 * 60 + 30) return 'pre';
+        if (minute >= 16 * 60) return 'post';
+        return 'regular';
+    }
 
-        carousel.innerHTML = '';
-        this.marketData.profitloss.forEach((data, index) => {
-            const profitLossCard = this.createProfitLossCard(data, index);
-            carousel.appendChild(profitLossCard);
+    /**
+     * Volume-weighted average price from the regular open; null before it
+     */
+    calculateVWAP(bars) {
+        let priceVolume = 0;
+        let totalVolume = 0;
+
+        return bars.map(bar => {
+            if (this.getIntradaySession(bar.date) === 'pre') return null;
+
+            const typicalPrice = (bar.high + bar.low + bar.close) / 3;
+            priceVolume += typicalPrice * bar.volume;
+            totalVolume += bar.volume;
+            return totalVolume > 0 ? priceVolume / totalVolume : typicalPrice;
         });
     }
 
     /**
-     * Create profit & loss analysis card
+     * Draw intraday minute bars with previous close, VWAP, volume and extended-hours shading
      */
-    createProfitLossCard(data, index) {
+    drawIntradayChart(ctx, intradayData, width, height, windowKey = '1d') {
+        const { symbol, bars, previousClose } = intradayData;
+        const styles = getComputedStyle(document.documentElement);
+        const left = 60;
+        const top = 30;
+        const chartWidth = width - 2 * left;
+        const chartHeight = height - 130;
+        const volumeTop = top + chartHeight + 10;
+        const volumeHeight = 50;
+        const minuteMs = 60 * 1000;
+
+        // Visible time window: the whole session, or the last hour(s) of trading
+        const lastBar = bars[bars.length - 1];
+        const extended = this.config.intraday.extendedHours;
+        let start;
+        let end;
+        if (windowKey === '1h' || windowKey === '4h') {
+            end = lastBar.date.getTime() + minuteMs;
+            start = end - (windowKey === '1h' ? 60 : 240) * minuteMs;
+        } else {
+            start = this.getSessionTime(lastBar.date, extended ? 4 * 60 : 9 * 60 + 30).getTime();
+            end = this.getSessionTime(lastBar.date, extended ? 20 * 60 : 16 * 60).getTime();
+        }
+        const getX = (time) => left + ((time - start) / (end - start)) * chartWidth;
+
+        const vwap = this.calculateVWAP(bars);
+        const visible = bars
+            .map((bar, index) => ({ bar, vwap: vwap[index] }))
+            .filter(({ bar }) => bar.date.getTime() >= start && bar.date.getTime() < end);
+        if (visible.length === 0) return;
+
+        const values = [previousClose];
+        visible.forEach(({ bar, vwap: value }) => {
+            values.push(bar.high, bar.low);
+            if (value !== null) values.push(value);
+        });
+        const minPrice = Math.min(...values);
+        const maxPrice = Math.max(...values);
+        const priceRange = maxPrice - minPrice || 1;
+        const getY = (price) => top + (1 - (price - minPrice) / priceRange) * chartHeight;
+
+        // Pre-market and after-hours shading
+        const openTime = this.getSessionTime(lastBar.date, 9 * 60 + 30).getTime();
+        const closeTime = this.getSessionTime(lastBar.date, 16 * 60).getTime();
+        ctx.font = '10px Inter, sans-serif';
+        ctx.textAlign = 'left';
+        [[start, openTime, 'Pre-market'], [closeTime, end, 'After hours']].forEach(([from, to, label]) => {
+            const x1 = getX(Math.max(from, start));
+            const x2 = getX(Math.min(to, end));
+            if (x2 <= x1) return;
+
+            ctx.fillStyle = 'rgba(107, 114, 128, 0.12)';
+            ctx.fillRect(x1, top, x2 - x1, volumeTop + volumeHeight - top);
+            ctx.fillStyle = styles.getPropertyValue('--text-secondary');
+            ctx.fillText(label, x1 + 4, top + 12);
+        });
+
+        // Grid
+        ctx.strokeStyle = styles.getPropertyValue('--border-light');
+        ctx.lineWidth = 0.5;
+        for (let i = 0; i <= 4; i++) {
+            const y = top + (chartHeight / 4) * i;
+            ctx.beginPath();
+            ctx.moveTo(left, y);
+            ctx.lineTo(left + chartWidth, y);
+            ctx.stroke();
+        }
+
+        // Previous close reference
+        const previousCloseY = getY(previousClose);
+        ctx.strokeStyle = '#9ca3af';
+        ctx.lineWidth = 1;
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        ctx.moveTo(left, previousCloseY);
+        ctx.lineTo(left + chartWidth, previousCloseY);
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        ctx.fillStyle = '#9ca3af';
+        ctx.textAlign = 'left';
+        ctx.fillText(`Prev ${this.formatCurrency(previousClose)}`, left + chartWidth + 4, previousCloseY + 3);
+
+        // Price line, colored against the previous close
+        const isUp = lastBar.close >= previousClose;
+        ctx.strokeStyle = isUp ? '#10b981' : '#ef4444';
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        visible.forEach(({ bar }, index) => {
+            const x = getX(bar.date.getTime());
+            const y = getY(bar.close);
+            if (index === 0) {
+                ctx.moveTo(x, y);
+            } else {
+                ctx.lineTo(x, y);
+            }
+        });
+        ctx.stroke();
+
+        // VWAP
+        ctx.strokeStyle = '#f59e0b';
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        visible.forEach(({ bar, vwap: value }, index) => {
+            if (value === null) return;
+            const x = getX(bar.date.getTime());
+            const y = getY(value);
+            if (index === 0 || visible[index - 1].vwap === null) {
+                ctx.moveTo(x, y);
+            } else {
+                ctx.lineTo(x, y);
+            }
+        });
+        ctx.stroke();
+
+        // Volume, dimmed outside the regular session
+        const maxVolume = Math.max(...visible.map(({ bar }) => bar.volume)) || 1;
+        const barWidth = Math.max(1, (chartWidth * minuteMs / (end - start)) * 0.8);
+        visible.forEach(({ bar }) => {
+            const barHeight = (bar.volume / maxVolume) * volumeHeight;
+            const alpha = this.getIntradaySession(bar.date) === 'regular' ? 0.6 : 0.3;
+            ctx.fillStyle = bar.close >= bar.open ? `rgba(16, 185, 129, ${alpha})` : `rgba(239, 68, 68, ${alpha})`;
+            ctx.fillRect(getX(bar.date.getTime()), volumeTop + volumeHeight - barHeight, barWidth, barHeight);
+        });
+
+        // Price labels
+        ctx.fillStyle = styles.getPropertyValue('--text-secondary');
+        ctx.textAlign = 'right';
+        for (let i = 0; i <= 4; i++) {
+            const price = maxPrice - (priceRange / 4) * i;
+            ctx.fillText(this.formatCurrency(price), left - 6, top + (chartHeight / 4) * i + 4);
+        }
+
+        // Time labels on round 15-minute, hourly or two-hourly marks
+        const stepMinutes = end - start <= 60 * minuteMs ? 15 : end - start <= 240 * minuteMs ? 60 : 120;
+        const stepMs = stepMinutes * minuteMs;
+        ctx.textAlign = 'center';
+        const firstTick = this.getSessionTime(new Date(start), Math.ceil(this.getMarketClock(new Date(start)).minute / stepMinutes) * stepMinutes).getTime();
+        for (let time = firstTick; time <= end; time += stepMs) {
+            const label = new Date(time).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', timeZone: 'America/New_York' });
+            ctx.fillText(label, getX(time), height - 12);
+        }
+
+        // Legend
+        const change = lastBar.close - previousClose;
+        const changePercent = (change / previousClose) * 100;
+        const lastVwap = vwap[vwap.length - 1];
+        ctx.textAlign = 'left';
+        ctx.font = '12px Inter, sans-serif';
+        ctx.fillStyle = styles.getPropertyValue('--text-primary');
+        ctx.fillText(`${symbol} ${this.formatCurrency(lastBar.close)}`, left, top - 12);
+        ctx.fillStyle = isUp ? '#10b981' : '#ef4444';
+        ctx.fillText(`${change >= 0 ? '+' : ''}${this.formatCurrency(change)} (${change >= 0 ? '+' : ''}${changePercent.toFixed(2)}%)`, left + 110, top - 12);
+        ctx.fillStyle = '#f59e0b';
+        ctx.fillText(`VWAP ${lastVwap === null ? '-' : this.formatCurrency(lastVwap)}`, left + 260, top - 12);
+        ctx.fillStyle = styles.getPropertyValue('--text-secondary');
+        ctx.textAlign = 'right';
+        ctx.fillText(`As of ${lastBar.date.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', timeZone: 'America/New_York' })} ET`, left + chartWidth, top - 12);
+
+        const sessionNames = { pre: 'Pre-market', regular: 'Regular', post: 'After hours' };
+        const points = visible.map(({ bar, vwap: value }) => ({
+            x: getX(bar.date.getTime()),
+            y: getY(bar.close),
+            title: this.formatReadoutDate(bar.date, true),
+            rows: [
+                ['Open', this.formatCurrency(bar.open)],
+                ['High', this.formatCurrency(bar.high)],
+                ['Low', this.formatCurrency(bar.low)],
+                ['Close', this.formatCurrency(bar.close)],
+                ['Volume', this.formatNumber(bar.volume)],
+                ['VWAP', value === null ? '-' : this.formatCurrency(value)],
+                ['Session', sessionNames[this.getIntradaySession(bar.date)]]
+            ]
+        }));
+        this.setChartReadout(ctx.canvas, points, { left, right: left + chartWidth, top, bottom: volumeTop + volumeHeight });
+    }
+
+    /**
+     * Create enhanced stock card with mini chart for carousel
+     */
+    createStockCard(stock, index) {
         const card = document.createElement('div');
-        card.className = 'profit-loss-card';
+        card.className = 'stock-card';
+        card.setAttribute('data-symbol', stock.symbol);
         card.style.animationDelay = `${index * 0.1}s`;
 
-        const profitMarginClass = data.profitMargin > 25 ? 'profit' : 'loss';
-        const profitIcon = data.profitMargin > 25 ? 'fa-chart-line' : 'fa-chart-line-down';
+        const changeClass = stock.change >= 0 ? 'positive' : 'negative';
+        const changeIcon = stock.change >= 0 ? 'fa-arrow-up' : 'fa-arrow-down';
 
         card.innerHTML = `
-            <div class="profit-loss-header">
-                <div class="profit-loss-icon ${profitMarginClass}">
-                    <i class="fas ${profitIcon}"></i>
+            <div class="stock-card-header">
+                <div class="stock-info">
+                    <h4>${stock.symbol}</h4>
+                    <span class="company-name">${stock.name}</span>
                 </div>
-                <div class="profit-loss-info">
-                    <h4>${data.symbol}</h4>
-                    <span>${data.name}</span>
+                <div class="stock-price">
+                    <span class="current-price">${this.formatCurrency(stock.price)}</span>
+                    <span class="price-change ${changeClass}">
+                        <i class="fas ${changeIcon}"></i>
+                        ${stock.changePercent >= 0 ? '+' : ''}${stock.changePercent.toFixed(2)}%
+                    </span>
                 </div>
             </div>
-            <div class="profit-loss-metrics">
-                <div class="profit-loss-metric">
-                    <div class="metric-label">Revenue</div>
-                    <div class="metric-value">$${data.revenue}B</div>
-                </div>
-                <div class="profit-loss-metric">
-                    <div class="metric-label">Net Profit</div>
-                    <div class="metric-value">$${data.netProfit}B</div>
-                </div>
-                <div class="profit-loss-metric">
-                    <div class="metric-label">Profit Margin</div>
-                    <div class="metric-value">${data.profitMargin}%</div>
+            <div class="stock-mini-chart" id="mini-chart-${stock.symbol}">
+                <!-- Mini chart will be rendered here -->
+            </div>
+            <div class="stock-metrics">
+                <div class="metric">
+                    <div class="metric-label">Volume</div>
+                    <div class="metric-value">${this.formatNumber(stock.volume)}</div>
                 </div>
-                <div class="profit-loss-metric">
-                    <div class="metric-label">Growth Rate</div>
-                    <div class="metric-value">+${(Math.random() * 15 + 5).toFixed(1)}%</div>
+                <div class="metric">
+                    <div class="metric-label">Change</div>
+                    <div class="metric-value">${this.formatCurrency(Math.abs(stock.change))}</div>
                 </div>
             </div>
-            <div class="profit-loss-chart" id="pl-chart-${data.symbol}">
-                <!-- Profit/Loss chart will be rendered here -->
-            </div>
         `;
 
-        // Create profit/loss chart after card is added to DOM
-        setTimeout(() => {
-            this.createProfitLossChart(`pl-chart-${data.symbol}`, data.quarterlyData);
-        }, 100);
+        // Create mini chart after card is added to DOM
+        const history = stock.history || [];
+        if (history.length > 1) {
+            setTimeout(() => {
+                this.createMiniChart(`mini-chart-${stock.symbol}`, history.map(bar => ({ value: bar.close })));
+            }, 100);
+        }
 
         return card;
     }
 
     /**
-     * Create enhanced mini chart for active stocks
+     * Create mini chart for stock cards
      */
-    createEnhancedMiniChart(containerId, data) {
+    createMiniChart(containerId, data) {
         const container = document.getElementById(containerId);
         if (!container) return;
 
         const canvas = document.createElement('canvas');
-        canvas.width = container.offsetWidth || 280;
-        canvas.height = container.offsetHeight || 80;
+        canvas.width = container.offsetWidth || 250;
+        canvas.height = container.offsetHeight || 60;
         container.appendChild(canvas);
 
         const ctx = canvas.getContext('2d');
-        this.drawEnhancedMiniChart(ctx, data, canvas.width, canvas.height);
+        this.drawMiniChart(ctx, data || this.generateMiniChartData(100, true), canvas.width, canvas.height);
     }
 
     /**
-     * Draw enhanced mini chart with volume bars
+     * Draw mini chart
      */
-    drawEnhancedMiniChart(ctx, data, width, height) {
-        const padding = 10;
+    drawMiniChart(ctx, data, width, height) {
+        const padding = 5;
         const chartWidth = width - 2 * padding;
-        const chartHeight = height - 2 * padding - 20; // Leave space for volume
+        const chartHeight = height - 2 * padding;
 
         // Clear canvas
         ctx.clearRect(0, 0, width, height);
 
         // Find min/max for scaling
         const values = data.map(d => d.value);
-        const volumes = data.map(d => d.volume || Math.random() * 100);
         const minValue = Math.min(...values);
         const maxValue = Math.max(...values);
         const range = maxValue - minValue || 1;
-        const maxVolume = Math.max(...volumes);
 
         // Determine trend color
-        const isPositive = values[values.length - 1] >= values[0];
-        const lineColor = isPositive ? '#10b981' : '#ef4444';
-        const fillColor = isPositive ? 'rgba(16, 185, 129, 0.2)' : 'rgba(239, 68, 68, 0.2)';
-
-        // Draw volume bars at bottom
-        const volumeHeight = 15;
-        const volumeY = height - volumeHeight - 5;
-        ctx.fillStyle = 'rgba(156, 163, 175, 0.5)';
-
-        data.forEach((point, index) => {
-            const x = padding + (index / (data.length - 1)) * chartWidth;
-            const barHeight = ((point.volume || Math.random() * 100) / maxVolume) * volumeHeight;
-            const barWidth = chartWidth / data.length * 0.8;
-
-            ctx.fillRect(x - barWidth / 2, volumeY + volumeHeight - barHeight, barWidth, barHeight);
-        });
+        const isPositive = values[values.length - 1] >= values[0];
+        const lineColor = isPositive ? '#10b981' : '#ef4444';
+        const fillColor = isPositive ? 'rgba(16, 185, 129, 0.1)' : 'rgba(239, 68, 68, 0.1)';
 
-        // Create gradient fill for price area
-        const gradient = ctx.createLinearGradient(0, padding, 0, padding + chartHeight);
+        // Create gradient fill
+        const gradient = ctx.createLinearGradient(0, padding, 0, height - padding);
         gradient.addColorStop(0, fillColor);
         gradient.addColorStop(1, 'transparent');
 
@@ -1593,12 +8373,12 @@ class StockAnalyzer {
                 ctx.lineTo(x, y);
             }
         });
-        ctx.lineTo(padding + chartWidth, padding + chartHeight);
-        ctx.lineTo(padding, padding + chartHeight);
+        ctx.lineTo(padding + chartWidth, height - padding);
+        ctx.lineTo(padding, height - padding);
         ctx.closePath();
         ctx.fill();
 
-        // Draw price line
+        // Draw line
         ctx.strokeStyle = lineColor;
         ctx.lineWidth = 2;
         ctx.beginPath();
@@ -1614,812 +8394,1504 @@ class StockAnalyzer {
         });
         ctx.stroke();
 
-        // Draw current price point
-        const lastPoint = data[data.length - 1];
-        const lastX = padding + chartWidth;
-        const lastY = padding + (1 - (lastPoint.value - minValue) / range) * chartHeight;
-
-        ctx.fillStyle = lineColor;
-        ctx.beginPath();
-        ctx.arc(lastX, lastY, 3, 0, 2 * Math.PI);
-        ctx.fill();
+        const area = { left: padding, top: padding, width: chartWidth, height: chartHeight };
+        this.setChartReadout(ctx.canvas, this.getSeriesReadoutPoints(data, d => d.value, area, minValue, range),
+            { left: 0, right: width, top: 0, bottom: height });
     }
 
     /**
-     * Generate enhanced chart data with volume
+     * Generate mini chart data
      */
-    generateEnhancedChartData(basePrice, isPositive) {
+    generateMiniChartData(basePrice, isPositive) {
         const data = [];
         let price = basePrice * (0.95 + Math.random() * 0.1);
         const trend = isPositive ? 0.002 : -0.002;
 
-        for (let i = 0; i < 30; i++) {
+        for (let i = 0; i < 20; i++) {
             const change = (Math.random() - 0.5) * 0.02 + trend;
             price *= (1 + change);
-            data.push({ 
-                value: price,
-                volume: Math.random() * 100 + 20
-            });
+            data.push({ value: price });
         }
 
         return data;
     }
 
     /**
-     * Create profit/loss chart
+     * Move carousel in specified direction
      */
-    createProfitLossChart(containerId, quarterlyData) {
-        const container = document.getElementById(containerId);
-        if (!container) return;
+    moveCarousel(type, direction) {
+        const carousel = document.getElementById(`${type}Carousel`);
+        if (!carousel) return;
 
-        const canvas = document.createElement('canvas');
-        canvas.width = container.offsetWidth || 300;
-        canvas.height = container.offsetHeight || 120;
-        container.appendChild(canvas);
+        // Holdings cards scroll natively instead of being translated
+        if (type === 'portfolio') {
+            carousel.scrollBy({ left: direction * (300 + 24), behavior: 'smooth' });
+            return;
+        }
 
-        const ctx = canvas.getContext('2d');
-        this.drawProfitLossChart(ctx, quarterlyData, canvas.width, canvas.height);
+        const cards = carousel.querySelectorAll('.stock-card, .active-stock-card');
+        const cardWidth = ((cards[0] && cards[0].offsetWidth) || 280) + 24; // card width + gap
+        const maxPosition = Math.min(0, -(cards.length - 3) * cardWidth); // Show 3 cards at once
+
+        this.carouselPositions[type] += direction * cardWidth;
+
+        // Boundary checks
+        if (this.carouselPositions[type] > 0) {
+            this.carouselPositions[type] = 0;
+        }
+        if (this.carouselPositions[type] < maxPosition) {
+            this.carouselPositions[type] = maxPosition;
+        }
+
+        carousel.style.transform = `translateX(${this.carouselPositions[type]}px)`;
     }
 
     /**
-     * Draw profit/loss bar chart
+     * Show detailed analysis for current stock - now available for all stocks
      */
-    drawProfitLossChart(ctx, data, width, height) {
-        const padding = 20;
-        const chartWidth = width - 2 * padding;
-        const chartHeight = height - 2 * padding;
+    showDetailedAnalysis(data) {
+        const analysisContent = document.getElementById('stockAnalysisContent');
+        if (!analysisContent) return;
 
-        // Clear canvas
-        ctx.clearRect(0, 0, width, height);
+        // Generate realistic financial data for any stock
+        const financialData = this.generateFinancialData(data);
 
-        // Find max value for scaling
-        const maxProfit = Math.max(...data.map(d => d.profit));
-        const maxLoss = Math.max(...data.map(d => d.loss));
-        const maxValue = Math.max(maxProfit, maxLoss);
+        // Update analysis fields
+        this.updateElement('analysisMarketCap', financialData.marketCap);
+        this.updateElement('analysisPE', financialData.peRatio);
+        this.updateElement('analysis52WeekHigh', this.formatCurrency(financialData.weekHigh52));
+        this.updateElement('analysis52WeekLow', this.formatCurrency(financialData.weekLow52));
+        this.updateElement('analysisDividend', financialData.dividendYield);
+        this.updateElement('analysisRevenue', financialData.revenue);
+        this.updateElement('analysisProfit', financialData.netProfit);
+        this.updateElement('analysisProfitMargin', financialData.profitMargin);
+        this.updateElement('analysisEBITDA', financialData.ebitda);
 
-        // Draw bars
-        const barWidth = chartWidth / data.length * 0.6;
-        const barSpacing = chartWidth / data.length;
+        // Create technical analysis chart
+        this.createTechnicalChart(data);
 
-        data.forEach((item, index) => {
-            const x = padding + index * barSpacing + (barSpacing - barWidth) / 2;
+        // Show analysis section
+        analysisContent.classList.remove('hidden');
 
-            // Profit bar (green)
-            const profitHeight = (item.profit / maxValue) * chartHeight * 0.7;
-            ctx.fillStyle = '#10b981';
-            ctx.fillRect(x, padding + chartHeight - profitHeight, barWidth * 0.45, profitHeight);
+        // Animate cards
+        const cards = analysisContent.querySelectorAll('.analysis-card');
+        cards.forEach((card, index) => {
+            card.style.animationDelay = `${index * 0.2}s`;
+            card.classList.add('fade-in');
+        });
 
-            // Loss bar (red)
-            const lossHeight = (item.loss / maxValue) * chartHeight * 0.7;
-            ctx.fillStyle = '#ef4444';
-            ctx.fillRect(x + barWidth * 0.55, padding + chartHeight - lossHeight, barWidth * 0.45, lossHeight);
+        // Scroll to analysis section
+        setTimeout(() => {
+            analysisContent.scrollIntoView({ behavior: 'smooth' });
+        }, 500);
+    }
 
-            // Quarter label
-            ctx.fillStyle = getComputedStyle(document.documentElement).getPropertyValue('--text-secondary');
-            ctx.font = '10px Inter, sans-serif';
-            ctx.textAlign = 'center';
-            ctx.fillText(item.quarter, x + barWidth / 2, height - 5);
-        });
+    /**
+     * Create technical analysis chart from the stock's daily history
+     */
+    async createTechnicalChart(stockData) {
+        const technicalCanvas = document.getElementById('technicalChart');
+        if (!technicalCanvas || !stockData) return;
+
+        try {
+            const bars = await this.loadHistory(stockData.symbol, { range: '6mo', interval: '1d' });
+
+            // Ignore results for a stock the user has already moved away from
+            if (this.currentStock && this.currentStock.symbol !== stockData.symbol) return;
+
+            this.technicalBars = bars.map(bar => ({ date: bar.date, ...this.getOhlc(bar), volume: bar.volume || 0 }));
+            this.renderTechnicalChart();
+        } catch (error) {
+            console.error('Error loading technical analysis data:', error);
+            this.showNotification(`Unable to load technical analysis for ${stockData.symbol}`, 'error');
+        }
     }
 
     /**
-     * Create price chart analysis section
+     * Default indicator selection and parameters for the technical chart
      */
-    createPriceCharts() {
-        setTimeout(() => {
-            this.createMarketIndexChart();
-            this.createSectorChart();
-        }, 200);
+    getDefaultTechnicalSettings() {
+        return {
+            enabled: {
+                sma: true, ema: false, bollinger: true,
+                volume: true, rsi: true, macd: true, stochastic: false, atr: false, obv: false
+            },
+            params: {
+                sma: { period: 20 },
+                ema: { period: 50 },
+                bollinger: { period: 20, multiplier: 2 },
+                rsi: { period: 14 },
+                macd: { fast: 12, slow: 26, signal: 9 },
+                stochastic: { kPeriod: 14, dPeriod: 3 },
+                atr: { period: 14 }
+            }
+        };
     }
 
     /**
-     * Create market index chart
+     * Load saved technical chart settings merged over the defaults
      */
-    createMarketIndexChart() {
-        const canvas = document.getElementById('marketIndexChart');
-        if (!canvas) return;
+    loadTechnicalSettings() {
+        return this.mergeConfig(this.getDefaultTechnicalSettings(), this.readStorage('technicalSettings'));
+    }
 
-        const ctx = canvas.getContext('2d');
-        const width = canvas.width = canvas.offsetWidth;
-        const height = canvas.height = 300;
+    /**
+     * Wire indicator toggles and parameter inputs to the technical chart
+     */
+    setupTechnicalControls() {
+        document.querySelectorAll('.filter-btn[data-indicator]').forEach(btn => {
+            const indicator = btn.getAttribute('data-indicator');
 
-        // Generate market index data
-        const indexData = this.generateMarketIndexData();
-        this.drawMarketIndexChart(ctx, indexData, width, height);
+            btn.addEventListener('click', () => {
+                this.technicalSettings.enabled[indicator] = !this.technicalSettings.enabled[indicator];
+                btn.classList.toggle('active', this.technicalSettings.enabled[indicator]);
+                this.saveTechnicalSettings();
+                this.renderTechnicalChart();
+            });
+        });
+
+        document.querySelectorAll('.indicator-param input').forEach(input => {
+            const indicator = input.getAttribute('data-indicator');
+            const param = input.getAttribute('data-param');
+
+            input.addEventListener('change', () => {
+                const value = parseFloat(input.value);
+                const min = parseFloat(input.min) || 1;
+                const max = parseFloat(input.max) || 200;
+
+                if (!Number.isFinite(value) || value < min || value > max) {
+                    input.value = this.technicalSettings.params[indicator][param];
+                    this.showNotification(`${indicator.toUpperCase()} ${param} must be between ${min} and ${max}`, 'warning');
+                    return;
+                }
+                // Every parameter except the Bollinger multiplier counts bars
+                if (param !== 'multiplier' && !Number.isInteger(value)) {
+                    input.value = this.technicalSettings.params[indicator][param];
+                    this.showNotification(`${indicator.toUpperCase()} ${param} must be a whole number of bars`, 'warning');
+                    return;
+                }
+
+                const macd = { ...this.technicalSettings.params.macd, ...(indicator === 'macd' ? { [param]: value } : {}) };
+                if (macd.fast >= macd.slow) {
+                    input.value = this.technicalSettings.params[indicator][param];
+                    this.showNotification('MACD fast period must be shorter than the slow period', 'warning');
+                    return;
+                }
+
+                this.technicalSettings.params[indicator][param] = value;
+                this.saveTechnicalSettings();
+                this.renderTechnicalChart();
+            });
+        });
+
+        this.syncTechnicalControls();
     }
 
     /**
-     * Generate market index data
+     * Reflect the current technical settings in the indicator toggles and parameter inputs
      */
-    generateMarketIndexData() {
-        const data = [];
-        let baseValue = 4500; // S&P 500 like index
+    syncTechnicalControls() {
+        document.querySelectorAll('.filter-btn[data-indicator]').forEach(btn => {
+            btn.classList.toggle('active', Boolean(this.technicalSettings.enabled[btn.getAttribute('data-indicator')]));
+        });
 
-        for (let i = 0; i < 60; i++) { // 60 data points
-            const change = (Math.random() - 0.5) * 0.02; // ±1% daily change
-            baseValue *= (1 + change);
+        document.querySelectorAll('.indicator-param input').forEach(input => {
+            input.value = this.technicalSettings.params[input.getAttribute('data-indicator')][input.getAttribute('data-param')];
+        });
+    }
 
-            data.push({
-                time: new Date(Date.now() - (60 - i) * 24 * 60 * 60 * 1000),
-                value: baseValue,
-                volume: Math.floor(Math.random() * 2000000000) + 500000000 // Volume in billions
-            });
-        }
+    /**
+     * Persist technical chart settings
+     */
+    saveTechnicalSettings() {
+        this.writeStorage('technicalSettings', this.technicalSettings);
+    }
 
-        return data;
+    /**
+     * Compute the enabled indicators for the loaded bars
+     */
+    calculateTechnicalIndicators(bars) {
+        const { enabled, params } = this.technicalSettings;
+        const closes = bars.map(bar => bar.close);
+        const indicators = {};
+
+        if (enabled.sma) indicators.sma = this.calculateSMA(closes, params.sma.period);
+        if (enabled.ema) indicators.ema = this.calculateEMA(closes, params.ema.period);
+        if (enabled.bollinger) indicators.bollinger = this.calculateBollingerBands(closes, params.bollinger.period, params.bollinger.multiplier);
+        if (enabled.rsi) indicators.rsi = this.calculateRSI(closes, params.rsi.period);
+        if (enabled.macd) indicators.macd = this.calculateMACD(closes, params.macd.fast, params.macd.slow, params.macd.signal);
+        if (enabled.stochastic) indicators.stochastic = this.calculateStochastic(bars, params.stochastic.kPeriod, params.stochastic.dPeriod);
+        if (enabled.atr) indicators.atr = this.calculateATR(bars, params.atr.period);
+        if (enabled.obv) indicators.obv = this.calculateOBV(bars);
+
+        return indicators;
     }
 
     /**
-     * Draw market index chart
+     * Redraw the technical chart with the current bars and settings
      */
-    drawMarketIndexChart(ctx, data, width, height) {
-        const padding = 40;
+    renderTechnicalChart() {
+        const technicalCanvas = document.getElementById('technicalChart');
+        if (!technicalCanvas || !this.technicalBars || this.technicalBars.length < 2) return;
+
+        const { enabled } = this.technicalSettings;
+        const panes = ['volume', 'rsi', 'macd', 'stochastic', 'atr', 'obv'].filter(pane => enabled[pane]);
+
+        const ctx = technicalCanvas.getContext('2d');
+        const width = technicalCanvas.width = technicalCanvas.offsetWidth || 800;
+        const height = technicalCanvas.height = 260 + panes.length * 110;
+
+        const indicators = this.calculateTechnicalIndicators(this.technicalBars);
+        this.drawTechnicalChart(ctx, this.technicalBars, indicators, panes, width, height);
+    }
+
+    /**
+     * Draw technical analysis chart: price pane with overlays and one stacked pane per oscillator
+     */
+    drawTechnicalChart(ctx, bars, indicators, panes, width, height) {
+        const padding = 60;
+        const paneGap = 24;
         const chartWidth = width - 2 * padding;
-        const chartHeight = height - 2 * padding;
+        const { params } = this.technicalSettings;
+        const styles = getComputedStyle(document.documentElement);
 
         // Clear canvas
         ctx.clearRect(0, 0, width, height);
 
         // Background
-        ctx.fillStyle = getComputedStyle(document.documentElement).getPropertyValue('--bg-tertiary');
+        ctx.fillStyle = styles.getPropertyValue('--bg-secondary');
         ctx.fillRect(0, 0, width, height);
 
-        // Find min/max for scaling
-        const values = data.map(d => d.value);
-        const minValue = Math.min(...values);
-        const maxValue = Math.max(...values);
-        const range = maxValue - minValue;
+        const pricePane = { top: 30, height: 200, left: padding, width: chartWidth };
+        let nextTop = pricePane.top + pricePane.height + paneGap;
+        const layout = { price: pricePane };
+        panes.forEach(pane => {
+            layout[pane] = { top: nextTop, height: 86, left: padding, width: chartWidth };
+            nextTop += 86 + paneGap;
+        });
 
-        // Draw grid
-        ctx.strokeStyle = getComputedStyle(document.documentElement).getPropertyValue('--border-light');
+        // Price pane with overlays; bands widen the visible range
+        const priceValues = bars.flatMap(bar => [bar.high, bar.low]);
+        if (indicators.bollinger) {
+            indicators.bollinger.upper.concat(indicators.bollinger.lower).forEach(value => {
+                if (value !== null) priceValues.push(value);
+            });
+        }
+        const priceMin = Math.min(...priceValues);
+        const priceMax = Math.max(...priceValues);
+
+        this.drawPaneFrame(ctx, pricePane, priceMin, priceMax, [], (value) => this.formatCurrency(value));
+
+        if (indicators.bollinger) {
+            this.drawPaneBand(ctx, indicators.bollinger.upper, indicators.bollinger.lower, pricePane, priceMin, priceMax, 'rgba(139, 92, 246, 0.12)');
+            this.drawPaneLine(ctx, indicators.bollinger.upper, pricePane, priceMin, priceMax, '#8b5cf6', 1, [4, 4]);
+            this.drawPaneLine(ctx, indicators.bollinger.lower, pricePane, priceMin, priceMax, '#8b5cf6', 1, [4, 4]);
+        }
+        this.drawPaneLine(ctx, bars.map(bar => bar.close), pricePane, priceMin, priceMax, '#3b82f6', 2);
+        if (indicators.sma) {
+            this.drawPaneLine(ctx, indicators.sma, pricePane, priceMin, priceMax, '#f59e0b', 1.5);
+        }
+        if (indicators.ema) {
+            this.drawPaneLine(ctx, indicators.ema, pricePane, priceMin, priceMax, '#06b6d4', 1.5);
+        }
+
+        const last = bars.length - 1;
+        const legend = [{ label: `Close ${this.formatCurrency(bars[last].close)}`, color: '#3b82f6' }];
+        if (indicators.sma) legend.push({ label: `SMA(${params.sma.period}) ${this.formatIndicatorValue(indicators.sma[last])}`, color: '#f59e0b' });
+        if (indicators.ema) legend.push({ label: `EMA(${params.ema.period}) ${this.formatIndicatorValue(indicators.ema[last])}`, color: '#06b6d4' });
+        if (indicators.bollinger) legend.push({ label: `BB(${params.bollinger.period}, ${params.bollinger.multiplier})`, color: '#8b5cf6' });
+        this.drawPaneLegend(ctx, pricePane, legend);
+
+        // Oscillator panes
+        panes.forEach(pane => {
+            const area = layout[pane];
+
+            if (pane === 'volume') {
+                const volumes = bars.map(bar => bar.volume);
+                const maxVolume = Math.max(...volumes) || 1;
+                this.drawPaneFrame(ctx, area, 0, maxVolume, [], (value) => this.formatNumber(Math.round(value)));
+
+                const barWidth = Math.max(1, area.width / bars.length * 0.7);
+                bars.forEach((bar, index) => {
+                    const x = this.getPaneX(area, index, bars.length);
+                    const barHeight = (bar.volume / maxVolume) * area.height;
+                    ctx.fillStyle = bar.close >= bar.open ? 'rgba(16, 185, 129, 0.6)' : 'rgba(239, 68, 68, 0.6)';
+                    ctx.fillRect(x - barWidth / 2, area.top + area.height - barHeight, barWidth, barHeight);
+                });
+                this.drawPaneLegend(ctx, area, [{ label: `Volume ${this.formatNumber(bars[last].volume)}`, color: '#9ca3af' }]);
+            }
+
+            if (pane === 'rsi') {
+                this.drawPaneFrame(ctx, area, 0, 100, [30, 70], (value) => value.toFixed(0));
+                this.drawPaneLine(ctx, indicators.rsi, area, 0, 100, '#ec4899', 1.5);
+                this.drawPaneLegend(ctx, area, [{ label: `RSI(${params.rsi.period}) ${this.formatIndicatorValue(indicators.rsi[last])}`, color: '#ec4899' }]);
+            }
+
+            if (pane === 'macd') {
+                const { macd, signal, histogram } = indicators.macd;
+                const values = macd.concat(signal, histogram).filter(value => value !== null);
+                const extent = Math.max(...values.map(Math.abs), 0.01);
+                this.drawPaneFrame(ctx, area, -extent, extent, [0], (value) => value.toFixed(2));
+
+                const zeroY = this.getPaneY(area, 0, -extent, extent);
+                const barWidth = Math.max(1, area.width / bars.length * 0.6);
+                histogram.forEach((value, index) => {
+                    if (value === null) return;
+                    const x = this.getPaneX(area, index, bars.length);
+                    const y = this.getPaneY(area, value, -extent, extent);
+                    ctx.fillStyle = value >= 0 ? 'rgba(16, 185, 129, 0.5)' : 'rgba(239, 68, 68, 0.5)';
+                    ctx.fillRect(x - barWidth / 2, Math.min(y, zeroY), barWidth, Math.abs(zeroY - y));
+                });
+                this.drawPaneLine(ctx, macd, area, -extent, extent, '#3b82f6', 1.5);
+                this.drawPaneLine(ctx, signal, area, -extent, extent, '#f59e0b', 1.5);
+                this.drawPaneLegend(ctx, area, [
+                    { label: `MACD(${params.macd.fast}, ${params.macd.slow}, ${params.macd.signal}) ${this.formatIndicatorValue(macd[last])}`, color: '#3b82f6' },
+                    { label: `Signal ${this.formatIndicatorValue(signal[last])}`, color: '#f59e0b' }
+                ]);
+            }
+
+            if (pane === 'stochastic') {
+                this.drawPaneFrame(ctx, area, 0, 100, [20, 80], (value) => value.toFixed(0));
+                this.drawPaneLine(ctx, indicators.stochastic.k, area, 0, 100, '#3b82f6', 1.5);
+                this.drawPaneLine(ctx, indicators.stochastic.d, area, 0, 100, '#f59e0b', 1.5);
+                this.drawPaneLegend(ctx, area, [
+                    { label: `%K(${params.stochastic.kPeriod}) ${this.formatIndicatorValue(indicators.stochastic.k[last])}`, color: '#3b82f6' },
+                    { label: `%D(${params.stochastic.dPeriod}) ${this.formatIndicatorValue(indicators.stochastic.d[last])}`, color: '#f59e0b' }
+                ]);
+            }
+
+            if (pane === 'atr' || pane === 'obv') {
+                const series = indicators[pane];
+                const values = series.filter(value => value !== null);
+                const label = pane === 'atr' ? `ATR(${params.atr.period})` : 'OBV';
+
+                // Fewer bars than the period: an empty frame rather than axis labels scaled to Infinity
+                if (values.length === 0) {
+                    this.drawPaneFrame(ctx, area, 0, 1, [], () => '');
+                    this.drawPaneLegend(ctx, area, [{ label: `${label} -`, color: '#10b981' }]);
+                    return;
+                }
+
+                const min = Math.min(...values);
+                const max = Math.max(...values);
+                const format = pane === 'atr' ? (value) => value.toFixed(2) : (value) => (value < 0 ? '-' : '') + this.formatNumber(Math.round(Math.abs(value)));
+
+                this.drawPaneFrame(ctx, area, min, max, [], format);
+                this.drawPaneLine(ctx, series, area, min, max, '#10b981', 1.5);
+                this.drawPaneLegend(ctx, area, [{ label: `${label} ${series[last] === null ? '-' : format(series[last])}`, color: '#10b981' }]);
+            }
+        });
+
+        // Date labels under the last pane
+        ctx.fillStyle = styles.getPropertyValue('--text-secondary');
+        ctx.font = '10px Inter, sans-serif';
+        ctx.textAlign = 'center';
+
+        const labelCount = 6;
+        for (let i = 0; i <= labelCount; i++) {
+            const index = Math.floor((i / labelCount) * last);
+            const x = this.getPaneX(pricePane, index, bars.length);
+            ctx.fillText(bars[index].date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' }), x, height - 10);
+        }
+
+        // Keep the layout around for interactive readouts
+        this.technicalLayout = { bars, indicators, layout };
+        this.setChartReadout(ctx.canvas, this.getTechnicalReadoutPoints(bars, indicators, pricePane, priceMin, priceMax),
+            { left: padding, right: padding + chartWidth, top: pricePane.top, bottom: nextTop - paneGap });
+    }
+
+    /**
+     * Readout points for the technical chart: OHLCV plus every enabled indicator
+     */
+    getTechnicalReadoutPoints(bars, indicators, pricePane, priceMin, priceMax) {
+        const { params } = this.technicalSettings;
+        const format = (value) => this.formatIndicatorValue(value);
+
+        return bars.map((bar, index) => {
+            const rows = [
+                ['Open', this.formatCurrency(bar.open)],
+                ['High', this.formatCurrency(bar.high)],
+                ['Low', this.formatCurrency(bar.low)],
+                ['Close', this.formatCurrency(bar.close)],
+                ['Volume', this.formatNumber(bar.volume)]
+            ];
+
+            if (indicators.sma) rows.push([`SMA(${params.sma.period})`, format(indicators.sma[index])]);
+            if (indicators.ema) rows.push([`EMA(${params.ema.period})`, format(indicators.ema[index])]);
+            if (indicators.bollinger) {
+                rows.push(['BB upper', format(indicators.bollinger.upper[index])]);
+                rows.push(['BB lower', format(indicators.bollinger.lower[index])]);
+            }
+            if (indicators.rsi) rows.push([`RSI(${params.rsi.period})`, format(indicators.rsi[index])]);
+            if (indicators.macd) {
+                rows.push(['MACD', format(indicators.macd.macd[index])]);
+                rows.push(['Signal', format(indicators.macd.signal[index])]);
+                rows.push(['Histogram', format(indicators.macd.histogram[index])]);
+            }
+            if (indicators.stochastic) {
+                rows.push(['%K', format(indicators.stochastic.k[index])]);
+                rows.push(['%D', format(indicators.stochastic.d[index])]);
+            }
+            if (indicators.atr) rows.push([`ATR(${params.atr.period})`, format(indicators.atr[index])]);
+            if (indicators.obv) rows.push(['OBV', `${indicators.obv[index] < 0 ? '-' : ''}${this.formatNumber(Math.abs(indicators.obv[index]))}`]);
+
+            return {
+                x: this.getPaneX(pricePane, index, bars.length),
+                y: this.getPaneY(pricePane, bar.close, priceMin, priceMax),
+                title: this.formatReadoutDate(bar.date),
+                rows
+            };
+        });
+    }
+
+    /**
+     * X coordinate of a bar inside a pane
+     */
+    getPaneX(pane, index, count) {
+        return pane.left + (index / (count - 1 || 1)) * pane.width;
+    }
+
+    /**
+     * Y coordinate of a value inside a pane
+     */
+    getPaneY(pane, value, min, max) {
+        const range = max - min || 1;
+        return pane.top + (1 - (value - min) / range) * pane.height;
+    }
+
+    /**
+     * Draw pane border, horizontal guides and min/max axis labels
+     */
+    drawPaneFrame(ctx, pane, min, max, guides, formatValue) {
+        const styles = getComputedStyle(document.documentElement);
+
+        ctx.strokeStyle = styles.getPropertyValue('--border-light');
         ctx.lineWidth = 0.5;
+        ctx.strokeRect(pane.left, pane.top, pane.width, pane.height);
 
-        for (let i = 0; i <= 5; i++) {
-            const y = padding + (chartHeight / 5) * i;
+        ctx.setLineDash([3, 3]);
+        guides.forEach(value => {
+            const y = this.getPaneY(pane, value, min, max);
             ctx.beginPath();
-            ctx.moveTo(padding, y);
-            ctx.lineTo(padding + chartWidth, y);
+            ctx.moveTo(pane.left, y);
+            ctx.lineTo(pane.left + pane.width, y);
             ctx.stroke();
-        }
+        });
+        ctx.setLineDash([]);
 
-        // Draw area fill
-        const gradient = ctx.createLinearGradient(0, padding, 0, padding + chartHeight);
-        gradient.addColorStop(0, 'rgba(59, 130, 246, 0.3)');
-        gradient.addColorStop(1, 'rgba(59, 130, 246, 0.05)');
+        ctx.fillStyle = styles.getPropertyValue('--text-secondary');
+        ctx.font = '10px Inter, sans-serif';
+        ctx.textAlign = 'right';
+        ctx.fillText(formatValue(max), pane.left - 6, pane.top + 8);
+        ctx.fillText(formatValue(min), pane.left - 6, pane.top + pane.height);
+        guides.forEach(value => {
+            ctx.fillText(formatValue(value), pane.left - 6, this.getPaneY(pane, value, min, max) + 3);
+        });
+    }
 
-        ctx.fillStyle = gradient;
+    /**
+     * Draw an indicator series as a line, skipping warm-up (null) values
+     */
+    drawPaneLine(ctx, values, pane, min, max, color, lineWidth, dash = []) {
+        ctx.strokeStyle = color;
+        ctx.lineWidth = lineWidth;
+        ctx.setLineDash(dash);
         ctx.beginPath();
-        data.forEach((point, index) => {
-            const x = padding + (index / (data.length - 1)) * chartWidth;
-            const y = padding + (1 - (point.value - minValue) / range) * chartHeight;
 
-            if (index === 0) {
+        values.forEach((value, index) => {
+            if (value === null) return;
+
+            const x = this.getPaneX(pane, index, values.length);
+            const y = this.getPaneY(pane, value, min, max);
+
+            if (index === 0 || values[index - 1] === null) {
                 ctx.moveTo(x, y);
             } else {
                 ctx.lineTo(x, y);
             }
         });
-        ctx.lineTo(padding + chartWidth, padding + chartHeight);
-        ctx.lineTo(padding, padding + chartHeight);
-        ctx.closePath();
-        ctx.fill();
 
-        // Draw line
-        ctx.strokeStyle = '#3b82f6';
-        ctx.lineWidth = 2;
-        ctx.beginPath();
-        data.forEach((point, index) => {
-            const x = padding + (index / (data.length - 1)) * chartWidth;
-            const y = padding + (1 - (point.value - minValue) / range) * chartHeight;
+        ctx.stroke();
+        ctx.setLineDash([]);
+    }
 
-            if (index === 0) {
+    /**
+     * Fill the area between two series, e.g. Bollinger Bands
+     */
+    drawPaneBand(ctx, upper, lower, pane, min, max, color) {
+        const indexes = upper.map((value, index) => index).filter(index => upper[index] !== null && lower[index] !== null);
+        if (indexes.length < 2) return;
+
+        ctx.fillStyle = color;
+        ctx.beginPath();
+        indexes.forEach((index, i) => {
+            const x = this.getPaneX(pane, index, upper.length);
+            const y = this.getPaneY(pane, upper[index], min, max);
+            if (i === 0) {
                 ctx.moveTo(x, y);
             } else {
                 ctx.lineTo(x, y);
             }
         });
-        ctx.stroke();
-
-        // Draw labels
-        ctx.fillStyle = getComputedStyle(document.documentElement).getPropertyValue('--text-secondary');
-        ctx.font = '12px Inter, sans-serif';
-        ctx.textAlign = 'right';
-
-        for (let i = 0; i <= 5; i++) {
-            const value = maxValue - (range / 5) * i;
-            const y = padding + (chartHeight / 5) * i + 4;
-            ctx.fillText(value.toFixed(0), padding - 10, y);
-        }
+        indexes.slice().reverse().forEach(index => {
+            ctx.lineTo(this.getPaneX(pane, index, lower.length), this.getPaneY(pane, lower[index], min, max));
+        });
+        ctx.closePath();
+        ctx.fill();
     }
 
     /**
-     * Create sector performance chart
+     * Draw a row of colored legend entries at the top of a pane
      */
-    createSectorChart() {
-        const canvas = document.getElementById('sectorChart');
-        if (!canvas) return;
-
-        const ctx = canvas.getContext('2d');
-        const width = canvas.width = canvas.offsetWidth;
-        const height = canvas.height = 300;
-
-        // Generate sector data
-        const sectors = [
-            { name: 'Technology', performance: 12.5, color: '#3b82f6' },
-            { name: 'Healthcare', performance: 8.2, color: '#10b981' },
-            { name: 'Finance', performance: -2.1, color: '#ef4444' },
-            { name: 'Energy', performance: 15.8, color: '#f59e0b' },
-            { name: 'Consumer', performance: 5.4, color: '#8b5cf6' },
-            { name: 'Industrial', performance: 3.7, color: '#06b6d4' }
-        ];
+    drawPaneLegend(ctx, pane, entries) {
+        ctx.font = '11px Inter, sans-serif';
+        ctx.textAlign = 'left';
 
-        this.drawSectorChart(ctx, sectors, width, height);
+        let x = pane.left + 6;
+        entries.forEach(entry => {
+            ctx.fillStyle = entry.color;
+            ctx.fillRect(x, pane.top - 14, 10, 3);
+            ctx.fillStyle = getComputedStyle(document.documentElement).getPropertyValue('--text-primary');
+            ctx.fillText(entry.label, x + 14, pane.top - 9);
+            x += ctx.measureText(entry.label).width + 30;
+        });
     }
 
     /**
-     * Draw sector performance chart
+     * Format an indicator reading, or a dash while it is still warming up
      */
-    drawSectorChart(ctx, sectors, width, height) {
-        const padding = 40;
-        const chartWidth = width - 2 * padding;
-        const chartHeight = height - 2 * padding;
-
-        // Clear canvas
-        ctx.clearRect(0, 0, width, height);
+    formatIndicatorValue(value) {
+        return value === null || value === undefined ? '-' : value.toFixed(2);
+    }
 
-        // Background
-        ctx.fillStyle = getComputedStyle(document.documentElement).getPropertyValue('--bg-tertiary');
-        ctx.fillRect(0, 0, width, height);
+    /**
+     * Register the crosshair readout for a chart canvas
+     *
+     * `points` are in canvas pixels: `{ x, y, title, rows: [[label, value], ...] }`.
+     * `bounds` is the plot area that responds to the pointer, and `axis` is the
+     * direction the crosshair snaps along ('x' for time series, 'y' for horizontal bars,
+     * 'xy' for the nearest point in any direction).
+     */
+    setChartReadout(canvas, points, bounds, axis = 'x') {
+        if (!canvas || points.length === 0) return;
 
-        // Find max absolute value for scaling
-        const maxAbsValue = Math.max(...sectors.map(s => Math.abs(s.performance)));
+        const isBound = this.chartReadouts.has(canvas);
+        this.chartReadouts.set(canvas, { points, bounds, axis });
+        if (isBound) return;
 
-        // Draw bars
-        const barHeight = chartHeight / sectors.length * 0.8;
-        const barSpacing = chartHeight / sectors.length;
+        canvas.addEventListener('mousemove', (e) => {
+            this.showChartReadout(canvas, e.clientX, e.clientY);
+        });
+        canvas.addEventListener('mouseleave', () => {
+            this.hideChartReadout();
+        });
 
-        sectors.forEach((sector, index) => {
-            const y = padding + index * barSpacing + (barSpacing - barHeight) / 2;
-            const barWidth = Math.abs(sector.performance / maxAbsValue) * chartWidth * 0.8;
-            const x = sector.performance >= 0 ? padding + chartWidth / 2 : padding + chartWidth / 2 - barWidth;
+        // Touch: follow the finger and keep the readout up briefly after release
+        const onTouch = (e) => {
+            clearTimeout(this.chartReadoutTimer);
+            const touch = e.touches[0];
+            if (touch) this.showChartReadout(canvas, touch.clientX, touch.clientY);
+        };
+        canvas.addEventListener('touchstart', onTouch, { passive: true });
+        canvas.addEventListener('touchmove', onTouch, { passive: true });
+        canvas.addEventListener('touchend', () => {
+            this.chartReadoutTimer = setTimeout(() => this.hideChartReadout(), 2000);
+        });
+    }
 
-            // Draw bar
-            ctx.fillStyle = sector.color;
-            ctx.fillRect(x, y, barWidth, barHeight);
+    /**
+     * Get (creating on first use) the shared crosshair and tooltip elements
+     */
+    getChartReadoutElements() {
+        if (this.chartReadoutElements) return this.chartReadoutElements;
+
+        const create = (className) => {
+            const element = document.createElement('div');
+            element.className = `${className} hidden`;
+            document.body.appendChild(element);
+            return element;
+        };
 
-            // Draw sector name
-            ctx.fillStyle = getComputedStyle(document.documentElement).getPropertyValue('--text-primary');
-            ctx.font = '12px Inter, sans-serif';
-            ctx.textAlign = 'left';
-            ctx.fillText(sector.name, padding - 35, y + barHeight / 2 + 4);
+        this.chartReadoutElements = {
+            vertical: create('chart-crosshair chart-crosshair-vertical'),
+            horizontal: create('chart-crosshair chart-crosshair-horizontal'),
+            marker: create('chart-crosshair-marker'),
+            tooltip: create('chart-tooltip')
+        };
 
-            // Draw performance value
-            ctx.textAlign = 'right';
-            ctx.fillText(`${sector.performance >= 0 ? '+' : ''}${sector.performance.toFixed(1)}%`, width - padding + 30, y + barHeight / 2 + 4);
-        });
+        // Elements are fixed-positioned, so they would drift on scroll
+        window.addEventListener('scroll', () => this.hideChartReadout(), { passive: true });
 
-        // Draw center line
-        ctx.strokeStyle = getComputedStyle(document.documentElement).getPropertyValue('--border-color');
-        ctx.lineWidth = 1;
-        ctx.beginPath();
-        ctx.moveTo(padding + chartWidth / 2, padding);
-        ctx.lineTo(padding + chartWidth / 2, padding + chartHeight);
-        ctx.stroke();
+        return this.chartReadoutElements;
     }
 
     /**
-     * Create enhanced stock card with mini chart for carousel
+     * Snap the crosshair to the point nearest the pointer and fill the tooltip
      */
-    createStockCard(stock, index) {
-        const card = document.createElement('div');
-        card.className = 'stock-card';
-        card.setAttribute('data-symbol', stock.symbol);
-        card.style.animationDelay = `${index * 0.1}s`;
-
-        const changeClass = stock.change >= 0 ? 'positive' : 'negative';
-        const changeIcon = stock.change >= 0 ? 'fa-arrow-up' : 'fa-arrow-down';
+    showChartReadout(canvas, clientX, clientY) {
+        const readout = this.chartReadouts.get(canvas);
+        const rect = canvas.getBoundingClientRect();
+        if (!readout || !rect.width || !rect.height) return;
+
+        // Canvas pixels can differ from CSS pixels when the canvas is scaled
+        const scaleX = rect.width / canvas.width;
+        const scaleY = rect.height / canvas.height;
+        const x = (clientX - rect.left) / scaleX;
+        const y = (clientY - rect.top) / scaleY;
+        const { points, bounds, axis } = readout;
+
+        if (x < bounds.left || x > bounds.right || y < bounds.top || y > bounds.bottom) {
+            this.hideChartReadout();
+            return;
+        }
 
-        card.innerHTML = `
-            <div class="stock-card-header">
-                <div class="stock-info">
-                    <h4>${stock.symbol}</h4>
-                    <span class="company-name">${stock.name}</span>
-                </div>
-                <div class="stock-price">
-                    <span class="current-price">${this.formatCurrency(stock.price)}</span>
-                    <span class="price-change ${changeClass}">
-                        <i class="fas ${changeIcon}"></i>
-                        ${stock.changePercent >= 0 ? '+' : ''}${stock.changePercent.toFixed(2)}%
-                    </span>
-                </div>
-            </div>
-            <div class="stock-mini-chart" id="mini-chart-${stock.symbol}">
-                <!-- Mini chart will be rendered here -->
-            </div>
-            <div class="stock-metrics">
-                <div class="metric">
-                    <div class="metric-label">Volume</div>
-                    <div class="metric-value">${this.formatNumber(stock.volume)}</div>
-                </div>
-                <div class="metric">
-                    <div class="metric-label">Change</div>
-                    <div class="metric-value">${this.formatCurrency(Math.abs(stock.change))}</div>
+        // 'xy' snaps to the nearest point in both directions, for charts without a single axis
+        const distance = candidate => axis === 'xy'
+            ? Math.hypot(candidate.x - x, candidate.y - y)
+            : Math.abs(candidate[axis] - (axis === 'y' ? y : x));
+        const point = points.reduce((nearest, candidate) =>
+            distance(candidate) < distance(nearest) ? candidate : nearest);
+
+        const pointX = rect.left + point.x * scaleX;
+        const pointY = rect.top + point.y * scaleY;
+        const { vertical, horizontal, marker, tooltip } = this.getChartReadoutElements();
+
+        Object.assign(vertical.style, {
+            left: `${pointX}px`,
+            top: `${rect.top + bounds.top * scaleY}px`,
+            height: `${(bounds.bottom - bounds.top) * scaleY}px`
+        });
+        Object.assign(horizontal.style, {
+            top: `${pointY}px`,
+            left: `${rect.left + bounds.left * scaleX}px`,
+            width: `${(bounds.right - bounds.left) * scaleX}px`
+        });
+        Object.assign(marker.style, { left: `${pointX}px`, top: `${pointY}px` });
+
+        tooltip.innerHTML = `
+            <div class="chart-tooltip-title">${point.title}</div>
+            ${point.rows.map(([label, value]) => `
+                <div class="chart-tooltip-row">
+                    <span>${label}</span>
+                    <span>${value}</span>
                 </div>
-            </div>
+            `).join('')}
         `;
 
-        // Create mini chart after card is added to DOM
-        setTimeout(() => {
-            this.createMiniChart(`mini-chart-${stock.symbol}`, this.generateMiniChartData(stock.price, stock.change >= 0));
-        }, 100);
+        [vertical, horizontal, marker, tooltip].forEach(element => element.classList.remove('hidden'));
+        vertical.classList.toggle('hidden', axis === 'y');
 
-        return card;
+        // Keep the tooltip beside the point, flipping sides near the viewport edge
+        const tooltipWidth = tooltip.offsetWidth;
+        const tooltipHeight = tooltip.offsetHeight;
+        let left = pointX + 14;
+        if (left + tooltipWidth > window.innerWidth - 8) {
+            left = pointX - tooltipWidth - 14;
+        }
+        const top = Math.min(Math.max(pointY - tooltipHeight / 2, 8), window.innerHeight - tooltipHeight - 8);
+
+        tooltip.style.left = `${Math.max(left, 8)}px`;
+        tooltip.style.top = `${top}px`;
     }
 
     /**
-     * Create mini chart for stock cards
+     * Hide the crosshair and tooltip
      */
-    createMiniChart(containerId, data) {
-        const container = document.getElementById(containerId);
-        if (!container) return;
-
-        const canvas = document.createElement('canvas');
-        canvas.width = container.offsetWidth || 250;
-        canvas.height = container.offsetHeight || 60;
-        container.appendChild(canvas);
+    hideChartReadout() {
+        if (!this.chartReadoutElements) return;
 
-        const ctx = canvas.getContext('2d');
-        this.drawMiniChart(ctx, data || this.generateMiniChartData(100, true), canvas.width, canvas.height);
+        Object.values(this.chartReadoutElements).forEach(element => element.classList.add('hidden'));
     }
 
     /**
-     * Draw mini chart
+     * Format the date heading of a readout, including the New York time for intraday bars
      */
-    drawMiniChart(ctx, data, width, height) {
-        const padding = 5;
-        const chartWidth = width - 2 * padding;
-        const chartHeight = height - 2 * padding;
-
-        // Clear canvas
-        ctx.clearRect(0, 0, width, height);
+    formatReadoutDate(date, intraday = false) {
+        const options = intraday
+            ? { weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit', timeZone: 'America/New_York', timeZoneName: 'short' }
+            : { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' };
+        return new Date(date).toLocaleString('en-US', options);
+    }
 
-        // Find min/max for scaling
-        const values = data.map(d => d.value);
-        const minValue = Math.min(...values);
-        const maxValue = Math.max(...values);
-        const range = maxValue - minValue || 1;
+    /**
+     * Readout points for a simple value series drawn edge to edge in a plot area
+     */
+    getSeriesReadoutPoints(data, getValue, area, minValue, range, formatValue = (value) => this.formatCurrency(value)) {
+        const first = getValue(data[0]);
 
-        // Determine trend color
-        const isPositive = values[values.length - 1] >= values[0];
-        const lineColor = isPositive ? '#10b981' : '#ef4444';
-        const fillColor = isPositive ? 'rgba(16, 185, 129, 0.1)' : 'rgba(239, 68, 68, 0.1)';
+        return data.map((point, index) => {
+            const value = getValue(point);
+            const changePercent = first ? ((value - first) / first) * 100 : 0;
+            const rows = [['Change', `${changePercent >= 0 ? '+' : ''}${changePercent.toFixed(2)}%`]];
+            if (point.volume !== undefined) rows.push(['Volume', this.formatNumber(Math.round(point.volume))]);
 
-        // Create gradient fill
-        const gradient = ctx.createLinearGradient(0, padding, 0, height - padding);
-        gradient.addColorStop(0, fillColor);
-        gradient.addColorStop(1, 'transparent');
+            return {
+                x: area.left + (index / (data.length - 1 || 1)) * area.width,
+                y: area.top + (1 - (value - minValue) / range) * area.height,
+                title: point.date || point.time
+                    ? `${this.formatReadoutDate(point.date || point.time)} · ${formatValue(value)}`
+                    : formatValue(value),
+                rows
+            };
+        });
+    }
 
-        // Draw area fill
-        ctx.fillStyle = gradient;
-        ctx.beginPath();
-        data.forEach((point, index) => {
-            const x = padding + (index / (data.length - 1)) * chartWidth;
-            const y = padding + (1 - (point.value - minValue) / range) * chartHeight;
+    /**
+     * Generate realistic financial data, keeping any fundamentals the provider supplied
+     */
+    generateFinancialData(stockData) {
+        const random = this.getSimulationRandom(stockData.symbol, 'financials');
+        const marketCap = stockData.marketCap && stockData.marketCap !== 'N/A' ? stockData.marketCap : this.calculateMarketCap(stockData.price, random);
 
-            if (index === 0) {
-                ctx.moveTo(x, y);
-            } else {
-                ctx.lineTo(x, y);
-            }
-        });
-        ctx.lineTo(padding + chartWidth, height - padding);
-        ctx.lineTo(padding, height - padding);
-        ctx.closePath();
-        ctx.fill();
+        return {
+            marketCap: marketCap,
+            peRatio: stockData.peRatio ?? (random() * 40 + 10).toFixed(2),
+            weekHigh52: stockData.weekHigh52 ?? stockData.price * (1 + random() * 0.3),
+            weekLow52: stockData.weekLow52 ?? stockData.price * (1 - random() * 0.3),
+            dividendYield: stockData.dividendYield ?? (random() * 5).toFixed(2) + '%',
+            revenue: stockData.revenue ?? this.formatLargeNumber(random() * 500 + 50) + 'B',
+            netProfit: stockData.netProfit ?? this.formatLargeNumber(random() * 100 + 10) + 'B',
+            profitMargin: stockData.profitMargin ?? (random() * 30 + 5).toFixed(1) + '%',
+            ebitda: stockData.ebitda ?? this.formatLargeNumber(random() * 150 + 20) + 'B'
+        };
+    }
 
-        // Draw line
-        ctx.strokeStyle = lineColor;
-        ctx.lineWidth = 2;
-        ctx.beginPath();
-        data.forEach((point, index) => {
-            const x = padding + (index / (data.length - 1)) * chartWidth;
-            const y = padding + (1 - (point.value - minValue) / range) * chartHeight;
+    /**
+     * Calculate market cap based on price
+     */
+    calculateMarketCap(price, random = Math.random) {
+        const shares = random() * 10 + 1; // 1-11 billion shares
+        const marketCap = price * shares;
 
-            if (index === 0) {
-                ctx.moveTo(x, y);
-            } else {
-                ctx.lineTo(x, y);
-            }
-        });
-        ctx.stroke();
+        if (marketCap >= 1000) {
+            return (marketCap / 1000).toFixed(2) + 'T';
+        } else {
+            return marketCap.toFixed(0) + 'B';
+        }
     }
 
     /**
-     * Generate mini chart data
+     * Format large numbers
      */
-    generateMiniChartData(basePrice, isPositive) {
-        const data = [];
-        let price = basePrice * (0.95 + Math.random() * 0.1);
-        const trend = isPositive ? 0.002 : -0.002;
-
-        for (let i = 0; i < 20; i++) {
-            const change = (Math.random() - 0.5) * 0.02 + trend;
-            price *= (1 + change);
-            data.push({ value: price });
+    formatLargeNumber(value) {
+        if (value >= 1000) {
+            return (value / 1000).toFixed(1) + 'T';
+        } else {
+            return value.toFixed(0);
         }
-
-        return data;
     }
 
     /**
-     * Get realtime stock price for watchlist
+     * Initialize stock chart
      */
-    getRealtimeStockPrice(symbol) {
-        // Simulate real-time price changes
-        const baseData = this.getDemoStockData(symbol);
-        const volatility = 0.01; // 1% volatility
-        const priceChange = (Math.random() - 0.5) * volatility;
+    initializeChart() {
+        const canvas = document.getElementById('priceChart');
+        if (!canvas) return;
 
-        const newPrice = baseData.price * (1 + priceChange);
-        const change = newPrice - baseData.price;
-        const changePercent = (change / baseData.price) * 100;
+        const ctx = canvas.getContext('2d');
+        this.chartCtx = ctx;
 
-        return {
-            price: newPrice,
-            change: change,
-            changePercent: changePercent,
-            historicalPrices: this.generateMiniChartData(newPrice, change >= 0)
-        };
+        // Set canvas size
+        const container = canvas.parentElement;
+        canvas.width = container.offsetWidth;
+        canvas.height = 400;
     }
 
     /**
-     * Move carousel in specified direction
+     * Update stock chart with history for the selected period
      */
-    moveCarousel(type, direction) {
-        const carousel = document.getElementById(`${type}Carousel`);
-        if (!carousel) return;
+    async updateStockChart(stockData) {
+        if (!this.chartCtx) return;
 
-        const cards = carousel.querySelectorAll('.stock-card');
-        const cardWidth = 280 + 24; // card width + gap
-        const maxPosition = -(cards.length - 3) * cardWidth; // Show 3 cards at once
+        const canvas = document.getElementById('priceChart');
+        const ctx = this.chartCtx;
+        const period = this.chartPeriod;
+        const requestId = ++this.chartRequestId;
 
-        this.carouselPositions[type] += direction * cardWidth;
+        let priceData;
+        try {
+            priceData = await this.loadChartHistory(stockData.symbol, period);
+        } catch (error) {
+            console.error(`Error loading ${period} history:`, error);
+            this.showNotification(`Unable to load ${period} chart for ${stockData.symbol}`, 'error');
+            return;
+        }
 
-        // Boundary checks
-        if (this.carouselPositions[type] > 0) {
-            this.carouselPositions[type] = 0;
+        // A newer period or symbol was requested while this one was loading
+        if (requestId !== this.chartRequestId) return;
+
+        if (priceData.length < 2) {
+            ctx.clearRect(0, 0, canvas.width, canvas.height);
+            this.showNotification(`Not enough ${period} data to chart ${stockData.symbol}`, 'warning');
+            return;
         }
-        if (this.carouselPositions[type] < maxPosition) {
-            this.carouselPositions[type] = maxPosition;
+
+        const comparisons = await this.loadComparisonSeries(priceData, period);
+        if (requestId !== this.chartRequestId) return;
+
+        // New history (symbol, period or refresh) starts fully zoomed out; a style switch keeps the zoom
+        if (priceData !== this.chartHistory) {
+            this.chartHistory = priceData;
+            this.chartView = { start: 0, end: priceData.length };
         }
+        this.chartStockData = stockData;
+        this.chartComparisons = comparisons;
 
-        carousel.style.transform = `translateX(${this.carouselPositions[type]}px)`;
+        this.renderPriceChart();
     }
 
     /**
-     * Show detailed analysis for current stock - now available for all stocks
+     * Redraw the price chart and range navigator for the current zoom window
      */
-    showDetailedAnalysis(data) {
-        const analysisContent = document.getElementById('stockAnalysisContent');
-        if (!analysisContent) return;
-
-        // Generate realistic financial data for any stock
-        const financialData = this.generateFinancialData(data);
+    renderPriceChart() {
+        const canvas = document.getElementById('priceChart');
+        if (!this.chartCtx || !this.chartHistory) return;
 
-        // Update analysis fields
-        this.updateElement('analysisMarketCap', financialData.marketCap);
-        this.updateElement('analysisPE', financialData.peRatio);
-        this.updateElement('analysis52WeekHigh', this.formatCurrency(financialData.weekHigh52));
-        this.updateElement('analysis52WeekLow', this.formatCurrency(financialData.weekLow52));
-        this.updateElement('analysisDividend', financialData.dividendYield);
-        this.updateElement('analysisBeta', financialData.beta);
-        this.updateElement('analysisRevenue', financialData.revenue);
-        this.updateElement('analysisProfit', financialData.netProfit);
-        this.updateElement('analysisProfitMargin', financialData.profitMargin);
-        this.updateElement('analysisEBITDA', financialData.ebitda);
+        this.chartCtx.clearRect(0, 0, canvas.width, canvas.height);
 
-        // Create technical analysis chart
-        this.createTechnicalChart();
+        if (this.chartComparisons.length > 0) {
+            const { start, end } = this.chartView;
+            const comparisons = this.chartComparisons.map(comparison => ({ ...comparison, closes: comparison.closes.slice(start, end) }));
+            this.drawComparisonChart(this.chartCtx, this.chartHistory.slice(start, end), comparisons, canvas.width, canvas.height, this.chartStockData);
+        } else {
+            this.updateComparisonLegend([]);
+            this.drawComprehensiveChart(this.chartCtx, this.chartHistory, canvas.width, canvas.height, this.chartStockData, this.chartView);
+        }
+        this.drawChartNavigator();
 
-        // Show analysis section
-        analysisContent.classList.remove('hidden');
+        const resetBtn = document.getElementById('resetChartZoom');
+        if (resetBtn) {
+            resetBtn.disabled = this.chartView.start === 0 && this.chartView.end === this.chartHistory.length;
+        }
+    }
 
-        // Animate cards
-        const cards = analysisContent.querySelectorAll('.analysis-card');
-        cards.forEach((card, index) => {
-            card.style.animationDelay = `${index * 0.2}s`;
-            card.classList.add('fade-in');
-        });
+    /**
+     * Load saved comparison series for the price chart
+     */
+    loadComparisonSettings() {
+        const defaults = { symbols: [], showIndex: false, hidden: [] };
+        return { ...defaults, ...this.readStorage('comparisonSettings') };
+    }
 
-        // Scroll to analysis section
-        setTimeout(() => {
-            analysisContent.scrollIntoView({ behavior: 'smooth' });
-        }, 500);
+    /**
+     * Persist comparison series for the price chart
+     */
+    saveComparisonSettings() {
+        this.writeStorage('comparisonSettings', this.comparisonSettings);
     }
 
     /**
-     * Create technical analysis chart
+     * Wire the compare input, index toggle and legend
      */
-    createTechnicalChart() {
-        const technicalCanvas = document.getElementById('technicalChart');
-        if (!technicalCanvas) return;
+    setupComparisonControls() {
+        const input = document.getElementById('compareSymbolInput');
+        const addBtn = document.getElementById('addCompareSymbol');
+        const indexBtn = document.getElementById('toggleIndexCompare');
+        const legend = document.getElementById('comparisonLegend');
+
+        if (addBtn && input) {
+            addBtn.addEventListener('click', () => this.addComparisonSymbol(input.value));
+            input.addEventListener('keypress', (e) => {
+                if (e.key === 'Enter') {
+                    this.addComparisonSymbol(input.value);
+                }
+            });
+        }
 
-        const ctx = technicalCanvas.getContext('2d');
-        const width = technicalCanvas.width = technicalCanvas.offsetWidth;
-        const height = technicalCanvas.height = 400;
-
-        // Sample technical analysis data
-        const technicalData = [
-            { label: 'Q1 2023', price: 145, volume: 85, ma: 142 },
-            { label: 'Q2 2023', price: 158, volume: 92, ma: 148 },
-            { label: 'Q3 2023', price: 162, volume: 78, ma: 155 },
-            { label: 'Q4 2023', price: 171, volume: 105, ma: 164 },
-            { label: 'Q1 2024', price: 168, volume: 88, ma: 167 },
-            { label: 'Q2 2024', price: 185, volume: 115, ma: 174 },
-            { label: 'Q3 2024', price: 192, volume: 98, ma: 182 },
-            { label: 'Q4 2024', price: 188, volume: 87, ma: 188 },
-            { label: 'Q1 2025', price: 195, volume: 102, ma: 190 },
-            { label: 'Q2 2025', price: 203, volume: 125, ma: 195 },
-            { label: 'Q3 2025', price: 198, volume: 89, ma: 199 },
-            { label: 'Q4 2025', price: 210, volume: 110, ma: 202 }
-        ];
+        if (indexBtn) {
+            indexBtn.querySelector('span').textContent = this.config.marketIndex.name;
+            indexBtn.classList.toggle('active', this.comparisonSettings.showIndex);
+            indexBtn.addEventListener('click', () => {
+                this.comparisonSettings.showIndex = !this.comparisonSettings.showIndex;
+                indexBtn.classList.toggle('active', this.comparisonSettings.showIndex);
+                this.saveComparisonSettings();
+                if (this.currentStock) {
+                    this.updateStockChart(this.currentStock);
+                }
+            });
+        }
+
+        if (legend) {
+            legend.addEventListener('click', (e) => {
+                const removeBtn = e.target.closest('[data-remove]');
+                if (removeBtn) {
+                    this.removeComparisonSymbol(removeBtn.getAttribute('data-remove'));
+                    return;
+                }
 
-        this.drawTechnicalChart(ctx, technicalData, width, height);
+                const item = e.target.closest('[data-series]');
+                if (item) {
+                    this.toggleComparisonSeries(item.getAttribute('data-series'));
+                }
+            });
+        }
     }
 
     /**
-     * Draw technical analysis chart
+     * Add a ticker to compare against the current stock
      */
-    drawTechnicalChart(ctx, data, width, height) {
-        const padding = 60;
-        const chartWidth = width - 2 * padding;
-        const chartHeight = height - 2 * padding;
+    async addComparisonSymbol(value) {
+        const symbol = value.trim().toUpperCase();
+        const input = document.getElementById('compareSymbolInput');
+        const { symbols } = this.comparisonSettings;
 
-        // Clear canvas
-        ctx.clearRect(0, 0, width, height);
+        if (!symbol) {
+            this.showNotification('Please enter a symbol to compare', 'warning');
+            return;
+        }
+        if (!/^[A-Z0-9.^-]{1,10}$/.test(symbol)) {
+            this.showNotification('Please enter a valid stock symbol', 'warning');
+            return;
+        }
+        if (symbols.includes(symbol) || (this.currentStock && this.currentStock.symbol === symbol)) {
+            this.showNotification(`${symbol} is already on the chart`, 'info');
+            return;
+        }
+        if (symbols.length >= this.getComparisonColors().length) {
+            this.showNotification(`You can compare up to ${this.getComparisonColors().length} symbols`, 'warning');
+            return;
+        }
 
-        // Background
-        ctx.fillStyle = getComputedStyle(document.documentElement).getPropertyValue('--bg-secondary');
-        ctx.fillRect(0, 0, width, height);
+        try {
+            // Make sure the symbol actually has history before adding it
+            await this.loadChartHistory(symbol, this.chartPeriod);
+        } catch (error) {
+            this.showNotification(`Unable to load ${symbol} for comparison`, 'error');
+            return;
+        }
 
-        // Find max values for scaling
-        const prices = data.map(d => d.price);
-        const volumes = data.map(d => d.volume);
-        const maxPrice = Math.max(...prices);
-        const minPrice = Math.min(...prices);
-        const maxVolume = Math.max(...volumes);
-        const priceRange = maxPrice - minPrice;
+        symbols.push(symbol);
+        this.saveComparisonSettings();
+        if (input) input.value = '';
 
-        // Draw grid
-        ctx.strokeStyle = '#e5e7eb';
-        ctx.lineWidth = 0.5;
-        for (let i = 0; i <= 5; i++) {
-            const y = padding + (chartHeight / 5) * i;
-            ctx.beginPath();
-            ctx.moveTo(padding, y);
-            ctx.lineTo(padding + chartWidth, y);
-            ctx.stroke();
+        if (this.currentStock) {
+            this.updateStockChart(this.currentStock);
         }
+    }
 
-        // Draw volume bars (bottom section)
-        const volumeHeight = chartHeight * 0.3;
-        const volumeY = padding + chartHeight - volumeHeight;
+    /**
+     * Remove a comparison ticker
+     */
+    removeComparisonSymbol(symbol) {
+        this.comparisonSettings.symbols = this.comparisonSettings.symbols.filter(item => item !== symbol);
+        this.comparisonSettings.hidden = this.comparisonSettings.hidden.filter(item => item !== symbol);
+        this.saveComparisonSettings();
 
-        data.forEach((item, index) => {
-            const x = padding + (index / (data.length - 1)) * chartWidth;
-            const barHeight = (item.volume / maxVolume) * volumeHeight;
-            const barWidth = chartWidth / data.length * 0.6;
+        if (this.currentStock) {
+            this.updateStockChart(this.currentStock);
+        }
+    }
 
-            ctx.fillStyle = 'rgba(139, 92, 246, 0.4)';
-            ctx.fillRect(x - barWidth / 2, volumeY + volumeHeight - barHeight, barWidth, barHeight);
-        });
+    /**
+     * Show or hide one series from the legend
+     */
+    toggleComparisonSeries(key) {
+        const { hidden } = this.comparisonSettings;
+        this.comparisonSettings.hidden = hidden.includes(key)
+            ? hidden.filter(item => item !== key)
+            : [...hidden, key];
+        this.saveComparisonSettings();
+        this.renderPriceChart();
+    }
 
-        // Draw price line
-        const priceHeight = chartHeight * 0.6;
-        ctx.strokeStyle = '#8b5cf6';
-        ctx.lineWidth = 3;
-        ctx.beginPath();
+    /**
+     * Line colors for comparison tickers, in the order they were added
+     */
+    getComparisonColors() {
+        return ['#8b5cf6', '#f59e0b', '#10b981', '#ec4899', '#06b6d4'];
+    }
 
-        data.forEach((item, index) => {
-            const x = padding + (index / (data.length - 1)) * chartWidth;
-            const y = padding + (1 - (item.price - minPrice) / priceRange) * chartHeight;
+    /**
+     * Load every comparison series for a period, aligned to the main history's bars
+     */
+    async loadComparisonSeries(history, period) {
+        const colors = this.getComparisonColors();
+        const requested = this.comparisonSettings.symbols.map((symbol, index) => ({
+            key: symbol,
+            symbol,
+            label: symbol,
+            color: colors[index],
+            removable: true
+        }));
 
-            if (index === 0) {
-                ctx.moveTo(x, y);
-            } else {
-                ctx.lineTo(x, y);
+        if (this.comparisonSettings.showIndex) {
+            const { symbol, name } = this.config.marketIndex;
+            requested.push({ key: symbol, symbol, label: name, color: '#6b7280', removable: false });
+        }
+
+        const results = await Promise.all(requested.map(async (series) => {
+            try {
+                const bars = await this.loadChartHistory(series.symbol, period);
+                return { ...series, closes: this.alignCloses(history, bars) };
+            } catch (error) {
+                console.error(`Error loading ${series.symbol} for comparison:`, error);
+                this.showNotification(`Unable to load ${series.label} for comparison`, 'error');
+                return null;
             }
-        });
-        ctx.stroke();
+        }));
 
-        // Draw moving average line
-        ctx.strokeStyle = '#f59e0b';
-        ctx.lineWidth = 2;
-        ctx.setLineDash([5, 5]);
-        ctx.beginPath();
+        return results.filter(Boolean);
+    }
 
-        data.forEach((item, index) => {
-            const x = padding + (index / (data.length - 1)) * chartWidth;
-            const y = padding + (1 - (item.ma - minPrice) / priceRange) * chartHeight;
+    /**
+     * Closes of `bars` at each timestamp of `history`, using the latest bar at or before it
+     */
+    alignCloses(history, bars) {
+        const closes = [];
+        let cursor = -1;
 
-            if (index === 0) {
-                ctx.moveTo(x, y);
-            } else {
-                ctx.lineTo(x, y);
+        history.forEach(point => {
+            while (cursor + 1 < bars.length && bars[cursor + 1].date <= point.date) {
+                cursor++;
             }
+            closes.push(cursor >= 0 ? this.getOhlc(bars[cursor]).close : null);
         });
+
+        return closes;
+    }
+
+    /**
+     * Percent change of each value from the first available one
+     */
+    normalizeToPercent(values) {
+        const base = values.find(value => value !== null && value !== undefined);
+        return values.map(value => value === null || value === undefined || !base ? null : ((value - base) / base) * 100);
+    }
+
+    /**
+     * Draw the main stock and comparison series as percent change from the first visible bar
+     */
+    drawComparisonChart(ctx, priceData, comparisons, width, height, stockData) {
+        const padding = 60;
+        const chartWidth = width - 2 * padding;
+        const chartHeight = height - 2 * padding;
+        const hidden = this.comparisonSettings.hidden;
+
+        const series = [
+            {
+                key: stockData.symbol,
+                label: stockData.symbol,
+                color: '#3b82f6',
+                percents: this.normalizeToPercent(priceData.map(point => this.getOhlc(point).close)),
+                closes: priceData.map(point => this.getOhlc(point).close)
+            },
+            ...comparisons.map(comparison => ({ ...comparison, percents: this.normalizeToPercent(comparison.closes) }))
+        ];
+        const visibleSeries = series.filter(item => !hidden.includes(item.key));
+
+        const values = [0];
+        visibleSeries.forEach(item => item.percents.forEach(value => {
+            if (value !== null) values.push(value);
+        }));
+        const minValue = Math.min(...values);
+        const maxValue = Math.max(...values);
+        const range = maxValue - minValue || 1;
+        const getX = (index) => padding + (index / (priceData.length - 1)) * chartWidth;
+        const getY = (value) => padding + (1 - (value - minValue) / range) * chartHeight;
+
+        // Background and grid
+        ctx.fillStyle = getComputedStyle(document.documentElement).getPropertyValue('--bg-tertiary');
+        ctx.fillRect(0, 0, width, height);
+        this.drawGrid(ctx, padding, chartWidth, chartHeight, minValue, maxValue, range);
+
+        // Zero line: the start of the window
+        ctx.strokeStyle = '#9ca3af';
+        ctx.lineWidth = 1;
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        ctx.moveTo(padding, getY(0));
+        ctx.lineTo(padding + chartWidth, getY(0));
         ctx.stroke();
         ctx.setLineDash([]);
 
-        // Draw price labels
+        visibleSeries.forEach(item => {
+            ctx.strokeStyle = item.color;
+            ctx.lineWidth = item.key === stockData.symbol ? 2.5 : 1.5;
+            ctx.beginPath();
+            item.percents.forEach((value, index) => {
+                if (value === null) return;
+                if (index === 0 || item.percents[index - 1] === null) {
+                    ctx.moveTo(getX(index), getY(value));
+                } else {
+                    ctx.lineTo(getX(index), getY(value));
+                }
+            });
+            ctx.stroke();
+        });
+
+        // Volume of the main stock
+        this.drawVolumeChart(ctx, priceData, padding, chartWidth, height);
+
+        // Percent labels
         ctx.fillStyle = getComputedStyle(document.documentElement).getPropertyValue('--text-secondary');
         ctx.font = '12px Inter, sans-serif';
         ctx.textAlign = 'right';
-
         for (let i = 0; i <= 5; i++) {
-            const price = maxPrice - (priceRange / 5) * i;
-            const y = padding + (priceHeight / 5) * i + 4;
-            ctx.fillText(this.formatCurrency(price), padding - 10, y);
+            const value = maxValue - (range / 5) * i;
+            ctx.fillText(`${value >= 0 ? '+' : ''}${value.toFixed(1)}%`, padding - 10, padding + (chartHeight / 5) * i + 4);
         }
 
-        // Draw quarter labels
-        ctx.fillStyle = '#6b7280';
-        ctx.font = '10px Inter, sans-serif';
-        ctx.textAlign = 'center';
+        this.drawDateLabels(ctx, priceData, padding, chartWidth, height, this.getChartPeriods()[this.chartPeriod].dateFormat);
+
+        this.updateComparisonLegend(series);
+
+        // Readout lists every visible series at the hovered bar
+        const intraday = ['5m', '1h'].includes(this.getChartPeriods()[this.chartPeriod].interval);
+        const anchor = visibleSeries[0] || series[0];
+        const points = priceData.map((point, index) => ({
+            x: getX(index),
+            y: getY(anchor.percents[index] ?? 0),
+            title: this.formatReadoutDate(point.date, intraday),
+            rows: visibleSeries.map(item => [
+                this.escapeHtml(item.label),
+                item.percents[index] === null
+                    ? '-'
+                    : `${item.percents[index] >= 0 ? '+' : ''}${item.percents[index].toFixed(2)}% (${item.key.startsWith('^') ? item.closes[index].toFixed(2) : this.formatCurrency(item.closes[index])})`
+            ])
+        }));
+        this.setChartReadout(ctx.canvas, points, { left: padding, right: padding + chartWidth, top: padding, bottom: height - 10 });
+    }
 
-        data.forEach((item, index) => {
-            if (index % 2 === 0) { // Show every other label
-                const x = padding + (index / (data.length - 1)) * chartWidth;
-                ctx.fillText(item.label, x, height - 10);
-            }
-        });
+    /**
+     * Render the legend with each series' change over the visible window
+     */
+    updateComparisonLegend(series) {
+        const legend = document.getElementById('comparisonLegend');
+        if (!legend) return;
 
-        // Legend
-        const legendY = padding - 30;
-        ctx.strokeStyle = '#8b5cf6';
-        ctx.lineWidth = 3;
-        ctx.beginPath();
-        ctx.moveTo(padding, legendY);
-        ctx.lineTo(padding + 20, legendY);
-        ctx.stroke();
+        legend.classList.toggle('hidden', series.length < 2);
+        if (series.length < 2) {
+            legend.innerHTML = '';
+            return;
+        }
 
-        ctx.fillStyle = '#374151';
-        ctx.font = '12px Inter, sans-serif';
-        ctx.textAlign = 'left';
-        ctx.fillText('Stock Price', padding + 30, legendY + 4);
+        legend.innerHTML = series.map(item => {
+            const last = [...item.percents].reverse().find(value => value !== null);
+            const change = last === undefined ? '-' : `${last >= 0 ? '+' : ''}${last.toFixed(2)}%`;
+            const isHidden = this.comparisonSettings.hidden.includes(item.key);
+
+            const key = this.escapeHtml(item.key);
+            const label = this.escapeHtml(item.label);
 
-        ctx.strokeStyle = '#f59e0b';
-        ctx.lineWidth = 2;
-        ctx.setLineDash([5, 5]);
-        ctx.beginPath();
-        ctx.moveTo(padding + 120, legendY);
-        ctx.lineTo(padding + 140, legendY);
-        ctx.stroke();
-        ctx.setLineDash([]);
-        ctx.fillText('Moving Average', padding + 150, legendY + 4);
+            return `
+                <button class="legend-item ${isHidden ? 'muted' : ''}" data-series="${key}" title="${isHidden ? 'Show' : 'Hide'} ${label}">
+                    <span class="legend-swatch" style="background: ${item.color}"></span>
+                    ${label}
+                    <span class="legend-change">${change}</span>
+                    ${item.removable ? `<i class="fas fa-times legend-remove" data-remove="${key}" title="Remove ${label}"></i>` : ''}
+                </button>
+            `;
+        }).join('');
     }
 
     /**
-     * Generate realistic financial data
+     * Set the visible window of the price chart, clamped to the loaded history
      */
-    generateFinancialData(stockData) {
-        const marketCap = stockData.marketCap !== 'N/A' ? stockData.marketCap : this.calculateMarketCap(stockData.price);
+    setChartView(start, end) {
+        if (!this.chartHistory) return;
 
-        return {
-            marketCap: marketCap,
-            peRatio: (Math.random() * 40 + 10).toFixed(2),
-            weekHigh52: stockData.price * (1 + Math.random() * 0.3),
-            weekLow52: stockData.price * (1 - Math.random() * 0.3),
-            dividendYield: (Math.random() * 5).toFixed(2) + '%',
-            beta: (Math.random() * 2 + 0.5).toFixed(2),
-            revenue: this.formatLargeNumber(Math.random() * 500 + 50) + 'B',
-            netProfit: this.formatLargeNumber(Math.random() * 100 + 10) + 'B',
-            profitMargin: (Math.random() * 30 + 5).toFixed(1) + '%',
-            ebitda: this.formatLargeNumber(Math.random() * 150 + 20) + 'B'
-        };
+        const total = this.chartHistory.length;
+        const minBars = Math.min(10, total);
+        const size = Math.min(Math.max(Math.round(end - start), minBars), total);
+        const clampedStart = Math.min(Math.max(Math.round(start), 0), total - size);
+
+        if (clampedStart === this.chartView.start && clampedStart + size === this.chartView.end) return;
+
+        this.chartView = { start: clampedStart, end: clampedStart + size };
+        this.renderPriceChart();
     }
 
     /**
-     * Calculate market cap based on price
+     * Zoom a window by a factor, keeping the bar under `anchor` (0-1 across the plot) in place
      */
-    calculateMarketCap(price) {
-        const shares = Math.random() * 10 + 1; // 1-11 billion shares
-        const marketCap = price * shares;
+    zoomChartView(view, factor, anchor) {
+        const size = view.end - view.start;
+        const newSize = size * factor;
+        const start = view.start + (size - newSize) * anchor;
+        this.setChartView(start, start + newSize);
+    }
 
-        if (marketCap >= 1000) {
-            return (marketCap / 1000).toFixed(2) + 'T';
-        } else {
-            return marketCap.toFixed(0) + 'B';
-        }
+    /**
+     * Reset the price chart to the full loaded history
+     */
+    resetChartZoom() {
+        if (!this.chartHistory) return;
+        this.setChartView(0, this.chartHistory.length);
     }
 
     /**
-     * Format large numbers
+     * Position of a client X coordinate across the price plot area, from 0 to 1
      */
-    formatLargeNumber(value) {
-        if (value >= 1000) {
-            return (value / 1000).toFixed(1) + 'T';
-        } else {
-            return value.toFixed(0);
-        }
+    getChartPlotRatio(canvas, clientX) {
+        const padding = 60;
+        const rect = canvas.getBoundingClientRect();
+        const x = (clientX - rect.left) * (canvas.width / (rect.width || canvas.width));
+        return Math.min(Math.max((x - padding) / (canvas.width - 2 * padding), 0), 1);
     }
 
     /**
-     * Initialize stock chart
+     * Wheel/pinch zoom, drag-to-pan, range navigator and reset for the price chart
      */
-    initializeChart() {
+    setupChartZoom() {
         const canvas = document.getElementById('priceChart');
+        const navigatorCanvas = document.getElementById('priceChartNavigator');
+        const resetBtn = document.getElementById('resetChartZoom');
         if (!canvas) return;
 
-        const ctx = canvas.getContext('2d');
-        this.chartCtx = ctx;
+        canvas.addEventListener('wheel', (e) => {
+            if (!this.chartHistory) return;
+            e.preventDefault();
+            this.zoomChartView(this.chartView, e.deltaY > 0 ? 1.2 : 1 / 1.2, this.getChartPlotRatio(canvas, e.clientX));
+        }, { passive: false });
+
+        canvas.addEventListener('dblclick', () => this.resetChartZoom());
+
+        // One pointer pans, two pointers pinch-zoom
+        const pointers = new Map();
+        let gesture = null;
+
+        const startGesture = () => {
+            const [first, second] = [...pointers.values()];
+            gesture = second
+                ? {
+                    view: { ...this.chartView },
+                    distance: Math.abs(first.clientX - second.clientX) || 1,
+                    anchor: this.getChartPlotRatio(canvas, (first.clientX + second.clientX) / 2)
+                }
+                : { view: { ...this.chartView }, clientX: first.clientX };
+        };
 
-        // Set canvas size
-        const container = canvas.parentElement;
-        canvas.width = container.offsetWidth;
-        canvas.height = 400;
+        canvas.addEventListener('pointerdown', (e) => {
+            if (!this.chartHistory) return;
+            pointers.set(e.pointerId, e);
+            canvas.setPointerCapture(e.pointerId);
+            canvas.classList.add('panning');
+            startGesture();
+        });
+
+        canvas.addEventListener('pointermove', (e) => {
+            if (!pointers.has(e.pointerId) || !gesture) return;
+            pointers.set(e.pointerId, e);
+
+            const [first, second] = [...pointers.values()];
+            if (second && gesture.distance) {
+                const distance = Math.abs(first.clientX - second.clientX) || 1;
+                this.zoomChartView(gesture.view, gesture.distance / distance, gesture.anchor);
+            } else if (!second && gesture.clientX !== undefined) {
+                const rect = canvas.getBoundingClientRect();
+                const plotWidth = (rect.width || canvas.width) * (canvas.width - 120) / canvas.width;
+                const barWidth = plotWidth / (gesture.view.end - gesture.view.start - 1 || 1);
+                const shift = -(e.clientX - gesture.clientX) / barWidth;
+                this.setChartView(gesture.view.start + shift, gesture.view.end + shift);
+            }
+        });
+
+        const endPointer = (e) => {
+            if (!pointers.delete(e.pointerId)) return;
+            if (pointers.size > 0) {
+                startGesture();
+            } else {
+                gesture = null;
+                canvas.classList.remove('panning');
+            }
+        };
+        canvas.addEventListener('pointerup', endPointer);
+        canvas.addEventListener('pointercancel', endPointer);
+
+        if (navigatorCanvas) {
+            this.setupChartNavigator(navigatorCanvas);
+        }
+
+        if (resetBtn) {
+            resetBtn.addEventListener('click', () => this.resetChartZoom());
+        }
     }
 
     /**
-     * Update stock chart with comprehensive data
+     * Drag the navigator window to pan, its edges to resize, or click outside it to jump
      */
-    updateStockChart(stockData) {
-        if (!this.chartCtx) return;
+    setupChartNavigator(navigatorCanvas) {
+        let drag = null;
 
-        const canvas = document.getElementById('priceChart');
-        const ctx = this.chartCtx;
+        const getIndex = (clientX) => {
+            const total = this.chartHistory.length;
+            return this.getChartPlotRatio(navigatorCanvas, clientX) * (total - 1);
+        };
 
-        // Clear canvas
-        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        navigatorCanvas.addEventListener('pointerdown', (e) => {
+            if (!this.chartHistory) return;
+
+            const index = getIndex(e.clientX);
+            const { start, end } = this.chartView;
+            const rect = navigatorCanvas.getBoundingClientRect();
+            const handleSlop = 8 * (this.chartHistory.length / (rect.width || navigatorCanvas.width));
+
+            if (Math.abs(index - start) <= handleSlop) {
+                drag = { edge: 'start' };
+            } else if (Math.abs(index - (end - 1)) <= handleSlop) {
+                drag = { edge: 'end' };
+            } else {
+                // Clicking outside the window centers it on that point first
+                if (index < start || index > end - 1) {
+                    const size = end - start;
+                    this.setChartView(index - size / 2, index + size / 2);
+                }
+                drag = { index, view: { ...this.chartView } };
+            }
+
+            navigatorCanvas.setPointerCapture(e.pointerId);
+        });
+
+        navigatorCanvas.addEventListener('pointermove', (e) => {
+            if (!drag || !this.chartHistory) return;
 
-        // Use historical prices from stock data or generate
-        const priceData = stockData.historicalPrices || this.generatePriceData(stockData.price, 30);
+            const index = getIndex(e.clientX);
+            const { start, end } = this.chartView;
+            const minBars = Math.min(10, this.chartHistory.length);
+
+            if (drag.edge === 'start') {
+                this.setChartView(Math.min(index, end - minBars), end);
+            } else if (drag.edge === 'end') {
+                this.setChartView(start, Math.max(index + 1, start + minBars));
+            } else {
+                const shift = index - drag.index;
+                this.setChartView(drag.view.start + shift, drag.view.end + shift);
+            }
+        });
 
-        // Draw comprehensive chart
-        this.drawComprehensiveChart(ctx, priceData, canvas.width, canvas.height, stockData);
+        const endDrag = () => {
+            drag = null;
+        };
+        navigatorCanvas.addEventListener('pointerup', endDrag);
+        navigatorCanvas.addEventListener('pointercancel', endDrag);
     }
 
     /**
-     * Generate historical price data
+     * Draw the full-history navigator with the zoomed window highlighted
      */
-    generateHistoricalPrices(currentPrice, days) {
-        const data = [];
-        let price = currentPrice * (0.85 + Math.random() * 0.3); // Start within 15-30% range
+    drawChartNavigator() {
+        const navigatorCanvas = document.getElementById('priceChartNavigator');
+        const priceCanvas = document.getElementById('priceChart');
+        if (!navigatorCanvas || !this.chartHistory) return;
+
+        const ctx = navigatorCanvas.getContext('2d');
+        const width = navigatorCanvas.width = priceCanvas.width;
+        const height = navigatorCanvas.height = 60;
+        const padding = 60;
+        const plotWidth = width - 2 * padding;
+        const styles = getComputedStyle(document.documentElement);
 
-        for (let i = 0; i < days; i++) {
-            const volatility = 0.02 + Math.random() * 0.03; // 2-5% daily volatility
-            const trend = (Math.random() - 0.5) * 0.01; // Small trend bias
-            const change = (Math.random() - 0.5) * volatility + trend;
+        const closes = this.chartHistory.map(point => this.getOhlc(point).close);
+        const minClose = Math.min(...closes);
+        const range = Math.max(...closes) - minClose || 1;
+        const getX = (index) => padding + (index / (closes.length - 1)) * plotWidth;
 
-            price *= (1 + change);
-            price = Math.max(price, currentPrice * 0.5); // Don't go below 50% of current
+        ctx.clearRect(0, 0, width, height);
 
-            data.push({
-                date: new Date(Date.now() - (days - i) * 24 * 60 * 60 * 1000),
-                price: Math.round(price * 100) / 100,
-                volume: Math.floor(Math.random() * 50000000) + 10000000
-            });
+        // Full series
+        ctx.strokeStyle = '#3b82f6';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        closes.forEach((close, index) => {
+            const y = 6 + (1 - (close - minClose) / range) * (height - 12);
+            if (index === 0) {
+                ctx.moveTo(getX(index), y);
+            } else {
+                ctx.lineTo(getX(index), y);
+            }
+        });
+        ctx.stroke();
+
+        // Dim everything outside the window
+        const left = getX(this.chartView.start);
+        const right = getX(this.chartView.end - 1);
+        ctx.fillStyle = 'rgba(107, 114, 128, 0.25)';
+        ctx.fillRect(padding, 0, left - padding, height);
+        ctx.fillRect(right, 0, padding + plotWidth - right, height);
+
+        // Window outline and handles
+        ctx.strokeStyle = styles.getPropertyValue('--text-secondary');
+        ctx.lineWidth = 1;
+        ctx.strokeRect(left, 0.5, right - left, height - 1);
+        ctx.fillStyle = styles.getPropertyValue('--text-secondary');
+        ctx.fillRect(left - 3, height / 2 - 10, 6, 20);
+        ctx.fillRect(right - 3, height / 2 - 10, 6, 20);
+    }
+
+    /**
+     * Chart periods with the history range and bar interval each one requests
+     */
+    getChartPeriods() {
+        return {
+            '1D': { range: '1d', interval: '5m', dateFormat: { hour: 'numeric', minute: '2-digit', timeZone: 'America/New_York' } },
+            '1W': { range: '5d', interval: '1h', dateFormat: { weekday: 'short', hour: 'numeric', timeZone: 'America/New_York' } },
+            '1M': { range: '1mo', interval: '1d', dateFormat: { month: 'short', day: 'numeric' } },
+            '3M': { range: '3mo', interval: '1d', dateFormat: { month: 'short', day: 'numeric' } },
+            '1Y': { range: '1y', interval: '1wk', dateFormat: { month: 'short', day: 'numeric' } },
+            '5Y': { range: '5y', interval: '1wk', dateFormat: { month: 'short', year: 'numeric' } },
+            'MAX': { range: 'max', interval: '1mo', dateFormat: { year: 'numeric' } }
+        };
+    }
+
+    /**
+     * Load (and cache) chart history for a symbol and period
+     */
+    async loadChartHistory(symbol, period) {
+        const { range, interval } = this.getChartPeriods()[period];
+        return this.loadHistory(symbol, { range, interval });
+    }
+
+    /**
+     * Load history for a symbol, cached per range and interval
+     */
+    async loadHistory(symbol, { range, interval }) {
+        const cacheKey = `${symbol}|${range}|${interval}`;
+        if (this.chartHistoryCache.has(cacheKey)) {
+            return this.chartHistoryCache.get(cacheKey);
         }
 
-        // Adjust last price to match current price
-        data[data.length - 1].price = currentPrice;
+        const history = await this.requestMarketData('history', symbol, { range, interval });
+        this.chartHistoryCache.set(cacheKey, history);
+        return history;
+    }
 
-        return data;
+    /**
+     * Historical OHLCV bars for the last trading days of a simulated series
+     *
+     * `price` mirrors `close` so line charts and averages keep working.
+     */
+    generateHistoricalPrices(series, days) {
+        return series
+            .slice(-days)
+            .map(bar => ({
+                date: bar.date,
+                open: bar.open,
+                high: bar.high,
+                low: bar.low,
+                close: bar.close,
+                price: bar.close,
+                volume: bar.volume
+            }));
     }
 
     /**
      * Draw comprehensive chart with multiple indicators
      */
-    drawComprehensiveChart(ctx, priceData, width, height, stockData) {
+    drawComprehensiveChart(ctx, history, width, height, stockData, view = { start: 0, end: history.length }) {
         const padding = 60;
         const chartWidth = width - 2 * padding;
         const chartHeight = height - 2 * padding;
 
-        // Find price range
-        const prices = priceData.map(d => d.price);
-        const minPrice = Math.min(...prices);
-        const maxPrice = Math.max(...prices);
-        const priceRange = maxPrice - minPrice;
+        // Only the zoomed window is drawn; averages use the full history so they are valid at its left edge
+        const priceData = history.slice(view.start, view.end);
+        const ma7 = this.calculateMovingAverage(history, 7).slice(view.start, view.end);
+
+        // Find price range, including wicks when drawing OHLC styles
+        const showsOhlc = this.chartStyle === 'candle' || this.chartStyle === 'bar';
+        const bars = priceData.map(point => this.getOhlc(point));
+        const minPrice = Math.min(...bars.map(bar => showsOhlc ? bar.low : bar.close));
+        const maxPrice = Math.max(...bars.map(bar => showsOhlc ? bar.high : bar.close));
+        const priceRange = maxPrice - minPrice || 1;
 
         // Background
         ctx.fillStyle = getComputedStyle(document.documentElement).getPropertyValue('--bg-tertiary');
@@ -2428,11 +9900,17 @@ class StockAnalyzer {
         // Grid
         this.drawGrid(ctx, padding, chartWidth, chartHeight, minPrice, maxPrice, priceRange);
 
-        // Price line
-        this.drawPriceLine(ctx, priceData, padding, chartWidth, chartHeight, minPrice, priceRange);
+        // Price series in the selected style
+        if (this.chartStyle === 'candle') {
+            this.drawCandlesticks(ctx, bars, padding, chartWidth, chartHeight, minPrice, priceRange);
+        } else if (this.chartStyle === 'bar') {
+            this.drawOhlcBars(ctx, bars, padding, chartWidth, chartHeight, minPrice, priceRange);
+        } else {
+            this.drawPriceLine(ctx, priceData, padding, chartWidth, chartHeight, minPrice, priceRange, this.chartStyle === 'area');
+        }
 
         // Moving averages
-        this.drawMovingAverages(ctx, priceData, padding, chartWidth, chartHeight, minPrice, priceRange);
+        this.drawMovingAverages(ctx, priceData, padding, chartWidth, chartHeight, minPrice, priceRange, ma7);
 
         // Volume bars at bottom
         this.drawVolumeChart(ctx, priceData, padding, chartWidth, height);
@@ -2441,10 +9919,27 @@ class StockAnalyzer {
         this.drawPriceLabels(ctx, padding, chartHeight, minPrice, maxPrice, priceRange);
 
         // Date labels
-        this.drawDateLabels(ctx, priceData, padding, chartWidth, height);
+        this.drawDateLabels(ctx, priceData, padding, chartWidth, height, this.getChartPeriods()[this.chartPeriod].dateFormat);
 
         // Current price indicator
         this.drawCurrentPriceIndicator(ctx, stockData.price, padding, chartWidth, chartHeight, minPrice, priceRange);
+
+        // Hover readout with OHLC, volume and the 7-period moving average
+        const intraday = ['5m', '1h'].includes(this.getChartPeriods()[this.chartPeriod].interval);
+        const points = bars.map((bar, index) => ({
+            x: padding + (index / (bars.length - 1)) * chartWidth,
+            y: padding + (1 - (bar.close - minPrice) / priceRange) * chartHeight,
+            title: this.formatReadoutDate(priceData[index].date, intraday),
+            rows: [
+                ['Open', this.formatCurrency(bar.open)],
+                ['High', this.formatCurrency(bar.high)],
+                ['Low', this.formatCurrency(bar.low)],
+                ['Close', this.formatCurrency(bar.close)],
+                ['Volume', this.formatNumber(priceData[index].volume || 0)],
+                ['MA(7)', ma7[index] === null ? '-' : this.formatCurrency(ma7[index])]
+            ]
+        }));
+        this.setChartReadout(ctx.canvas, points, { left: padding, right: padding + chartWidth, top: padding, bottom: height - 10 });
     }
 
     /**
@@ -2474,30 +9969,32 @@ class StockAnalyzer {
     }
 
     /**
-     * Draw main price line
+     * Draw main price line, optionally with an area fill
      */
-    drawPriceLine(ctx, priceData, padding, chartWidth, chartHeight, minPrice, priceRange) {
-        // Price area fill
-        const gradient = ctx.createLinearGradient(0, padding, 0, padding + chartHeight);
-        gradient.addColorStop(0, 'rgba(59, 130, 246, 0.3)');
-        gradient.addColorStop(1, 'rgba(59, 130, 246, 0.05)');
+    drawPriceLine(ctx, priceData, padding, chartWidth, chartHeight, minPrice, priceRange, fill = true) {
+        if (fill) {
+            // Price area fill
+            const gradient = ctx.createLinearGradient(0, padding, 0, padding + chartHeight);
+            gradient.addColorStop(0, 'rgba(59, 130, 246, 0.3)');
+            gradient.addColorStop(1, 'rgba(59, 130, 246, 0.05)');
 
-        ctx.fillStyle = gradient;
-        ctx.beginPath();
-        priceData.forEach((point, index) => {
-            const x = padding + (index / (priceData.length - 1)) * chartWidth;
-            const y = padding + (1 - (point.price - minPrice) / priceRange) * chartHeight;
+            ctx.fillStyle = gradient;
+            ctx.beginPath();
+            priceData.forEach((point, index) => {
+                const x = padding + (index / (priceData.length - 1)) * chartWidth;
+                const y = padding + (1 - (point.price - minPrice) / priceRange) * chartHeight;
 
-            if (index === 0) {
-                ctx.moveTo(x, y);
-            } else {
-                ctx.lineTo(x, y);
-            }
-        });
-        ctx.lineTo(padding + chartWidth, padding + chartHeight);
-        ctx.lineTo(padding, padding + chartHeight);
-        ctx.closePath();
-        ctx.fill();
+                if (index === 0) {
+                    ctx.moveTo(x, y);
+                } else {
+                    ctx.lineTo(x, y);
+                }
+            });
+            ctx.lineTo(padding + chartWidth, padding + chartHeight);
+            ctx.lineTo(padding, padding + chartHeight);
+            ctx.closePath();
+            ctx.fill();
+        }
 
         // Price line
         ctx.strokeStyle = '#3b82f6';
@@ -2517,12 +10014,92 @@ class StockAnalyzer {
         ctx.stroke();
     }
 
+    /**
+     * Read open/high/low/close from a history point, falling back to its close price
+     */
+    getOhlc(point) {
+        const close = point.close ?? point.price;
+        return {
+            open: point.open ?? close,
+            high: point.high ?? close,
+            low: point.low ?? close,
+            close: close
+        };
+    }
+
+    /**
+     * Draw candlesticks: filled body from open to close with high/low wicks
+     */
+    drawCandlesticks(ctx, bars, padding, chartWidth, chartHeight, minPrice, priceRange) {
+        const toY = (price) => padding + (1 - (price - minPrice) / priceRange) * chartHeight;
+        const bodyWidth = Math.max(1, chartWidth / bars.length * 0.6);
+
+        bars.forEach((bar, index) => {
+            const x = padding + (index / (bars.length - 1 || 1)) * chartWidth;
+            const color = bar.close >= bar.open ? '#10b981' : '#ef4444';
+            const bodyTop = toY(Math.max(bar.open, bar.close));
+            const bodyBottom = toY(Math.min(bar.open, bar.close));
+
+            // Wick
+            ctx.strokeStyle = color;
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            ctx.moveTo(x, toY(bar.high));
+            ctx.lineTo(x, toY(bar.low));
+            ctx.stroke();
+
+            // Body, at least one pixel tall for doji bars
+            ctx.fillStyle = color;
+            ctx.fillRect(x - bodyWidth / 2, bodyTop, bodyWidth, Math.max(1, bodyBottom - bodyTop));
+        });
+    }
+
+    /**
+     * Draw OHLC bars: high/low line with open tick on the left and close tick on the right
+     */
+    drawOhlcBars(ctx, bars, padding, chartWidth, chartHeight, minPrice, priceRange) {
+        const toY = (price) => padding + (1 - (price - minPrice) / priceRange) * chartHeight;
+        const tickWidth = Math.max(2, chartWidth / bars.length * 0.3);
+
+        ctx.lineWidth = 1.5;
+
+        bars.forEach((bar, index) => {
+            const x = padding + (index / (bars.length - 1 || 1)) * chartWidth;
+
+            ctx.strokeStyle = bar.close >= bar.open ? '#10b981' : '#ef4444';
+            ctx.beginPath();
+            ctx.moveTo(x, toY(bar.high));
+            ctx.lineTo(x, toY(bar.low));
+            ctx.moveTo(x - tickWidth, toY(bar.open));
+            ctx.lineTo(x, toY(bar.open));
+            ctx.moveTo(x, toY(bar.close));
+            ctx.lineTo(x + tickWidth, toY(bar.close));
+            ctx.stroke();
+        });
+    }
+
+    /**
+     * Switch the price chart style (line, area, candle or bar)
+     */
+    switchChartStyle(clickedBtn) {
+        document.querySelectorAll('.chart-type-btn[data-style]').forEach(btn => {
+            btn.classList.remove('active');
+        });
+        clickedBtn.classList.add('active');
+
+        this.chartStyle = clickedBtn.getAttribute('data-style');
+        this.writeStorage('chartStyle', this.chartStyle);
+
+        if (this.currentStock) {
+            this.updateStockChart(this.currentStock);
+        }
+    }
+
     /**
      * Draw moving averages
      */
-    drawMovingAverages(ctx, priceData, padding, chartWidth, chartHeight, minPrice, priceRange) {
+    drawMovingAverages(ctx, priceData, padding, chartWidth, chartHeight, minPrice, priceRange, ma7 = this.calculateMovingAverage(priceData, 7)) {
         // 7-day moving average
-        const ma7 = this.calculateMovingAverage(priceData, 7);
         ctx.strokeStyle = '#f59e0b';
         ctx.lineWidth = 1.5;
         ctx.setLineDash([5, 5]);
@@ -2550,21 +10127,177 @@ class StockAnalyzer {
      * Calculate moving average
      */
     calculateMovingAverage(data, period) {
+        return this.calculateSMA(data.map(point => point.price), period);
+    }
+
+    /**
+     * Simple moving average; entries are null until a full window is available
+     */
+    calculateSMA(values, period) {
         const result = [];
-        for (let i = 0; i < data.length; i++) {
-            if (i < period - 1) {
-                result.push(null);
-            } else {
-                let sum = 0;
-                for (let j = i - period + 1; j <= i; j++) {
-                    sum += data[j].price;
-                }
-                result.push(sum / period);
+        let sum = 0;
+        let count = 0;
+
+        for (let i = 0; i < values.length; i++) {
+            sum += values[i];
+            count++;
+            if (count > period) {
+                sum -= values[i - period];
+                count = period;
+            }
+            result.push(count === period ? sum / period : null);
+        }
+        return result;
+    }
+
+    /**
+     * Exponential moving average seeded with the SMA of the first window
+     *
+     * Leading nulls in the input (e.g. the warm-up of another indicator) are skipped.
+     */
+    calculateEMA(values, period) {
+        const result = new Array(values.length).fill(null);
+        const start = values.findIndex(value => value !== null && value !== undefined);
+        if (start === -1 || values.length - start < period) return result;
+
+        const k = 2 / (period + 1);
+        let ema = values.slice(start, start + period).reduce((sum, value) => sum + value, 0) / period;
+        result[start + period - 1] = ema;
+
+        for (let i = start + period; i < values.length; i++) {
+            ema = values[i] * k + ema * (1 - k);
+            result[i] = ema;
+        }
+        return result;
+    }
+
+    /**
+     * Relative Strength Index using Wilder's smoothing
+     */
+    calculateRSI(values, period = 14) {
+        const result = new Array(values.length).fill(null);
+        if (values.length <= period) return result;
+
+        let avgGain = 0;
+        let avgLoss = 0;
+        for (let i = 1; i <= period; i++) {
+            const change = values[i] - values[i - 1];
+            avgGain += Math.max(change, 0);
+            avgLoss += Math.max(-change, 0);
+        }
+        avgGain /= period;
+        avgLoss /= period;
+
+        const toRsi = () => avgLoss === 0 ? 100 : 100 - 100 / (1 + avgGain / avgLoss);
+        result[period] = toRsi();
+
+        for (let i = period + 1; i < values.length; i++) {
+            const change = values[i] - values[i - 1];
+            avgGain = (avgGain * (period - 1) + Math.max(change, 0)) / period;
+            avgLoss = (avgLoss * (period - 1) + Math.max(-change, 0)) / period;
+            result[i] = toRsi();
+        }
+        return result;
+    }
+
+    /**
+     * MACD line, signal line and histogram
+     */
+    calculateMACD(values, fast = 12, slow = 26, signalPeriod = 9) {
+        const fastEma = this.calculateEMA(values, fast);
+        const slowEma = this.calculateEMA(values, slow);
+        const macd = values.map((value, i) =>
+            fastEma[i] === null || slowEma[i] === null ? null : fastEma[i] - slowEma[i]);
+        const signal = this.calculateEMA(macd, signalPeriod);
+        const histogram = macd.map((value, i) =>
+            value === null || signal[i] === null ? null : value - signal[i]);
+
+        return { macd, signal, histogram };
+    }
+
+    /**
+     * Bollinger Bands: SMA middle band with population standard deviation envelopes
+     */
+    calculateBollingerBands(values, period = 20, multiplier = 2) {
+        const middle = this.calculateSMA(values, period);
+        const upper = [];
+        const lower = [];
+
+        middle.forEach((mean, i) => {
+            if (mean === null) {
+                upper.push(null);
+                lower.push(null);
+                return;
             }
+
+            const window = values.slice(i - period + 1, i + 1);
+            const variance = window.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / period;
+            const deviation = Math.sqrt(variance) * multiplier;
+            upper.push(mean + deviation);
+            lower.push(mean - deviation);
+        });
+
+        return { middle, upper, lower };
+    }
+
+    /**
+     * Stochastic oscillator %K and its %D moving average
+     */
+    calculateStochastic(bars, kPeriod = 14, dPeriod = 3) {
+        const k = bars.map((bar, i) => {
+            if (i < kPeriod - 1) return null;
+
+            const window = bars.slice(i - kPeriod + 1, i + 1);
+            const highest = Math.max(...window.map(b => b.high));
+            const lowest = Math.min(...window.map(b => b.low));
+            return highest === lowest ? 50 : ((bar.close - lowest) / (highest - lowest)) * 100;
+        });
+
+        const d = k.map((value, i) => {
+            if (i < kPeriod + dPeriod - 2) return null;
+            return k.slice(i - dPeriod + 1, i + 1).reduce((sum, v) => sum + v, 0) / dPeriod;
+        });
+
+        return { k, d };
+    }
+
+    /**
+     * Average True Range using Wilder's smoothing
+     */
+    calculateATR(bars, period = 14) {
+        const result = new Array(bars.length).fill(null);
+        if (bars.length < period) return result;
+
+        const trueRanges = bars.map((bar, i) => {
+            if (i === 0) return bar.high - bar.low;
+            const previousClose = bars[i - 1].close;
+            return Math.max(bar.high - bar.low, Math.abs(bar.high - previousClose), Math.abs(bar.low - previousClose));
+        });
+
+        let atr = trueRanges.slice(0, period).reduce((sum, value) => sum + value, 0) / period;
+        result[period - 1] = atr;
+
+        for (let i = period; i < bars.length; i++) {
+            atr = (atr * (period - 1) + trueRanges[i]) / period;
+            result[i] = atr;
         }
         return result;
     }
 
+    /**
+     * On-Balance Volume
+     */
+    calculateOBV(bars) {
+        let obv = 0;
+        return bars.map((bar, i) => {
+            if (i > 0) {
+                if (bar.close > bars[i - 1].close) obv += bar.volume;
+                if (bar.close < bars[i - 1].close) obv -= bar.volume;
+            }
+            return obv;
+        });
+    }
+
     /**
      * Draw volume chart at bottom
      */
@@ -2604,7 +10337,7 @@ class StockAnalyzer {
     /**
      * Draw date labels
      */
-    drawDateLabels(ctx, priceData, padding, chartWidth, height) {
+    drawDateLabels(ctx, priceData, padding, chartWidth, height, dateFormat = { month: 'short', day: 'numeric' }) {
         ctx.fillStyle = getComputedStyle(document.documentElement).getPropertyValue('--text-secondary');
         ctx.font = '10px Inter, sans-serif';
         ctx.textAlign = 'center';
@@ -2617,7 +10350,7 @@ class StockAnalyzer {
             const y = height - 5;
 
             ctx.fillText(
-                date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' }),
+                date.toLocaleString('en-US', dateFormat),
                 x,
                 y
             );
@@ -2640,38 +10373,16 @@ class StockAnalyzer {
         ctx.lineTo(padding + chartWidth, y);
         ctx.stroke();
 
-        // Price label
-        ctx.fillStyle = '#ef4444';
-        ctx.fillRect(padding + chartWidth + 5, y - 10, 60, 20);
-
-        ctx.fillStyle = 'white';
-        ctx.font = '11px Inter, sans-serif';
-        ctx.textAlign = 'center';
-        ctx.fillText(this.formatCurrency(currentPrice), padding + chartWidth + 35, y + 3);
-
-        ctx.setLineDash([]);
-    }
-
-    /**
-     * Generate sample price data for chart
-     */
-    generatePriceData(currentPrice, days) {
-        const data = [];
-        let price = currentPrice * 0.9; // Start 10% lower
-
-        for (let i = 0; i < days; i++) {
-            const change = (Math.random() - 0.5) * 0.05; // ±2.5% daily change
-            price *= (1 + change);
-            data.push({
-                date: new Date(Date.now() - (days - i) * 24 * 60 * 60 * 1000),
-                price: price
-            });
-        }
-
-        // Ensure last price matches current price
-        data[data.length - 1].price = currentPrice;
+        // Price label
+        ctx.fillStyle = '#ef4444';
+        ctx.fillRect(padding + chartWidth + 5, y - 10, 60, 20);
 
-        return data;
+        ctx.fillStyle = 'white';
+        ctx.font = '11px Inter, sans-serif';
+        ctx.textAlign = 'center';
+        ctx.fillText(this.formatCurrency(currentPrice), padding + chartWidth + 35, y + 3);
+
+        ctx.setLineDash([]);
     }
 
     /**
@@ -2751,6 +10462,7 @@ class StockAnalyzer {
 
         // Add active class to clicked button
         clickedBtn.classList.add('active');
+        this.chartPeriod = clickedBtn.getAttribute('data-period');
 
         // Update chart with new period data
         if (this.currentStock) {
@@ -2758,40 +10470,640 @@ class StockAnalyzer {
         }
     }
 
+    /**
+     * Persist every watchlist and which one is active
+     */
+    saveWatchlists() {
+        return this.writeStorage('watchlists', { activeId: this.activeWatchlistId, lists: this.watchlists });
+    }
+
+    /**
+     * The watchlist shown in the grid and targeted by "Add to Watchlist"
+     */
+    getActiveWatchlist() {
+        return this.watchlists.find(list => list.id === this.activeWatchlistId) || this.selectWatchlist();
+    }
+
+    /**
+     * Make a watchlist active, falling back to the first one
+     */
+    selectWatchlist(id) {
+        const list = this.watchlists.find(entry => entry.id === id) || this.watchlists[0];
+        this.activeWatchlistId = list.id;
+        this.watchlist = list.items;
+        return list;
+    }
+
+    /**
+     * Wire the list picker, list management buttons and drag-and-drop reordering
+     */
+    setupWatchlists() {
+        const select = document.getElementById('watchlistSelect');
+        const form = document.getElementById('watchlistForm');
+        const renameBtn = document.getElementById('renameWatchlist');
+        const deleteBtn = document.getElementById('deleteWatchlist');
+        const grid = document.getElementById('watchlistGrid');
+        const table = document.getElementById('watchlistTable');
+
+        document.querySelectorAll('#watchlistViews .chart-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.watchlistView = btn.getAttribute('data-view');
+                this.writeStorage('watchlistView', this.watchlistView);
+                this.loadWatchlist();
+            });
+        });
+
+        if (table) {
+            table.addEventListener('click', (e) => {
+                const header = e.target.closest('[data-sort]');
+                if (header) {
+                    // Descending, then ascending, then back to the list's own order
+                    const key = header.getAttribute('data-sort');
+                    const current = this.watchlistSort && this.watchlistSort.key === key ? this.watchlistSort.direction : null;
+                    this.watchlistSort = current === 'asc' ? null : { key, direction: current === 'desc' ? 'asc' : 'desc' };
+                    this.renderWatchlistTable();
+                    return;
+                }
+
+                const row = e.target.closest('[data-symbol]');
+                if (row) {
+                    this.searchStock(row.getAttribute('data-symbol'));
+                }
+            });
+        }
+
+        if (select) {
+            select.addEventListener('change', () => {
+                this.switchWatchlist(select.value);
+            });
+        }
+
+        if (form) {
+            form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.createWatchlist(document.getElementById('newWatchlistName').value);
+            });
+        }
+
+        if (renameBtn) {
+            renameBtn.addEventListener('click', () => {
+                const list = this.getActiveWatchlist();
+                const name = prompt('Rename watchlist', list.name);
+                if (name !== null) {
+                    this.renameWatchlist(list.id, name);
+                }
+            });
+        }
+
+        if (deleteBtn) {
+            deleteBtn.addEventListener('click', () => {
+                this.deleteWatchlist(this.activeWatchlistId);
+            });
+        }
+
+        if (!grid) return;
+
+        const clearDropTargets = () => {
+            grid.querySelectorAll('.drag-over').forEach(card => card.classList.remove('drag-over'));
+        };
+
+        grid.addEventListener('dragstart', (e) => {
+            const card = e.target.closest && e.target.closest('.watchlist-card');
+            if (!card) return;
+
+            this.draggedWatchlistSymbol = card.dataset.symbol;
+            card.classList.add('dragging');
+            if (e.dataTransfer) {
+                e.dataTransfer.effectAllowed = 'move';
+                e.dataTransfer.setData('text/plain', card.dataset.symbol);
+            }
+        });
+
+        grid.addEventListener('dragover', (e) => {
+            const card = e.target.closest && e.target.closest('.watchlist-card');
+            if (!card || !this.draggedWatchlistSymbol) return;
+
+            e.preventDefault();
+            if (!card.classList.contains('drag-over')) {
+                clearDropTargets();
+                card.classList.add('drag-over');
+            }
+        });
+
+        grid.addEventListener('drop', (e) => {
+            const card = e.target.closest && e.target.closest('.watchlist-card');
+            if (!card || !this.draggedWatchlistSymbol) return;
+
+            e.preventDefault();
+            const targetIndex = this.watchlist.findIndex(stock => stock.symbol === card.dataset.symbol);
+            this.reorderWatchlist(this.draggedWatchlistSymbol, targetIndex);
+        });
+
+        grid.addEventListener('dragend', () => {
+            this.draggedWatchlistSymbol = null;
+            clearDropTargets();
+            grid.querySelectorAll('.dragging').forEach(card => card.classList.remove('dragging'));
+        });
+    }
+
+    /**
+     * Check a watchlist name is present and not taken by another list
+     */
+    validateWatchlistName(name, exceptId = null) {
+        const cleanName = name.trim();
+
+        if (!cleanName) {
+            this.showNotification('Please enter a watchlist name', 'warning');
+            return null;
+        }
+        if (this.watchlists.some(list => list.id !== exceptId && list.name.toLowerCase() === cleanName.toLowerCase())) {
+            this.showNotification(`A watchlist named "${cleanName}" already exists`, 'warning');
+            return null;
+        }
+
+        return cleanName;
+    }
+
+    /**
+     * Create a named watchlist and switch to it
+     */
+    createWatchlist(name) {
+        const cleanName = this.validateWatchlistName(name);
+        if (!cleanName) return null;
+
+        const list = { id: this.generateId('watchlist'), name: cleanName, createdAt: new Date().toISOString(), items: [] };
+        this.watchlists.push(list);
+        this.selectWatchlist(list.id);
+        this.saveWatchlists();
+        this.loadWatchlist();
+        this.refreshWatchlistButton();
+
+        const nameInput = document.getElementById('newWatchlistName');
+        if (nameInput) {
+            nameInput.value = '';
+        }
+
+        this.showNotification(`Watchlist "${cleanName}" created`, 'success');
+        return list;
+    }
+
+    /**
+     * Rename a watchlist
+     */
+    renameWatchlist(id, name) {
+        const list = this.watchlists.find(entry => entry.id === id);
+        if (!list) return;
+
+        const cleanName = this.validateWatchlistName(name, id);
+        if (!cleanName) return;
+
+        list.name = cleanName;
+        this.saveWatchlists();
+        this.loadWatchlist();
+        this.showNotification(`Watchlist renamed to "${cleanName}"`, 'success');
+    }
+
+    /**
+     * Delete a watchlist and its symbols; the last list cannot be deleted
+     */
+    deleteWatchlist(id) {
+        const list = this.watchlists.find(entry => entry.id === id);
+        if (!list) return;
+
+        if (this.watchlists.length === 1) {
+            this.showNotification('Keep at least one watchlist', 'warning');
+            return;
+        }
+        if (list.items.length > 0 && !confirm(`Delete "${list.name}" and its ${list.items.length} symbols?`)) {
+            return;
+        }
+
+        this.watchlists = this.watchlists.filter(entry => entry.id !== id);
+        this.selectWatchlist(this.activeWatchlistId === id ? null : this.activeWatchlistId);
+        this.saveWatchlists();
+        this.loadWatchlist();
+        this.refreshWatchlistButton();
+        this.showNotification(`Watchlist "${list.name}" deleted`, 'success');
+    }
+
+    /**
+     * Show another watchlist in the grid
+     */
+    switchWatchlist(id) {
+        this.selectWatchlist(id);
+        this.saveWatchlists();
+        this.loadWatchlist();
+        this.refreshWatchlistButton();
+        this.refreshWatchlistQuotes();
+    }
+
+    /**
+     * Re-sync the stock card's watchlist button after the active list changes
+     */
+    refreshWatchlistButton() {
+        if (this.currentStock) {
+            this.updateWatchlistButton(this.currentStock.symbol);
+        }
+    }
+
+    /**
+     * Fill the list picker with every watchlist and its size
+     */
+    renderWatchlistPicker() {
+        const select = document.getElementById('watchlistSelect');
+        const deleteBtn = document.getElementById('deleteWatchlist');
+
+        if (select) {
+            select.innerHTML = this.watchlists.map(list => `
+                <option value="${list.id}" ${list.id === this.activeWatchlistId ? 'selected' : ''}>${this.escapeHtml(list.name)} (${list.items.length})</option>
+            `).join('');
+        }
+        if (deleteBtn) {
+            deleteBtn.disabled = this.watchlists.length === 1;
+        }
+    }
+
+    /**
+     * Move a symbol to a new position in the active watchlist
+     */
+    reorderWatchlist(symbol, toIndex) {
+        const items = this.getActiveWatchlist().items;
+        const fromIndex = items.findIndex(stock => stock.symbol === symbol);
+        if (fromIndex === -1 || toIndex < 0 || toIndex >= items.length || fromIndex === toIndex) return;
+
+        const [item] = items.splice(fromIndex, 1);
+        items.splice(toIndex, 0, item);
+        this.saveWatchlists();
+        this.loadWatchlist();
+    }
+
+    /**
+     * Save a symbol's note, target price and tags
+     */
+    updateWatchlistItem(symbol, { note, targetPrice, tags }) {
+        const list = this.getActiveWatchlist();
+        const item = list.items.find(stock => stock.symbol === symbol);
+        if (!item) return false;
+
+        const target = String(targetPrice).trim() === '' ? null : Number(targetPrice);
+        if (target !== null && (!Number.isFinite(target) || target <= 0)) {
+            this.showNotification('Target price must be a positive number', 'warning');
+            return false;
+        }
+
+        const cleanTags = [];
+        String(tags).split(',').map(tag => tag.trim()).filter(Boolean).forEach(tag => {
+            if (!cleanTags.some(existing => existing.toLowerCase() === tag.toLowerCase())) {
+                cleanTags.push(tag.slice(0, 30));
+            }
+        });
+
+        item.note = String(note).trim().slice(0, 500);
+        item.targetPrice = target;
+        item.tags = cleanTags;
+
+        if (!this.saveWatchlists()) return false;
+        this.loadWatchlist();
+        this.showNotification(`Saved details for ${symbol}`, 'success');
+        return true;
+    }
+
+    /**
+     * Move or copy a symbol from the active watchlist into another one
+     */
+    transferWatchlistItem(symbol, targetId, mode = 'move') {
+        const source = this.getActiveWatchlist();
+        const target = this.watchlists.find(list => list.id === targetId);
+        const item = source.items.find(stock => stock.symbol === symbol);
+        if (!item || !target || target === source) return false;
+
+        if (target.items.some(stock => stock.symbol === symbol)) {
+            this.showNotification(`${symbol} is already in ${target.name}`, 'warning');
+            return false;
+        }
+
+        target.items.push({ ...item, tags: [...item.tags] });
+        if (mode === 'move') {
+            source.items = source.items.filter(stock => stock.symbol !== symbol);
+            this.watchlist = source.items;
+        }
+
+        this.saveWatchlists();
+        this.loadWatchlist();
+        this.refreshWatchlistButton();
+        this.showNotification(`${mode === 'move' ? 'Moved' : 'Copied'} ${symbol} to ${target.name}`, 'success');
+        return true;
+    }
+
+    /**
+     * Latest quote for a watchlist symbol, falling back to the snapshot taken when it was added
+     */
+    getWatchlistQuote(stock) {
+        if (this.watchlistQuotes.has(stock.symbol)) {
+            return this.watchlistQuotes.get(stock.symbol);
+        }
+
+        return Number.isFinite(stock.price)
+            ? { price: stock.price, change: stock.change || 0, changePercent: stock.changePercent || 0 }
+            : null;
+    }
+
+    /**
+     * Flatten a watchlist entry and its quote into the values shown in cards and the table
+     */
+    getWatchlistRow(stock) {
+        const quote = this.getWatchlistQuote(stock);
+        const price = quote ? quote.price : null;
+        const finite = value => Number.isFinite(value) ? value : null;
+
+        return {
+            symbol: stock.symbol,
+            name: stock.name,
+            price,
+            changePercent: quote ? finite(quote.changePercent) : null,
+            low: quote ? finite(quote.low) : null,
+            high: quote ? finite(quote.high) : null,
+            volume: quote ? finite(quote.volume) : null,
+            sinceAdded: price !== null && stock.price ? ((price - stock.price) / stock.price) * 100 : null,
+            targetPrice: stock.targetPrice,
+            targetDistance: price !== null && stock.targetPrice ? ((stock.targetPrice - price) / price) * 100 : null
+        };
+    }
+
+    /**
+     * Markup and P&L class for one live watchlist field
+     */
+    formatWatchlistCell(field, row) {
+        const pnlClass = value => value > 0 ? 'positive' : value < 0 ? 'negative' : 'neutral';
+        const percent = value => `${value >= 0 ? '+' : ''}${value.toFixed(2)}%`;
+        const value = field === 'dayRange' ? (row.low !== null && row.high !== null ? row.low : null) : row[field];
+
+        if (value === null || value === undefined) {
+            return { html: '—', className: '' };
+        }
+
+        switch (field) {
+            case 'price':
+            case 'targetPrice':
+                return { html: this.formatCurrency(value), className: '' };
+            case 'changePercent':
+                return { html: `<i class="fas fa-arrow-${value >= 0 ? 'up' : 'down'}"></i> ${percent(value)}`, className: value >= 0 ? 'positive' : 'negative' };
+            case 'dayRange':
+                return { html: `${this.formatCurrency(row.low)} - ${this.formatCurrency(row.high)}`, className: '' };
+            case 'volume':
+                return { html: this.formatNumber(value), className: '' };
+            case 'sinceAdded':
+                return { html: percent(value), className: pnlClass(value) };
+            case 'targetDistance':
+                return { html: `${value >= 0 ? '+' : ''}${value.toFixed(1)}% away`, className: value >= 0 ? 'positive' : 'negative' };
+            default:
+                return { html: this.escapeHtml(value), className: '' };
+        }
+    }
+
+    /**
+     * Render the dense table view of the active watchlist
+     */
+    renderWatchlistTable() {
+        const table = document.getElementById('watchlistTable');
+        if (!table) return;
+
+        const columns = {
+            price: 'Price',
+            changePercent: 'Change',
+            dayRange: 'Day Range',
+            volume: 'Volume',
+            sinceAdded: 'Since Added',
+            targetPrice: 'Target'
+        };
+        const sort = this.watchlistSort;
+        const arrow = column => sort && column === sort.key ? ` <i class="fas fa-sort-${sort.direction === 'asc' ? 'up' : 'down'}"></i>` : '';
+
+        table.querySelector('thead').innerHTML = `
+            <tr>
+                <th data-sort="symbol">Symbol${arrow('symbol')}</th>
+                ${Object.entries(columns).map(([column, label]) => `<th data-sort="${column}">${label}${arrow(column)}</th>`).join('')}
+                <th>Tags</th>
+            </tr>
+        `;
+
+        table.querySelector('tbody').innerHTML = this.getSortedWatchlist().map(stock => {
+            const row = this.getWatchlistRow(stock);
+            return `
+                <tr class="watchlist-row" data-symbol="${stock.symbol}">
+                    <td><strong>${stock.symbol}</strong> <small>${this.escapeHtml(stock.name)}</small></td>
+                    ${Object.keys(columns).map(column => {
+                        const cell = this.formatWatchlistCell(column, row);
+                        return `<td class="${cell.className}" data-field="${column}">${cell.html}</td>`;
+                    }).join('')}
+                    <td>${stock.tags.map(tag => `<span class="watchlist-tag">${this.escapeHtml(tag)}</span>`).join(' ')}</td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Active watchlist in table sort order; unsorted keeps the list's own order
+     */
+    getSortedWatchlist() {
+        const sort = this.watchlistSort;
+        if (!sort) return [...this.watchlist];
+
+        const sortValue = stock => {
+            const row = this.getWatchlistRow(stock);
+            return sort.key === 'dayRange' ? (row.low !== null && row.high !== null ? row.high - row.low : null) : row[sort.key];
+        };
+
+        // Missing values sort last in either direction
+        return [...this.watchlist].sort((a, b) => {
+            if (sort.key === 'symbol') {
+                return sort.direction === 'asc' ? a.symbol.localeCompare(b.symbol) : b.symbol.localeCompare(a.symbol);
+            }
+            const valueA = sortValue(a);
+            const valueB = sortValue(b);
+            if (valueA === null || valueA === undefined) return 1;
+            if (valueB === null || valueB === undefined) return -1;
+            return sort.direction === 'asc' ? valueA - valueB : valueB - valueA;
+        });
+    }
+
+    /**
+     * Poll quotes for the active watchlist while the page is visible
+     */
+    startWatchlistUpdates() {
+        this.refreshWatchlistQuotes();
+
+        clearInterval(this.watchlistTimer);
+        this.watchlistTimer = setInterval(() => {
+            if (!document.hidden) {
+                this.refreshWatchlistQuotes();
+            }
+        }, this.config.watchlist.refreshInterval);
+    }
+
+    /**
+     * Fetch a quote for every symbol in the active watchlist and evaluate their alerts
+     */
+    async refreshWatchlistQuotes() {
+        const symbols = this.watchlist.map(stock => stock.symbol);
+        if (symbols.length === 0) return;
+
+        const quotes = await Promise.all(symbols.map(symbol =>
+            this.requestMarketData('quote', symbol).catch(error => {
+                console.error(`Error loading watchlist quote for ${symbol}:`, error);
+                return null;
+            })
+        ));
+
+        quotes.filter(Boolean).forEach(quote => {
+            this.updateWatchlistQuote(quote);
+            this.evaluateAlerts(quote);
+        });
+
+        // Live values can change a sorted table's order; move the rows rather than re-render so flashes survive
+        const tbody = document.querySelector('#watchlistTable tbody');
+        if (tbody && this.watchlistSort) {
+            this.getSortedWatchlist().forEach(stock => {
+                const row = tbody.querySelector(`[data-symbol="${stock.symbol}"]`);
+                if (row) tbody.appendChild(row);
+            });
+        }
+
+        if (quotes.some(Boolean)) {
+            this.watchlistAsOf = new Date();
+            const asOf = document.getElementById('watchlistAsOf');
+            if (asOf) {
+                asOf.textContent = `Updated ${this.watchlistAsOf.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', second: '2-digit' })}`;
+            }
+        }
+    }
+
+    /**
+     * Store a fresh quote for a watched symbol and flash the cells whose value changed
+     */
+    updateWatchlistQuote(quote) {
+        if (!quote || !this.watchlists.some(list => list.items.some(stock => stock.symbol === quote.symbol))) return;
+
+        const previous = this.watchlistQuotes.get(quote.symbol);
+        this.watchlistQuotes.set(quote.symbol, quote);
+
+        const stock = this.watchlist.find(item => item.symbol === quote.symbol);
+        if (!stock) return;
+
+        const row = this.getWatchlistRow(stock);
+        const direction = previous && Number.isFinite(previous.price) ? Math.sign(quote.price - previous.price) : 0;
+
+        document.querySelectorAll(`#watchlistContainer [data-symbol="${quote.symbol}"] [data-field]`).forEach(element => {
+            const cell = this.formatWatchlistCell(element.getAttribute('data-field'), row);
+            if (element.innerHTML === cell.html) return;
+
+            element.innerHTML = cell.html;
+            element.classList.remove('positive', 'negative', 'neutral');
+            if (cell.className) {
+                element.classList.add(cell.className);
+            }
+
+            if (direction !== 0) {
+                const flash = direction > 0 ? 'flash-up' : 'flash-down';
+                element.classList.remove('flash-up', 'flash-down');
+                // Force a reflow so the animation restarts on back-to-back changes
+                void element.offsetWidth;
+                element.classList.add(flash);
+                element.addEventListener('animationend', () => element.classList.remove(flash), { once: true });
+            }
+        });
+    }
+
     /**
      * Create watchlist card with persistent data
      */
     createWatchlistCard(stock) {
         const card = document.createElement('div');
         card.className = 'watchlist-card';
+        card.dataset.symbol = stock.symbol;
+        card.draggable = true;
 
-        // Use stored price data or generate new random data
-        const currentData = stock.price ? {
-            price: stock.price,
-            change: stock.change || 0,
-            changePercent: stock.changePercent || 0
-        } : this.getCurrentStockPrice(stock.symbol);
+        const cell = field => this.formatWatchlistCell(field, this.getWatchlistRow(stock));
+        const otherLists = this.watchlists.filter(list => list.id !== this.activeWatchlistId);
 
         card.innerHTML = `
             <div class="watchlist-header">
                 <div class="stock-info">
                     <h3>${stock.symbol}</h3>
-                    <span>${stock.name}</span>
+                    <span>${this.escapeHtml(stock.name)}</span>
+                </div>
+                <div class="watchlist-card-buttons">
+                    <button class="remove-btn edit-btn" title="Edit note, target and tags">
+                        <i class="fas fa-pen"></i>
+                    </button>
+                    <button class="remove-btn" data-symbol="${stock.symbol}" title="Remove from watchlist">
+                        <i class="fas fa-times"></i>
+                    </button>
                 </div>
-                <button class="remove-btn" data-symbol="${stock.symbol}" title="Remove from watchlist">
-                    <i class="fas fa-times"></i>
-                </button>
             </div>
             <div class="price-display">
-                <span class="current-price">${this.formatCurrency(currentData.price)}</span>
-                <span class="price-change ${currentData.change >= 0 ? 'positive' : 'negative'}">
-                    <i class="fas fa-arrow-${currentData.change >= 0 ? 'up' : 'down'}"></i>
-                    ${currentData.change >= 0 ? '+' : ''}${currentData.changePercent.toFixed(2)}%
-                </span>
+                <span class="current-price" data-field="price">${cell('price').html}</span>
+                <span class="price-change ${cell('changePercent').className}" data-field="changePercent">${cell('changePercent').html}</span>
             </div>
+            <div class="watchlist-stats">
+                <div>
+                    <span>Day Range</span>
+                    <strong data-field="dayRange">${cell('dayRange').html}</strong>
+                </div>
+                <div>
+                    <span>Volume</span>
+                    <strong data-field="volume">${cell('volume').html}</strong>
+                </div>
+                <div>
+                    <span>Since Added</span>
+                    <strong class="${cell('sinceAdded').className}" data-field="sinceAdded">${cell('sinceAdded').html}</strong>
+                </div>
+            </div>
+            ${stock.targetPrice ? `
+                <div class="watchlist-target">
+                    Target ${this.formatCurrency(stock.targetPrice)}
+                    <span class="${cell('targetDistance').className}" data-field="targetDistance">${cell('targetDistance').html}</span>
+                </div>
+            ` : ''}
+            ${stock.note ? `<p class="watchlist-note">${this.escapeHtml(stock.note)}</p>` : ''}
+            ${stock.tags.length ? `
+                <div class="watchlist-tags">
+                    ${stock.tags.map(tag => `<span class="watchlist-tag">${this.escapeHtml(tag)}</span>`).join('')}
+                </div>
+            ` : ''}
             <div class="watchlist-meta">
                 <small class="added-date">Added: ${new Date(stock.addedAt).toLocaleDateString()}</small>
             </div>
+            <form class="watchlist-editor hidden">
+                <label class="alert-field">
+                    <span>Note</span>
+                    <textarea name="note" rows="2" maxlength="500" placeholder="Why you're watching it">${this.escapeHtml(stock.note)}</textarea>
+                </label>
+                <label class="alert-field">
+                    <span>Target price</span>
+                    <input type="number" name="targetPrice" min="0" step="0.01" placeholder="None" value="${stock.targetPrice || ''}">
+                </label>
+                <label class="alert-field">
+                    <span>Tags</span>
+                    <input type="text" name="tags" placeholder="earnings, semis" value="${this.escapeHtml(stock.tags.join(', '))}">
+                </label>
+                <button type="submit" class="action-btn secondary">
+                    <i class="fas fa-save"></i>
+                    Save
+                </button>
+                ${otherLists.length ? `
+                    <div class="watchlist-transfer">
+                        <label class="alert-field">
+                            <span>Other watchlist</span>
+                            <select name="targetList">
+                                ${otherLists.map(list => `<option value="${list.id}">${this.escapeHtml(list.name)}</option>`).join('')}
+                            </select>
+                        </label>
+                        <button type="button" class="action-btn secondary" data-transfer="move">Move</button>
+                        <button type="button" class="action-btn secondary" data-transfer="copy">Copy</button>
+                    </div>
+                ` : ''}
+            </form>
             <div class="watchlist-actions">
                 <button class="quick-view-btn" data-symbol="${stock.symbol}">
                     <i class="fas fa-chart-line"></i>
@@ -2801,8 +11113,32 @@ class StockAnalyzer {
         `;
 
         // Add event listeners with proper binding
-        const removeBtn = card.querySelector('.remove-btn');
+        const removeBtn = card.querySelector('.remove-btn[data-symbol]');
         const quickViewBtn = card.querySelector('.quick-view-btn');
+        const editBtn = card.querySelector('.edit-btn');
+        const editor = card.querySelector('.watchlist-editor');
+
+        editBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            editor.classList.toggle('hidden');
+            // Text fields can't be selected while the card itself is draggable
+            card.draggable = editor.classList.contains('hidden');
+        });
+
+        editor.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.updateWatchlistItem(stock.symbol, {
+                note: editor.elements.note.value,
+                targetPrice: editor.elements.targetPrice.value,
+                tags: editor.elements.tags.value
+            });
+        });
+
+        editor.querySelectorAll('[data-transfer]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.transferWatchlistItem(stock.symbol, editor.elements.targetList.value, btn.dataset.transfer);
+            });
+        });
 
         if (removeBtn) {
             removeBtn.addEventListener('click', (e) => {
@@ -2823,26 +11159,6 @@ class StockAnalyzer {
         return card;
     }
 
-    /**
-     * Get current stock price for watchlist display
-     */
-    getCurrentStockPrice(symbol) {
-        // Return demo data for watchlist display
-        const demoData = {
-            'AAPL': { price: 175.84, change: 2.45, changePercent: 1.41 },
-            'GOOGL': { price: 142.56, change: -1.23, changePercent: -0.85 },
-            'MSFT': { price: 378.85, change: 4.67, changePercent: 1.25 },
-            'TSLA': { price: 248.50, change: -5.75, changePercent: -2.26 },
-            'AMZN': { price: 155.89, change: 1.89, changePercent: 1.23 }
-        };
-
-        return demoData[symbol] || {
-            price: Math.random() * 200 + 50,
-            change: (Math.random() - 0.5) * 10,
-            changePercent: (Math.random() - 0.5) * 5
-        };
-    }
-
     /**
      * Start auto-carousel functionality
      */
@@ -2858,83 +11174,96 @@ class StockAnalyzer {
     }
 
     /**
-     * Fix watchlist persistence by properly managing localStorage
+     * Add the current stock to the active watchlist
      */
     addToWatchlist() {
         if (!this.currentStock) return;
 
         const symbol = this.currentStock.symbol;
+        const list = this.getActiveWatchlist();
 
-        // Check if already exists
-        const existingIndex = this.watchlist.findIndex(stock => stock.symbol === symbol);
-        if (existingIndex !== -1) {
-            this.showNotification(`${symbol} is already in your watchlist`, 'warning');
+        if (list.items.some(stock => stock.symbol === symbol)) {
+            this.showNotification(`${symbol} is already in ${list.name}`, 'warning');
             return;
         }
 
-        // Add to watchlist with proper data structure
-        const watchlistItem = {
+        list.items.push(this.normalizeWatchlistItem({
             symbol: symbol,
             name: this.currentStock.name,
             addedAt: new Date().toISOString(),
             price: this.currentStock.price,
             change: this.currentStock.change,
             changePercent: this.currentStock.changePercent
-        };
-
-        this.watchlist.push(watchlistItem);
+        }));
 
-        // Save to localStorage with error handling
-        try {
-            localStorage.setItem('stockWatchlist', JSON.stringify(this.watchlist));
-            console.log('Watchlist saved:', this.watchlist);
-        } catch (error) {
-            console.error('Failed to save watchlist:', error);
-            this.showNotification('Failed to save to watchlist', 'error');
+        if (!this.saveWatchlists()) {
+            list.items.pop();
             return;
         }
 
+        this.watchlistQuotes.set(symbol, this.currentStock);
         this.updateWatchlistButton(symbol);
         this.loadWatchlist();
-        this.showNotification(`${symbol} added to watchlist`, 'success');
+        this.showNotification(`${symbol} added to ${list.name}`, 'success');
     }
 
     /**
-     * Fix watchlist removal
+     * Remove a symbol from the active watchlist
      */
     removeFromWatchlist(symbol) {
-        const initialLength = this.watchlist.length;
-        this.watchlist = this.watchlist.filter(stock => stock.symbol !== symbol);
+        const list = this.getActiveWatchlist();
+        const previousItems = list.items;
 
-        if (this.watchlist.length === initialLength) {
+        if (!previousItems.some(stock => stock.symbol === symbol)) {
             console.warn(`Stock ${symbol} not found in watchlist`);
             return;
         }
 
-        try {
-            localStorage.setItem('stockWatchlist', JSON.stringify(this.watchlist));
-            console.log('Watchlist updated after removal:', this.watchlist);
-        } catch (error) {
-            console.error('Failed to update watchlist:', error);
-            this.showNotification('Failed to remove from watchlist', 'error');
+        list.items = previousItems.filter(stock => stock.symbol !== symbol);
+        this.watchlist = list.items;
+
+        if (!this.saveWatchlists()) {
+            list.items = previousItems;
+            this.watchlist = list.items;
             return;
         }
 
         this.loadWatchlist();
         this.updateWatchlistButton(symbol);
-        this.showNotification(`${symbol} removed from watchlist`, 'success');
+        this.showNotification(`${symbol} removed from ${list.name}`, 'success');
     }
 
     /**
-     * Enhanced watchlist loading with better error handling
+     * Render the list picker and the active watchlist in the selected view (cards, table or carousels)
      */
     loadWatchlist() {
         const emptyWatchlist = document.getElementById('emptyWatchlist');
         const watchlistGrid = document.getElementById('watchlistGrid');
+        const tableWrapper = document.getElementById('watchlistTableWrapper');
+        const watchlistCarousels = document.getElementById('watchlistCarousels');
+        const isEmpty = !Array.isArray(this.watchlist) || this.watchlist.length === 0;
 
-        console.log('Loading watchlist:', this.watchlist);
+        this.renderWatchlistPicker();
+
+        document.querySelectorAll('#watchlistViews .chart-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.getAttribute('data-view') === this.watchlistView);
+        });
+        if (tableWrapper) {
+            tableWrapper.classList.toggle('hidden', isEmpty || this.watchlistView !== 'table');
+            this.renderWatchlistTable();
+        }
+        if (watchlistCarousels) {
+            // Carousels load a year of history each, so they are only built while that view is showing
+            watchlistCarousels.classList.toggle('hidden', isEmpty || this.watchlistView !== 'carousel');
+            watchlistCarousels.innerHTML = '';
+            if (!isEmpty && this.watchlistView === 'carousel') {
+                this.watchlist.forEach((stock, index) => {
+                    watchlistCarousels.appendChild(this.createStockCarousel(stock, index));
+                });
+            }
+        }
 
-        if (!Array.isArray(this.watchlist) || this.watchlist.length === 0) {
+        if (isEmpty) {
             if (emptyWatchlist) emptyWatchlist.classList.remove('hidden');
             if (watchlistGrid) watchlistGrid.classList.add('hidden');
             return;
@@ -2942,7 +11271,7 @@ class StockAnalyzer {
 
         if (emptyWatchlist) emptyWatchlist.classList.add('hidden');
         if (watchlistGrid) {
-            watchlistGrid.classList.remove('hidden');
+            watchlistGrid.classList.toggle('hidden', this.watchlistView !== 'cards');
             watchlistGrid.innerHTML = '';
 
             this.watchlist.forEach((stock, index) => {
@@ -2976,7 +11305,7 @@ class StockAnalyzer {
      */
     createRevenueChart(stockData) {
         const revenueCanvas = document.getElementById('revenueChart');
-        if (!revenueCanvas) return;
+        if (!revenueCanvas || !stockData.revenue) return;
 
         const ctx = revenueCanvas.getContext('2d');
         const width = revenueCanvas.width = revenueCanvas.offsetWidth;
@@ -2998,7 +11327,7 @@ class StockAnalyzer {
      */
     createProfitChart(stockData) {
         const profitCanvas = document.getElementById('profitChart');
-        if (!profitCanvas) return;
+        if (!profitCanvas || !stockData.netProfit) return;
 
         const ctx = profitCanvas.getContext('2d');
         const width = profitCanvas.width = profitCanvas.offsetWidth;